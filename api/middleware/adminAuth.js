@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+
+/**
+ * Admin API authentication
+ * Admins authenticate with an API key, sent as `Authorization: Bearer <key>`
+ * or `X-Admin-Key: <key>`. Keys are configured in ADMIN_API_KEYS as a comma
+ * separated list of `name:role:key` entries, e.g.
+ *   ADMIN_API_KEYS=alice:admin:3f9c...,support:viewer:a81d...
+ *
+ * Roles, each including the ones before it:
+ *   viewer   - read claims, faucet controls and the ban/allow list
+ *   operator - pause/resume the faucet, manage the ban/allow list, resend failed claims
+ *   admin    - edit tier rewards and read the audit log
+ */
+
+const ROLES = ['viewer', 'operator', 'admin'];
+
+// Short keys are too easy to guess to guard a faucet wallet
+const MIN_KEY_LENGTH = 24;
+
+// Parsed ADMIN_API_KEYS, re-parsed only when the variable changes
+let loadedKeys = { value: undefined, keys: [] };
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+/**
+ * Parse ADMIN_API_KEYS. Malformed entries are skipped with a warning.
+ * @param {string} value - Raw ADMIN_API_KEYS value
+ * @returns {Array} [{ name, role, keyHash }]
+ */
+function loadAdminKeys(value = process.env.ADMIN_API_KEYS) {
+  if (!value) {
+    return [];
+  }
+
+  const keys = [];
+  for (const entry of value.split(',').map(item => item.trim()).filter(Boolean)) {
+    const [name, role, ...rest] = entry.split(':');
+    const key = rest.join(':');
+    if (!name || !ROLES.includes(role) || key.length < MIN_KEY_LENGTH) {
+      console.warn(`⚠️  Ignoring malformed ADMIN_API_KEYS entry for "${name || '?'}"`);
+      continue;
+    }
+    keys.push({ name, role, keyHash: hashKey(key) });
+  }
+  return keys;
+}
+
+function getPresentedKey(req) {
+  const authorization = req.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return req.get('X-Admin-Key') || null;
+}
+
+// Compare against every key so the response time doesn't reveal which one matched
+function findAdmin(presentedKey, keys) {
+  const presentedHash = hashKey(presentedKey);
+  let match = null;
+  for (const entry of keys) {
+    if (crypto.timingSafeEqual(presentedHash, entry.keyHash) && !match) {
+      match = entry;
+    }
+  }
+  return match ? { name: match.name, role: match.role } : null;
+}
+
+// Resolve the admin behind the request's API key into req.admin
+function authenticateAdmin(req, res, next) {
+  const presentedKey = getPresentedKey(req);
+  if (loadedKeys.value !== process.env.ADMIN_API_KEYS) {
+    loadedKeys = { value: process.env.ADMIN_API_KEYS, keys: loadAdminKeys() };
+  }
+  const admin = presentedKey ? findAdmin(presentedKey, loadedKeys.keys) : null;
+
+  if (!admin) {
+    return res.status(401).json({ error: 'Admin authentication required' });
+  }
+
+  req.admin = admin;
+  next();
+}
+
+/**
+ * Only let admins with at least `role` through
+ * @param {string} role - One of ROLES
+ * @returns {Function} Express middleware
+ */
+function requireRole(role) {
+  const required = ROLES.indexOf(role);
+  if (required === -1) {
+    throw new Error(`Unknown admin role "${role}"`);
+  }
+
+  return (req, res, next) => {
+    if (!req.admin || ROLES.indexOf(req.admin.role) < required) {
+      return res.status(403).json({ error: 'Insufficient role', required: role });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  loadAdminKeys,
+  authenticateAdmin,
+  requireRole
+};
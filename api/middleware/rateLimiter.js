@@ -1,42 +1,246 @@
-const { RateLimiterMemory } = require('rate-limiter-flexible');
-
-// Rate limiter for API requests
-const apiLimiter = new RateLimiterMemory({
-  keyGenerator: (req) => req.ip,
-  points: 10, // 10 requests
-  duration: 60, // per 60 seconds
-});
-
-// Rate limiter for slurp requests (more restrictive)
-const slurpLimiter = new RateLimiterMemory({
-  keyGenerator: (req) => req.ip,
-  points: 3, // 3 slurp attempts
-  duration: 300, // per 5 minutes
-});
-
-const rateLimiter = async (req, res, next) => {
+const { RateLimiterMemory, RateLimiterRedis, RateLimiterRes } = require('rate-limiter-flexible');
+const { config, onConfigReload } = require('../../config');
+const { resolveCredential } = require('../utils/claim-identity');
+
+/**
+ * Rate limiting for /api
+ * Limits are declared as policies in `faucet.rateLimiting`. Each policy counts
+ * requests per client IP or per wallet (the stake key of `address` in the
+ * request, so every address of one wallet shares a budget). Policies with
+ * `routes` apply to those paths; policies without `routes` apply to every
+ * path no routed policy covers. Counters live in Redis so all API replicas
+ * share them, with an in-memory fallback while Redis is unreachable.
+ *
+ * Clients that keep hitting limits are banned, for longer on every repeat
+ * offence: `violationsBeforeBan` rejections within `violationWindowSeconds`
+ * earn the next entry of `durationsSeconds`, and offences are remembered for
+ * `offenceMemorySeconds`.
+ */
+
+const DEFAULT_RATE_LIMITING = {
+  enabled: true,
+  trustProxy: false,
+  keyPrefix: 'hoskdog:rl',
+  exemptRoutes: ['/health'],
+  policies: [
+    { id: 'api', by: 'ip', points: 10, durationSeconds: 60 },
+    { id: 'slurp-ip', routes: ['/slurp'], by: 'ip', points: 3, durationSeconds: 300 }
+  ],
+  bans: {
+    violationsBeforeBan: 5,
+    violationWindowSeconds: 600,
+    durationsSeconds: [900, 3600, 86400],
+    offenceMemorySeconds: 604800
+  }
+};
+
+const POLICY_KEYS = ['ip', 'wallet'];
+
+function getRateLimitSettings() {
+  const settings = config.faucet.rateLimiting || {};
+  return {
+    ...DEFAULT_RATE_LIMITING,
+    ...settings,
+    bans: { ...DEFAULT_RATE_LIMITING.bans, ...(settings.bans || {}) }
+  };
+}
+
+/**
+ * Value for Express's `trust proxy` setting. Behind nginx this is the number
+ * of proxy hops, so req.ip is the client address nginx appended to
+ * X-Forwarded-For rather than whatever the client put there itself.
+ * TRUST_PROXY overrides the config, e.g. `false` when the API is exposed directly.
+ * @returns {boolean|number|string}
+ */
+function getTrustProxySetting() {
+  const value = process.env.TRUST_PROXY;
+  if (value === undefined || value === '') {
+    return getRateLimitSettings().trustProxy;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+}
+
+function matchesRoute(routes, path) {
+  return routes.some(route => path === route || path.startsWith(`${route}/`));
+}
+
+// Policies that apply to a path: its routed policies, or the default ones if none match
+function policiesFor(policies, path) {
+  const routed = policies.filter(policy => policy.routes && matchesRoute(policy.routes, path));
+  return routed.length > 0 ? routed : policies.filter(policy => !policy.routes);
+}
+
+// Key wallet policies on the stake key, falling back to the raw address the route will reject
+async function walletKey(address) {
   try {
-    // Apply different rate limits based on endpoint
-    if (req.path.includes('/slurp')) {
-      await slurpLimiter.consume(req.ip);
-    } else {
-      await apiLimiter.consume(req.ip);
+    const { claimKey } = await resolveCredential(address);
+    return { key: claimKey, resolved: true };
+  } catch (error) {
+    return { key: address.slice(0, 128), resolved: false };
+  }
+}
+
+const limitMessage = secs => `Rate limit exceeded. Try again in ${secs} seconds.`;
+const banMessage = secs => `Temporarily banned for repeated rate limit violations. Try again in ${secs} seconds.`;
+
+function rejectWith(res, msBeforeNext, message) {
+  const secs = Math.round(msBeforeNext / 1000) || 1;
+
+  res.set('Retry-After', String(secs));
+  return res.status(429).json({
+    error: 'Too many requests',
+    message: message(secs),
+    retryAfter: secs
+  });
+}
+
+/**
+ * Build the rate limiting middleware
+ * @param {Object} options - { settings, storeClient, isWalletAllowed } where
+ *   storeClient is a callback-style Redis client (without one the counters are
+ *   kept in memory) and isWalletAllowed(claimKey) resolves true for wallets on
+ *   the allow list, which skip wallet policies and wallet bans
+ * @returns {Function} Express middleware
+ */
+function createRateLimiter({ settings = getRateLimitSettings(), storeClient = null, isWalletAllowed = async () => false } = {}) {
+  const { keyPrefix, bans } = settings;
+
+  const makeLimiter = (name, points, duration) => {
+    const options = { keyPrefix: `${keyPrefix}:${name}`, points, duration };
+    if (!storeClient) {
+      return new RateLimiterMemory(options);
+    }
+    return new RateLimiterRedis({
+      ...options,
+      storeClient,
+      insuranceLimiter: new RateLimiterMemory(options)
+    });
+  };
+
+  for (const policy of settings.policies) {
+    if (!POLICY_KEYS.includes(policy.by)) {
+      throw new Error(`Rate limit policy "${policy.id}" has unknown key type "${policy.by}"`);
+    }
+  }
+
+  const policies = settings.policies.map(policy => ({
+    ...policy,
+    limiter: makeLimiter(policy.id, policy.points, policy.durationSeconds)
+  }));
+  const violations = makeLimiter('violations', bans.violationsBeforeBan, bans.violationWindowSeconds);
+  const offences = makeLimiter('offences', bans.durationsSeconds.length, bans.offenceMemorySeconds);
+  const banList = makeLimiter('bans', 1, Math.max(...bans.durationsSeconds));
+
+  // Milliseconds left on the longest active ban among the keys, or 0
+  async function banRemaining(keys) {
+    let remaining = 0;
+    for (const key of keys) {
+      const ban = await banList.get(key);
+      if (ban && ban.consumedPoints > 1) {
+        remaining = Math.max(remaining, ban.msBeforeNext);
+      }
+    }
+    return remaining;
+  }
+
+  // Count a rejected request against the client; returns the ban length in ms once it earns one
+  async function recordViolation(key) {
+    const violation = await violations.penalty(key);
+    if (violation.consumedPoints < bans.violationsBeforeBan) {
+      return 0;
+    }
+
+    const offence = await offences.penalty(key);
+    const level = Math.min(offence.consumedPoints, bans.durationsSeconds.length) - 1;
+    const banSeconds = bans.durationsSeconds[level];
+
+    await banList.block(key, banSeconds);
+    await violations.delete(key);
+    console.warn(`🚫 Banned ${key} for ${banSeconds}s (offence ${offence.consumedPoints})`);
+    return banSeconds * 1000;
+  }
+
+  return async function rateLimiter(req, res, next) {
+    if (!settings.enabled || matchesRoute(settings.exemptRoutes, req.path)) {
+      return next();
     }
+
+    try {
+      const matched = policiesFor(policies, req.path);
+      const address = req.body?.address;
+      const identities = { ip: `ip:${req.ip}` };
+      if (typeof address === 'string' && address && matched.some(policy => policy.by === 'wallet')) {
+        const wallet = await walletKey(address);
+        if (!wallet.resolved || !(await isWalletAllowed(wallet.key))) {
+          identities.wallet = `wallet:${wallet.key}`;
+        }
+      }
+      const keys = Object.values(identities);
+
+      const banned = await banRemaining(keys);
+      if (banned > 0) {
+        return rejectWith(res, banned, banMessage);
+      }
+
+      for (const policy of matched) {
+        const key = identities[policy.by];
+        if (!key) {
+          continue;
+        }
+
+        try {
+          await policy.limiter.consume(key);
+        } catch (rejection) {
+          if (!(rejection instanceof RateLimiterRes)) {
+            throw rejection;
+          }
+
+          const banMs = await recordViolation(key);
+          if (banMs > 0) {
+            return rejectWith(res, banMs, banMessage);
+          }
+          return rejectWith(res, rejection.msBeforeNext, limitMessage);
+        }
+      }
+    } catch (error) {
+      // Don't take the API down with the limiter's store
+      console.error('Rate limiter error:', error.message);
+    }
+
     next();
-  } catch (rateLimitError) {
-    const secs = Math.round(rateLimitError.msBeforeNext / 1000) || 1;
-    
-    res.set('Retry-After', String(secs));
-    res.status(429).json({
-      error: 'Too many requests',
-      message: `Rate limit exceeded. Try again in ${secs} seconds.`,
-      retryAfter: secs
+  };
+}
+
+let rateLimiter = null;
+
+// Shared middleware backed by the Redis client in database/redis and the admin
+// allow list. It is rebuilt when the settings are reloaded; counters kept in
+// Redis carry over.
+function getRateLimiter() {
+  if (!rateLimiter) {
+    const { rateLimitClient } = require('../../database/redis');
+    const adminDb = require('../../database/admin');
+    const build = () => createRateLimiter({
+      storeClient: rateLimitClient,
+      isWalletAllowed: async (claimKey) => (await adminDb.getWalletAccess(claimKey))?.list === 'allow'
+    });
+
+    let current = build();
+    onConfigReload(() => {
+      current = build();
     });
+    rateLimiter = (req, res, next) => current(req, res, next);
   }
-};
+  return rateLimiter;
+}
 
 module.exports = {
-  rateLimiter,
-  apiLimiter,
-  slurpLimiter
-};
\ No newline at end of file
+  DEFAULT_RATE_LIMITING,
+  getRateLimitSettings,
+  getTrustProxySetting,
+  createRateLimiter,
+  getRateLimiter
+};
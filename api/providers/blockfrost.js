@@ -0,0 +1,235 @@
+const axios = require('axios');
+
+/**
+ * Blockfrost chain data provider
+ * Implements the chain provider interface documented in ./index.js on top of
+ * the Blockfrost REST API.
+ */
+
+const BLOCKFROST_URLS = {
+  mainnet: 'https://cardano-mainnet.blockfrost.io/api/v0',
+  preprod: 'https://cardano-preprod.blockfrost.io/api/v0',
+  preview: 'https://cardano-preview.blockfrost.io/api/v0'
+};
+
+const LOVELACE = 'lovelace';
+
+// Blockfrost units are policyId + hex asset name, or 'lovelace'
+function toAssets(amount = []) {
+  return amount
+    .filter(({ unit }) => unit !== LOVELACE)
+    .map(({ unit, quantity }) => ({
+      policyId: unit.slice(0, 56),
+      assetName: unit.slice(56),
+      quantity: BigInt(quantity)
+    }));
+}
+
+function toLovelace(amount = []) {
+  const entry = amount.find(({ unit }) => unit === LOVELACE);
+  return BigInt(entry ? entry.quantity : 0);
+}
+
+/**
+ * Create a Blockfrost-backed chain provider
+ * @param {Object} options - { projectId, network, url, timeout }
+ * @returns {Object} Chain provider
+ */
+function createBlockfrostProvider({ projectId, network = 'mainnet', url, timeout = 10000 }) {
+  const baseUrl = url || BLOCKFROST_URLS[network.toLowerCase()] || BLOCKFROST_URLS.mainnet;
+  const headers = { project_id: projectId };
+
+  // GET returning null for 404s (unknown address, tx not yet on chain)
+  async function get(endpoint) {
+    try {
+      const response = await axios.get(`${baseUrl}${endpoint}`, { headers, timeout });
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Follow Blockfrost's page-based pagination until an empty page
+  async function getAllPages(endpoint) {
+    const separator = endpoint.includes('?') ? '&' : '?';
+    let results = [];
+    for (let page = 1; ; page++) {
+      const pageResult = await get(`${endpoint}${separator}page=${page}`);
+      if (!pageResult || pageResult.length === 0) {
+        return results;
+      }
+      results = results.concat(pageResult);
+    }
+  }
+
+  async function getAddress(address) {
+    return (await get(`/addresses/${address}`)) || { amount: [], stake_address: null };
+  }
+
+  function toTxIo(txHash) {
+    return (io) => ({
+      address: io.address,
+      stakeAddress: null,
+      txHash: io.tx_hash || txHash,
+      outputIndex: io.output_index,
+      lovelace: toLovelace(io.amount),
+      assets: toAssets(io.amount)
+    });
+  }
+
+  return {
+    name: 'blockfrost',
+    configured: !!projectId && !projectId.includes('YOUR_BLOCKFROST') && !projectId.includes('PASTE_YOUR'),
+
+    async getAddressAssets(address) {
+      return toAssets((await getAddress(address)).amount);
+    },
+
+    async getAddressInfo(address) {
+      const info = await getAddress(address);
+      return {
+        lovelace: toLovelace(info.amount),
+        stakeAddress: info.stake_address || null
+      };
+    },
+
+    async getDelegatedPool(stakeAddress) {
+      const account = await get(`/accounts/${stakeAddress}`);
+      return account?.pool_id || null;
+    },
+
+    async getAddressTransactions(address, { limit = 50, order = 'desc', offset = 0 } = {}) {
+      // Blockfrost pages by number, so an offset that isn't a whole number of
+      // pages takes the rest of one page and the start of the next
+      const count = Math.min(limit, 100);
+      const page = Math.floor(offset / count) + 1;
+      const skip = offset % count;
+      const endpoint = `/addresses/${address}/transactions?order=${order}&count=${count}`;
+      let rows = (await get(`${endpoint}&page=${page}`)) || [];
+      if (skip > 0 && rows.length === count) {
+        rows = rows.concat((await get(`${endpoint}&page=${page + 1}`)) || []);
+      }
+      return rows.slice(skip, skip + count).map(tx => ({
+        txHash: tx.tx_hash,
+        blockHeight: tx.block_height,
+        blockTime: tx.block_time
+      }));
+    },
+
+    async getTransactions(txHashes, { metadata = false } = {}) {
+      const txs = await Promise.all(txHashes.map(async (txHash) => {
+        const [tx, utxos, labels] = await Promise.all([
+          get(`/txs/${txHash}`),
+          get(`/txs/${txHash}/utxos`),
+          metadata ? get(`/txs/${txHash}/metadata`) : null
+        ]);
+        if (!tx || !utxos) {
+          return null;
+        }
+        return {
+          txHash,
+          blockHeight: tx.block_height,
+          blockTime: tx.block_time,
+          fee: BigInt(tx.fees || 0),
+          inputs: utxos.inputs.map(toTxIo()),
+          outputs: utxos.outputs.map(toTxIo(txHash)),
+          ...(metadata ? { metadata: Object.fromEntries((labels || []).map(row => [row.label, row.json_metadata])) } : {})
+        };
+      }));
+      return txs.filter(Boolean);
+    },
+
+    async getTransactionUtxos(txHashes) {
+      const txs = await Promise.all(txHashes.map(async (txHash) => {
+        const utxos = await get(`/txs/${txHash}/utxos`);
+        if (!utxos) {
+          return null;
+        }
+        return {
+          txHash,
+          inputs: utxos.inputs.map(toTxIo()),
+          outputs: utxos.outputs.map(toTxIo(txHash))
+        };
+      }));
+      return txs.filter(Boolean);
+    },
+
+    async getAssetHolders(policyId, assetName, { limit = 100000 } = {}) {
+      const holders = [];
+      for (let page = 1; holders.length < limit; page++) {
+        const rows = await get(`/assets/${policyId}${assetName}/addresses?count=100&page=${page}`);
+        if (!rows || rows.length === 0) {
+          break;
+        }
+        holders.push(...rows.map(row => ({
+          address: row.address,
+          stakeAddress: null,
+          quantity: BigInt(row.quantity || 0)
+        })));
+      }
+      return holders.slice(0, limit);
+    },
+
+    async getTip() {
+      const block = await get('/blocks/latest');
+      return {
+        blockHeight: block.height,
+        blockTime: block.time,
+        slot: block.slot
+      };
+    },
+
+    async getUtxos(address) {
+      const rows = await getAllPages(`/addresses/${address}/utxos`);
+      return rows.map(utxo => ({
+        txHash: utxo.tx_hash,
+        outputIndex: utxo.output_index,
+        address: utxo.address,
+        assets: Object.fromEntries(utxo.amount.map(({ unit, quantity }) => [unit, BigInt(quantity)])),
+        datumHash: (!utxo.inline_datum && utxo.data_hash) || undefined,
+        datum: utxo.inline_datum || undefined,
+        scriptRef: undefined
+      }));
+    },
+
+    async submitTx(txCborHex) {
+      const response = await axios.post(`${baseUrl}/tx/submit`, Buffer.from(txCborHex, 'hex'), {
+        headers: { ...headers, 'Content-Type': 'application/cbor' },
+        timeout
+      });
+      return response.data;
+    },
+
+    async getProtocolParameters() {
+      const params = await get('/epochs/latest/parameters');
+      if (!params) {
+        throw new Error('Could not fetch protocol parameters from Blockfrost');
+      }
+      return {
+        minFeeA: parseInt(params.min_fee_a),
+        minFeeB: parseInt(params.min_fee_b),
+        maxTxSize: parseInt(params.max_tx_size),
+        maxValSize: parseInt(params.max_val_size),
+        keyDeposit: BigInt(params.key_deposit),
+        poolDeposit: BigInt(params.pool_deposit),
+        priceMem: parseFloat(params.price_mem),
+        priceStep: parseFloat(params.price_step),
+        maxTxExMem: BigInt(params.max_tx_ex_mem),
+        maxTxExSteps: BigInt(params.max_tx_ex_steps),
+        coinsPerUtxoByte: BigInt(params.coins_per_utxo_size),
+        collateralPercentage: parseInt(params.collateral_percent),
+        maxCollateralInputs: parseInt(params.max_collateral_inputs),
+        costModels: params.cost_models,
+        minfeeRefscriptCostPerByte: parseInt(params.min_fee_ref_script_cost_per_byte || 0)
+      };
+    }
+  };
+}
+
+module.exports = {
+  BLOCKFROST_URLS,
+  createBlockfrostProvider
+};
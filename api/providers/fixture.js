@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Offline chain data provider
+ * Serves chain data from a JSON fixture file so the faucet and the relationship
+ * analyzer can run in tests and local development without network access.
+ *
+ * Fixture shape (all sections optional, amounts as strings or numbers):
+ *   {
+ *     addresses: {
+ *       <address>: {
+ *         lovelace, stakeAddress,
+ *         assets: [{ policyId, assetName, quantity }],
+ *         transactions: [<txHash>, ...],     // newest first
+ *         utxos: [{ txHash, outputIndex, assets: { <unit>: quantity } }]
+ *       }
+ *     },
+ *     accounts: { <stakeAddress>: { delegatedPool } },
+ *     transactions: {
+ *       <txHash>: { blockHeight, blockTime, fee,
+ *                   inputs: [{ address, txHash, outputIndex, lovelace, assets }],
+ *                   outputs: [{ address, lovelace, assets }],
+ *                   metadata: { <label>: json } }
+ *     },
+ *     tip: { blockHeight, blockTime, slot },  // defaults to the highest fixture block
+ *     protocolParameters: { ...Lucid protocol parameters }
+ *   }
+ */
+
+function toAssets(assets = []) {
+  return assets.map(asset => ({
+    policyId: asset.policyId,
+    assetName: asset.assetName || '',
+    quantity: BigInt(asset.quantity || 0)
+  }));
+}
+
+function toTxIo(txHash) {
+  return (io, index) => ({
+    address: io.address,
+    stakeAddress: io.stakeAddress || null,
+    txHash: io.txHash || txHash,
+    outputIndex: io.outputIndex ?? index,
+    lovelace: BigInt(io.lovelace || 0),
+    assets: toAssets(io.assets)
+  });
+}
+
+// Protocol parameters may be stored with plain numbers; Lucid expects BigInts here
+const BIGINT_PARAMS = ['keyDeposit', 'poolDeposit', 'maxTxExMem', 'maxTxExSteps', 'coinsPerUtxoByte'];
+
+/**
+ * Create a fixture-backed chain provider
+ * @param {Object} options - { path } to a fixture file, or { data } with the parsed fixture
+ * @returns {Object} Chain provider
+ */
+function createFixtureProvider({ path, data }) {
+  const fixture = data || JSON.parse(fs.readFileSync(path, 'utf8'));
+  const addresses = fixture.addresses || {};
+  const accounts = fixture.accounts || {};
+  const transactions = fixture.transactions || {};
+  const submitted = [];
+
+  const addressEntry = (address) => addresses[address] || {};
+
+  const toTransaction = (txHash, metadata) => {
+    const tx = transactions[txHash];
+    if (!tx) {
+      return null;
+    }
+    return {
+      txHash,
+      blockHeight: tx.blockHeight ?? null,
+      blockTime: tx.blockTime ?? null,
+      fee: BigInt(tx.fee || 0),
+      inputs: (tx.inputs || []).map(toTxIo()),
+      outputs: (tx.outputs || []).map(toTxIo(txHash)),
+      ...(metadata ? { metadata: tx.metadata || {} } : {})
+    };
+  };
+
+  return {
+    name: 'fixture',
+    configured: true,
+    // Transactions passed to submitTx, for assertions in tests
+    submitted,
+
+    async getAddressAssets(address) {
+      return toAssets(addressEntry(address).assets);
+    },
+
+    async getAddressInfo(address) {
+      const entry = addressEntry(address);
+      return {
+        lovelace: BigInt(entry.lovelace || 0),
+        stakeAddress: entry.stakeAddress || null
+      };
+    },
+
+    async getDelegatedPool(stakeAddress) {
+      return accounts[stakeAddress]?.delegatedPool || null;
+    },
+
+    async getAddressTransactions(address, { limit = 50, order = 'desc', offset = 0 } = {}) {
+      const hashes = addressEntry(address).transactions || [];
+      const ordered = order === 'asc' ? [...hashes].reverse() : hashes;
+      return ordered.slice(offset, offset + limit).map(txHash => ({
+        txHash,
+        blockHeight: transactions[txHash]?.blockHeight ?? null,
+        blockTime: transactions[txHash]?.blockTime ?? null
+      }));
+    },
+
+    async getTransactions(txHashes, { metadata = false } = {}) {
+      return txHashes.map(txHash => toTransaction(txHash, metadata)).filter(Boolean);
+    },
+
+    async getTransactionUtxos(txHashes) {
+      return txHashes
+        .map(txHash => toTransaction(txHash, false))
+        .filter(Boolean)
+        .map(({ txHash, inputs, outputs }) => ({ txHash, inputs, outputs }));
+    },
+
+    async getAssetHolders(policyId, assetName, { limit = 100000 } = {}) {
+      return Object.entries(addresses)
+        .map(([address, entry]) => ({
+          address,
+          stakeAddress: entry.stakeAddress || null,
+          quantity: toAssets(entry.assets)
+            .filter(asset => asset.policyId === policyId && asset.assetName === assetName)
+            .reduce((sum, asset) => sum + asset.quantity, 0n)
+        }))
+        .filter(holder => holder.quantity > 0n)
+        .slice(0, limit);
+    },
+
+    async getTip() {
+      if (fixture.tip) {
+        return { ...fixture.tip };
+      }
+      const heights = Object.values(transactions).map(tx => tx.blockHeight || 0);
+      return { blockHeight: Math.max(0, ...heights), blockTime: null, slot: null };
+    },
+
+    async getUtxos(address) {
+      return (addressEntry(address).utxos || []).map(utxo => ({
+        txHash: utxo.txHash,
+        outputIndex: utxo.outputIndex,
+        address,
+        assets: Object.fromEntries(
+          Object.entries(utxo.assets || {}).map(([unit, quantity]) => [unit, BigInt(quantity)])
+        ),
+        datumHash: utxo.datumHash,
+        datum: utxo.datum,
+        scriptRef: undefined
+      }));
+    },
+
+    async submitTx(txCborHex) {
+      submitted.push(txCborHex);
+      return crypto.createHash('sha256').update(txCborHex).digest('hex');
+    },
+
+    async getProtocolParameters() {
+      if (!fixture.protocolParameters) {
+        throw new Error('Fixture has no protocolParameters');
+      }
+      const params = { ...fixture.protocolParameters };
+      for (const key of BIGINT_PARAMS) {
+        if (params[key] !== undefined) {
+          params[key] = BigInt(params[key]);
+        }
+      }
+      return params;
+    }
+  };
+}
+
+module.exports = { createFixtureProvider };
@@ -0,0 +1,93 @@
+const path = require('path');
+const { config } = require('../../config');
+const { createKoiosProvider } = require('./koios');
+const { createBlockfrostProvider } = require('./blockfrost');
+const { createFixtureProvider } = require('./fixture');
+const { createLucidProvider } = require('./lucid');
+
+/**
+ * Chain data providers
+ * Everything that reads from or submits to the chain goes through one of these,
+ * so the backend can be switched with CHAIN_PROVIDER without touching callers.
+ *
+ * Every provider exposes:
+ *   name, configured
+ *   getAddressAssets(address)          -> [{ policyId, assetName (hex), quantity (BigInt) }]
+ *   getAddressInfo(address)            -> { lovelace (BigInt), stakeAddress }
+ *   getDelegatedPool(stakeAddress)     -> pool ID or null
+ *   getAddressTransactions(address, { limit, order: 'asc' | 'desc', offset })
+ *                                      -> [{ txHash, blockHeight, blockTime }]
+ *                                         `offset` rows are skipped first, for paging
+ *   getTransactions(txHashes, { metadata })
+ *                                      -> [{ txHash, blockHeight, blockTime, fee (BigInt),
+ *                                            inputs: [TxIo], outputs: [TxIo], metadata? }]
+ *                                         metadata ({ <label>: json }) only when asked for
+ *                                         TxIo = { address, stakeAddress, txHash, outputIndex,
+ *                                                  lovelace (BigInt), assets }
+ *   getTransactionUtxos(txHashes)      -> [{ txHash, inputs: [TxIo], outputs: [TxIo] }]
+ *                                         just the UTxOs, cheaper than getTransactions
+ *   getAssetHolders(policyId, assetName, { limit })
+ *                                      -> [{ address, stakeAddress, quantity (BigInt) }]
+ *                                         one row per address holding the asset, at most
+ *                                         `limit` rows (Blockfrost has no stakeAddress)
+ *   getTip()                           -> { blockHeight, blockTime, slot }
+ *   getUtxos(address)                  -> Lucid UTxOs
+ *   submitTx(txCborHex)                -> tx hash
+ *   getProtocolParameters()            -> Lucid protocol parameters
+ */
+
+const PROVIDERS = ['koios', 'blockfrost', 'fixture'];
+
+const KOIOS_URLS = {
+  mainnet: 'https://api.koios.rest/api/v1',
+  preprod: 'https://preprod.koios.rest/api/v1',
+  preview: 'https://preview.koios.rest/api/v1'
+};
+
+let defaultProvider = null;
+
+/**
+ * Create a chain provider
+ * @param {Object} options - { type, network } - both default to the environment
+ * @returns {Object} Chain provider
+ */
+function createChainProvider({ type, network } = {}) {
+  const providerType = (type || process.env.CHAIN_PROVIDER || config.api.chainProvider || 'koios').toLowerCase();
+  const networkName = (network || process.env.CARDANO_NETWORK || 'mainnet').toLowerCase();
+
+  switch (providerType) {
+  case 'koios':
+    return createKoiosProvider({
+      url: process.env.KOIOS_API ||
+        (networkName === 'mainnet' ? config.api.koiosUrl : KOIOS_URLS[networkName]) ||
+        config.api.koiosUrl
+    });
+  case 'blockfrost':
+    return createBlockfrostProvider({
+      projectId: process.env.BLOCKFROST_API_KEY || process.env.BLOCKFROST_KEY,
+      network: networkName
+    });
+  case 'fixture':
+    return createFixtureProvider({
+      path: path.resolve(process.env.CHAIN_FIXTURES || path.join(__dirname, '../../tests/fixtures/chain.json'))
+    });
+  default:
+    throw new Error(`Unknown chain provider "${providerType}". Expected one of: ${PROVIDERS.join(', ')}`);
+  }
+}
+
+// Shared provider for the faucet API, built from the environment on first use
+function getChainProvider() {
+  if (!defaultProvider) {
+    defaultProvider = createChainProvider();
+    console.log(`🔗 Chain provider: ${defaultProvider.name}`);
+  }
+  return defaultProvider;
+}
+
+module.exports = {
+  PROVIDERS,
+  createChainProvider,
+  getChainProvider,
+  createLucidProvider
+};
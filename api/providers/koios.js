@@ -0,0 +1,213 @@
+const axios = require('axios');
+
+/**
+ * Koios chain data provider
+ * Implements the chain provider interface documented in ./index.js on top of
+ * the Koios REST API.
+ */
+
+// Most rows Koios returns for one request
+const KOIOS_PAGE_SIZE = 1000;
+
+// Convert a Koios asset_list into { policyId, assetName, quantity }
+function toAssets(assetList = []) {
+  return assetList.map(asset => ({
+    policyId: asset.policy_id,
+    assetName: asset.asset_name || '',
+    quantity: BigInt(asset.quantity || 0)
+  }));
+}
+
+// Convert a Koios tx input/output into the provider's UTxO reference shape
+function toTxIo(io) {
+  return {
+    address: io.payment_addr?.bech32,
+    stakeAddress: io.stake_addr || null,
+    txHash: io.tx_hash,
+    outputIndex: io.tx_index,
+    lovelace: BigInt(io.value || 0),
+    assets: toAssets(io.asset_list)
+  };
+}
+
+/**
+ * Create a Koios-backed chain provider
+ * @param {Object} options - { url, timeout }
+ * @returns {Object} Chain provider
+ */
+function createKoiosProvider({ url, timeout = 10000 }) {
+  async function post(endpoint, body, requestTimeout = timeout) {
+    const response = await axios.post(`${url}${endpoint}`, body, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: requestTimeout
+    });
+    return response.data || [];
+  }
+
+  async function get(endpoint) {
+    const response = await axios.get(`${url}${endpoint}`, { timeout });
+    return response.data || [];
+  }
+
+  return {
+    name: 'koios',
+    configured: !!url,
+
+    async getAddressAssets(address) {
+      const rows = await post('/address_assets', { _addresses: [address] });
+
+      // Koios v0 nests assets under asset_list, v1 returns one row per asset
+      return toAssets(rows.flatMap(row => row.asset_list || [row]));
+    },
+
+    async getAddressInfo(address) {
+      const rows = await post('/address_info', { _addresses: [address] });
+      const info = rows[0] || {};
+      return {
+        lovelace: BigInt(info.balance || 0),
+        stakeAddress: info.stake_address || null
+      };
+    },
+
+    async getDelegatedPool(stakeAddress) {
+      const rows = await post('/account_info', { _stake_addresses: [stakeAddress] });
+      return rows[0]?.delegated_pool || null;
+    },
+
+    async getAddressTransactions(address, { limit = 50, order = 'desc', offset = 0 } = {}) {
+      const rows = await post(
+        `/address_txs?order=block_height.${order}&limit=${limit}&offset=${offset}`,
+        { _addresses: [address] },
+        15000
+      );
+      return rows.map(tx => ({
+        txHash: tx.tx_hash,
+        blockHeight: tx.block_height,
+        blockTime: tx.block_time
+      }));
+    },
+
+    async getTransactions(txHashes, { metadata = false } = {}) {
+      if (txHashes.length === 0) {
+        return [];
+      }
+
+      const rows = await post('/tx_info', {
+        _tx_hashes: txHashes,
+        _inputs: true,
+        _metadata: metadata,
+        _assets: true,
+        _withdrawals: false,
+        _certs: false,
+        _scripts: false,
+        _bytecode: false
+      }, 15000);
+
+      return rows.map(tx => ({
+        txHash: tx.tx_hash,
+        blockHeight: tx.block_height,
+        blockTime: tx.tx_timestamp || tx.block_time,
+        fee: BigInt(tx.fee || 0),
+        inputs: (tx.inputs || []).map(toTxIo),
+        outputs: (tx.outputs || []).map(toTxIo),
+        ...(metadata ? { metadata: tx.metadata || {} } : {})
+      }));
+    },
+
+    async getTransactionUtxos(txHashes) {
+      if (txHashes.length === 0) {
+        return [];
+      }
+
+      const rows = await post('/tx_utxos', { _tx_hashes: txHashes }, 15000);
+      return rows.map(tx => ({
+        txHash: tx.tx_hash,
+        inputs: (tx.inputs || []).map(toTxIo),
+        outputs: (tx.outputs || []).map(toTxIo)
+      }));
+    },
+
+    async getAssetHolders(policyId, assetName, { limit = 100000 } = {}) {
+      const holders = [];
+      while (holders.length < limit) {
+        const pageSize = Math.min(KOIOS_PAGE_SIZE, limit - holders.length);
+        const rows = await get(
+          `/asset_addresses?_asset_policy=${policyId}&_asset_name=${assetName}&offset=${holders.length}&limit=${pageSize}`
+        );
+        holders.push(...rows.map(row => ({
+          address: row.payment_address,
+          stakeAddress: row.stake_address || null,
+          quantity: BigInt(row.quantity || 0)
+        })));
+        if (rows.length < pageSize) {
+          break;
+        }
+      }
+      return holders;
+    },
+
+    async getTip() {
+      const rows = await get('/tip');
+      const tip = rows[0] || {};
+      return {
+        blockHeight: tip.block_height ?? tip.block_no,
+        blockTime: tip.block_time,
+        slot: tip.abs_slot
+      };
+    },
+
+    async getUtxos(address) {
+      const rows = await post('/address_utxos', { _addresses: [address], _extended: true });
+      return rows.map(utxo => {
+        const assets = { lovelace: BigInt(utxo.value || 0) };
+        for (const asset of toAssets(utxo.asset_list)) {
+          assets[asset.policyId + asset.assetName] = asset.quantity;
+        }
+        return {
+          txHash: utxo.tx_hash,
+          outputIndex: utxo.tx_index,
+          address: utxo.address,
+          assets,
+          datumHash: utxo.inline_datum ? undefined : utxo.datum_hash || undefined,
+          datum: utxo.inline_datum?.bytes,
+          scriptRef: undefined
+        };
+      });
+    },
+
+    async submitTx(txCborHex) {
+      const response = await axios.post(`${url}/submittx`, Buffer.from(txCborHex, 'hex'), {
+        headers: { 'Content-Type': 'application/cbor' },
+        timeout
+      });
+      return response.data;
+    },
+
+    async getProtocolParameters() {
+      const rows = await get('/epoch_params?order=epoch_no.desc&limit=1');
+      const params = rows[0];
+      if (!params) {
+        throw new Error('Could not fetch protocol parameters from Koios');
+      }
+      return {
+        minFeeA: parseInt(params.min_fee_a),
+        minFeeB: parseInt(params.min_fee_b),
+        maxTxSize: parseInt(params.max_tx_size),
+        maxValSize: parseInt(params.max_val_size),
+        keyDeposit: BigInt(params.key_deposit),
+        poolDeposit: BigInt(params.pool_deposit),
+        priceMem: parseFloat(params.price_mem),
+        priceStep: parseFloat(params.price_step),
+        maxTxExMem: BigInt(params.max_tx_ex_mem),
+        maxTxExSteps: BigInt(params.max_tx_ex_steps),
+        coinsPerUtxoByte: BigInt(params.coins_per_utxo_size),
+        collateralPercentage: parseInt(params.collateral_percent),
+        maxCollateralInputs: parseInt(params.max_collateral_inputs),
+        costModels: params.cost_models,
+        minfeeRefscriptCostPerByte: parseInt(params.min_fee_ref_script_cost_per_byte || 0)
+      };
+    }
+  };
+}
+
+module.exports = { createKoiosProvider };
@@ -0,0 +1,63 @@
+/**
+ * Lucid provider adapter
+ * Lets Lucid build and submit transactions through whichever chain provider
+ * the app is configured with, instead of Lucid's own Blockfrost client.
+ */
+
+/**
+ * Wrap a chain provider in Lucid's Provider interface
+ * @param {Object} chainProvider - Provider from ./index.js
+ * @returns {Object} Lucid-compatible provider
+ */
+function createLucidProvider(chainProvider) {
+  async function getUtxos(addressOrCredential) {
+    if (typeof addressOrCredential !== 'string') {
+      throw new Error(`${chainProvider.name} provider only supports UTxO lookups by address`);
+    }
+    return chainProvider.getUtxos(addressOrCredential);
+  }
+
+  return {
+    getProtocolParameters: () => chainProvider.getProtocolParameters(),
+
+    getUtxos,
+
+    async getUtxosWithUnit(addressOrCredential, unit) {
+      const utxos = await getUtxos(addressOrCredential);
+      return utxos.filter(utxo => (utxo.assets[unit] || 0n) > 0n);
+    },
+
+    async getUtxoByUnit() {
+      throw new Error(`${chainProvider.name} provider does not support getUtxoByUnit`);
+    },
+
+    async getUtxosByOutRef() {
+      throw new Error(`${chainProvider.name} provider does not support getUtxosByOutRef`);
+    },
+
+    async getDelegation(rewardAddress) {
+      return {
+        poolId: await chainProvider.getDelegatedPool(rewardAddress),
+        rewards: 0n
+      };
+    },
+
+    async getDatum() {
+      throw new Error(`${chainProvider.name} provider does not support getDatum`);
+    },
+
+    async awaitTx(txHash, checkInterval = 3000) {
+      for (;;) {
+        const [tx] = await chainProvider.getTransactions([txHash]);
+        if (tx && tx.blockHeight) {
+          return true;
+        }
+        await new Promise(resolve => setTimeout(resolve, checkInterval));
+      }
+    },
+
+    submitTx: (tx) => chainProvider.submitTx(tx)
+  };
+}
+
+module.exports = { createLucidProvider };
@@ -0,0 +1,435 @@
+const express = require('express');
+const db = require('../../database/db');
+const claims = require('../../database/claims');
+const adminDb = require('../../database/admin');
+const { authenticateAdmin, requireRole } = require('../middleware/adminAuth');
+const { resolveCredential } = require('../utils/claim-identity');
+const { getTier } = require('../utils/eligibility-engine');
+const { getReserveStatus } = require('../utils/faucet-budget');
+const { refreshControls, setPaused, setTierReward, getTierRewards } = require('../utils/admin-controls');
+const vault = require('../../database/vault');
+const { approveWithdrawal, reconcileVault } = require('../utils/vault');
+const sybil = require('../../database/sybil');
+
+const router = express.Router();
+
+const CLAIM_STATUSES = ['queued', 'processing', 'submitted', 'confirmed', 'failed', 'expired'];
+const WALLET_LISTS = ['ban', 'allow'];
+const WITHDRAWAL_STATUSES = ['pending', 'approved', 'submitted', 'confirmed', 'rejected', 'failed'];
+const SYBIL_FLAG_STATUSES = ['pending', 'confirmed', 'dismissed'];
+const MAX_PAGE_SIZE = 100;
+
+// Every admin route needs an API key
+router.use(authenticateAdmin);
+
+// Write an admin action to the audit log. Actions that only change the
+// database pass their transaction client, so the action and its entry commit
+// or fail together.
+function audit(req, action, target, details = null, client) {
+  return adminDb.recordAudit({
+    actor: req.admin.name,
+    role: req.admin.role,
+    action,
+    target: target === null || target === undefined ? null : String(target),
+    details,
+    ipAddress: req.ip
+  }, client);
+}
+
+// A rolled back control change was already applied in memory; reload the stored one
+function restoreControls() {
+  refreshControls().catch(error => console.error('Admin control sync error:', error.message));
+}
+
+// Parse ?page=&pageSize= into { page, pageSize, limit, offset }
+function parsePagination(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.pageSize, 10) || 25));
+  return { page, pageSize, limit: pageSize, offset: (page - 1) * pageSize };
+}
+
+// Parse an optional ISO date filter; returns undefined if it is malformed
+function parseDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+function sendError(res, message, error) {
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    error: message,
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+// Who the API key belongs to
+router.get('/me', (req, res) => {
+  res.json(req.admin);
+});
+
+// Recent claims, newest first, filtered by status, tier, wallet and date range
+router.get('/claims', requireRole('viewer'), async (req, res) => {
+  try {
+    const { status, tier, address, claimKey } = req.query;
+    if (status && !CLAIM_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${CLAIM_STATUSES.join(', ')}` });
+    }
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ error: 'from and to must be ISO dates' });
+    }
+
+    const { page, pageSize, limit, offset } = parsePagination(req.query);
+    const result = await claims.listClaims({
+      status: status || null,
+      tier: tier || null,
+      address: address || null,
+      claimKey: claimKey || null,
+      from,
+      to,
+      limit,
+      offset
+    });
+
+    res.json({ ...result, page, pageSize });
+  } catch (error) {
+    sendError(res, 'Failed to list claims', error);
+  }
+});
+
+// Put a failed or expired claim back in the payout queue
+router.post('/claims/:id/resend', requireRole('operator'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id <= 0 || String(id) !== req.params.id) {
+      return res.status(400).json({ error: 'Invalid claim ID' });
+    }
+
+    const claim = await claims.getClaim(id);
+    if (!claim) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+    if (!['failed', 'expired'].includes(claim.status)) {
+      return res.status(409).json({ error: `Only failed or expired claims can be resent (claim is ${claim.status})` });
+    }
+
+    const resent = await db.transaction(async (client) => {
+      const requeued = await claims.resendClaim(id, client);
+      if (requeued) {
+        await audit(req, 'claim.resend', id, { previousStatus: claim.status, error: claim.error }, client);
+      }
+      return requeued;
+    });
+    if (!resent) {
+      return res.status(409).json({ error: 'Claim can no longer be resent: the wallet has claimed again since' });
+    }
+
+    res.json(resent);
+  } catch (error) {
+    sendError(res, 'Failed to resend claim', error);
+  }
+});
+
+// Pause state and tier rewards
+router.get('/controls', requireRole('viewer'), (req, res) => {
+  res.json({
+    pause: getReserveStatus(),
+    tiers: getTierRewards()
+  });
+});
+
+router.post('/pause', requireRole('operator'), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    await db.transaction(async (client) => {
+      const pause = await setPaused(true, typeof reason === 'string' ? reason.slice(0, 200) : null, req.admin.name, client);
+      await audit(req, 'faucet.pause', null, { reason: pause.reason }, client);
+    });
+    res.json({ pause: getReserveStatus() });
+  } catch (error) {
+    restoreControls();
+    sendError(res, 'Failed to pause faucet', error);
+  }
+});
+
+router.post('/resume', requireRole('operator'), async (req, res) => {
+  try {
+    await db.transaction(async (client) => {
+      await setPaused(false, null, req.admin.name, client);
+      await audit(req, 'faucet.resume', null, null, client);
+    });
+    res.json({ pause: getReserveStatus() });
+  } catch (error) {
+    restoreControls();
+    sendError(res, 'Failed to resume faucet', error);
+  }
+});
+
+// Override a tier's reward at runtime; a null reward restores the configured one
+router.put('/tiers/:id/reward', requireRole('admin'), async (req, res) => {
+  try {
+    const tier = getTier(req.params.id);
+    if (!tier) {
+      return res.status(404).json({ error: 'Tier not found' });
+    }
+
+    const { reward } = req.body || {};
+    if (reward !== null && (!Number.isSafeInteger(reward) || reward <= 0)) {
+      return res.status(400).json({ error: 'reward must be a positive integer in HKDG base units, or null' });
+    }
+
+    const previousReward = tier.reward;
+    const tiers = await db.transaction(async (client) => {
+      const updated = await setTierReward(tier.id, reward, req.admin.name, client);
+      await audit(req, 'tier.reward', tier.id, { previousReward, reward: tier.reward }, client);
+      return updated;
+    });
+    res.json({ tiers });
+  } catch (error) {
+    restoreControls();
+    sendError(res, 'Failed to update tier reward', error);
+  }
+});
+
+// Ban/allow list
+router.get('/wallets', requireRole('viewer'), async (req, res) => {
+  try {
+    const { list } = req.query;
+    if (list && !WALLET_LISTS.includes(list)) {
+      return res.status(400).json({ error: 'list must be ban or allow' });
+    }
+
+    res.json({ wallets: await adminDb.listWalletAccess(list || null) });
+  } catch (error) {
+    sendError(res, 'Failed to list wallets', error);
+  }
+});
+
+// Ban or allow a wallet by address (keyed on its stake key) or by claim key
+router.put('/wallets', requireRole('operator'), async (req, res) => {
+  try {
+    const { address, claimKey: givenClaimKey, list, reason, expiresInHours } = req.body || {};
+    if (!WALLET_LISTS.includes(list)) {
+      return res.status(400).json({ error: 'list must be ban or allow' });
+    }
+    if (expiresInHours !== undefined && expiresInHours !== null && !(expiresInHours > 0)) {
+      return res.status(400).json({ error: 'expiresInHours must be a positive number' });
+    }
+
+    let claimKey = givenClaimKey;
+    if (address) {
+      try {
+        ({ claimKey } = await resolveCredential(address));
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+    if (!claimKey || typeof claimKey !== 'string') {
+      return res.status(400).json({ error: 'address or claimKey is required' });
+    }
+
+    const entry = await db.transaction(async (client) => {
+      const stored = await adminDb.setWalletAccess({
+        claimKey,
+        address: address || null,
+        list,
+        reason: typeof reason === 'string' ? reason.slice(0, 500) : null,
+        createdBy: req.admin.name,
+        expiresAt: expiresInHours ? new Date(Date.now() + expiresInHours * 60 * 60 * 1000) : null
+      }, client);
+      await audit(req, `wallet.${list}`, claimKey, { address: stored.address, reason: stored.reason, expiresAt: stored.expiresAt }, client);
+      return stored;
+    });
+    res.json(entry);
+  } catch (error) {
+    sendError(res, 'Failed to update wallet list', error);
+  }
+});
+
+router.delete('/wallets/:claimKey', requireRole('operator'), async (req, res) => {
+  try {
+    const removed = await db.transaction(async (client) => {
+      const deleted = await adminDb.removeWalletAccess(req.params.claimKey, client);
+      if (deleted) {
+        await audit(req, 'wallet.remove', req.params.claimKey, null, client);
+      }
+      return deleted;
+    });
+    if (!removed) {
+      return res.status(404).json({ error: 'Wallet is not on the ban or allow list' });
+    }
+
+    res.json({ removed: true });
+  } catch (error) {
+    sendError(res, 'Failed to update wallet list', error);
+  }
+});
+
+// Vault withdrawal queue, newest first
+router.get('/vault/withdrawals', requireRole('viewer'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !WITHDRAWAL_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${WITHDRAWAL_STATUSES.join(', ')}` });
+    }
+
+    const { page, pageSize, limit, offset } = parsePagination(req.query);
+    const result = await vault.listWithdrawals({
+      status: status || null,
+      claimKey: req.query.claimKey || null,
+      limit,
+      offset
+    });
+
+    res.json({ ...result, page, pageSize });
+  } catch (error) {
+    sendError(res, 'Failed to list vault withdrawals', error);
+  }
+});
+
+// Approve a pending withdrawal and pay it from the vault wallet
+router.post('/vault/withdrawals/:id/approve', requireRole('admin'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id <= 0 || String(id) !== req.params.id) {
+      return res.status(400).json({ error: 'Invalid withdrawal ID' });
+    }
+
+    const withdrawal = await vault.getWithdrawal(id);
+    if (!withdrawal) {
+      return res.status(404).json({ error: 'Withdrawal not found' });
+    }
+
+    const result = await approveWithdrawal(id, req.admin.name);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    // The payout is already on its way and can't be rolled back, so a failed
+    // entry is only logged
+    try {
+      await audit(req, 'vault.approve', id, { address: withdrawal.address, lovelace: withdrawal.lovelace, txHash: result.withdrawal.txHash });
+    } catch (error) {
+      console.error(`Could not audit approval of vault withdrawal ${id}:`, error);
+    }
+    res.json(result);
+  } catch (error) {
+    sendError(res, 'Failed to approve vault withdrawal', error);
+  }
+});
+
+// Reject a pending withdrawal; the amount goes back to the wallet's balance
+router.post('/vault/withdrawals/:id/reject', requireRole('operator'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id <= 0 || String(id) !== req.params.id) {
+      return res.status(400).json({ error: 'Invalid withdrawal ID' });
+    }
+
+    const { reason } = req.body || {};
+    const withdrawal = await db.transaction(async (client) => {
+      const rejected = await vault.rejectWithdrawal(id, req.admin.name, typeof reason === 'string' ? reason.slice(0, 500) : null, client);
+      if (rejected) {
+        await audit(req, 'vault.reject', id, { address: rejected.address, lovelace: rejected.lovelace, reason: rejected.rejectionReason }, client);
+      }
+      return rejected;
+    });
+    if (!withdrawal) {
+      const existing = await vault.getWithdrawal(id);
+      return existing
+        ? res.status(409).json({ error: `Only pending withdrawals can be rejected (withdrawal is ${existing.status})` })
+        : res.status(404).json({ error: 'Withdrawal not found' });
+    }
+
+    res.json(withdrawal);
+  } catch (error) {
+    sendError(res, 'Failed to reject vault withdrawal', error);
+  }
+});
+
+// Settle submitted withdrawals and compare the ledger with the vault address
+router.get('/vault/reconciliation', requireRole('viewer'), async (req, res) => {
+  try {
+    res.json(await reconcileVault());
+  } catch (error) {
+    sendError(res, 'Failed to reconcile vault', error);
+  }
+});
+
+// Claims the Sybil check denied or downgraded, newest first
+router.get('/sybil/flags', requireRole('viewer'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !SYBIL_FLAG_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${SYBIL_FLAG_STATUSES.join(', ')}` });
+    }
+
+    const { page, pageSize, limit, offset } = parsePagination(req.query);
+    const result = await sybil.listFlags({ status: status || null, limit, offset });
+
+    res.json({ ...result, page, pageSize });
+  } catch (error) {
+    sendError(res, 'Failed to list Sybil flags', error);
+  }
+});
+
+// Confirm a pending flag, or dismiss it to exempt the wallet from the check
+router.post('/sybil/flags/:id/review', requireRole('operator'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id <= 0 || String(id) !== req.params.id) {
+      return res.status(400).json({ error: 'Invalid flag ID' });
+    }
+
+    const { status, note } = req.body || {};
+    if (status !== 'confirmed' && status !== 'dismissed') {
+      return res.status(400).json({ error: 'status must be confirmed or dismissed' });
+    }
+
+    const flag = await db.transaction(async (client) => {
+      const reviewed = await sybil.reviewFlag(id, {
+        status,
+        reviewedBy: req.admin.name,
+        note: typeof note === 'string' ? note.slice(0, 500) : null
+      }, client);
+      if (reviewed) {
+        await audit(req, 'sybil.review', id, { address: reviewed.address, status, note: reviewed.reviewNote }, client);
+      }
+      return reviewed;
+    });
+    if (!flag) {
+      const existing = await sybil.getFlag(id);
+      return existing
+        ? res.status(409).json({ error: `Only pending flags can be reviewed (flag is ${existing.status})` })
+        : res.status(404).json({ error: 'Flag not found' });
+    }
+
+    res.json(flag);
+  } catch (error) {
+    sendError(res, 'Failed to review Sybil flag', error);
+  }
+});
+
+// Admin actions, newest first
+router.get('/audit-log', requireRole('admin'), async (req, res) => {
+  try {
+    const { page, pageSize, limit, offset } = parsePagination(req.query);
+    const result = await adminDb.listAuditLog({
+      actor: req.query.actor || null,
+      action: req.query.action || null,
+      limit,
+      offset
+    });
+
+    res.json({ ...result, page, pageSize });
+  } catch (error) {
+    sendError(res, 'Failed to read audit log', error);
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,12 @@
 const express = require('express');
-const axios = require('axios');
-const config = require('../../config/faucet-settings.json');
+const { config } = require('../../config');
+const claims = require('../../database/claims');
+const adminDb = require('../../database/admin');
+const { resolveClaimIdentity } = require('../utils/claim-identity');
+const { evaluateEligibility, getTierCooldownMs } = require('../utils/eligibility-engine');
+const { issueEligibilityToken } = require('../utils/eligibility-token');
+const { getWalletBoost, boostedReward } = require('../utils/springs-boost');
+const { checkSybil } = require('../utils/sybil-score');
 
 const router = express.Router();
 
@@ -15,146 +21,113 @@ router.post('/check-eligibility', async (req, res) => {
 
     console.log(`Checking eligibility for address: ${address}`);
 
-    // Check if address has already claimed today (if rate limiting enabled)
-    if (config.faucet.rateLimiting.enabled) {
-      const hasClaimedToday = await checkRecentClaims(address);
-      if (hasClaimedToday) {
-        return res.json({
-          eligible: false,
-          reason: 'Already claimed today. Please wait 24 hours.',
-          tier: null
-        });
-      }
-    }
-
-    // Check for meme tokens (HOSKY/SNEK)
-    const hasMemeTokens = await checkMemeTokens(address);
-    if (hasMemeTokens) {
+    // Claims are keyed on the wallet's stake credential, not the raw address
+    const identity = await resolveClaimIdentity(address);
+    if (!identity.valid) {
       return res.json({
-        eligible: true,
-        tier: 'meme',
-        reward: config.faucet.rewards.memeHolders,
-        deposit: config.faucet.deposits.memeHolders,
-        reason: 'HOSKY or SNEK token detected'
+        eligible: false,
+        reason: identity.error,
+        tier: null
       });
     }
 
-    // Check ADA balance
-    const adaBalance = await checkAdaBalance(address);
-    if (adaBalance >= config.faucet.deposits.adaOnly) {
+    const access = await adminDb.getWalletAccess(identity.claimKey);
+    if (access && access.list === 'ban') {
       return res.json({
-        eligible: true,
-        tier: 'ada',
-        reward: config.faucet.rewards.adaOnly,
-        deposit: config.faucet.deposits.adaOnly,
-        reason: 'Sufficient ADA balance'
+        eligible: false,
+        reason: 'This wallet is not allowed to use the faucet',
+        tier: null
       });
     }
 
-    // Not eligible
-    return res.json({
-      eligible: false,
-      tier: null,
-      reason: 'Need HOSKY/SNEK tokens or 3+ ADA balance'
-    });
-
-  } catch (error) {
-    console.error('Eligibility check error:', error);
-    res.status(500).json({ 
-      error: 'Failed to check eligibility',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
-  }
-});
-
-// Check for HOSKY or SNEK tokens using Koios API
-async function checkMemeTokens(address) {
-  try {
-    const koiosUrl = process.env.KOIOS_API || config.api.koiosUrl;
-    const response = await axios.post(`${koiosUrl}/address_assets`, {
-      _addresses: [address]
-    }, {
-      headers: { 'Content-Type': 'application/json' },
-      timeout: 10000
-    });
-
-    if (!response.data || response.data.length === 0) {
-      return false;
+    // Evaluate the configured tiers in order
+    const result = await evaluateEligibility(address);
+    if (!result.eligible) {
+      return res.json({
+        eligible: false,
+        tier: null,
+        reason: result.reason
+      });
     }
 
-    const assets = response.data[0]?.asset_list || [];
-    
-    // Check for each eligible token
-    for (const token of config.faucet.eligibilityTokens) {
-      const hasToken = assets.some(asset => 
-        asset.policy_id === token.policyId && 
-        parseInt(asset.quantity) >= token.minAmount
-      );
-      
-      if (hasToken) {
-        console.log(`Found ${token.name} token for address ${address}`);
-        return true;
+    // New wallets funded like a wallet farm are denied or downgraded;
+    // allow-listed wallets are trusted
+    let { tier } = result;
+    let downgradedFrom;
+    if (!(access && access.list === 'allow')) {
+      const sybil = await checkSybil({ address, claimKey: identity.claimKey, tier });
+      if (sybil.action === 'deny') {
+        return res.json({
+          eligible: false,
+          tier: null,
+          reason: sybil.reason
+        });
+      }
+      if (sybil.action === 'downgrade') {
+        downgradedFrom = tier.id;
+        tier = sybil.tier;
       }
     }
 
-    return false;
-  } catch (error) {
-    console.error('Error checking meme tokens:', error.message);
-    // If API fails, we'll fall back to ADA check
-    return false;
-  }
-}
+    const cooldownMs = getTierCooldownMs(tier);
+    const cooldownHours = cooldownMs / (60 * 60 * 1000);
 
-// Check ADA balance using Koios API
-async function checkAdaBalance(address) {
-  try {
-    const koiosUrl = process.env.KOIOS_API || config.api.koiosUrl;
-    const response = await axios.post(`${koiosUrl}/address_info`, {
-      _addresses: [address]
-    }, {
-      headers: { 'Content-Type': 'application/json' },
-      timeout: 10000
-    });
+    // Springs donors get a boosted reward for a while, and a one-time bonus
+    const boost = await getWalletBoost(identity.claimKey);
+    const reward = boostedReward(tier, boost);
+    const boostInfo = {
+      active: boost.active,
+      multiplier: boost.multiplier,
+      expiresAt: boost.expiresAt,
+      bonusReward: reward.bonusReward
+    };
 
-    if (!response.data || response.data.length === 0) {
-      return 0;
+    // Check if this wallet is still in the tier's cooldown (if rate limiting enabled)
+    if (config.faucet.rateLimiting.enabled) {
+      const hasClaimedRecently = await claims.hasRecentClaim(identity.claimKey, cooldownMs);
+      if (hasClaimedRecently) {
+        return res.json({
+          eligible: false,
+          reason: `Already claimed. Please wait ${cooldownHours} hours between slurps.`,
+          tier: null,
+          boost: boostInfo
+        });
+      }
     }
 
-    const addressInfo = response.data[0];
-    const balance = parseInt(addressInfo.balance || 0);
-    
-    console.log(`ADA balance for ${address}: ${balance / 1000000} ADA`);
-    return balance;
-  } catch (error) {
-    console.error('Error checking ADA balance:', error.message);
-    return 0;
-  }
-}
-
-// Check if address has claimed recently
-async function checkRecentClaims(address) {
-  try {
-    const fs = require('fs-extra');
-    const slurpHistoryPath = require('path').join(__dirname, '../../logs/slurp-history.json');
-    
-    if (!await fs.pathExists(slurpHistoryPath)) {
-      return false;
-    }
+    // Bind the result to this wallet so /api/slurp can't be asked for another tier
+    const { token, expiresAt } = issueEligibilityToken({
+      address,
+      claimKey: identity.claimKey,
+      tier: tier.id
+    });
 
-    const history = await fs.readJson(slurpHistoryPath);
-    const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
-    
-    // Check if this address has slurped in the last 24 hours
-    const recentClaim = history.find(claim => 
-      claim.address === address && 
-      claim.timestamp > oneDayAgo
-    );
+    return res.json({
+      eligible: true,
+      tier: tier.id,
+      rule: {
+        id: tier.id,
+        name: tier.name,
+        conditions: result.conditions
+      },
+      reward: reward.reward,
+      tierReward: tier.reward,
+      boost: boostInfo,
+      deposit: tier.deposit,
+      cooldownHours,
+      reason: downgradedFrom ? `${tier.description} (reduced from the ${downgradedFrom} tier)` : result.reason,
+      downgradedFrom,
+      eligibilityToken: token,
+      eligibilityExpiresAt: expiresAt
+    });
 
-    return !!recentClaim;
   } catch (error) {
-    console.error('Error checking recent claims:', error);
-    return false; // If we can't check, allow the claim
+    console.error('Eligibility check error:', error);
+    res.status(500).json({ 
+      error: 'Failed to check eligibility',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
   }
-}
+});
 
 module.exports = router;
\ No newline at end of file
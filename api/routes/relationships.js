@@ -1,22 +1,110 @@
 const express = require('express');
 const {
-  analyzeAddressRelationships,
   analyzeBeneficialOwnership,
-  generateNetworkGraph
+  generateNetworkGraph,
+  getRelationshipSettings
 } = require('../utils/relationship-analyzer');
+const { getAddressAnalysis } = require('../utils/analysis-cache');
+const { QUEUE_FULL_RETRY_SECONDS, enqueueJob, getJob, getJobResult } = require('../utils/analysis-jobs');
+const { validateExportFormat, sendGraphExport } = require('../utils/graph-export');
+const { getTrackedAsset, getTrackedAssets } = require('../utils/holder-distribution');
+const distribution = require('../../database/distribution');
 
 const router = express.Router();
 
+// Hops to follow must be a whole number within relationships.maxDepth
+function validateDepth(depth) {
+  const { maxDepth } = getRelationshipSettings();
+  if (!Number.isInteger(depth) || depth < 1 || depth > maxDepth) {
+    return { valid: false, error: `depth must be a whole number from 1 to ${maxDepth}` };
+  }
+  return { valid: true };
+}
+
+// Percentage of a walk that is done, from traverseRelationshipGraph's progress
+function walkPercent({ hop, depth, done, inHop }) {
+  return ((hop - 1) + done / inHop) / depth * 100;
+}
+
+async function buildAnalysis({ address, depth }, reportProgress) {
+  const onProgress = reportProgress && ((progress) => reportProgress({ percent: walkPercent(progress), ...progress }));
+  return { data: await getAddressAnalysis(address, depth, { onProgress }) };
+}
+
+async function buildGraph({ address, depth }, reportProgress) {
+  const onProgress = reportProgress && ((progress) => reportProgress({ percent: walkPercent(progress), ...progress }));
+  const relationships = await getAddressAnalysis(address, depth, { onProgress });
+  const graph = generateNetworkGraph(relationships);
+  return {
+    data: graph,
+    metadata: {
+      address,
+      depth,
+      nodeCount: graph.nodes.length,
+      edgeCount: graph.edges.length,
+      requestsUsed: relationships.metadata.requestsUsed,
+      truncated: relationships.metadata.truncated,
+      blockHeight: relationships.metadata.blockHeight,
+      cached: relationships.metadata.cached,
+      generatedAt: new Date().toISOString()
+    }
+  };
+}
+
+// Download name of an exported graph, without the extension
+function exportFilename({ address, depth }) {
+  return `relationships-${address.substring(0, 20)}-depth${depth}`;
+}
+
+async function buildOwnership({ addresses }, reportProgress) {
+  const onProgress = reportProgress && ((progress) => reportProgress({ percent: progress.done / progress.total * 100, ...progress }));
+  const ownership = await analyzeBeneficialOwnership(addresses, {
+    analyze: (address, depth) => getAddressAnalysis(address, depth),
+    onProgress
+  });
+  return { data: ownership };
+}
+
+/**
+ * Answer with the result, or with a job to poll when the analysis runs async
+ * (503 with Retry-After while the job queue is full)
+ * @param {Object} res - Express response
+ * @param {Object} job - { type, params, async, build }
+ */
+async function respond(res, { type, params, async, build }) {
+  if (!async) {
+    return res.json({ success: true, ...await build(params) });
+  }
+
+  const job = await enqueueJob(type, params, (reportProgress) => build(params, reportProgress));
+  if (!job) {
+    res.set('Retry-After', String(QUEUE_FULL_RETRY_SECONDS));
+    return res.status(503).json({
+      error: 'Analysis queue is full',
+      details: 'Too many analyses are waiting to run. Try again shortly, or ask for a smaller one.',
+      retryAfter: QUEUE_FULL_RETRY_SECONDS
+    });
+  }
+  res.status(202).json({
+    success: true,
+    job,
+    statusUrl: `/api/relationships/jobs/${job.id}`,
+    resultUrl: `/api/relationships/jobs/${job.id}/result`
+  });
+}
+
 /**
  * POST /api/relationships/analyze
  * Analyze relationships for a single wallet address
  * 
- * Body: { address: string, depth?: number }
- * Returns: Relationship analysis including connections, clusters, and risk score
+ * Body: { address: string, depth?: number, async?: boolean }
+ * Returns: Relationship analysis including connections, clusters, risk score
+ *          and the address network up to `depth` hops away. With async, or
+ *          from relationships.asyncDepth hops, 202 with a job to poll instead.
  */
 router.post('/relationships/analyze', async (req, res) => {
   try {
-    const { address, depth = 2 } = req.body;
+    const { address, depth = 2, async = false } = req.body;
 
     if (!address) {
       return res.status(400).json({ 
@@ -33,13 +121,18 @@ router.post('/relationships/analyze', async (req, res) => {
       });
     }
 
-    console.log(`Analyzing relationships for address: ${address} (depth: ${depth})`);
+    const depthCheck = validateDepth(depth);
+    if (!depthCheck.valid) {
+      return res.status(400).json({ error: depthCheck.error });
+    }
 
-    const relationships = await analyzeAddressRelationships(address, depth);
+    console.log(`Analyzing relationships for address: ${address} (depth: ${depth})`);
 
-    res.json({
-      success: true,
-      data: relationships
+    await respond(res, {
+      type: 'analyze',
+      params: { address, depth },
+      async: async === true || depth >= getRelationshipSettings().asyncDepth,
+      build: buildAnalysis
     });
 
   } catch (error) {
@@ -55,12 +148,15 @@ router.post('/relationships/analyze', async (req, res) => {
  * POST /api/relationships/graph
  * Get network graph data for visualization
  * 
- * Body: { address: string, depth?: number }
- * Returns: Network graph with nodes and edges for visualization
+ * Body: { address: string, depth?: number, async?: boolean,
+ *         format?: 'json' | 'graphml' | 'gexf' | 'dot' | 'csv', table?: 'edges' | 'nodes' }
+ * Returns: Network graph with nodes and edges for visualization, streamed as a
+ *          file for formats other than json (`table` picks the CSV table), or a
+ *          job (see /relationships/analyze) whose result takes the format instead
  */
 router.post('/relationships/graph', async (req, res) => {
   try {
-    const { address, depth = 2 } = req.body;
+    const { address, depth = 2, async = false, format = 'json', table } = req.body;
 
     if (!address) {
       return res.status(400).json({ 
@@ -68,21 +164,29 @@ router.post('/relationships/graph', async (req, res) => {
       });
     }
 
-    console.log(`Generating network graph for: ${address}`);
+    const formatCheck = validateExportFormat(format, table);
+    if (!formatCheck.valid) {
+      return res.status(400).json({ error: formatCheck.error });
+    }
 
-    const relationships = await analyzeAddressRelationships(address, depth);
-    const graph = generateNetworkGraph(relationships);
+    const depthCheck = validateDepth(depth);
+    if (!depthCheck.valid) {
+      return res.status(400).json({ error: depthCheck.error });
+    }
 
-    res.json({
-      success: true,
-      data: graph,
-      metadata: {
-        address,
-        depth,
-        nodeCount: graph.nodes.length,
-        edgeCount: graph.edges.length,
-        generatedAt: new Date().toISOString()
-      }
+    console.log(`Generating network graph for: ${address} (depth: ${depth})`);
+
+    const runAsync = async === true || depth >= getRelationshipSettings().asyncDepth;
+    if (format !== 'json' && !runAsync) {
+      const { data } = await buildGraph({ address, depth });
+      return sendGraphExport(res, data, { format, table, filename: exportFilename({ address, depth }) });
+    }
+
+    await respond(res, {
+      type: 'graph',
+      params: { address, depth },
+      async: runAsync,
+      build: buildGraph
     });
 
   } catch (error) {
@@ -98,12 +202,14 @@ router.post('/relationships/graph', async (req, res) => {
  * POST /api/ownership/beneficial
  * Analyze beneficial ownership patterns across multiple addresses
  * 
- * Body: { addresses: string[] }
- * Returns: Beneficial ownership analysis including potential owners and control patterns
+ * Body: { addresses: string[], async?: boolean }
+ * Returns: Beneficial ownership analysis including potential owners and control
+ *          patterns. With async, or from relationships.asyncAddresses addresses,
+ *          202 with a job to poll instead.
  */
 router.post('/ownership/beneficial', async (req, res) => {
   try {
-    const { addresses } = req.body;
+    const { addresses, async = false } = req.body;
 
     if (!addresses || !Array.isArray(addresses) || addresses.length === 0) {
       return res.status(400).json({ 
@@ -135,11 +241,11 @@ router.post('/ownership/beneficial', async (req, res) => {
 
     console.log(`Analyzing beneficial ownership for ${addresses.length} addresses`);
 
-    const ownership = await analyzeBeneficialOwnership(addresses);
-
-    res.json({
-      success: true,
-      data: ownership
+    await respond(res, {
+      type: 'beneficial',
+      params: { addresses },
+      async: async === true || addresses.length >= getRelationshipSettings().asyncAddresses,
+      build: buildOwnership
     });
 
   } catch (error) {
@@ -151,52 +257,171 @@ router.post('/ownership/beneficial', async (req, res) => {
   }
 });
 
+// Resolve ?asset= (default: the faucet token) to a tracked asset
+function resolveAsset(id = 'hkdg') {
+  const asset = getTrackedAsset(id);
+  if (!asset) {
+    return { valid: false, error: `asset must be one of ${getTrackedAssets().map(tracked => tracked.id).join(', ')}` };
+  }
+  return { valid: true, asset };
+}
+
 /**
- * POST /api/ownership/distribution
- * Analyze token distribution patterns
+ * GET /api/ownership/distribution
+ * Token holder distribution from the latest snapshot
  * 
- * Body: { addresses: string[] }
- * Returns: Distribution metrics including concentration and diversity
+ * Query: asset? (default 'hkdg')
+ * Returns: Gini coefficient, HHI, Nakamoto coefficient, top-10/100 share,
+ *          holdings of known wallets and the largest holders
  */
-router.post('/ownership/distribution', async (req, res) => {
+router.get('/ownership/distribution', async (req, res) => {
   try {
-    const { addresses } = req.body;
+    const assetCheck = resolveAsset(req.query.asset);
+    if (!assetCheck.valid) {
+      return res.status(400).json({ error: assetCheck.error });
+    }
+    const { asset } = assetCheck;
 
-    if (!addresses || !Array.isArray(addresses) || addresses.length === 0) {
-      return res.status(400).json({ 
-        error: 'Array of wallet addresses is required' 
+    // Snapshots read every holder, so only the scheduled job takes them
+    const snapshot = await distribution.getLatestSnapshot(asset.id);
+    if (!snapshot) {
+      return res.status(404).json({
+        error: `No distribution snapshot of ${asset.name} yet`,
+        details: 'The first snapshot is taken shortly after the server starts; try again later'
       });
     }
 
-    if (addresses.length > 50) {
-      return res.status(400).json({ 
-        error: 'Too many addresses. Maximum 50 allowed for distribution analysis' 
-      });
+    res.json({
+      success: true,
+      data: { asset: asset.name, ...snapshot }
+    });
+
+  } catch (error) {
+    console.error('Distribution analysis error:', error);
+    res.status(500).json({ 
+      error: 'Failed to analyze distribution',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/ownership/distribution/history
+ * Stored distribution snapshots, oldest first, for charting
+ * 
+ * Query: asset? (default 'hkdg'), days? (1-365, default 30)
+ * Returns: One entry per snapshot, without the top holders
+ */
+router.get('/ownership/distribution/history', async (req, res) => {
+  try {
+    const assetCheck = resolveAsset(req.query.asset);
+    if (!assetCheck.valid) {
+      return res.status(400).json({ error: assetCheck.error });
     }
 
-    console.log(`Analyzing distribution for ${addresses.length} addresses`);
+    const days = req.query.days === undefined ? 30 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      return res.status(400).json({ error: 'days must be a whole number from 1 to 365' });
+    }
 
-    const ownership = await analyzeBeneficialOwnership(addresses);
+    const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const snapshots = await distribution.listSnapshots(assetCheck.asset.id, { from });
 
     res.json({
       success: true,
       data: {
-        addressCount: addresses.length,
-        distributionMetrics: ownership.distributionMetrics,
-        beneficialOwnerCount: ownership.beneficialOwners.length,
-        controlPatternCount: ownership.controlPatterns.length,
-        summary: {
-          isHighlyConcentrated: ownership.distributionMetrics.concentration > 50,
-          isDiverse: ownership.distributionMetrics.diversity > 50,
-          hasCentralization: ownership.distributionMetrics.centralizedAddresses.length > 0
-        }
+        asset: assetCheck.asset.name,
+        assetId: assetCheck.asset.id,
+        days,
+        snapshots
       }
     });
 
   } catch (error) {
-    console.error('Distribution analysis error:', error);
+    console.error('Distribution history error:', error);
     res.status(500).json({ 
-      error: 'Failed to analyze distribution',
+      error: 'Failed to read distribution history',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/relationships/jobs/:id
+ * Status and progress of an async analysis
+ * 
+ * Returns: { id, type, params, status (queued, running, completed, failed),
+ *            progress: { percent, ... }, error, createdAt, startedAt, finishedAt }
+ */
+router.get('/relationships/jobs/:id', async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found or expired' });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+
+  } catch (error) {
+    console.error('Relationship job status error:', error);
+    res.status(500).json({ 
+      error: 'Failed to read job status',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/relationships/jobs/:id/result
+ * Result of a completed async analysis, in the shape the synchronous
+ * endpoint would have answered with
+ * 
+ * Query: format?, table? - Graph jobs only, as for /relationships/graph
+ */
+router.get('/relationships/jobs/:id/result', async (req, res) => {
+  try {
+    const { format = 'json', table } = req.query;
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found or expired' });
+    }
+
+    const formatCheck = validateExportFormat(format, table);
+    if (!formatCheck.valid) {
+      return res.status(400).json({ error: formatCheck.error });
+    }
+    if (format !== 'json' && job.type !== 'graph') {
+      return res.status(400).json({ error: 'Only graph jobs can be exported' });
+    }
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        error: job.status === 'failed' ? 'Job failed' : 'Job is not finished yet',
+        status: job.status,
+        details: job.error || undefined
+      });
+    }
+
+    const result = await getJobResult(job.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Job result expired' });
+    }
+
+    if (format !== 'json') {
+      return sendGraphExport(res, result.data, { format, table, filename: exportFilename(job.params) });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Relationship job result error:', error);
+    res.status(500).json({ 
+      error: 'Failed to read job result',
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -215,7 +440,10 @@ router.get('/relationships/health', (req, res) => {
       'POST /api/relationships/analyze',
       'POST /api/relationships/graph',
       'POST /api/ownership/beneficial',
-      'POST /api/ownership/distribution'
+      'GET /api/relationships/jobs/:id',
+      'GET /api/relationships/jobs/:id/result',
+      'GET /api/ownership/distribution',
+      'GET /api/ownership/distribution/history'
     ]
   });
 });
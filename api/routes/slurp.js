@@ -1,78 +1,187 @@
 const express = require('express');
-const fs = require('fs-extra');
-const path = require('path');
-const config = require('../../config/faucet-settings.json');
-const { sendHKDGTokens, validateTransaction, getFaucetBalance } = require('../utils/cardano-tx');
+const { config } = require('../../config');
+const claims = require('../../database/claims');
+const adminDb = require('../../database/admin');
+const { resolveClaimIdentity } = require('../utils/claim-identity');
+const { resolveSigningAddress, issueChallenge, verifyChallenge } = require('../utils/wallet-auth');
+const { evaluateEligibility, getTier, getTierCooldownMs } = require('../utils/eligibility-engine');
+const { verifyEligibilityToken } = require('../utils/eligibility-token');
+const { validateTransaction, getFaucetBalance, getExplorerUrl } = require('../utils/cardano-tx');
+const { getConfirmationSettings } = require('../utils/confirmation-tracker');
+const { getWalletBoost, boostedReward } = require('../utils/springs-boost');
+const { checkSybil } = require('../utils/sybil-score');
+const {
+  getBudgetLimits,
+  describeExhaustedBudget,
+  getBudgetStatus,
+  updateReserveStatus,
+  checkReserve
+} = require('../utils/faucet-budget');
 
 const router = express.Router();
 
-// Perform slurp (send tokens)
-router.post('/slurp', async (req, res) => {
+// Issue a nonce for the wallet to sign with CIP-30 signData, using the
+// stake key of a base address (the signWith address in the response)
+router.post('/challenge', async (req, res) => {
   try {
-    const { address, tier } = req.body;
+    const { address } = req.body;
+
+    if (!address || typeof address !== 'string') {
+      return res.status(400).json({ error: 'Wallet address is required' });
+    }
 
-    if (!address || !tier) {
-      return res.status(400).json({ error: 'Address and tier are required' });
+    const signer = await resolveSigningAddress(address);
+    if (!signer.valid) {
+      return res.status(400).json({ error: signer.error });
     }
 
-    console.log(`Processing slurp for ${address}, tier: ${tier}`);
+    const challenge = await issueChallenge(address);
+    res.json(challenge);
 
-    // Validate tier
-    if (!['meme', 'ada'].includes(tier)) {
-      return res.status(400).json({ error: 'Invalid tier' });
+  } catch (error) {
+    console.error('Challenge error:', error);
+    res.status(500).json({ 
+      error: 'Failed to issue challenge',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Perform slurp (queue the claim for the next payout batch)
+router.post('/slurp', async (req, res) => {
+  try {
+    const { address, tier: requestedTier, nonce, signedMessage, eligibilityToken } = req.body;
+
+    if (!address) {
+      return res.status(400).json({ error: 'Address is required' });
     }
 
-    // Check rate limiting again (just to be safe)
-    if (config.faucet.rateLimiting.enabled) {
-      const hasClaimedToday = await checkRecentClaims(address);
-      if (hasClaimedToday) {
-        return res.status(429).json({ error: 'Already claimed today. Please wait 24 hours.' });
-      }
+    console.log(`Processing slurp for ${address}, requested tier: ${requestedTier}`);
+
+    // Stop taking slurps while the faucet wallet is below its reserve
+    const reserve = await checkReserve();
+    if (reserve.paused) {
+      return res.status(503).json({
+        error: 'Faucet paused',
+        details: reserve.pausedBy === 'admin'
+          ? 'The faucet is paused for maintenance. Please try again later.'
+          : 'The faucet is paused until its wallet is topped up. Please try again later.'
+      });
     }
 
-    // Determine reward amount
-    const rewardAmount = tier === 'meme' 
-      ? config.faucet.rewards.memeHolders 
-      : config.faucet.rewards.adaOnly;
+    // Prove the caller controls the wallet before paying it
+    const ownership = await verifyChallenge(address, nonce, signedMessage);
+    if (!ownership.valid) {
+      return res.status(401).json({ 
+        error: 'Wallet ownership verification failed',
+        details: ownership.error
+      });
+    }
 
-    // Validate transaction before attempting
-    const validation = await validateTransaction(address, rewardAmount);
-    if (!validation.valid) {
-      return res.status(400).json({ 
-        error: 'Transaction validation failed',
-        details: validation.error
+    // Claims are keyed on the wallet's stake credential, not the raw address.
+    // The signature must have come from that credential, or cooldowns, bans
+    // and Sybil history could be dodged (or pinned on someone else) by
+    // pairing any stake credential with the caller's payment key.
+    const identity = await resolveClaimIdentity(address);
+    if (!identity.valid) {
+      return res.status(400).json({ error: identity.error });
+    }
+    if (ownership.claimKey !== identity.claimKey) {
+      return res.status(401).json({
+        error: 'Wallet ownership verification failed',
+        details: 'The challenge must be signed with the wallet\'s stake key'
       });
     }
 
-    // Send real HKDG tokens using Lucid + Cardano
-    const txResult = await sendHKDGTokens(
-      address, 
-      rewardAmount, 
-      `HOSKDOG Faucet - ${tier} tier reward`
-    );
+    const access = await adminDb.getWalletAccess(identity.claimKey);
+    if (access && access.list === 'ban') {
+      return res.status(403).json({ error: 'This wallet is not allowed to use the faucet' });
+    }
 
-    if (!txResult.success) {
-      throw new Error('Transaction failed');
+    // Determine the tier server-side; the client-supplied tier is never trusted
+    const eligibility = await resolveVerifiedTier(address, identity.claimKey, eligibilityToken, access);
+    if (!eligibility.valid) {
+      return res.status(403).json({ 
+        error: 'Not eligible',
+        details: eligibility.error
+      });
     }
 
-    const txHash = txResult.txHash;
+    const tierConfig = eligibility.tier;
+    if (requestedTier && requestedTier !== tierConfig.id) {
+      console.warn(`Tier mismatch for ${address}: requested ${requestedTier}, eligible for ${tierConfig.id}`);
+      return res.status(403).json({ 
+        error: 'Requested tier does not match eligibility',
+        tier: tierConfig.id
+      });
+    }
+
+    // Determine reward amount, with any Springs boost and unclaimed bonus.
+    // Both belong to the stake key that donated, so they're looked up by the
+    // credential the signature proved.
+    const boost = await getWalletBoost(ownership.claimKey);
+    const { reward: rewardAmount, bonusReward } = boostedReward(tierConfig, boost);
 
-    // Log the slurp
-    await logSlurp({
+    // Reserve the claim atomically so concurrent requests for the same
+    // address can't both be queued, and no budget is overrun
+    const cooldownMs = config.faucet.rateLimiting.enabled ? getTierCooldownMs(tierConfig) : 0;
+    const reservation = await claims.reserveClaim({
       address,
-      tier,
+      claimKey: identity.claimKey,
+      tier: tierConfig.id,
       amount: rewardAmount,
-      txHash,
-      timestamp: Date.now()
-    });
+      springsBonusId: bonusReward ? boost.bonus.id : null,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    }, cooldownMs, getBudgetLimits());
 
-    res.json({
+    if (!reservation) {
+      const cooldownHours = cooldownMs / (60 * 60 * 1000);
+      return res.status(429).json({
+        error: `Already claimed. Please wait ${cooldownHours} hours between slurps.`,
+        cooldownHours
+      });
+    }
+
+    if (reservation.exhaustedBudget) {
+      const refusal = describeExhaustedBudget(reservation.exhaustedBudget);
+      console.warn(`Budget exhausted for ${address}: ${refusal.details}`);
+      res.set('Retry-After', String(refusal.retryAfter));
+      return res.status(503).json(refusal);
+    }
+
+    try {
+      // Don't queue claims the faucet can't currently pay
+      const validation = await validateTransaction(address, rewardAmount);
+      if (validation.balance) {
+        updateReserveStatus(validation.balance);
+      }
+      if (!validation.valid) {
+        await releaseReservation(reservation.id);
+        return res.status(400).json({ 
+          error: 'Transaction validation failed',
+          details: validation.error
+        });
+      }
+    } catch (error) {
+      await releaseReservation(reservation.id);
+      throw error;
+    }
+
+    console.log(`Queued claim ${reservation.id} for ${address}`);
+
+    // The payout worker pays queued claims in batches; clients poll the claim
+    res.status(202).json({
       success: true,
-      txHash,
-      explorerUrl: txResult.explorerUrl,
+      tier: tierConfig.id,
+      claimId: reservation.id,
+      status: 'queued',
+      statusUrl: `/api/claims/${reservation.id}`,
       amount: formatTokenAmount(rewardAmount),
-      message: `Successfully sent ${formatTokenAmount(rewardAmount)} HKDG to your wallet!`,
-      note: 'Transaction may take 1-2 minutes to appear in your wallet'
+      boost: boost.active ? { multiplier: boost.multiplier, expiresAt: boost.expiresAt } : null,
+      bonus: bonusReward ? formatTokenAmount(bonusReward) : null,
+      message: `Your ${formatTokenAmount(rewardAmount)} HKDG slurp is queued!`,
+      note: 'Payouts go out in batches every few seconds. Check the claim status for your transaction.'
     });
 
   } catch (error) {
@@ -84,6 +193,70 @@ router.post('/slurp', async (req, res) => {
   }
 });
 
+// Payout status for a claim: queued, processing, submitted, confirmed, failed or expired
+router.get('/claims/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id <= 0 || String(id) !== req.params.id) {
+      return res.status(400).json({ error: 'Invalid claim ID' });
+    }
+
+    const claim = await claims.getClaim(id);
+    if (!claim) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+
+    res.json({
+      ...claim,
+      requiredConfirmations: getConfirmationSettings().required,
+      amount: formatTokenAmount(claim.amount),
+      explorerUrl: claim.txHash ? getExplorerUrl(claim.txHash) : null
+    });
+
+  } catch (error) {
+    console.error('Error getting claim:', error);
+    res.status(500).json({ 
+      error: 'Failed to get claim status',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Work out which tier to pay from a signed eligibility token, or by
+// re-running the eligibility rules and the Sybil check when no token was
+// supplied (a token already carries the tier the Sybil check left)
+async function resolveVerifiedTier(address, claimKey, eligibilityToken, access) {
+  if (eligibilityToken) {
+    const verified = verifyEligibilityToken(eligibilityToken);
+    if (!verified.valid) {
+      return { valid: false, error: verified.error };
+    }
+    if (verified.claim.address !== address || verified.claim.claimKey !== claimKey) {
+      return { valid: false, error: 'Eligibility token was issued for a different wallet' };
+    }
+
+    const tier = getTier(verified.claim.tier);
+    if (!tier) {
+      return { valid: false, error: 'Tier is no longer offered. Please check eligibility again.' };
+    }
+    return { valid: true, tier };
+  }
+
+  const result = await evaluateEligibility(address);
+  if (!result.eligible) {
+    return { valid: false, error: result.reason };
+  }
+  if (access && access.list === 'allow') {
+    return { valid: true, tier: result.tier };
+  }
+
+  const sybil = await checkSybil({ address, claimKey, tier: result.tier });
+  if (sybil.action === 'deny') {
+    return { valid: false, error: sybil.reason };
+  }
+  return { valid: true, tier: sybil.tier };
+}
+
 // Simulate token transfer (replace with real Cardano integration)
 async function simulateTokenTransfer(address, amount, tier) {
   // This is a placeholder - in production you would:
@@ -104,50 +277,12 @@ async function simulateTokenTransfer(address, amount, tier) {
   return fakeHash;
 }
 
-// Log slurp to history file
-async function logSlurp(slurpData) {
-  try {
-    const historyPath = path.join(__dirname, '../../logs/slurp-history.json');
-    
-    let history = [];
-    if (await fs.pathExists(historyPath)) {
-      history = await fs.readJson(historyPath);
-    }
-
-    history.push({
-      ...slurpData,
-      id: history.length + 1,
-      date: new Date().toISOString()
-    });
-
-    await fs.writeJson(historyPath, history, { spaces: 2 });
-    console.log(`Logged slurp for ${slurpData.address}`);
-  } catch (error) {
-    console.error('Error logging slurp:', error);
-  }
-}
-
-// Check if address has claimed recently (duplicate from eligibility.js)
-async function checkRecentClaims(address) {
+// Release a reservation that can't be paid so the address can retry
+async function releaseReservation(claimId) {
   try {
-    const slurpHistoryPath = path.join(__dirname, '../../logs/slurp-history.json');
-    
-    if (!await fs.pathExists(slurpHistoryPath)) {
-      return false;
-    }
-
-    const history = await fs.readJson(slurpHistoryPath);
-    const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
-    
-    const recentClaim = history.find(claim => 
-      claim.address === address && 
-      claim.timestamp > oneDayAgo
-    );
-
-    return !!recentClaim;
+    await claims.releaseClaim(claimId);
   } catch (error) {
-    console.error('Error checking recent claims:', error);
-    return false;
+    console.error('Error releasing claim reservation:', error);
   }
 }
 
@@ -160,17 +295,22 @@ function formatTokenAmount(amount) {
 router.get('/faucet-status', async (req, res) => {
   try {
     const balance = await getFaucetBalance();
+    const reserve = updateReserveStatus(balance);
     
     res.json({
-      status: 'operational',
+      status: reserve.paused ? 'paused' : 'operational',
+      paused: reserve.paused,
+      pauseReason: reserve.reason,
       balance: {
         ada: balance.ada,
         hkdg: formatTokenAmount(balance.hkdg),
         hkdgRaw: balance.hkdg,
         utxos: balance.utxoCount
       },
+      utxoPool: balance.utxoPool,
+      budget: await getBudgetStatus(),
       network: process.env.CARDANO_NETWORK || 'mainnet',
-      canOperate: balance.hkdg > 0 && balance.ada > 2
+      canOperate: !reserve.paused && balance.hkdg > 0 && balance.ada > 2
     });
   } catch (error) {
     console.error('Error getting faucet status:', error);
@@ -185,31 +325,11 @@ router.get('/faucet-status', async (req, res) => {
 // Get slurp statistics endpoint
 router.get('/stats', async (req, res) => {
   try {
-    const historyPath = path.join(__dirname, '../../logs/slurp-history.json');
-    
-    if (!await fs.pathExists(historyPath)) {
-      return res.json({
-        totalSlurps: 0,
-        uniqueAddresses: 0,
-        totalDistributed: 0,
-        memeHolderSlurps: 0,
-        adaOnlySlurps: 0
-      });
-    }
-
-    const history = await fs.readJson(historyPath);
-    const uniqueAddresses = new Set(history.map(s => s.address)).size;
-    const totalDistributed = history.reduce((sum, s) => sum + s.amount, 0);
-    const memeHolderSlurps = history.filter(s => s.tier === 'meme').length;
-    const adaOnlySlurps = history.filter(s => s.tier === 'ada').length;
+    const stats = await claims.getClaimStats();
 
     res.json({
-      totalSlurps: history.length,
-      uniqueAddresses,
-      totalDistributed: formatTokenAmount(totalDistributed),
-      memeHolderSlurps,
-      adaOnlySlurps,
-      lastSlurp: history.length > 0 ? history[history.length - 1].date : null
+      ...stats,
+      totalDistributed: formatTokenAmount(stats.totalDistributed)
     });
 
   } catch (error) {
@@ -0,0 +1,168 @@
+const express = require('express');
+const vault = require('../../database/vault');
+const { resolveCredential } = require('../utils/claim-identity');
+const { resolveSigningAddress, issueChallenge, verifyChallenge } = require('../utils/wallet-auth');
+const { getVaultSettings, withdrawalAction } = require('../utils/vault');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+
+// Resolve the stake key a vault balance is kept under; null for a bad address
+async function resolveOwner(address) {
+  try {
+    return (await resolveCredential(address)).claimKey;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Lovelace amounts come as digit strings (or safe integers), never as floats
+function parseLovelace(value) {
+  if (typeof value === 'number' && Number.isSafeInteger(value) && value > 0) {
+    return BigInt(value);
+  }
+  if (typeof value === 'string' && /^[1-9][0-9]{0,17}$/.test(value)) {
+    return BigInt(value);
+  }
+  return null;
+}
+
+/**
+ * Validate a withdrawal request body
+ * @returns {Object} { valid, lovelace } or { valid: false, error }
+ */
+function validateWithdrawal({ address, lovelace }) {
+  if (!address || typeof address !== 'string') {
+    return { valid: false, error: 'Wallet address is required' };
+  }
+  const amount = parseLovelace(lovelace);
+  if (amount === null) {
+    return { valid: false, error: 'lovelace must be a positive whole number of lovelace' };
+  }
+  const { minWithdrawal } = getVaultSettings();
+  if (amount < minWithdrawal) {
+    return { valid: false, error: `The minimum withdrawal is ${minWithdrawal} lovelace` };
+  }
+  return { valid: true, lovelace: amount };
+}
+
+// Vault balance of the wallet an address belongs to
+router.get('/:address', async (req, res) => {
+  try {
+    const claimKey = await resolveOwner(req.params.address);
+    if (!claimKey) {
+      return res.status(400).json({ error: 'Invalid wallet address format' });
+    }
+
+    const [balance, pending] = await Promise.all([
+      vault.getBalance(claimKey),
+      vault.listWithdrawals({ claimKey, status: 'pending', limit: MAX_PAGE_SIZE })
+    ]);
+
+    res.json({
+      address: req.params.address,
+      balanceLovelace: balance.toString(),
+      pendingWithdrawals: pending.withdrawals.map(({ id, lovelace, requestedAt }) => ({ id, lovelace, requestedAt })),
+      depositAddress: getVaultSettings().address
+    });
+  } catch (error) {
+    console.error('Vault balance error:', error);
+    res.status(500).json({
+      error: 'Failed to read vault balance',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Deposits and withdrawals of the wallet, newest first
+router.get('/:address/history', async (req, res) => {
+  try {
+    const claimKey = await resolveOwner(req.params.address);
+    if (!claimKey) {
+      return res.status(400).json({ error: 'Invalid wallet address format' });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize, 10) || 25));
+    const history = await vault.getHistory(claimKey, { limit: pageSize, offset: (page - 1) * pageSize });
+
+    res.json({ ...history, page, pageSize });
+  } catch (error) {
+    console.error('Vault history error:', error);
+    res.status(500).json({
+      error: 'Failed to read vault history',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Issue a nonce to sign with CIP-30 signData, bound to the amount to withdraw.
+// Base addresses sign with their stake key, which owns the balance.
+router.post('/withdrawals/challenge', async (req, res) => {
+  try {
+    const request = validateWithdrawal(req.body);
+    if (!request.valid) {
+      return res.status(400).json({ error: request.error });
+    }
+    const signer = await resolveSigningAddress(req.body.address);
+    if (!signer.valid) {
+      return res.status(400).json({ error: signer.error });
+    }
+
+    const challenge = await issueChallenge(req.body.address, withdrawalAction(request.lovelace));
+    res.json(challenge);
+  } catch (error) {
+    console.error('Vault challenge error:', error);
+    res.status(500).json({
+      error: 'Failed to issue challenge',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Request a withdrawal; it is paid once an admin approves it
+router.post('/withdrawals', async (req, res) => {
+  try {
+    const { address, nonce, signedMessage } = req.body;
+    const request = validateWithdrawal(req.body);
+    if (!request.valid) {
+      return res.status(400).json({ error: request.error });
+    }
+
+    const ownership = await verifyChallenge(address, nonce, signedMessage, withdrawalAction(request.lovelace));
+    if (!ownership.valid) {
+      return res.status(401).json({
+        error: 'Wallet ownership verification failed',
+        details: ownership.error
+      });
+    }
+
+    // Debit the stake key that signed, never one that was only named in the
+    // address: anyone can pair a stake credential with their own payment key
+    const withdrawal = await vault.requestWithdrawal({ claimKey: ownership.claimKey, address, lovelace: request.lovelace });
+    if (!withdrawal) {
+      return res.status(409).json({ error: 'Vault balance is too low for this withdrawal' });
+    }
+
+    console.log(`🏦 Vault withdrawal ${withdrawal.id} of ${withdrawal.lovelace} lovelace requested by ${address.substring(0, 20)}...`);
+    res.status(202).json({
+      success: true,
+      withdrawal: {
+        id: withdrawal.id,
+        lovelace: withdrawal.lovelace,
+        status: withdrawal.status,
+        requestedAt: withdrawal.requestedAt
+      },
+      message: 'Withdrawal requested. It will be paid once it has been approved.'
+    });
+  } catch (error) {
+    console.error('Vault withdrawal error:', error);
+    res.status(500).json({
+      error: 'Failed to request withdrawal',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -4,15 +4,28 @@ const helmet = require('helmet');
 const path = require('path');
 require('dotenv').config();
 
+const { config, watchConfig, onConfigReload } = require('../config');
 const { validateConfiguration } = require('./utils/config-validator');
 
 const eligibilityRoutes = require('./routes/eligibility');
 const slurpRoutes = require('./routes/slurp');
 const relationshipRoutes = require('./routes/relationships');
-const { rateLimiter } = require('./middleware/rateLimiter');
+const adminRoutes = require('./routes/admin');
+const vaultRoutes = require('./routes/vault');
+const { getRateLimiter, getTrustProxySetting } = require('./middleware/rateLimiter');
+const { startPayoutWorker, stopPayoutWorker } = require('./utils/payout-queue');
+const { startUtxoManager, stopUtxoManager } = require('./utils/utxo-manager');
+const { startConfirmationTracker, stopConfirmationTracker } = require('./utils/confirmation-tracker');
+const { startDepositIndexer, stopDepositIndexer } = require('./utils/deposit-indexer');
+const { startVaultReconciler, stopVaultReconciler } = require('./utils/vault');
+const { startDistributionSnapshots, stopDistributionSnapshots } = require('./utils/holder-distribution');
+const { startControlSync } = require('./utils/admin-controls');
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.api.port;
+
+// Behind nginx, take the client IP from X-Forwarded-For
+app.set('trust proxy', getTrustProxySetting());
 
 // Security middleware
 app.use(helmet({
@@ -32,7 +45,7 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Rate limiting
-app.use('/api', rateLimiter);
+app.use('/api', getRateLimiter());
 
 // Serve static files
 app.use(express.static(path.join(__dirname, '../public')));
@@ -41,6 +54,8 @@ app.use(express.static(path.join(__dirname, '../public')));
 app.use('/api', eligibilityRoutes);
 app.use('/api', slurpRoutes);
 app.use('/api', relationshipRoutes);
+app.use('/api/vault', vaultRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -74,10 +89,49 @@ app.listen(PORT, () => {
   console.log('🚽 HOSKDOG Faucet Server Starting...\n');
   
   // Validate configuration
-  if (!validateConfiguration()) {
+  if (!validateConfiguration(config).valid) {
     console.error('\n❌ Server startup failed due to configuration errors');
     process.exit(1);
   }
+
+  // Apply admin pause and tier reward changes, including ones made on other replicas
+  startControlSync();
+
+  // Pay queued slurps in batched transactions
+  startPayoutWorker();
+
+  // Follow payout transactions until they are confirmed or expire
+  startConfirmationTracker();
+
+  // Keep the faucet wallet's UTxO pool split and consolidated
+  startUtxoManager();
+
+  // Log ADA sent to the deposit, Springs and vault addresses straight from wallets
+  startDepositIndexer();
+
+  // Settle vault withdrawals and check the vault address covers the ledger
+  startVaultReconciler();
+
+  // Snapshot the token holder distribution for trend charts
+  startDistributionSnapshots();
+
+  // Apply edits to the settings file without a restart; the background jobs
+  // are restarted so new intervals take effect
+  watchConfig();
+  onConfigReload(() => {
+    stopPayoutWorker();
+    stopConfirmationTracker();
+    stopUtxoManager();
+    stopDepositIndexer();
+    stopVaultReconciler();
+    stopDistributionSnapshots();
+    startPayoutWorker();
+    startConfirmationTracker();
+    startUtxoManager();
+    startDepositIndexer();
+    startVaultReconciler();
+    startDistributionSnapshots();
+  });
   
   console.log(`\n� HOSKDOG Faucet Server running on port ${PORT}`);
   console.log(`🌐 Visit: http://localhost:${PORT}`);
@@ -0,0 +1,117 @@
+const { config, onConfigReload } = require('../../config');
+const adminDb = require('../../database/admin');
+const { setManualPause } = require('./faucet-budget');
+
+/**
+ * Runtime faucet controls
+ * Admin changes (manual pause, tier reward overrides) are stored in the
+ * faucet_controls table and applied in memory. Every API replica re-reads the
+ * table on an interval, so a change made through one replica reaches the
+ * others within `CONTROL_SYNC_INTERVAL_MS`. Overrides survive a settings
+ * reload; the reloaded rewards become the ones an override falls back to.
+ */
+
+const CONTROL_SYNC_INTERVAL_MS = 30 * 1000;
+
+// Tier rewards as configured, so a removed override falls back to them
+const configuredRewards = new Map();
+
+// Overrides last applied, re-applied on top of reloaded settings
+let tierRewardOverrides = {};
+
+let syncTimer = null;
+
+function applyTierRewards(overrides = {}) {
+  tierRewardOverrides = overrides;
+  for (const tier of config.faucet.tiers || []) {
+    if (!configuredRewards.has(tier.id)) {
+      configuredRewards.set(tier.id, tier.reward);
+    }
+    tier.reward = overrides[tier.id] ?? configuredRewards.get(tier.id);
+  }
+}
+
+onConfigReload(() => {
+  configuredRewards.clear();
+  applyTierRewards(tierRewardOverrides);
+});
+
+function applyControls(controls) {
+  setManualPause(controls.pause || null);
+  applyTierRewards(controls.tierRewards);
+}
+
+// Load the stored controls and apply them
+async function refreshControls() {
+  applyControls(await adminDb.getControls());
+}
+
+/**
+ * Pause or resume new slurps
+ * @param {boolean} paused
+ * @param {string} reason - Shown in /api/faucet-status while paused
+ * @param {string} actor - Admin making the change
+ * @param {Object} client - Optional transaction client to store it with; the
+ *                          change applies straight away, so refreshControls
+ *                          after a rollback
+ * @returns {Object} Stored pause control
+ */
+async function setPaused(paused, reason, actor, client) {
+  const pause = paused
+    ? { paused: true, reason: reason || 'Paused by an admin', since: new Date().toISOString(), by: actor }
+    : { paused: false };
+
+  await adminDb.setControl('pause', pause, actor, client);
+  setManualPause(pause);
+  return pause;
+}
+
+/**
+ * Override a tier's reward, or pass null to go back to the configured reward
+ * @param {string} tierId
+ * @param {number|null} reward - HKDG base units
+ * @param {string} actor - Admin making the change
+ * @param {Object} client - Optional transaction client, as for setPaused
+ * @returns {Array} Result of getTierRewards
+ */
+async function setTierReward(tierId, reward, actor, client) {
+  applyTierRewards(await adminDb.mergeControl('tierRewards', { [tierId]: reward }, actor, client));
+  return getTierRewards();
+}
+
+// Current reward of every tier next to its configured reward
+function getTierRewards() {
+  return (config.faucet.tiers || []).map(tier => {
+    const configured = configuredRewards.has(tier.id) ? configuredRewards.get(tier.id) : tier.reward;
+    return {
+      id: tier.id,
+      name: tier.name,
+      reward: tier.reward,
+      configuredReward: configured,
+      overridden: tier.reward !== configured
+    };
+  });
+}
+
+function startControlSync() {
+  if (syncTimer) {
+    return;
+  }
+  const sync = () => refreshControls().catch(error => console.error('Admin control sync error:', error.message));
+  sync();
+  syncTimer = setInterval(sync, CONTROL_SYNC_INTERVAL_MS);
+}
+
+function stopControlSync() {
+  clearInterval(syncTimer);
+  syncTimer = null;
+}
+
+module.exports = {
+  refreshControls,
+  setPaused,
+  setTierReward,
+  getTierRewards,
+  startControlSync,
+  stopControlSync
+};
@@ -0,0 +1,70 @@
+const { cacheGet, cacheSet } = require('../../database/redis');
+const { getChainProvider } = require('../providers');
+const { analyzeAddressRelationships, getRelationshipSettings } = require('./relationship-analyzer');
+
+/**
+ * Relationship analysis cache
+ * Analyses are cached in Redis per address and depth. An entry lives until
+ * about `relationships.cacheBlocks` blocks after the chain tip it was computed
+ * at, so results stay at most that many blocks behind the chain. A cache that
+ * can't be reached only costs a fresh analysis.
+ */
+
+// Average Cardano block interval
+const BLOCK_SECONDS = 20;
+const MIN_TTL_SECONDS = 30;
+const CACHE_KEY_PREFIX = 'relationships:analysis:';
+
+function cacheKey(address, depth) {
+  return `${CACHE_KEY_PREFIX}${address}:${depth}`;
+}
+
+// Seconds until `blocks` blocks after the tip, counted from when the tip was made
+function ttlFromTip(tip, blocks) {
+  const elapsed = tip.blockTime ? Math.max(0, Math.floor(Date.now() / 1000) - tip.blockTime) : 0;
+  return Math.max(MIN_TTL_SECONDS, blocks * BLOCK_SECONDS - elapsed);
+}
+
+/**
+ * Relationship analysis of an address, from the cache when it is fresh
+ * @param {string} address - Address to analyze
+ * @param {number} depth - Hops to follow
+ * @param {Object} options - { onProgress }, passed to analyzeAddressRelationships on a miss
+ * @returns {Object} Analysis; metadata carries blockHeight, cachedAt and cached
+ */
+async function getAddressAnalysis(address, depth, { onProgress } = {}) {
+  const { cacheBlocks } = getRelationshipSettings();
+  const key = cacheKey(address, depth);
+
+  if (cacheBlocks > 0) {
+    try {
+      const cached = await cacheGet(key);
+      if (cached) {
+        return { ...cached, metadata: { ...cached.metadata, cached: true } };
+      }
+    } catch (error) {
+      console.error('Relationship cache read error:', error.message);
+    }
+  }
+
+  const [tip, analysis] = await Promise.all([
+    getChainProvider().getTip().catch(() => null),
+    analyzeAddressRelationships(address, depth, { onProgress })
+  ]);
+  analysis.metadata.blockHeight = tip ? tip.blockHeight : null;
+  analysis.metadata.cachedAt = new Date().toISOString();
+
+  if (cacheBlocks > 0 && tip) {
+    try {
+      await cacheSet(key, analysis, ttlFromTip(tip, cacheBlocks));
+    } catch (error) {
+      console.error('Relationship cache write error:', error.message);
+    }
+  }
+
+  return { ...analysis, metadata: { ...analysis.metadata, cached: false } };
+}
+
+module.exports = {
+  getAddressAnalysis
+};
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { client } = require('../../database/redis');
+const { getRelationshipSettings } = require('./relationship-analyzer');
+
+/**
+ * Background relationship analyses
+ * Deep analyses run as jobs instead of holding the request open: the client
+ * gets a job ID, polls its status and progress, and fetches the result once
+ * it is done. Job state and results are kept in Redis for
+ * `relationships.jobTtlMinutes`, so any API replica can answer a poll. Jobs
+ * run on the replica that accepted them, `relationships.jobConcurrency` at a
+ * time; a job still queued when its server stops is lost and stays 'queued'
+ * until it expires. At most `relationships.maxQueuedJobs` jobs wait on one
+ * replica; further ones are refused until the queue drains.
+ */
+
+const JOB_KEY_PREFIX = 'relationships:job:';
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Suggested wait before asking again once the queue is full
+const QUEUE_FULL_RETRY_SECONDS = 60;
+
+const queue = [];
+let active = 0;
+// Jobs accepted but still being saved, which already count towards the queue
+let accepting = 0;
+
+function jobTtlSeconds() {
+  return Math.round(getRelationshipSettings().jobTtlMinutes * 60);
+}
+
+async function saveJob(job) {
+  await client.set(JOB_KEY_PREFIX + job.id, JSON.stringify(job), { EX: jobTtlSeconds() });
+}
+
+/**
+ * Queue an analysis
+ * @param {string} type - 'analyze', 'graph' or 'beneficial'
+ * @param {Object} params - What was asked for, echoed in the job status
+ * @param {Function} run - async (reportProgress) => result; reportProgress({ percent, ... })
+ * @returns {Object|null} Job status, or null when the queue is full
+ */
+async function enqueueJob(type, params, run) {
+  if (queue.length + accepting >= getRelationshipSettings().maxQueuedJobs) {
+    return null;
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    params,
+    status: 'queued',
+    progress: { percent: 0 },
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null
+  };
+  accepting++;
+  try {
+    await saveJob(job);
+  } finally {
+    accepting--;
+  }
+  queue.push({ job, run });
+  drainQueue();
+  return job;
+}
+
+function drainQueue() {
+  const { jobConcurrency } = getRelationshipSettings();
+  while (active < jobConcurrency && queue.length > 0) {
+    const { job, run } = queue.shift();
+    active++;
+    runJob(job, run).finally(() => {
+      active--;
+      drainQueue();
+    });
+  }
+}
+
+async function runJob(job, run) {
+  try {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    await saveJob(job);
+
+    // Progress is saved without waiting, so it never slows the analysis down.
+    // It only moves forward and reaches 100 when the result is stored.
+    const reportProgress = (progress) => {
+      const percent = Math.min(99, Math.max(job.progress.percent, Math.floor(progress.percent)));
+      job.progress = { ...progress, percent };
+      saveJob(job).catch(error => console.error(`Relationship job ${job.id} progress error:`, error.message));
+    };
+
+    const result = await run(reportProgress);
+    await client.set(`${JOB_KEY_PREFIX}${job.id}:result`, JSON.stringify(result), { EX: jobTtlSeconds() });
+    job.status = 'completed';
+    job.progress = { percent: 100 };
+  } catch (error) {
+    console.error(`Relationship job ${job.id} failed:`, error.message);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.finishedAt = new Date().toISOString();
+  try {
+    await saveJob(job);
+  } catch (error) {
+    console.error(`Relationship job ${job.id} could not be saved:`, error.message);
+  }
+}
+
+// Status of a job, or null if it is unknown or expired
+async function getJob(id) {
+  if (!JOB_ID_PATTERN.test(id)) {
+    return null;
+  }
+  const stored = await client.get(JOB_KEY_PREFIX + id);
+  return stored ? JSON.parse(stored) : null;
+}
+
+// Result of a completed job, or null
+async function getJobResult(id) {
+  if (!JOB_ID_PATTERN.test(id)) {
+    return null;
+  }
+  const stored = await client.get(`${JOB_KEY_PREFIX}${id}:result`);
+  return stored ? JSON.parse(stored) : null;
+}
+
+module.exports = {
+  QUEUE_FULL_RETRY_SECONDS,
+  enqueueJob,
+  getJob,
+  getJobResult
+};
@@ -0,0 +1,124 @@
+/**
+ * Transactions built by the deposit server
+ * /api/build-tx remembers every transaction it builds, keyed by its hash (the
+ * hash of the tx body, which signing doesn't change). /api/submit only
+ * accepts transactions it finds here, so a client can't log a deposit for a
+ * transaction the server never built. Records live in Redis when it is
+ * connected, so any server replica can accept the submit, and in memory
+ * otherwise. They expire with the transaction's validity window.
+ */
+
+const KEY_PREFIX = 'hoskdog:built-tx:';
+
+// How long a built transaction stays valid and submittable
+const BUILT_TX_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * Create a built-transaction store
+ * @param {Object} options - { redisClient } node-redis client; memory only without one
+ * @returns {Object} { remember, find, forget }
+ */
+function createBuiltTxStore({ redisClient = null } = {}) {
+  const memory = new Map();
+  const useRedis = () => !!redisClient && redisClient.isOpen;
+
+  const pruneMemory = () => {
+    const now = Date.now();
+    for (const [txHash, record] of memory) {
+      if (record.validUntil <= now) {
+        memory.delete(txHash);
+      }
+    }
+  };
+
+  return {
+    /**
+     * @param {string} txHash
+     * @param {Object} record - { senderAddress, recipient, purpose, lovelace, fee, validUntil (ms) }
+     */
+    async remember(txHash, record) {
+      const ttlSeconds = Math.max(1, Math.ceil((record.validUntil - Date.now()) / 1000));
+      if (useRedis()) {
+        await redisClient.setEx(`${KEY_PREFIX}${txHash}`, ttlSeconds, JSON.stringify(record));
+        return;
+      }
+      pruneMemory();
+      memory.set(txHash, record);
+    },
+
+    async find(txHash) {
+      if (useRedis()) {
+        const value = await redisClient.get(`${KEY_PREFIX}${txHash}`);
+        return value ? JSON.parse(value) : null;
+      }
+      pruneMemory();
+      return memory.get(txHash) || null;
+    },
+
+    async forget(txHash) {
+      if (useRedis()) {
+        await redisClient.del(`${KEY_PREFIX}${txHash}`);
+        return;
+      }
+      memory.delete(txHash);
+    }
+  };
+}
+
+/**
+ * Check a signed transaction against the record of the one the server built,
+ * and work out the deposit from the transaction itself
+ * @param {Object|null} record - From the store, looked up by the signed tx's hash
+ * @param {Object} tx - { txHash, fee, outputs: [{ address, lovelace }] } read from the signed CBOR
+ * @returns {Object} { valid, deposit: { txHash, senderAddress, recipient, purpose, lovelace, fee } }
+ *                   or { valid: false, error, details }
+ */
+function verifySubmittedTx(record, tx) {
+  if (!record) {
+    return {
+      valid: false,
+      error: 'Unknown transaction',
+      details: 'This transaction was not built by this server or has expired. Build it again with /api/build-tx.'
+    };
+  }
+
+  const paid = tx.outputs
+    .filter(output => output.address === record.recipient)
+    .reduce((sum, output) => sum + BigInt(output.lovelace), 0n);
+  if (paid !== BigInt(record.lovelace)) {
+    return {
+      valid: false,
+      error: 'Transaction mismatch',
+      details: `Transaction pays ${paid} lovelace to the ${record.purpose} address, but ${record.lovelace} was built`
+    };
+  }
+
+  // Inputs were selected from the sender's wallet, so change goes back to it
+  const change = tx.outputs.find(output => output.address !== record.recipient);
+  const senderAddress = change ? change.address : record.senderAddress;
+  if (senderAddress !== record.senderAddress) {
+    return {
+      valid: false,
+      error: 'Transaction mismatch',
+      details: 'Transaction change does not go back to the address it was built for'
+    };
+  }
+
+  return {
+    valid: true,
+    deposit: {
+      txHash: tx.txHash,
+      senderAddress,
+      recipient: record.recipient,
+      purpose: record.purpose,
+      lovelace: paid,
+      fee: BigInt(tx.fee)
+    }
+  };
+}
+
+module.exports = {
+  BUILT_TX_TTL_MS,
+  createBuiltTxStore,
+  verifySubmittedTx
+};
@@ -1,19 +1,18 @@
-const { Lucid, Blockfrost, fromText, toUnit } = require('lucid-cardano');
-const config = require('../../config/faucet-settings.json');
+const { Lucid, fromText, toUnit } = require('lucid-cardano');
+const { config } = require('../../config');
+const { getChainProvider, createLucidProvider } = require('../providers');
+const { lockUtxos, unlockUtxos, selectPayoutInputs, getPoolHealth } = require('./utxo-pool');
+const { EXPIRY_GRACE_MS } = require('./confirmation-tracker');
 
 let lucidInstance = null;
+let vaultLucidInstance = null;
 
-// Initialize Lucid with Blockfrost provider
+// Initialize Lucid with the configured chain provider
 async function initializeLucid() {
   if (lucidInstance) return lucidInstance;
 
   try {
-    const provider = new Blockfrost(
-      process.env.CARDANO_NETWORK === 'mainnet' 
-        ? 'https://cardano-mainnet.blockfrost.io/api/v0'
-        : 'https://cardano-testnet.blockfrost.io/api/v0',
-      process.env.BLOCKFROST_API_KEY
-    );
+    const provider = createLucidProvider(getChainProvider());
 
     lucidInstance = await Lucid.new(provider, process.env.CARDANO_NETWORK || 'mainnet');
     
@@ -31,39 +30,131 @@ async function initializeLucid() {
   }
 }
 
+// Lucid with the vault wallet selected. The vault key is kept apart from the
+// faucet key, and must belong to the configured vault deposit address.
+async function initializeVaultLucid() {
+  if (vaultLucidInstance) return vaultLucidInstance;
+
+  if (!process.env.VAULT_SKEY) {
+    throw new Error('VAULT_SKEY is not set, vault withdrawals can\'t be paid');
+  }
+
+  const provider = createLucidProvider(getChainProvider());
+  const lucid = await Lucid.new(provider, process.env.CARDANO_NETWORK || 'mainnet');
+  lucid.selectWalletFromPrivateKey(process.env.VAULT_SKEY);
+
+  const vaultAddress = await lucid.wallet.address();
+  if (vaultAddress !== config.vault.depositAddress) {
+    throw new Error('VAULT_SKEY does not belong to vault.depositAddress');
+  }
+
+  vaultLucidInstance = lucid;
+  console.log('🏦 Vault wallet loaded:', vaultAddress);
+  return vaultLucidInstance;
+}
+
+/**
+ * Pay a vault withdrawal in ADA from the vault wallet
+ * @param {string} recipientAddress - Address that requested the withdrawal
+ * @param {BigInt} lovelace - Amount to pay
+ * @returns {Object} { txHash, validUntil, explorerUrl }
+ */
+async function sendVaultWithdrawal(recipientAddress, lovelace) {
+  const lucid = await initializeVaultLucid();
+
+  // The validity window lets the vault reconciler know when a dropped tx can no longer land
+  const validUntil = new Date(Date.now() + getTxTtlMs());
+  const tx = await lucid.newTx()
+    .payToAddress(recipientAddress, { lovelace: BigInt(lovelace) })
+    .validTo(validUntil.getTime())
+    .complete();
+
+  const signedTx = await tx.sign().complete();
+  const txHash = await signedTx.submit();
+  console.log(`🏦 Vault withdrawal of ${lovelace} lovelace submitted:`, txHash);
+
+  return { txHash, validUntil, explorerUrl: getExplorerUrl(txHash) };
+}
+
 // Build and submit token transfer transaction
 async function sendHKDGTokens(recipientAddress, amount, memo = '') {
+  return sendHKDGBatch([{ address: recipientAddress, amount }], memo);
+}
+
+/**
+ * Pay several recipients in one transaction, one output each
+ * @param {Array} payments - [{ address, amount }]
+ * @param {string} memo - Description for the logs
+ * @returns {Object} { success, txHash, validUntil, explorerUrl } or
+ *                   { success: false, tooLarge: true, size, maxTxSize } when the
+ *                   transaction would exceed the protocol's max tx size, or
+ *                   { success: false, inputsUnavailable: true, error } when every
+ *                   usable faucet UTxO is locked by an in-flight transaction
+ */
+async function sendHKDGBatch(payments, memo = '') {
+  let inputs = null;
   try {
     const lucid = await initializeLucid();
+    const assetUnit = getHKDGUnit();
+    const total = payments.reduce((sum, p) => sum + BigInt(p.amount), 0n);
     
-    // Create the asset unit (policy ID + asset name)
-    const assetUnit = toUnit(
-      process.env.HKDG_POLICY_ID || config.faucet.token.policyId,
-      fromText(config.faucet.token.assetName)
-    );
-    
-    console.log(`🏗️  Building transaction:`);
-    console.log(`   📍 To: ${recipientAddress}`);
-    console.log(`   🪙 Amount: ${amount} ${config.faucet.token.assetName}`);
+    console.log(`🏗️  Building transaction${memo ? ` (${memo})` : ''}:`);
+    console.log(`   📍 Recipients: ${payments.length}`);
+    console.log(`   🪙 Amount: ${total} ${config.faucet.token.assetName}`);
     console.log(`   🔑 Asset Unit: ${assetUnit}`);
-    
-    // Build transaction
-    const tx = await lucid
-      .newTx()
-      .payToAddress(recipientAddress, { 
-        [assetUnit]: BigInt(amount)
-      })
-      .addSigner(await lucid.wallet.address()) // Sign with faucet wallet
-      .complete();
+
+    // Spend pool UTxOs that no other in-flight transaction is using, and
+    // reserve them while this one is built
+    inputs = selectPayoutInputs(await lucid.wallet.getUtxos(), assetUnit, total, payments.length);
+    if (!inputs) {
+      // Locked inputs free up as in-flight transactions confirm, so this is
+      // worth retrying later rather than counting as a failure
+      return { success: false, inputsUnavailable: true, error: 'No unlocked faucet UTxOs can cover this payout yet' };
+    }
+    // Build transaction with one output per recipient. The validity window
+    // lets the confirmation tracker know when a dropped tx can no longer land,
+    // and the inputs stay locked until the tracker gives up on it.
+    const validUntil = new Date(Date.now() + getTxTtlMs());
+    const lockTtlMs = () => validUntil.getTime() + EXPIRY_GRACE_MS - Date.now();
+    lockUtxos(inputs, lockTtlMs());
+    let txBuilder = lucid.newTx().collectFrom(inputs).validTo(validUntil.getTime());
+    for (const payment of payments) {
+      txBuilder = txBuilder.payToAddress(payment.address, {
+        [assetUnit]: BigInt(payment.amount)
+      });
+    }
+
+    let tx;
+    try {
+      tx = await txBuilder
+        .addSigner(await lucid.wallet.address()) // Sign with faucet wallet
+        .complete({ coinSelection: false });
+    } catch (error) {
+      if (/transaction size/i.test(error.message)) {
+        unlockUtxos(inputs);
+        return { success: false, tooLarge: true };
+      }
+      throw error;
+    }
 
     console.log('📝 Transaction built successfully');
     
     // Sign transaction
     const signedTx = await tx.sign().complete();
     console.log('✍️  Transaction signed');
+
+    // Leave the split to the caller rather than submit something nodes will reject
+    const { maxTxSize } = await getChainProvider().getProtocolParameters();
+    const size = signedTx.toString().length / 2;
+    if (size > maxTxSize) {
+      unlockUtxos(inputs);
+      return { success: false, tooLarge: true, size, maxTxSize };
+    }
     
     // Submit transaction
     const txHash = await signedTx.submit();
+    // Held until the confirmation tracker sees the tx confirmed or expired
+    lockUtxos(inputs, lockTtlMs(), txHash);
     console.log('🚀 Transaction submitted:', txHash);
     
     // Wait for confirmation (optional - comment out for faster response)
@@ -73,13 +164,15 @@ async function sendHKDGTokens(recipientAddress, amount, memo = '') {
     return {
       success: true,
       txHash,
-      explorerUrl: process.env.CARDANO_NETWORK === 'mainnet'
-        ? `https://cardanoscan.io/transaction/${txHash}`
-        : `https://preprod.cardanoscan.io/transaction/${txHash}`
+      validUntil,
+      explorerUrl: getExplorerUrl(txHash)
     };
     
   } catch (error) {
     console.error('❌ Transaction failed:', error);
+    if (inputs) {
+      unlockUtxos(inputs);
+    }
     
     // Parse common errors
     if (error.message.includes('insufficient funds')) {
@@ -96,6 +189,64 @@ async function sendHKDGTokens(recipientAddress, amount, memo = '') {
   }
 }
 
+/**
+ * Split a large UTxO into pool UTxOs or merge fragments into one
+ * @param {Object} plan - Maintenance plan from utxo-pool planMaintenance
+ * @param {Object} settings - Pool settings
+ * @returns {string} Transaction hash
+ */
+async function submitPoolMaintenance(plan, settings) {
+  const lucid = await initializeLucid();
+  const faucetAddress = await lucid.wallet.address();
+  const inputs = plan.action === 'split' ? [plan.input] : plan.inputs;
+
+  let txBuilder = lucid.newTx().collectFrom(inputs);
+  if (plan.action === 'split') {
+    for (let i = 0; i < plan.outputs; i++) {
+      txBuilder = txBuilder.payToAddress(faucetAddress, {
+        lovelace: BigInt(settings.utxoLovelace),
+        [getHKDGUnit()]: BigInt(settings.utxoHkdg)
+      });
+    }
+  }
+
+  // Only the chosen inputs; whatever is left comes back as one change output
+  lockUtxos(inputs);
+  let txHash;
+  try {
+    const tx = await txBuilder.complete({ coinSelection: false });
+    const signedTx = await tx.sign().complete();
+    txHash = await signedTx.submit();
+  } catch (error) {
+    unlockUtxos(inputs);
+    throw error;
+  }
+  lockUtxos(inputs);
+
+  console.log(`🧹 UTxO pool ${plan.action}: ${inputs.length} input(s) in ${txHash}`);
+  return txHash;
+}
+
+// How long a payout transaction stays valid after it is built
+function getTxTtlMs() {
+  return ((config.faucet.confirmations || {}).txTtlMinutes || 15) * 60 * 1000;
+}
+
+// HKDG asset unit (policy ID + hex asset name)
+function getHKDGUnit() {
+  return toUnit(
+    config.faucet.token.policyId,
+    fromText(config.faucet.token.assetName)
+  );
+}
+
+// Cardanoscan link for a transaction on the configured network
+function getExplorerUrl(txHash) {
+  return process.env.CARDANO_NETWORK === 'mainnet'
+    ? `https://cardanoscan.io/transaction/${txHash}`
+    : `https://preprod.cardanoscan.io/transaction/${txHash}`;
+}
+
 // Get faucet wallet balance
 async function getFaucetBalance() {
   try {
@@ -105,10 +256,7 @@ async function getFaucetBalance() {
     let adaBalance = 0n;
     let hkdgBalance = 0n;
     
-    const assetUnit = toUnit(
-      process.env.HKDG_POLICY_ID || config.faucet.token.policyId,
-      fromText(config.faucet.token.assetName)
-    );
+    const assetUnit = getHKDGUnit();
     
     for (const utxo of utxos) {
       adaBalance += utxo.assets.lovelace;
@@ -120,7 +268,8 @@ async function getFaucetBalance() {
     return {
       ada: Number(adaBalance) / 1000000, // Convert lovelace to ADA
       hkdg: Number(hkdgBalance),
-      utxoCount: utxos.length
+      utxoCount: utxos.length,
+      utxoPool: getPoolHealth(utxos, assetUnit)
     };
     
   } catch (error) {
@@ -163,6 +312,11 @@ async function validateTransaction(recipientAddress, amount) {
 module.exports = {
   initializeLucid,
   sendHKDGTokens,
+  sendHKDGBatch,
+  submitPoolMaintenance,
+  sendVaultWithdrawal,
+  getHKDGUnit,
+  getExplorerUrl,
   getFaucetBalance,
   validateTransaction
 };
\ No newline at end of file
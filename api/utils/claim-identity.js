@@ -0,0 +1,68 @@
+const { config } = require('../../config');
+const { initializeLucid } = require('./cardano-tx');
+
+// How to treat addresses without a stake part:
+//   'reject'  - enterprise addresses can't claim
+//   'payment' - key the claim on the payment credential instead
+const ENTERPRISE_POLICIES = ['reject', 'payment'];
+
+/**
+ * Resolve the credential an address is identified by.
+ * Base addresses resolve to their stake credential so every address derived
+ * from one HD wallet maps to the same key. Addresses without a stake part
+ * resolve to their payment credential.
+ * @param {string} address - Bech32 or hex Cardano address
+ * @returns {Object} { claimKey, type: 'stake' | 'payment' }
+ */
+async function resolveCredential(address) {
+  const lucid = await initializeLucid();
+
+  let details;
+  try {
+    details = lucid.utils.getAddressDetails(address);
+  } catch (error) {
+    throw new Error('Invalid wallet address format');
+  }
+
+  if (details.stakeCredential) {
+    return { claimKey: details.stakeCredential.hash, type: 'stake' };
+  }
+  if (details.paymentCredential) {
+    return { claimKey: details.paymentCredential.hash, type: 'payment' };
+  }
+  throw new Error(`Unsupported address type: ${details.type}`);
+}
+
+/**
+ * Resolve the identity a faucet claim is keyed on, applying the configured
+ * policy for enterprise addresses.
+ * @param {string} address - Address the claim would be paid to
+ * @returns {Object} { valid, claimKey, type } or { valid: false, error }
+ */
+async function resolveClaimIdentity(address) {
+  try {
+    const identity = await resolveCredential(address);
+
+    if (identity.type === 'payment') {
+      const policy = config.faucet.identity?.enterpriseAddressPolicy || 'reject';
+      if (!ENTERPRISE_POLICIES.includes(policy)) {
+        throw new Error(`Unknown enterpriseAddressPolicy: ${policy}`);
+      }
+      if (policy === 'reject') {
+        return {
+          valid: false,
+          error: 'Addresses without a stake key are not eligible. Please use your wallet\'s base address.'
+        };
+      }
+    }
+
+    return { valid: true, ...identity };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+module.exports = {
+  resolveCredential,
+  resolveClaimIdentity
+};
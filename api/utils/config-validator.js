@@ -1,49 +1,293 @@
 // Configuration validation utility
-function validateConfiguration() {
-  const required = [
-    'FAUCET_ADDRESS',
-    'FAUCET_SKEY', 
-    'HKDG_POLICY_ID',
-    'KOIOS_API'
-  ];
-
-  const missing = required.filter(key => !process.env[key]);
-  
-  if (missing.length > 0) {
-    console.error('❌ Missing required environment variables:');
-    missing.forEach(key => {
-      console.error(`   - ${key}`);
+const schema = require('../../config/faucet-settings.schema.json');
+
+/**
+ * Validates faucet settings against config/faucet-settings.schema.json plus
+ * the cross-field rules a schema can't express, and checks the environment
+ * the faucet needs. Every problem is collected so one run reports them all.
+ *
+ * Only the schema keywords the settings schema uses are supported: type, enum,
+ * required, properties, additionalProperties, items, minItems, minimum,
+ * maximum, exclusiveMinimum, minLength, pattern, default and local $refs
+ * ("#/definitions/...").
+ */
+
+const REQUIRED_ENV = ['FAUCET_ADDRESS', 'FAUCET_SKEY'];
+
+// Fields each eligibility condition type can't do without
+const CONDITION_FIELDS = {
+  token: ['policyId'],
+  minAda: ['lovelace'],
+  walletAge: ['minDays'],
+  delegation: ['poolId'],
+  springsDonation: []
+};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const childPath = (path, key) => (path ? `${path}.${key}` : key);
+
+// Follow a local "#/..." reference to the schema node it names
+function resolveRef(node) {
+  if (!node || !node.$ref) {
+    return node;
+  }
+  return node.$ref.replace(/^#\//, '').split('/').reduce((target, key) => target[key], schema);
+}
+
+function matchesType(type, value) {
+  switch (type) {
+  case 'object':
+    return isObject(value);
+  case 'array':
+    return Array.isArray(value);
+  case 'integer':
+    return Number.isInteger(value);
+  case 'number':
+    return typeof value === 'number' && Number.isFinite(value);
+  default:
+    return typeof value === type;
+  }
+}
+
+/**
+ * Fill in schema defaults for missing properties, in place
+ * @param {Object} settings - Parsed settings
+ * @param {Object} node - Schema node (defaults to the settings schema)
+ * @returns {Object} settings
+ */
+function applyDefaults(settings, node = schema) {
+  node = resolveRef(node);
+  if (isObject(settings) && node.properties) {
+    for (const [key, property] of Object.entries(node.properties)) {
+      if (settings[key] === undefined && property.default !== undefined) {
+        settings[key] = JSON.parse(JSON.stringify(property.default));
+      }
+      if (settings[key] !== undefined) {
+        applyDefaults(settings[key], property);
+      }
+    }
+  }
+  if (isObject(settings) && isObject(node.additionalProperties)) {
+    for (const [key, value] of Object.entries(settings)) {
+      if (!node.properties || !node.properties[key]) {
+        applyDefaults(value, node.additionalProperties);
+      }
+    }
+  }
+  if (Array.isArray(settings) && node.items) {
+    settings.forEach(item => applyDefaults(item, node.items));
+  }
+  return settings;
+}
+
+/**
+ * Check a value against a schema node
+ * @returns {Array} Error messages, empty when the value is valid
+ */
+function validateSchema(value, node = schema, path = '', errors = []) {
+  node = resolveRef(node);
+  const name = path || 'settings';
+
+  if (node.type) {
+    const types = [].concat(node.type);
+    if (!types.some(type => matchesType(type, value))) {
+      errors.push(`${name} must be ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+  if (node.enum && !node.enum.includes(value)) {
+    errors.push(`${name} must be one of ${node.enum.join(', ')}`);
+    return errors;
+  }
+
+  if (typeof value === 'number') {
+    if (node.minimum !== undefined && value < node.minimum) {
+      errors.push(`${name} must be at least ${node.minimum}`);
+    }
+    if (node.maximum !== undefined && value > node.maximum) {
+      errors.push(`${name} must be at most ${node.maximum}`);
+    }
+    if (node.exclusiveMinimum !== undefined && value <= node.exclusiveMinimum) {
+      errors.push(`${name} must be greater than ${node.exclusiveMinimum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (node.minLength !== undefined && value.length < node.minLength) {
+      errors.push(`${name} must not be empty`);
+    }
+    if (node.pattern && !new RegExp(node.pattern).test(value)) {
+      errors.push(`${name} must match ${node.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (node.minItems !== undefined && value.length < node.minItems) {
+      errors.push(`${name} must have at least ${node.minItems} item${node.minItems === 1 ? '' : 's'}`);
+    }
+    if (node.items) {
+      value.forEach((item, index) => validateSchema(item, node.items, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (isObject(value)) {
+    for (const key of node.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${childPath(path, key)} is required`);
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const property = node.properties && node.properties[key];
+      if (property) {
+        validateSchema(item, property, childPath(path, key), errors);
+      } else if (node.additionalProperties === false) {
+        errors.push(`${childPath(path, key)} is not a known setting`);
+      } else if (isObject(node.additionalProperties)) {
+        validateSchema(item, node.additionalProperties, childPath(path, key), errors);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Rules that span several settings
+function validateRules(settings) {
+  const errors = [];
+  const faucet = settings.faucet || {};
+  const tiers = Array.isArray(faucet.tiers) ? faucet.tiers : [];
+
+  const duplicates = (items) => items.filter((id, index) => id !== undefined && items.indexOf(id) !== index);
+
+  for (const id of new Set(duplicates(tiers.map(tier => tier && tier.id)))) {
+    errors.push(`faucet.tiers has more than one tier with id "${id}"`);
+  }
+
+  tiers.forEach((tier, tierIndex) => {
+    (Array.isArray(tier && tier.conditions) ? tier.conditions : []).forEach((condition, index) => {
+      for (const field of CONDITION_FIELDS[condition && condition.type] || []) {
+        if (condition[field] === undefined) {
+          errors.push(`faucet.tiers[${tierIndex}].conditions[${index}].${field} is required for ${condition.type} conditions`);
+        }
+      }
     });
-    console.error('\n📝 Please update your .env file with the missing values.');
-    console.error('📖 See PRODUCTION_SETUP.md for configuration guide.');
-    return false;
+  });
+
+  const tierIds = tiers.map(tier => tier && tier.id);
+  for (const id of Object.keys((faucet.budgets && faucet.budgets.tiers) || {})) {
+    if (!tierIds.includes(id)) {
+      errors.push(`faucet.budgets.tiers.${id} does not match any tier`);
+    }
+  }
+
+  const sybil = settings.sybil || {};
+  if (sybil.downgradeTier && !tierIds.includes(sybil.downgradeTier)) {
+    errors.push('sybil.downgradeTier does not match any tier');
+  }
+  if (sybil.downgradeScore > sybil.denyScore) {
+    errors.push('sybil.downgradeScore must not exceed sybil.denyScore');
+  }
+
+  const assets = settings.distribution && Array.isArray(settings.distribution.assets) ? settings.distribution.assets : [];
+  for (const id of new Set(duplicates(assets.map(asset => asset && asset.id)))) {
+    errors.push(`distribution.assets has more than one asset with id "${id}"`);
+  }
+  if (assets.some(asset => asset && asset.id === 'hkdg')) {
+    errors.push('distribution.assets can\'t use the id "hkdg"; the faucet token is always tracked under it');
+  }
+
+  const policies = (faucet.rateLimiting && Array.isArray(faucet.rateLimiting.policies)) ? faucet.rateLimiting.policies : [];
+  for (const id of new Set(duplicates(policies.map(policy => policy && policy.id)))) {
+    errors.push(`faucet.rateLimiting.policies has more than one policy with id "${id}"`);
+  }
+
+  const deposits = settings.deposits || {};
+  for (const [id, limits] of Object.entries(deposits.purposes || {})) {
+    if (limits && limits.maxLovelace !== undefined && limits.maxLovelace < limits.minLovelace) {
+      errors.push(`deposits.purposes.${id}.maxLovelace must not be below minLovelace`);
+    }
+  }
+  if (deposits.purposes && deposits.purposes.deposit && !deposits.address) {
+    errors.push('deposits.address is required for the deposit purpose (or set HOSKDOG_RECEIVING_ADDRESS)');
+  }
+
+  const pool = faucet.utxoPool || {};
+  if (pool.fragmentThreshold > pool.maxConsolidateInputs) {
+    errors.push('faucet.utxoPool.fragmentThreshold must not exceed faucet.utxoPool.maxConsolidateInputs');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate settings on their own, as done before a hot reload
+ * @param {Object} settings - Settings with defaults applied
+ * @returns {Object} { valid, errors }
+ */
+function validateSettings(settings) {
+  const errors = validateSchema(settings);
+  errors.push(...validateRules(settings));
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate the settings and the environment the faucet runs in, logging
+ * every problem found
+ * @param {Object} settings - Loaded settings (see config/index.js)
+ * @param {Object} env - Environment variables
+ * @returns {Object} { valid, errors }
+ */
+function validateConfiguration(settings, env = process.env) {
+  const { errors } = validateSettings(settings);
+
+  for (const key of REQUIRED_ENV) {
+    if (!env[key]) {
+      errors.push(`Missing required environment variable ${key}`);
+    }
   }
 
   // Validate address format
-  if (process.env.FAUCET_ADDRESS && !process.env.FAUCET_ADDRESS.startsWith('addr')) {
-    console.error('❌ FAUCET_ADDRESS must be a valid Cardano address (starts with addr)');
-    return false;
+  if (env.FAUCET_ADDRESS && !env.FAUCET_ADDRESS.startsWith('addr')) {
+    errors.push('FAUCET_ADDRESS must be a valid Cardano address (starts with addr)');
+  }
+
+  if (!settings.faucet?.token?.policyId) {
+    errors.push('faucet.token.policyId is required (or set HKDG_POLICY_ID)');
   }
 
-  // Validate policy ID format (56 hex characters)
-  if (process.env.HKDG_POLICY_ID && !/^[a-f0-9]{56}$/i.test(process.env.HKDG_POLICY_ID)) {
-    console.error('❌ HKDG_POLICY_ID must be 56 hex characters');
-    return false;
+  const provider = (env.CHAIN_PROVIDER || settings.api?.chainProvider || 'koios').toLowerCase();
+  if (provider === 'blockfrost' && !env.BLOCKFROST_API_KEY && !env.BLOCKFROST_KEY) {
+    errors.push('BLOCKFROST_API_KEY is required when CHAIN_PROVIDER is blockfrost');
   }
 
   // Validate Koios URL
-  if (process.env.KOIOS_API && !process.env.KOIOS_API.startsWith('http')) {
-    console.error('❌ KOIOS_API must be a valid URL');
-    return false;
+  if (env.KOIOS_API && !env.KOIOS_API.startsWith('http')) {
+    errors.push('KOIOS_API must be a valid URL');
+  }
+
+  if (errors.length > 0) {
+    console.error(`❌ Found ${errors.length} configuration problem${errors.length === 1 ? '' : 's'}:`);
+    errors.forEach(error => {
+      console.error(`   - ${error}`);
+    });
+    console.error('\n📝 Please fix config/faucet-settings.json or your .env file.');
+    console.error('📖 See PRODUCTION_SETUP.md for configuration guide.');
+    return { valid: false, errors };
   }
 
   console.log('✅ Configuration validation passed');
-  console.log(`🔗 Network: ${process.env.CARDANO_NETWORK || 'mainnet'}`);
-  console.log(`🏦 Faucet: ${process.env.FAUCET_ADDRESS}`);
-  console.log(`🪙 Token: ${process.env.HKDG_POLICY_ID}`);
-  console.log(`📡 API: ${process.env.KOIOS_API}`);
-  
-  return true;
+  console.log(`🔗 Network: ${env.CARDANO_NETWORK || 'mainnet'}`);
+  console.log(`🏦 Faucet: ${env.FAUCET_ADDRESS}`);
+  console.log(`🪙 Token: ${settings.faucet.token.policyId}`);
+  console.log(`📡 Provider: ${provider}`);
+
+  return { valid: true, errors: [] };
 }
 
-module.exports = { validateConfiguration };
\ No newline at end of file
+module.exports = {
+  applyDefaults,
+  validateSchema,
+  validateSettings,
+  validateConfiguration
+};
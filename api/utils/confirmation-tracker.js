@@ -0,0 +1,126 @@
+const { config } = require('../../config');
+const claims = require('../../database/claims');
+const { getChainProvider } = require('../providers');
+const { unlockUtxos, unlockTxInputs } = require('./utxo-pool');
+
+/**
+ * Payout confirmation tracker
+ * Follows submitted payout batches until their transaction is buried under
+ * `confirmations.required` blocks. A transaction that is still not on chain
+ * once its validity window has closed can never land, so its claims are
+ * either requeued for another payout or expired (which frees the cooldown),
+ * depending on `confirmations.onExpired`.
+ */
+
+// Grace period after valid_until before a missing tx is treated as dropped.
+// Payout inputs stay locked until then too (see cardano-tx.js).
+const EXPIRY_GRACE_MS = 2 * 60 * 1000;
+
+let trackerTimer = null;
+let running = false;
+
+function getConfirmationSettings() {
+  const settings = config.faucet.confirmations || {};
+  return {
+    required: settings.required || 10,
+    checkIntervalMs: (settings.checkIntervalSeconds || 30) * 1000,
+    retryExpired: settings.onExpired !== 'refund',
+    maxAttempts: (config.faucet.payouts || {}).maxAttempts || claims.MAX_PAYOUT_ATTEMPTS
+  };
+}
+
+/**
+ * Check every submitted batch once
+ * @returns {Object} { confirmed, pending, expired } batch counts
+ */
+async function checkSubmittedBatches() {
+  const settings = getConfirmationSettings();
+  const summary = { confirmed: 0, pending: 0, expired: 0 };
+
+  const batches = await claims.getSubmittedBatches();
+  if (batches.length === 0) {
+    return summary;
+  }
+
+  const provider = getChainProvider();
+  const [tip, txs] = await Promise.all([
+    provider.getTip(),
+    provider.getTransactions(batches.map(batch => batch.txHash))
+  ]);
+  const onChain = new Map(txs.filter(tx => tx.blockHeight).map(tx => [tx.txHash, tx]));
+
+  for (const batch of batches) {
+    const tx = onChain.get(batch.txHash);
+
+    if (tx) {
+      const confirmations = Math.max(0, tip.blockHeight - tx.blockHeight + 1);
+      const confirmed = confirmations >= settings.required;
+      if (confirmed || confirmations !== batch.confirmations) {
+        await claims.updateBatchConfirmations(batch.id, tx.blockHeight, confirmations, confirmed);
+      }
+      if (confirmed) {
+        // Its inputs are spent for good, so they no longer need a lock
+        unlockUtxos(tx.inputs);
+        summary.confirmed++;
+        console.log(`✅ Payout batch ${batch.id} confirmed (${confirmations} blocks)`);
+      } else {
+        summary.pending++;
+      }
+      continue;
+    }
+
+    const validUntil = batch.validUntil ? new Date(batch.validUntil).getTime() : null;
+    if (validUntil && Date.now() > validUntil + EXPIRY_GRACE_MS) {
+      const result = await claims.expireBatch(batch.id, {
+        retry: settings.retryExpired,
+        maxAttempts: settings.maxAttempts
+      });
+      // Nothing spent its inputs, so a requeued payout can use them again
+      unlockTxInputs(batch.txHash);
+      summary.expired++;
+      console.warn(`⌛ Payout batch ${batch.id} expired: ${result.requeued} claims requeued, ${result.expired} expired`);
+    } else {
+      summary.pending++;
+    }
+  }
+
+  return summary;
+}
+
+async function runConfirmationTracker() {
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    await checkSubmittedBatches();
+  } catch (error) {
+    console.error('Confirmation tracker error:', error.message);
+  } finally {
+    running = false;
+  }
+}
+
+// Start checking submitted payouts on an interval
+function startConfirmationTracker() {
+  if (trackerTimer) {
+    return;
+  }
+  const { checkIntervalMs } = getConfirmationSettings();
+  trackerTimer = setInterval(runConfirmationTracker, checkIntervalMs);
+  console.log(`🔎 Confirmation tracker started (every ${checkIntervalMs / 1000}s)`);
+}
+
+function stopConfirmationTracker() {
+  clearInterval(trackerTimer);
+  trackerTimer = null;
+}
+
+module.exports = {
+  EXPIRY_GRACE_MS,
+  getConfirmationSettings,
+  checkSubmittedBatches,
+  runConfirmationTracker,
+  startConfirmationTracker,
+  stopConfirmationTracker
+};
@@ -0,0 +1,242 @@
+const { config } = require('../../config');
+const deposits = require('../../database/deposits');
+const { getChainProvider } = require('../providers');
+const { getDepositPurposes, parsePurposeMetadata } = require('./deposit-purposes');
+const { grantDonationBoost, revokeDonationBoost } = require('./springs-boost');
+const { creditVaultDeposit, reverseVaultDeposit } = require('./vault');
+
+/**
+ * On-chain deposit indexer
+ * Follows the destination address of every configured deposit purpose through
+ * the chain provider, so ADA sent straight from a wallet is logged in
+ * deposit_history just like deposits made through /api/submit. Each deposit
+ * is upserted by tx hash and counted in faucet_stats.total_ada_deposited.
+ *
+ * A block cursor records how far the indexer has got. Every run pages back
+ * through each address's history to `rollbackDepth` blocks below it, so a busy
+ * address doesn't lose deposits between runs. Deposits in that range that are
+ * no longer on chain are marked rolled back and taken out of the stats, and
+ * transactions that landed in a different block are moved there.
+ *
+ * Springs donations found here grant the donor's boost (see springs-boost.js)
+ * and vault deposits are credited to the depositor (see vault.js); both are
+ * undone again if the deposit is rolled back. A payment without a CIP-20 tag
+ * to an address that several purposes share is logged as 'unassigned' for an
+ * operator to look into, and neither boosts nor credits anyone.
+ */
+
+const CURSOR_NAME = 'deposits';
+
+// Purpose recorded for payments that can't be matched to a single purpose
+const UNASSIGNED_PURPOSE = 'unassigned';
+
+let indexerTimer = null;
+let running = false;
+
+// Deposits the provider couldn't find on the previous run. One miss may just be
+// a provider that hasn't caught up, so a deposit is only rolled back when it is
+// missing twice in a row.
+const missingLastRun = new Set();
+
+function getIndexerSettings() {
+  const settings = (config.deposits && config.deposits.indexer) || {};
+  return {
+    enabled: settings.enabled !== false,
+    intervalMs: (settings.intervalSeconds || 60) * 1000,
+    rollbackDepth: settings.rollbackDepth || 30,
+    maxTransactions: settings.maxTransactions || 100
+  };
+}
+
+/**
+ * Read the deposit a transaction makes to one of the watched addresses
+ * @param {Object} tx - Provider transaction, with metadata
+ * @param {Array} purposes - From getDepositPurposes
+ * @returns {Object|null} Deposit, or null if the tx isn't one
+ */
+function readDeposit(tx, purposes) {
+  const watched = new Set(purposes.map(purpose => purpose.address));
+
+  // Spending from a watched address (payouts, vault withdrawals) is not a deposit
+  if (tx.inputs.some(input => watched.has(input.address))) {
+    return null;
+  }
+
+  const paid = purposes.filter(purpose => tx.outputs.some(output => output.address === purpose.address));
+  if (paid.length === 0) {
+    return null;
+  }
+
+  // Purposes can share an address; the CIP-20 message says which one was meant.
+  // Without it, only an address used by a single purpose identifies the purpose.
+  const tagged = parsePurposeMetadata(tx.metadata);
+  const sharesAddress = candidate => purposes.some(other => other.id !== candidate.id && other.address === candidate.address);
+  const purpose = paid.find(candidate => candidate.id === tagged) ||
+    paid.find(candidate => !sharesAddress(candidate));
+  const recipient = purpose ? purpose.address : paid[0].address;
+
+  return {
+    txHash: tx.txHash,
+    senderAddress: tx.inputs[0] ? tx.inputs[0].address : null,
+    recipient,
+    purpose: purpose ? purpose.id : UNASSIGNED_PURPOSE,
+    lovelace: tx.outputs
+      .filter(output => output.address === recipient)
+      .reduce((sum, output) => sum + output.lovelace, 0n),
+    fee: tx.fee,
+    blockHeight: tx.blockHeight,
+    blockTime: tx.blockTime
+  };
+}
+
+/**
+ * Read an address's transactions above a block, newest first, a page at a time
+ * @param {Object} provider - Chain provider
+ * @param {string} address - Watched address
+ * @param {number} from - Block height to stop at
+ * @param {number} pageSize - Transactions per request
+ * @returns {Array} [{ txHash, blockHeight, blockTime }]
+ */
+async function readTransactionsAbove(provider, address, from, pageSize) {
+  const recent = [];
+  // Providers may return fewer rows than asked for, so step by what came back
+  for (let offset = 0; ; ) {
+    const page = await provider.getAddressTransactions(address, { limit: pageSize, order: 'desc', offset });
+    recent.push(...page.filter(tx => tx.blockHeight && tx.blockHeight > from));
+    if (page.length === 0 || page.some(tx => tx.blockHeight && tx.blockHeight <= from)) {
+      return recent;
+    }
+    offset += page.length;
+  }
+}
+
+/**
+ * Index deposits once, from a little below the cursor up to the chain tip
+ * @returns {Object} { indexed, rolledBack, cursor }
+ */
+async function indexDeposits() {
+  const settings = getIndexerSettings();
+  const purposes = getDepositPurposes();
+  const summary = { indexed: 0, rolledBack: 0, cursor: null };
+  if (purposes.length === 0) {
+    return summary;
+  }
+
+  const provider = getChainProvider();
+  const tip = await provider.getTip();
+
+  let cursor = await deposits.getIndexerCursor(CURSOR_NAME);
+  if (cursor !== null && cursor > tip.blockHeight) {
+    console.warn(`⚠️ Chain tip ${tip.blockHeight} is below the deposit cursor ${cursor}, rewinding`);
+    cursor = tip.blockHeight;
+  }
+  const from = cursor === null ? 0 : Math.max(0, cursor - settings.rollbackDepth);
+
+  // Deposits that a rollback could have undone since the last run
+  const unsettled = await deposits.getIndexedDepositsAbove(from);
+  if (unsettled.length > 0) {
+    const stillOnChain = await provider.getTransactions(unsettled.map(deposit => deposit.txHash));
+    const found = new Set(stillOnChain.filter(tx => tx.blockHeight).map(tx => tx.txHash));
+    // Only a tip past the deposit's block says anything about the block being gone
+    const missing = unsettled.filter(deposit => !found.has(deposit.txHash) && tip.blockHeight > deposit.blockHeight);
+    const missingBefore = new Set(missingLastRun);
+    missingLastRun.clear();
+    for (const deposit of missing) {
+      if (!missingBefore.has(deposit.txHash)) {
+        missingLastRun.add(deposit.txHash);
+        console.warn(`⚠️ Deposit ${deposit.txHash} from block ${deposit.blockHeight} was not found, checking again next run`);
+      } else if (await deposits.rollBackDeposit(deposit.txHash)) {
+        summary.rolledBack++;
+        console.warn(`↩️ Deposit ${deposit.txHash} was rolled back from block ${deposit.blockHeight}`);
+        await revokeDonationBoost(deposit.txHash);
+        await reverseVaultDeposit(deposit.txHash);
+      }
+    }
+  } else {
+    missingLastRun.clear();
+  }
+
+  const txHashes = new Set();
+  for (const address of new Set(purposes.map(purpose => purpose.address))) {
+    const recent = await readTransactionsAbove(provider, address, from, settings.maxTransactions);
+    recent.forEach(tx => txHashes.add(tx.txHash));
+  }
+
+  // Fetched in pages too, so a long backlog doesn't become one huge request
+  const hashes = [...txHashes];
+  const txs = [];
+  for (let i = 0; i < hashes.length; i += settings.maxTransactions) {
+    txs.push(...await provider.getTransactions(hashes.slice(i, i + settings.maxTransactions), { metadata: true }));
+  }
+  txs.sort((a, b) => a.blockHeight - b.blockHeight);
+  for (const tx of txs) {
+    const deposit = tx.blockHeight ? readDeposit(tx, purposes) : null;
+    if (deposit && await deposits.upsertIndexedDeposit(deposit)) {
+      summary.indexed++;
+      if (deposit.purpose === UNASSIGNED_PURPOSE) {
+        console.warn(`⚠️ Untagged payment of ${deposit.lovelace} lovelace to shared address ${deposit.recipient.substring(0, 20)}... needs review (${deposit.txHash})`);
+        continue;
+      }
+      console.log(`📥 ${deposit.purpose} of ${deposit.lovelace} lovelace in block ${deposit.blockHeight} (${deposit.txHash})`);
+      await applyDeposit(deposit);
+    }
+  }
+
+  await deposits.setIndexerCursor(CURSOR_NAME, tip.blockHeight);
+  summary.cursor = tip.blockHeight;
+  return summary;
+}
+
+// A boost or vault credit that fails shouldn't stop the deposit being indexed
+async function applyDeposit(deposit) {
+  try {
+    await grantDonationBoost(deposit);
+  } catch (error) {
+    console.error(`Could not grant the Springs boost for ${deposit.txHash}:`, error.message);
+  }
+  try {
+    await creditVaultDeposit(deposit);
+  } catch (error) {
+    console.error(`Could not credit vault deposit ${deposit.txHash}:`, error.message);
+  }
+}
+
+async function runDepositIndexer() {
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    await indexDeposits();
+  } catch (error) {
+    console.error('Deposit indexer error:', error.message);
+  } finally {
+    running = false;
+  }
+}
+
+// Start indexing deposits on an interval
+function startDepositIndexer() {
+  const { enabled, intervalMs } = getIndexerSettings();
+  if (indexerTimer || !enabled) {
+    return;
+  }
+  indexerTimer = setInterval(runDepositIndexer, intervalMs);
+  runDepositIndexer();
+  console.log(`📥 Deposit indexer started (every ${intervalMs / 1000}s)`);
+}
+
+function stopDepositIndexer() {
+  clearInterval(indexerTimer);
+  indexerTimer = null;
+}
+
+module.exports = {
+  UNASSIGNED_PURPOSE,
+  getIndexerSettings,
+  readDeposit,
+  indexDeposits,
+  runDepositIndexer,
+  startDepositIndexer,
+  stopDepositIndexer
+};
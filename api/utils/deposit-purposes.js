@@ -0,0 +1,113 @@
+const { config } = require('../../config');
+
+/**
+ * Deposit purposes
+ * The deposit server only builds payments for the purposes listed in
+ * `deposits.purposes`, each to its own destination and within its configured
+ * lovelace range. Every payment carries a CIP-20 message naming its purpose
+ * so indexers can tell deposits, Springs donations and vault deposits apart
+ * without guessing from the destination address.
+ */
+
+// CIP-20 transaction message metadata label
+const CIP20_LABEL = 674;
+
+// First message line of every payment built for a purpose, e.g. "hoskdog:springs"
+const MESSAGE_PREFIX = 'hoskdog:';
+
+// Where each purpose pays to, and how it is described to the wallet owner
+const PURPOSES = {
+  deposit: {
+    description: 'HOSKDOG deposit',
+    destination: settings => settings.deposits?.address
+  },
+  springs: {
+    description: 'HOSKDOG Springs donation',
+    destination: settings => settings.springs?.donationAddress
+  },
+  vault: {
+    description: 'HOSKDOG vault deposit',
+    destination: settings => settings.vault?.depositAddress
+  }
+};
+
+const formatAda = lovelace => (Number(lovelace) / 1000000).toLocaleString();
+
+/**
+ * Purposes the deposit server accepts right now
+ * @returns {Array} [{ id, description, address, minLovelace, maxLovelace }]
+ */
+function getDepositPurposes() {
+  const configured = config.deposits?.purposes || {};
+  return Object.entries(configured)
+    .filter(([id]) => Object.hasOwn(PURPOSES, id) && PURPOSES[id].destination(config))
+    .map(([id, limits]) => ({
+      id,
+      description: PURPOSES[id].description,
+      address: PURPOSES[id].destination(config),
+      minLovelace: BigInt(limits.minLovelace),
+      maxLovelace: limits.maxLovelace === undefined ? null : BigInt(limits.maxLovelace)
+    }));
+}
+
+/**
+ * Check a requested payment against its purpose
+ * @param {string} purposeId - deposit, springs or vault
+ * @param {BigInt} lovelace - Amount to send
+ * @returns {Object} { valid, purpose } or { valid: false, error }
+ */
+function resolveDepositPurpose(purposeId, lovelace) {
+  const purposes = getDepositPurposes();
+  const purpose = purposes.find(candidate => candidate.id === purposeId);
+  if (!purpose) {
+    return {
+      valid: false,
+      error: `purpose must be one of ${purposes.map(candidate => candidate.id).join(', ')}`
+    };
+  }
+
+  if (lovelace < purpose.minLovelace) {
+    return {
+      valid: false,
+      error: `Minimum ${purpose.description} is ${formatAda(purpose.minLovelace)} ADA (${purpose.minLovelace} lovelace)`
+    };
+  }
+  if (purpose.maxLovelace !== null && lovelace > purpose.maxLovelace) {
+    return {
+      valid: false,
+      error: `Maximum ${purpose.description} is ${formatAda(purpose.maxLovelace)} ADA (${purpose.maxLovelace} lovelace)`
+    };
+  }
+
+  return { valid: true, purpose };
+}
+
+/**
+ * CIP-20 message for a payment, to attach under CIP20_LABEL
+ * @param {string} purposeId
+ * @returns {Object} { msg: [tag, description] }
+ */
+function purposeMetadata(purposeId) {
+  return { msg: [`${MESSAGE_PREFIX}${purposeId}`, PURPOSES[purposeId].description] };
+}
+
+/**
+ * Read the purpose back from a transaction's metadata
+ * @param {Object} metadata - Transaction metadata keyed by label
+ * @returns {string|null} Purpose ID, or null if the tx wasn't built for one
+ */
+function parsePurposeMetadata(metadata) {
+  const message = metadata?.[CIP20_LABEL] ?? metadata?.[String(CIP20_LABEL)];
+  const lines = Array.isArray(message?.msg) ? message.msg : [];
+  const tag = lines.find(line => typeof line === 'string' && line.startsWith(MESSAGE_PREFIX));
+  const purposeId = tag ? tag.slice(MESSAGE_PREFIX.length) : null;
+  return purposeId && Object.hasOwn(PURPOSES, purposeId) ? purposeId : null;
+}
+
+module.exports = {
+  CIP20_LABEL,
+  getDepositPurposes,
+  resolveDepositPurpose,
+  purposeMetadata,
+  parsePurposeMetadata
+};
@@ -0,0 +1,203 @@
+const { config } = require('../../config');
+const { getChainProvider } = require('../providers');
+
+/**
+ * Declarative faucet eligibility rules
+ * Tiers in config.faucet.tiers are evaluated in order and the first tier whose
+ * conditions hold is the one the wallet qualifies for. Each tier carries its
+ * own reward, deposit and cooldown.
+ *
+ * Tier shape:
+ *   { id, name, description, reward, deposit, cooldownHours,
+ *     match: 'all' | 'any', conditions: [{ type, ... }] }
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Lazily loaded chain data for one address. Each lookup hits the API at most
+ * once no matter how many conditions need it.
+ * @param {string} address - Cardano address
+ * @returns {Object} Memoized data loaders
+ */
+function createChainContext(address) {
+  const cache = {};
+  const once = (key, loader) => {
+    if (!cache[key]) {
+      cache[key] = loader();
+    }
+    return cache[key];
+  };
+
+  const provider = getChainProvider();
+  const context = {
+    address,
+    assets: () => once('assets', () => provider.getAddressAssets(address)),
+    addressInfo: () => once('addressInfo', () => provider.getAddressInfo(address)),
+    firstTxTime: () => once('firstTxTime', async () => {
+      const [firstTx] = await provider.getAddressTransactions(address, { limit: 1, order: 'asc' });
+      return firstTx?.blockTime || null;
+    }),
+    recentTransactions: () => once('recentTransactions', async () => {
+      const txs = await provider.getAddressTransactions(address, { limit: 50 });
+      return provider.getTransactions(txs.map(tx => tx.txHash));
+    }),
+    delegatedPool: () => once('delegatedPool', async () => {
+      const { stakeAddress } = await context.addressInfo();
+      return stakeAddress ? provider.getDelegatedPool(stakeAddress) : null;
+    })
+  };
+  return context;
+}
+
+// Condition evaluators, keyed by condition type
+const CONDITIONS = {
+  // { type: 'token', policyId, assetName?, minAmount? }
+  // assetName is hex; leave it out to accept any asset under the policy
+  token: async (condition, context) => {
+    const assets = await context.assets();
+    const held = assets
+      .filter(asset =>
+        asset.policyId === condition.policyId &&
+        (condition.assetName === undefined || asset.assetName === condition.assetName)
+      )
+      .reduce((sum, asset) => sum + asset.quantity, 0n);
+    return held >= BigInt(condition.minAmount || 1);
+  },
+
+  // { type: 'minAda', lovelace }
+  minAda: async (condition, context) => {
+    const { lovelace } = await context.addressInfo();
+    return lovelace >= BigInt(condition.lovelace);
+  },
+
+  // { type: 'walletAge', minDays }
+  walletAge: async (condition, context) => {
+    const firstTxTime = await context.firstTxTime();
+    return !!firstTxTime && Date.now() - firstTxTime * 1000 >= condition.minDays * DAY_MS;
+  },
+
+  // { type: 'delegation', poolId } - poolId may be a single pool or a list
+  delegation: async (condition, context) => {
+    const pool = await context.delegatedPool();
+    return !!pool && [].concat(condition.poolId).includes(pool);
+  },
+
+  // { type: 'springsDonation', minLovelace? } - defaults to springs.minDonation
+  springsDonation: async (condition, context) => {
+    const donationAddress = config.springs.donationAddress;
+    const minLovelace = BigInt(condition.minLovelace || config.springs.minDonation);
+    const txs = await context.recentTransactions();
+
+    return txs.some(tx => {
+      const sentByWallet = tx.inputs.some(input => input.address === context.address);
+      const donated = tx.outputs
+        .filter(output => output.address === donationAddress)
+        .reduce((sum, output) => sum + output.lovelace, 0n);
+      return sentByWallet && donated >= minLovelace;
+    });
+  }
+};
+
+/**
+ * Evaluate a single condition. Data lookups that fail count as not met.
+ * @param {Object} condition - Condition from a tier definition
+ * @param {Object} context - Chain context from createChainContext
+ * @returns {boolean} Whether the condition holds
+ */
+async function evaluateCondition(condition, context) {
+  const evaluator = CONDITIONS[condition.type];
+  if (!evaluator) {
+    throw new Error(`Unknown eligibility condition type: ${condition.type}`);
+  }
+
+  try {
+    return await evaluator(condition, context);
+  } catch (error) {
+    console.error(`Error evaluating ${condition.type} condition for ${context.address}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Evaluate a tier's conditions in order, stopping as soon as the outcome is known
+ * @param {Object} tier - Tier definition
+ * @param {Object} context - Chain context
+ * @returns {Object} { matched, conditions: [{ type, passed }] }
+ */
+async function evaluateTier(tier, context) {
+  const matchAny = tier.match === 'any';
+  const results = [];
+
+  for (const condition of tier.conditions || []) {
+    const passed = await evaluateCondition(condition, context);
+    results.push({ type: condition.type, passed });
+
+    if (matchAny && passed) {
+      return { matched: true, conditions: results };
+    }
+    if (!matchAny && !passed) {
+      return { matched: false, conditions: results };
+    }
+  }
+
+  // 'all' over an empty list matches; 'any' over an empty list doesn't
+  return { matched: !matchAny, conditions: results };
+}
+
+/**
+ * Find the first configured tier the address qualifies for
+ * @param {string} address - Cardano address
+ * @returns {Object} { eligible, tier, conditions, reason }
+ */
+async function evaluateEligibility(address) {
+  const tiers = getTiers();
+  const context = createChainContext(address);
+
+  for (const tier of tiers) {
+    const result = await evaluateTier(tier, context);
+    if (result.matched) {
+      console.log(`Address ${address} matched faucet tier ${tier.id}`);
+      return {
+        eligible: true,
+        tier,
+        conditions: result.conditions,
+        reason: tier.description
+      };
+    }
+  }
+
+  return {
+    eligible: false,
+    tier: null,
+    conditions: [],
+    reason: `Requirements not met: ${tiers.map(t => t.description).join(' OR ')}`
+  };
+}
+
+// Configured tiers, in evaluation order
+function getTiers() {
+  return config.faucet.tiers || [];
+}
+
+// Look up a tier by ID
+function getTier(id) {
+  return getTiers().find(tier => tier.id === id) || null;
+}
+
+// Cooldown between claims for a tier, in milliseconds
+function getTierCooldownMs(tier) {
+  return (tier.cooldownHours ?? 24) * HOUR_MS;
+}
+
+module.exports = {
+  CONDITIONS,
+  createChainContext,
+  evaluateCondition,
+  evaluateTier,
+  evaluateEligibility,
+  getTiers,
+  getTier,
+  getTierCooldownMs
+};
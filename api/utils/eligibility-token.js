@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+
+/**
+ * Short-lived signed eligibility tokens.
+ * /api/check-eligibility hands one out when a wallet qualifies for a tier and
+ * /api/slurp only pays the tier named in a valid token, so a client can't
+ * pick its own tier by editing the request.
+ *
+ * Format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256(payload))
+ */
+
+const ELIGIBILITY_TOKEN_TTL_SECONDS = 600;
+
+function getSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return secret;
+}
+
+function sign(encodedPayload) {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(encodedPayload)
+    .digest('base64url');
+}
+
+/**
+ * Issue a token binding a tier to an address and claim key
+ * @param {Object} claim - { address, claimKey, tier }
+ * @returns {Object} { token, expiresAt }
+ */
+function issueEligibilityToken({ address, claimKey, tier }) {
+  const exp = Math.floor(Date.now() / 1000) + ELIGIBILITY_TOKEN_TTL_SECONDS;
+  const encodedPayload = Buffer.from(JSON.stringify({ address, claimKey, tier, exp })).toString('base64url');
+
+  return {
+    token: `${encodedPayload}.${sign(encodedPayload)}`,
+    expiresAt: new Date(exp * 1000).toISOString()
+  };
+}
+
+/**
+ * Verify a token's signature and expiry
+ * @param {string} token - Token from issueEligibilityToken
+ * @returns {Object} { valid, claim: { address, claimKey, tier } } or { valid: false, error }
+ */
+function verifyEligibilityToken(token) {
+  if (!token || typeof token !== 'string' || !token.includes('.')) {
+    return { valid: false, error: 'Malformed eligibility token' };
+  }
+
+  const [encodedPayload, signature] = token.split('.');
+  const expected = Buffer.from(sign(encodedPayload));
+  const actual = Buffer.from(signature || '');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { valid: false, error: 'Invalid eligibility token signature' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, error: 'Malformed eligibility token' };
+  }
+
+  if (!payload.exp || payload.exp * 1000 < Date.now()) {
+    return { valid: false, error: 'Eligibility token expired. Please check eligibility again.' };
+  }
+
+  return {
+    valid: true,
+    claim: {
+      address: payload.address,
+      claimKey: payload.claimKey,
+      tier: payload.tier
+    }
+  };
+}
+
+module.exports = {
+  ELIGIBILITY_TOKEN_TTL_SECONDS,
+  issueEligibilityToken,
+  verifyEligibilityToken
+};
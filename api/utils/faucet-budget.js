@@ -0,0 +1,212 @@
+const { config } = require('../../config');
+const faucetStats = require('../../database/faucet-stats');
+const { getFaucetBalance } = require('./cardano-tx');
+
+/**
+ * Faucet budgets and reserve
+ * Caps how much HKDG the faucet commits per clock hour and per day, overall
+ * and per tier (`faucet.budgets`), so a botted faucet can't be drained in one
+ * go. Usage is tracked in faucet_stats when claims are queued; the check runs
+ * inside claims.reserveClaim so concurrent slurps can't overrun a budget.
+ *
+ * Separately, `faucet.reserve.autoPause` pauses new slurps while the faucet
+ * wallet holds less than `minHkdg` HKDG or `minAda` ADA, and resumes them once
+ * it is topped up again. Admins can also pause the faucet by hand through the
+ * admin API; a manual pause wins over the reserve check until it is lifted.
+ */
+
+const DEFAULT_RESERVE = {
+  autoPause: false,
+  minHkdg: 0,
+  minAda: 0,
+  checkIntervalSeconds: 60
+};
+
+const WINDOW_MS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000
+};
+
+let reserveState = { paused: false, reason: null, since: null, checkedAt: 0 };
+
+// Pause set through the admin API: { reason, since } or null
+let manualPause = null;
+
+/**
+ * Budget limits for claims.reserveClaim
+ * @returns {Object|null} { hourlyHkdg, dailyHkdg, tiers }, or null when budgets are off
+ */
+function getBudgetLimits() {
+  const budgets = config.faucet.budgets;
+  if (!budgets || budgets.enabled === false) {
+    return null;
+  }
+  return {
+    hourlyHkdg: budgets.hourlyHkdg || 0,
+    dailyHkdg: budgets.dailyHkdg || 0,
+    tiers: budgets.tiers || {}
+  };
+}
+
+function getReserveSettings() {
+  return { ...DEFAULT_RESERVE, ...(config.faucet.reserve || {}) };
+}
+
+// Start of the next budget window, in the server's local time like the database session
+function windowResetsAt(window, now = new Date()) {
+  const next = new Date(now);
+  if (window === 'hourly') {
+    next.setMinutes(0, 0, 0);
+  } else {
+    next.setHours(0, 0, 0, 0);
+  }
+  return new Date(next.getTime() + WINDOW_MS[window]);
+}
+
+/**
+ * Explain a budget found exhausted by claims.reserveClaim
+ * @param {Object} exhausted - { window, tier, limit, used }
+ * @returns {Object} { error, details, retryAfter } with retryAfter in seconds
+ */
+function describeExhaustedBudget(exhausted) {
+  const scope = exhausted.tier ? `${exhausted.tier} tier's ${exhausted.window}` : exhausted.window;
+  const resetsAt = windowResetsAt(exhausted.window);
+  return {
+    error: 'Faucet budget exhausted',
+    details: `The faucet's ${scope} HKDG budget has been handed out. It resets at ${resetsAt.toISOString()}.`,
+    retryAfter: Math.max(1, Math.ceil((resetsAt.getTime() - Date.now()) / 1000))
+  };
+}
+
+function describeWindow(window, limit, used) {
+  return {
+    limit: limit || null,
+    used,
+    remaining: limit ? Math.max(0, limit - used) : null,
+    resetsAt: windowResetsAt(window).toISOString()
+  };
+}
+
+/**
+ * Remaining budget for /api/faucet-status. Unlimited windows report null limits.
+ * @returns {Object} { enabled, hourly, daily, tiers: { <id>: { hourly, daily } } }
+ */
+async function getBudgetStatus() {
+  const limits = getBudgetLimits();
+  if (!limits) {
+    return { enabled: false };
+  }
+
+  const usage = await faucetStats.getBudgetUsage();
+  const tiers = {};
+  for (const tier of config.faucet.tiers || []) {
+    const tierLimits = limits.tiers[tier.id] || {};
+    const tierUsage = usage.tiers[tier.id] || { hourly: 0, daily: 0 };
+    tiers[tier.id] = {
+      hourly: describeWindow('hourly', tierLimits.hourlyHkdg, tierUsage.hourly),
+      daily: describeWindow('daily', tierLimits.dailyHkdg, tierUsage.daily)
+    };
+  }
+
+  return {
+    enabled: true,
+    hourly: describeWindow('hourly', limits.hourlyHkdg, usage.hourly),
+    daily: describeWindow('daily', limits.dailyHkdg, usage.daily),
+    tiers
+  };
+}
+
+/**
+ * Whether new slurps are paused and why
+ * @returns {Object} { paused, reason, since, pausedBy: 'admin' | 'reserve' | null }
+ */
+function getReserveStatus() {
+  if (manualPause) {
+    return {
+      paused: true,
+      reason: manualPause.reason,
+      since: manualPause.since.toISOString(),
+      pausedBy: 'admin'
+    };
+  }
+  return {
+    paused: reserveState.paused,
+    reason: reserveState.reason,
+    since: reserveState.since ? reserveState.since.toISOString() : null,
+    pausedBy: reserveState.paused ? 'reserve' : null
+  };
+}
+
+/**
+ * Apply the admin pause control
+ * @param {Object|null} pause - { paused, reason, since } as stored in faucet_controls
+ */
+function setManualPause(pause) {
+  manualPause = pause && pause.paused
+    ? { reason: pause.reason || 'Paused by an admin', since: pause.since ? new Date(pause.since) : new Date() }
+    : null;
+}
+
+/**
+ * Re-evaluate the automatic pause from a faucet balance
+ * @param {Object} balance - Result of getFaucetBalance ({ ada, hkdg })
+ * @returns {Object} Result of getReserveStatus
+ */
+function updateReserveStatus(balance) {
+  const settings = getReserveSettings();
+
+  const shortfalls = [];
+  if (balance.hkdg < settings.minHkdg) {
+    shortfalls.push(`HKDG balance ${balance.hkdg} is below the ${settings.minHkdg} reserve`);
+  }
+  if (balance.ada < settings.minAda) {
+    shortfalls.push(`ADA balance ${balance.ada} is below the ${settings.minAda} ADA reserve`);
+  }
+  const paused = settings.autoPause && shortfalls.length > 0;
+
+  if (paused && !reserveState.paused) {
+    console.warn(`⏸️  Faucet paused: ${shortfalls.join('; ')}`);
+  } else if (!paused && reserveState.paused) {
+    console.log('▶️  Faucet resumed: wallet balance is above the reserve again');
+  }
+
+  reserveState = {
+    paused,
+    reason: paused ? shortfalls.join('; ') : null,
+    since: paused ? reserveState.since || new Date() : null,
+    checkedAt: Date.now()
+  };
+  return getReserveStatus();
+}
+
+/**
+ * Whether new slurps are paused, refreshing the balance at most every
+ * `checkIntervalSeconds`. If the balance can't be fetched the last known state stands.
+ * @returns {Object} Result of getReserveStatus
+ */
+async function checkReserve() {
+  const settings = getReserveSettings();
+  if (!settings.autoPause) {
+    return updateReserveStatus({ hkdg: Infinity, ada: Infinity });
+  }
+
+  if (Date.now() - reserveState.checkedAt >= settings.checkIntervalSeconds * 1000) {
+    try {
+      updateReserveStatus(await getFaucetBalance());
+    } catch (error) {
+      console.error('Error checking faucet reserve:', error.message);
+    }
+  }
+  return getReserveStatus();
+}
+
+module.exports = {
+  getBudgetLimits,
+  getReserveSettings,
+  describeExhaustedBudget,
+  getBudgetStatus,
+  getReserveStatus,
+  setManualPause,
+  updateReserveStatus,
+  checkReserve
+};
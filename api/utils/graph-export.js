@@ -0,0 +1,197 @@
+/**
+ * Relationship graph export
+ * Writes the graph from generateNetworkGraph in formats graph tools open
+ * directly: GraphML (Cytoscape, yEd), GEXF (Gephi), DOT (Graphviz) and CSV
+ * node or edge tables (spreadsheets, Gephi's import). Every format carries the
+ * same node attributes (type, depth, addresses, strength, cluster, risk) and
+ * edge attributes (type, weight, lovelace). Exporters are generators yielding
+ * one chunk per node or edge, so large graphs can be streamed.
+ */
+
+const NODE_ATTRIBUTES = [
+  { name: 'label', type: 'string' },
+  { name: 'type', type: 'string' },
+  { name: 'depth', type: 'int' },
+  { name: 'addresses', type: 'int' },
+  { name: 'strength', type: 'int' },
+  { name: 'cluster', type: 'string' },
+  { name: 'risk', type: 'string' }
+];
+
+const EDGE_ATTRIBUTES = [
+  { name: 'type', type: 'string' },
+  { name: 'weight', type: 'int' },
+  { name: 'lovelace', type: 'long' }
+];
+
+const FORMATS = {
+  graphml: { contentType: 'application/graphml+xml', extension: 'graphml', write: writeGraphML },
+  gexf: { contentType: 'application/gexf+xml', extension: 'gexf', write: writeGEXF },
+  dot: { contentType: 'text/vnd.graphviz', extension: 'dot', write: writeDOT },
+  csv: { contentType: 'text/csv', extension: 'csv', write: writeCSV }
+};
+
+const CSV_TABLES = ['edges', 'nodes'];
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function quoteDot(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function quoteCsv(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Attributes with a value, so missing clusters and risk levels are left out
+// rather than written as empty strings
+function presentAttributes(item, attributes) {
+  return attributes.filter(({ name }) => item[name] !== null && item[name] !== undefined);
+}
+
+function* writeGraphML(graph) {
+  yield '<?xml version="1.0" encoding="UTF-8"?>\n';
+  yield '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">\n';
+  for (const { name, type } of NODE_ATTRIBUTES) {
+    yield `  <key id="n_${name}" for="node" attr.name="${name}" attr.type="${type}"/>\n`;
+  }
+  for (const { name, type } of EDGE_ATTRIBUTES) {
+    yield `  <key id="e_${name}" for="edge" attr.name="${name}" attr.type="${type}"/>\n`;
+  }
+  yield '  <graph id="relationships" edgedefault="directed">\n';
+  for (const node of graph.nodes) {
+    const data = presentAttributes(node, NODE_ATTRIBUTES)
+      .map(({ name }) => `<data key="n_${name}">${escapeXml(node[name])}</data>`);
+    yield `    <node id="${escapeXml(node.id)}">${data.join('')}</node>\n`;
+  }
+  for (const [index, edge] of graph.edges.entries()) {
+    const data = presentAttributes(edge, EDGE_ATTRIBUTES)
+      .map(({ name }) => `<data key="e_${name}">${escapeXml(edge[name])}</data>`);
+    yield `    <edge id="e${index}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">${data.join('')}</edge>\n`;
+  }
+  yield '  </graph>\n';
+  yield '</graphml>\n';
+}
+
+function* writeGEXF(graph) {
+  yield '<?xml version="1.0" encoding="UTF-8"?>\n';
+  yield '<gexf xmlns="http://gexf.net/1.3" version="1.3">\n';
+  yield '  <graph defaultedgetype="directed">\n';
+  // GEXF has its own label and weight, so they aren't declared as attributes
+  yield '    <attributes class="node">\n';
+  for (const { name, type } of NODE_ATTRIBUTES.filter(attribute => attribute.name !== 'label')) {
+    yield `      <attribute id="${name}" title="${name}" type="${type === 'int' ? 'integer' : type}"/>\n`;
+  }
+  yield '    </attributes>\n';
+  yield '    <attributes class="edge">\n';
+  for (const { name, type } of EDGE_ATTRIBUTES.filter(attribute => attribute.name !== 'weight')) {
+    yield `      <attribute id="${name}" title="${name}" type="${type}"/>\n`;
+  }
+  yield '    </attributes>\n';
+
+  yield '    <nodes>\n';
+  for (const node of graph.nodes) {
+    const values = presentAttributes(node, NODE_ATTRIBUTES)
+      .filter(({ name }) => name !== 'label')
+      .map(({ name }) => `<attvalue for="${name}" value="${escapeXml(node[name])}"/>`);
+    yield `      <node id="${escapeXml(node.id)}" label="${escapeXml(node.label)}"><attvalues>${values.join('')}</attvalues></node>\n`;
+  }
+  yield '    </nodes>\n';
+
+  yield '    <edges>\n';
+  for (const [index, edge] of graph.edges.entries()) {
+    const values = presentAttributes(edge, EDGE_ATTRIBUTES)
+      .filter(({ name }) => name !== 'weight')
+      .map(({ name }) => `<attvalue for="${name}" value="${escapeXml(edge[name])}"/>`);
+    yield `      <edge id="e${index}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}" weight="${edge.weight}"><attvalues>${values.join('')}</attvalues></edge>\n`;
+  }
+  yield '    </edges>\n';
+  yield '  </graph>\n';
+  yield '</gexf>\n';
+}
+
+function* writeDOT(graph) {
+  yield 'digraph relationships {\n';
+  for (const node of graph.nodes) {
+    const attributes = presentAttributes(node, NODE_ATTRIBUTES)
+      .map(({ name }) => `${name}=${quoteDot(node[name])}`);
+    yield `  ${quoteDot(node.id)} [${attributes.join(', ')}];\n`;
+  }
+  for (const edge of graph.edges) {
+    const attributes = presentAttributes(edge, EDGE_ATTRIBUTES)
+      .map(({ name }) => `${name}=${quoteDot(edge[name])}`);
+    yield `  ${quoteDot(edge.source)} -> ${quoteDot(edge.target)} [${attributes.join(', ')}];\n`;
+  }
+  yield '}\n';
+}
+
+// Column names follow Gephi's spreadsheet import (Id/Label, Source/Target)
+function* writeCSV(graph, { table = 'edges' } = {}) {
+  if (table === 'nodes') {
+    yield `Id,${NODE_ATTRIBUTES.map(({ name }) => name[0].toUpperCase() + name.slice(1)).join(',')}\r\n`;
+    for (const node of graph.nodes) {
+      yield `${[node.id, ...NODE_ATTRIBUTES.map(({ name }) => node[name])].map(quoteCsv).join(',')}\r\n`;
+    }
+    return;
+  }
+
+  yield `Source,Target,${EDGE_ATTRIBUTES.map(({ name }) => name[0].toUpperCase() + name.slice(1)).join(',')}\r\n`;
+  for (const edge of graph.edges) {
+    yield `${[edge.source, edge.target, ...EDGE_ATTRIBUTES.map(({ name }) => edge[name])].map(quoteCsv).join(',')}\r\n`;
+  }
+}
+
+/**
+ * Validate an export request
+ * @param {string} format - 'json' or one of the export formats
+ * @param {string} table - CSV only: 'edges' (default) or 'nodes'
+ * @returns {Object} { valid, error }
+ */
+function validateExportFormat(format, table) {
+  if (typeof format !== 'string' || (format !== 'json' && !Object.hasOwn(FORMATS, format))) {
+    return { valid: false, error: `format must be one of json, ${Object.keys(FORMATS).join(', ')}` };
+  }
+  if (table !== undefined && (format !== 'csv' || !CSV_TABLES.includes(table))) {
+    return { valid: false, error: `table applies to csv exports and must be one of ${CSV_TABLES.join(', ')}` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Stream a network graph to an HTTP response as a download
+ * @param {Object} res - Express response
+ * @param {Object} graph - From generateNetworkGraph
+ * @param {Object} options - { format, table, filename } (filename without extension)
+ */
+function sendGraphExport(res, graph, { format, table, filename }) {
+  const { contentType, extension, write } = FORMATS[format];
+  const name = format === 'csv' ? `${filename}-${table || 'edges'}` : filename;
+
+  // attachment() guesses the type from the extension, so it goes first
+  res.attachment(`${name}.${extension}`);
+  res.type(contentType);
+  for (const chunk of write(graph, { table })) {
+    res.write(chunk);
+  }
+  res.end();
+}
+
+module.exports = {
+  validateExportFormat,
+  sendGraphExport,
+  writeGraphML,
+  writeGEXF,
+  writeDOT,
+  writeCSV
+};
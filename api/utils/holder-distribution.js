@@ -0,0 +1,250 @@
+const { config } = require('../../config');
+const distribution = require('../../database/distribution');
+const { getChainProvider } = require('../providers');
+
+/**
+ * Token holder distribution
+ * Takes snapshots of who holds the faucet token (tracked as 'hkdg') and any
+ * asset in `distribution.assets`, from the chain provider's holder list.
+ * Holders are aggregated by stake key, so a wallet spread over many addresses
+ * counts once. Each snapshot stores:
+ *   - gini: Gini coefficient of the holdings, 0 (equal) to 1 (one holder)
+ *   - hhi: Herfindahl-Hirschman index, the sum of squared percentage shares (0 to 10000)
+ *   - nakamoto: fewest holders that together hold more than half the supply
+ *   - top10Share, top100Share: percentage held by the largest 10 and 100 holders
+ *   - labelled: holdings of known wallets (`distribution.knownWallets` and the
+ *     project's own addresses) by type
+ * so trends can be charted from the stored series.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let snapshotTimer = null;
+let running = false;
+
+function getDistributionSettings() {
+  const settings = config.distribution || {};
+  return {
+    snapshotIntervalMs: (settings.snapshotIntervalHours || 24) * HOUR_MS,
+    maxHolders: settings.maxHolders || 100000,
+    topHolders: settings.topHolders || 25,
+    assets: settings.assets || [],
+    knownWallets: settings.knownWallets || []
+  };
+}
+
+// The faucet token plus the configured assets, with hex asset names
+function getTrackedAssets() {
+  const { token } = config.faucet;
+  const assets = [];
+  if (token && token.policyId) {
+    assets.push({
+      id: 'hkdg',
+      name: token.assetName,
+      policyId: token.policyId,
+      assetName: Buffer.from(token.assetName || '', 'utf8').toString('hex')
+    });
+  }
+  for (const asset of getDistributionSettings().assets) {
+    assets.push({ id: asset.id, name: asset.name || asset.id, policyId: asset.policyId, assetName: asset.assetName || '' });
+  }
+  return assets;
+}
+
+function getTrackedAsset(id) {
+  return getTrackedAssets().find(asset => asset.id === id) || null;
+}
+
+// Label of every known address or stake address. The project's own
+// addresses are known without configuration.
+function buildLabelIndex(knownWallets) {
+  const index = new Map();
+  const project = [
+    [config.deposits && config.deposits.address, 'HOSKDOG deposits'],
+    [config.springs && config.springs.donationAddress, 'Orange Springs'],
+    [config.vault && config.vault.depositAddress, 'HOSKDOG vault']
+  ];
+  for (const [address, label] of project) {
+    if (address && !index.has(address)) {
+      index.set(address, { label, type: 'project' });
+    }
+  }
+  for (const wallet of knownWallets) {
+    wallet.addresses.forEach(address => index.set(address, { label: wallet.label, type: wallet.type }));
+  }
+  return index;
+}
+
+// Merge holder rows into one holder per stake key (or per address without one)
+function aggregateHolders(rows) {
+  const holders = new Map();
+  for (const row of rows) {
+    const id = row.stakeAddress || row.address;
+    const holder = holders.get(id) || { holder: id, stakeAddress: row.stakeAddress || null, addresses: new Set(), quantity: 0n };
+    holder.addresses.add(row.address);
+    holder.quantity += row.quantity;
+    holders.set(id, holder);
+  }
+  return [...holders.values()].filter(holder => holder.quantity > 0n);
+}
+
+// Percentage of `total`, to four decimal places
+function percentOf(quantity, total) {
+  return total > 0n ? Number((quantity * 1000000n) / total) / 10000 : 0;
+}
+
+function round(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Compute distribution metrics from an asset's holder list
+ * @param {Array} rows - [{ address, stakeAddress, quantity (BigInt) }] from getAssetHolders
+ * @param {Object} settings - From getDistributionSettings
+ * @returns {Object} { holderCount, totalQuantity, gini, hhi, nakamoto, top10Share,
+ *                     top100Share, labelled, topHolders }
+ */
+function computeDistribution(rows, settings = getDistributionSettings()) {
+  const holders = aggregateHolders(rows).sort((a, b) => (a.quantity < b.quantity ? 1 : a.quantity > b.quantity ? -1 : 0));
+  const total = holders.reduce((sum, holder) => sum + holder.quantity, 0n);
+  const n = holders.length;
+  const labels = buildLabelIndex(settings.knownWallets);
+  const labelOf = (holder) => labels.get(holder.holder) ||
+    [...holder.addresses].map(address => labels.get(address)).find(Boolean) || null;
+
+  // Gini over the holdings in ascending order: 2 * sum(i * x_i) / (n * sum(x)) - (n + 1) / n
+  let gini = 0;
+  if (n > 0 && total > 0n) {
+    let weighted = 0;
+    holders.forEach((holder, index) => {
+      weighted += (n - index) * Number(holder.quantity);
+    });
+    gini = (2 * weighted) / (n * Number(total)) - (n + 1) / n;
+  }
+
+  let hhi = 0;
+  let nakamoto = 0;
+  let cumulative = 0n;
+  for (const holder of holders) {
+    hhi += percentOf(holder.quantity, total) ** 2;
+    if (cumulative * 2n <= total) {
+      nakamoto++;
+    }
+    cumulative += holder.quantity;
+  }
+
+  const topShare = (count) => percentOf(holders.slice(0, count).reduce((sum, holder) => sum + holder.quantity, 0n), total);
+
+  const labelled = {};
+  for (const holder of holders) {
+    const label = labelOf(holder);
+    if (label) {
+      const group = labelled[label.type] || { holders: 0, quantity: 0n };
+      group.holders++;
+      group.quantity += holder.quantity;
+      labelled[label.type] = group;
+    }
+  }
+
+  return {
+    holderCount: n,
+    totalQuantity: total.toString(),
+    gini: round(Math.max(0, gini), 6),
+    hhi: round(hhi, 4),
+    nakamoto,
+    top10Share: topShare(10),
+    top100Share: topShare(100),
+    labelled: Object.fromEntries(Object.entries(labelled).map(([type, group]) => [type, {
+      holders: group.holders,
+      quantity: group.quantity.toString(),
+      share: percentOf(group.quantity, total)
+    }])),
+    topHolders: holders.slice(0, settings.topHolders).map(holder => {
+      const label = labelOf(holder);
+      return {
+        holder: holder.holder,
+        addresses: holder.addresses.size,
+        quantity: holder.quantity.toString(),
+        share: percentOf(holder.quantity, total),
+        label: label ? label.label : null,
+        type: label ? label.type : null
+      };
+    })
+  };
+}
+
+/**
+ * Read an asset's holders from the chain and store a snapshot
+ * @param {Object} asset - From getTrackedAssets
+ * @returns {Object} Stored snapshot
+ */
+async function takeSnapshot(asset) {
+  const settings = getDistributionSettings();
+  const rows = await getChainProvider().getAssetHolders(asset.policyId, asset.assetName, { limit: settings.maxHolders + 1 });
+  const truncated = rows.length > settings.maxHolders;
+  if (truncated) {
+    console.warn(`⚠️ ${asset.id} has more than ${settings.maxHolders} holder addresses; the snapshot only covers the first ones`);
+  }
+
+  const snapshot = await distribution.saveSnapshot({
+    assetId: asset.id,
+    policyId: asset.policyId,
+    assetName: asset.assetName,
+    ...computeDistribution(rows.slice(0, settings.maxHolders), settings),
+    truncated
+  });
+  console.log(`📊 ${asset.id} snapshot: ${snapshot.holderCount} holders, Gini ${snapshot.gini}, Nakamoto ${snapshot.nakamoto}`);
+  return snapshot;
+}
+
+// Snapshot every tracked asset whose last snapshot is older than the interval
+async function runDistributionSnapshots() {
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    const { snapshotIntervalMs } = getDistributionSettings();
+    for (const asset of getTrackedAssets()) {
+      try {
+        const latest = await distribution.getLatestSnapshot(asset.id);
+        if (!latest || Date.parse(latest.takenAt) + snapshotIntervalMs <= Date.now()) {
+          await takeSnapshot(asset);
+        }
+      } catch (error) {
+        console.error(`Distribution snapshot error for ${asset.id}:`, error.message);
+      }
+    }
+  } finally {
+    running = false;
+  }
+}
+
+// Check for due snapshots hourly (or more often for shorter intervals), so a
+// restart doesn't take an extra snapshot
+function startDistributionSnapshots() {
+  const { snapshotIntervalMs } = getDistributionSettings();
+  if (snapshotTimer) {
+    return;
+  }
+  snapshotTimer = setInterval(runDistributionSnapshots, Math.min(snapshotIntervalMs, HOUR_MS));
+  runDistributionSnapshots();
+  console.log(`📊 Holder distribution snapshots started (every ${snapshotIntervalMs / HOUR_MS} h)`);
+}
+
+function stopDistributionSnapshots() {
+  clearInterval(snapshotTimer);
+  snapshotTimer = null;
+}
+
+module.exports = {
+  getDistributionSettings,
+  getTrackedAssets,
+  getTrackedAsset,
+  computeDistribution,
+  takeSnapshot,
+  runDistributionSnapshots,
+  startDistributionSnapshots,
+  stopDistributionSnapshots
+};
@@ -0,0 +1,130 @@
+const { config } = require('../../config');
+const claims = require('../../database/claims');
+const { sendHKDGBatch } = require('./cardano-tx');
+
+/**
+ * Faucet payout worker
+ * /api/slurp only queues claims. This worker periodically takes the oldest
+ * queued claims, pays them in a single multi-output transaction and records
+ * which transaction paid which claim. Batches that would exceed the protocol's
+ * max tx size are halved and the remainder goes back in the queue. When every
+ * faucet UTxO is locked by an in-flight transaction the batch goes back in the
+ * queue without using up a payout attempt, and the worker waits for its next run.
+ */
+
+const DEFAULT_BATCH_INTERVAL_SECONDS = 20;
+const DEFAULT_MAX_RECIPIENTS_PER_TX = 40;
+
+let workerTimer = null;
+let running = false;
+
+function getPayoutSettings() {
+  const payouts = config.faucet.payouts || {};
+  return {
+    batchIntervalMs: (payouts.batchIntervalSeconds || DEFAULT_BATCH_INTERVAL_SECONDS) * 1000,
+    maxRecipientsPerTx: payouts.maxRecipientsPerTx || DEFAULT_MAX_RECIPIENTS_PER_TX,
+    maxAttempts: payouts.maxAttempts || claims.MAX_PAYOUT_ATTEMPTS
+  };
+}
+
+/**
+ * Pay one batch of queued claims
+ * @returns {Object|null} { batchId, txHash, claimIds }, { batchId, deferred: true }
+ *                        if no inputs were free, or null if the queue was empty
+ */
+async function processPayoutBatch() {
+  const { maxRecipientsPerTx, maxAttempts } = getPayoutSettings();
+
+  const batch = await claims.takeQueuedClaims(maxRecipientsPerTx);
+  if (!batch) {
+    return null;
+  }
+
+  let batchClaims = batch.claims;
+  let result;
+  try {
+    for (;;) {
+      result = await sendHKDGBatch(
+        batchClaims.map(claim => ({ address: claim.address, amount: claim.amount })),
+        `HOSKDOG Faucet - payout batch ${batch.batchId}`
+      );
+
+      if (result.success || result.inputsUnavailable) {
+        break;
+      }
+      if (!result.tooLarge) {
+        throw new Error('Transaction failed');
+      }
+      if (batchClaims.length === 1) {
+        throw new Error('A single payout exceeds the maximum transaction size');
+      }
+
+      // Keep the first half in this batch and hand the rest to the next one
+      const half = Math.ceil(batchClaims.length / 2);
+      const overflow = batchClaims.slice(half);
+      batchClaims = batchClaims.slice(0, half);
+      await claims.requeueClaims(overflow.map(claim => claim.id));
+      console.log(`✂️  Payout batch ${batch.batchId} too large, requeued ${overflow.length} claims`);
+    }
+  } catch (error) {
+    console.error(`❌ Payout batch ${batch.batchId} failed:`, error.message);
+    await claims.failBatch(batch.batchId, error.message, maxAttempts);
+    throw error;
+  }
+
+  if (result.inputsUnavailable) {
+    await claims.deferBatch(batch.batchId, result.error);
+    console.log(`⏳ Payout batch ${batch.batchId} deferred: ${result.error}`);
+    return { batchId: batch.batchId, deferred: true };
+  }
+
+  // The tokens are on their way now. If recording that fails the claims stay
+  // 'processing', which keeps them out of the queue instead of paying twice.
+  await claims.completeBatch(batch.batchId, result.txHash, result.validUntil);
+  console.log(`✅ Payout batch ${batch.batchId} paid ${batchClaims.length} claims in ${result.txHash}`);
+  return { batchId: batch.batchId, txHash: result.txHash, claimIds: batchClaims.map(claim => claim.id) };
+}
+
+// Drain the queue one batch at a time until it is empty
+async function runPayoutWorker() {
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    for (;;) {
+      const result = await processPayoutBatch();
+      // Stop once the queue is empty, or until locked inputs confirm
+      if (!result || result.deferred) {
+        break;
+      }
+    }
+  } catch (error) {
+    console.error('Payout worker error:', error.message);
+  } finally {
+    running = false;
+  }
+}
+
+// Start draining the payout queue on an interval
+function startPayoutWorker() {
+  if (workerTimer) {
+    return;
+  }
+  const { batchIntervalMs } = getPayoutSettings();
+  workerTimer = setInterval(runPayoutWorker, batchIntervalMs);
+  console.log(`💸 Payout worker started (every ${batchIntervalMs / 1000}s)`);
+}
+
+function stopPayoutWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+module.exports = {
+  getPayoutSettings,
+  processPayoutBatch,
+  runPayoutWorker,
+  startPayoutWorker,
+  stopPayoutWorker
+};
@@ -1,5 +1,6 @@
-const axios = require('axios');
-const config = require('../../config/faucet-settings.json');
+const crypto = require('crypto');
+const { config } = require('../../config');
+const { getChainProvider } = require('../providers');
 
 /**
  * Relationship Intelligence and Beneficial Ownership Analysis
@@ -9,44 +10,48 @@ const config = require('../../config/faucet-settings.json');
 
 /**
  * Analyze relationships between wallet addresses
+ * Walks the transaction graph breadth-first from the address, up to `depth`
+ * hops, within the node and request budgets in the `relationships` settings.
  * @param {string} address - Primary address to analyze
- * @param {number} depth - How many levels deep to analyze (default: 2)
- *                        Note: Current implementation analyzes direct connections only.
- *                        Multi-level traversal is a planned enhancement.
+ * @param {number} depth - How many hops to follow (default: 2, capped at relationships.maxDepth)
+ * @param {Object} options - { onProgress } called as the walk proceeds (see traverseRelationshipGraph)
  * @returns {Object} Relationship graph data
  */
-async function analyzeAddressRelationships(address, depth = 2) {
+async function analyzeAddressRelationships(address, depth = 2, { onProgress } = {}) {
   try {
+    const settings = getRelationshipSettings();
+    const hops = Math.min(Math.max(1, parseInt(depth, 10) || 1), settings.maxDepth);
+
+    const graph = await traverseRelationshipGraph(address, hops, settings, onProgress);
     const relationships = {
       address,
-      depth,
-      connections: [],
-      clusters: [],
-      riskScore: 0,
+      depth: hops,
+      connections: graph.connections,
+      clusters: identifyClusters(graph),
+      riskScore: calculateRiskScore(graph),
+      graph: {
+        nodes: [...graph.nodes.values()].map(node => ({
+          id: node.id,
+          stakeAddress: node.stakeAddress,
+          addresses: [...node.addresses],
+          depth: node.depth,
+          txCount: node.txCount
+        })),
+        edges: [...graph.edges.values()].map(edge => ({
+          ...edge,
+          lovelace: edge.lovelace.toString()
+        }))
+      },
       metadata: {
         analyzedAt: new Date().toISOString(),
-        totalConnections: 0,
-        uniqueAddresses: 0,
-        note: 'Current implementation analyzes direct connections. Multi-level analysis is planned.'
+        totalConnections: graph.connections.length,
+        uniqueAddresses: graph.nodes.size,
+        transactionsAnalyzed: graph.transactionsAnalyzed,
+        requestsUsed: graph.requests,
+        truncated: [...graph.truncated]
       }
     };
 
-    // Get transaction history for the address
-    const txHistory = await getAddressTransactionHistory(address);
-    
-    // Build relationship graph from transactions
-    const graph = buildRelationshipGraph(address, txHistory);
-    relationships.connections = graph.connections;
-    relationships.clusters = identifyClusters(graph);
-    
-    // Calculate risk score based on patterns
-    relationships.riskScore = calculateRiskScore(graph);
-    
-    relationships.metadata.totalConnections = graph.connections.length;
-    relationships.metadata.uniqueAddresses = new Set(
-      graph.connections.map(c => c.target)
-    ).size;
-
     return relationships;
   } catch (error) {
     console.error('Error analyzing address relationships:', error);
@@ -57,9 +62,12 @@ async function analyzeAddressRelationships(address, depth = 2) {
 /**
  * Identify beneficial ownership patterns
  * @param {string[]} addresses - Array of addresses to analyze
+ * @param {Object} options - { analyze, onProgress }: `analyze(address, depth)`
+ *                           replaces analyzeAddressRelationships (e.g. a cached one);
+ *                           onProgress({ done, total }) follows the addresses
  * @returns {Object} Beneficial ownership structure
  */
-async function analyzeBeneficialOwnership(addresses) {
+async function analyzeBeneficialOwnership(addresses, { analyze = analyzeAddressRelationships, onProgress } = {}) {
   try {
     const ownership = {
       addresses,
@@ -76,14 +84,21 @@ async function analyzeBeneficialOwnership(addresses) {
       }
     };
 
-    // Analyze each address
-    const analysisPromises = addresses.map(addr => 
-      analyzeAddressRelationships(addr, 1)
-    );
-    const analyses = await Promise.all(analysisPromises);
+    // Analyze each address, one at a time so the chain provider isn't flooded
+    const analyses = [];
+    for (const address of addresses) {
+      analyses.push(await analyze(address, 1));
+      if (onProgress) {
+        onProgress({ done: analyses.length, total: addresses.length });
+      }
+    }
 
-    // Identify potential beneficial owners (addresses with many connections)
-    ownership.beneficialOwners = identifyBeneficialOwners(analyses);
+    // Merge the addresses into the entities that control them
+    const { transactions, requests, truncated } = await readOwnershipTransactions(addresses);
+    ownership.beneficialOwners = identifyBeneficialOwners(addresses, transactions);
+    ownership.metadata.transactionsAnalyzed = transactions.length;
+    ownership.metadata.requestsUsed = requests;
+    ownership.metadata.truncated = truncated;
     
     // Identify control patterns
     ownership.controlPatterns = identifyControlPatterns(analyses);
@@ -99,97 +114,245 @@ async function analyzeBeneficialOwnership(addresses) {
 }
 
 /**
- * Get transaction history for an address using Koios API
+ * Get transaction history for an address from the configured chain provider
  * @param {string} address - Cardano address
+ * @param {number} limit - Most recent transactions to return
+ * @param {string} order - 'desc' for the latest transactions, 'asc' for the first ones
  * @returns {Array} Transaction history
  */
-async function getAddressTransactionHistory(address) {
+async function getAddressTransactionHistory(address, limit = 50, order = 'desc') {
   try {
-    const koiosUrl = process.env.KOIOS_API || config.api.koiosUrl;
-    const response = await axios.post(`${koiosUrl}/address_txs`, {
-      _addresses: [address]
-    }, {
-      headers: { 'Content-Type': 'application/json' },
-      timeout: 15000
-    });
-
-    if (!response.data || response.data.length === 0) {
-      return [];
-    }
-
     // Limit to recent transactions to avoid overwhelming the system
-    const txs = response.data[0]?.tx_list || [];
-    return txs.slice(0, 50); // Analyze most recent 50 transactions
+    return await getChainProvider().getAddressTransactions(address, { limit, order });
   } catch (error) {
     console.error('Error fetching transaction history:', error.message);
     return [];
   }
 }
 
+function getRelationshipSettings() {
+  const settings = config.relationships || {};
+  return {
+    maxDepth: settings.maxDepth || 3,
+    maxNodes: settings.maxNodes || 200,
+    maxRequests: settings.maxRequests || 40,
+    transactionsPerAddress: settings.transactionsPerAddress || 25,
+    cacheBlocks: settings.cacheBlocks ?? 15,
+    asyncDepth: settings.asyncDepth || 3,
+    asyncAddresses: settings.asyncAddresses || 5,
+    jobConcurrency: settings.jobConcurrency || 1,
+    maxQueuedJobs: settings.maxQueuedJobs || 20,
+    jobTtlMinutes: settings.jobTtlMinutes || 60
+  };
+}
+
+// Node a tx input or output belongs to: its stake address, so every address
+// of one wallet is one node. Addresses without a stake part stand alone.
+function entityOf(io) {
+  return io.stakeAddress || io.address;
+}
+
 /**
- * Build a relationship graph from transaction data
- * @param {string} sourceAddress - Source address
- * @param {Array} transactions - Transaction list
- * @returns {Object} Relationship graph
+ * Walk the transaction graph breadth-first from an address
+ * Each hop reads the latest transactions of the addresses found by the one
+ * before (one request) and their inputs and outputs (one more). Every wallet
+ * spending in a transaction gets an edge to every other wallet it pays, weighted
+ * by the number of transactions and the lovelace paid. Change back to a sender
+ * is not an edge.
+ * @param {string} sourceAddress - Address to start from
+ * @param {number} depth - Hops to follow
+ * @param {Object} settings - From getRelationshipSettings
+ * @param {Function} onProgress - Called before each address is read with
+ *                                { hop, depth, done, inHop, requestsUsed, nodes }
+ * @returns {Object} { source, rootId, nodes, edges, connections, transactionCount,
+ *                     transactionsAnalyzed, firstSeen, lastSeen, requests, truncated }
  */
-function buildRelationshipGraph(sourceAddress, transactions) {
+async function traverseRelationshipGraph(sourceAddress, depth, settings = getRelationshipSettings(), onProgress = null) {
+  const provider = getChainProvider();
   const graph = {
     source: sourceAddress,
+    rootId: sourceAddress,
+    nodes: new Map(),
+    edges: new Map(),
     connections: [],
-    transactionCount: transactions.length,
+    transactionCount: 0,
+    transactionsAnalyzed: 0,
     firstSeen: null,
-    lastSeen: null
+    lastSeen: null,
+    requests: 0,
+    truncated: new Set()
   };
+  const seenTxs = new Set();
+
+  let level = [sourceAddress];
+  for (let hop = 0; hop < depth && level.length > 0; hop++) {
+    const next = [];
+    for (const [index, address] of level.entries()) {
+      if (onProgress) {
+        onProgress({ hop: hop + 1, depth, done: index, inHop: level.length, requestsUsed: graph.requests, nodes: graph.nodes.size });
+      }
+
+      // Reading an address costs two requests: its history and its UTxOs
+      if (graph.requests + 2 > settings.maxRequests) {
+        graph.truncated.add('maxRequests');
+        break;
+      }
 
-  // Note: This is a simplified implementation that tracks transaction patterns
-  // In a full implementation, we would:
-  // 1. Fetch full transaction details for each tx_hash
-  // 2. Extract input/output addresses
-  // 3. Build actual address-to-address relationships
-  // For now, we track transaction frequency as a proxy for activity patterns
+      graph.requests++;
+      const history = await getAddressTransactionHistory(address, settings.transactionsPerAddress);
+      if (hop === 0) {
+        trackActivity(graph, history);
+      }
+
+      const fresh = history.filter(tx => !seenTxs.has(tx.txHash));
+      fresh.forEach(tx => seenTxs.add(tx.txHash));
+      if (fresh.length === 0) {
+        continue;
+      }
 
-  const transactionFrequency = {};
+      graph.requests++;
+      let txs;
+      try {
+        txs = await provider.getTransactionUtxos(fresh.map(tx => tx.txHash));
+      } catch (error) {
+        console.error(`Error fetching transaction UTxOs for ${address.substring(0, 20)}...:`, error.message);
+        continue;
+      }
+
+      const blockTimes = new Map(fresh.map(tx => [tx.txHash, tx.blockTime]));
+      for (const tx of txs) {
+        next.push(...addTransaction(graph, tx, blockTimes.get(tx.txHash), hop + 1, settings));
+      }
+    }
+    if (graph.truncated.has('maxRequests')) {
+      break;
+    }
+    level = next;
+  }
 
-  transactions.forEach(tx => {
-    const txHash = tx.tx_hash;
-    const timestamp = tx.block_time || Date.now();
+  graph.connections = buildConnections(graph);
+  return graph;
+}
 
-    // Track first and last seen
-    if (!graph.firstSeen || timestamp < graph.firstSeen) {
+// First and last activity of the analyzed address
+function trackActivity(graph, history) {
+  graph.transactionCount = history.length;
+  history.forEach(tx => {
+    const timestamp = tx.blockTime || null;
+    if (timestamp && (!graph.firstSeen || timestamp < graph.firstSeen)) {
       graph.firstSeen = timestamp;
     }
-    if (!graph.lastSeen || timestamp > graph.lastSeen) {
+    if (timestamp && (!graph.lastSeen || timestamp > graph.lastSeen)) {
       graph.lastSeen = timestamp;
     }
+  });
+}
 
-    // Track transaction frequency
-    const txKey = txHash; // In production, this would be the connected address
-    if (!transactionFrequency[txKey]) {
-      transactionFrequency[txKey] = {
-        txHash: txHash, // Store full hash
-        count: 1,
-        firstSeen: timestamp,
-        lastSeen: timestamp
-      };
-    } else {
-      transactionFrequency[txKey].count++;
-      transactionFrequency[txKey].lastSeen = timestamp;
+/**
+ * Add a transaction's nodes and edges to the graph
+ * @returns {Array} Addresses of nodes seen for the first time, to expand next
+ */
+function addTransaction(graph, tx, blockTime, depth, settings) {
+  const discovered = [];
+  const participants = new Map();
+
+  const nodeFor = (io) => {
+    const id = entityOf(io);
+    if (!id) {
+      return null;
     }
-  });
+    let node = graph.nodes.get(id);
+    if (!node) {
+      if (graph.nodes.size >= settings.maxNodes) {
+        graph.truncated.add('maxNodes');
+        return null;
+      }
+      const isRoot = io.address === graph.source;
+      node = { id, stakeAddress: io.stakeAddress || null, addresses: new Set(), depth: isRoot ? 0 : depth, txCount: 0 };
+      graph.nodes.set(id, node);
+      if (isRoot) {
+        graph.rootId = id;
+      } else {
+        discovered.push(io.address);
+      }
+    }
+    node.addresses.add(io.address);
+    participants.set(id, node);
+    return node;
+  };
 
-  // Build connections from frequency data
-  Object.entries(transactionFrequency).forEach(([key, data]) => {
-    graph.connections.push({
-      target: data.txHash, // Store full transaction hash
-      targetDisplay: data.txHash.substring(0, 16) + '...', // Separate display field
-      strength: data.count,
-      firstSeen: data.firstSeen,
-      lastSeen: data.lastSeen,
-      type: 'transaction'
-    });
-  });
+  const senders = new Set(tx.inputs.map(nodeFor).filter(Boolean).map(node => node.id));
+  const paid = new Map();
+  for (const output of tx.outputs) {
+    const node = nodeFor(output);
+    if (node && !senders.has(node.id)) {
+      paid.set(node.id, (paid.get(node.id) || 0n) + output.lovelace);
+    }
+  }
 
-  return graph;
+  participants.forEach(node => node.txCount++);
+  graph.transactionsAnalyzed++;
+
+  for (const source of senders) {
+    for (const [target, lovelace] of paid) {
+      const key = `${source}>${target}`;
+      const edge = graph.edges.get(key) || { source, target, count: 0, lovelace: 0n, firstSeen: null, lastSeen: null };
+      edge.count++;
+      edge.lovelace += lovelace;
+      if (blockTime && (!edge.firstSeen || blockTime < edge.firstSeen)) {
+        edge.firstSeen = blockTime;
+      }
+      if (blockTime && (!edge.lastSeen || blockTime > edge.lastSeen)) {
+        edge.lastSeen = blockTime;
+      }
+      graph.edges.set(key, edge);
+    }
+  }
+
+  return discovered;
+}
+
+// Direct counterparties of the analyzed wallet, in both directions
+function buildConnections(graph) {
+  const counterparties = new Map();
+  for (const edge of graph.edges.values()) {
+    const outgoing = edge.source === graph.rootId;
+    if (!outgoing && edge.target !== graph.rootId) {
+      continue;
+    }
+    const target = outgoing ? edge.target : edge.source;
+    const connection = counterparties.get(target) || {
+      target,
+      targetDisplay: target.substring(0, 16) + '...',
+      strength: 0,
+      sentLovelace: 0n,
+      receivedLovelace: 0n,
+      firstSeen: edge.firstSeen,
+      lastSeen: edge.lastSeen,
+      type: 'counterparty'
+    };
+    connection.strength += edge.count;
+    if (outgoing) {
+      connection.sentLovelace += edge.lovelace;
+    } else {
+      connection.receivedLovelace += edge.lovelace;
+    }
+    if (edge.firstSeen && (!connection.firstSeen || edge.firstSeen < connection.firstSeen)) {
+      connection.firstSeen = edge.firstSeen;
+    }
+    if (edge.lastSeen && (!connection.lastSeen || edge.lastSeen > connection.lastSeen)) {
+      connection.lastSeen = edge.lastSeen;
+    }
+    counterparties.set(target, connection);
+  }
+
+  return [...counterparties.values()]
+    .sort((a, b) => b.strength - a.strength)
+    .map(connection => ({
+      ...connection,
+      sentLovelace: connection.sentLovelace.toString(),
+      receivedLovelace: connection.receivedLovelace.toString()
+    }));
 }
 
 /**
@@ -271,50 +434,172 @@ function calculateRiskScore(graph) {
 }
 
 /**
- * Identify potential beneficial owners from multiple address analyses
- * @param {Array} analyses - Array of address analyses
- * @returns {Array} Potential beneficial owners
+ * Read the latest transactions of each address, with their inputs and outputs
+ * Costs one request per address and one for all the UTxOs, within
+ * relationships.maxRequests.
+ * @param {string[]} addresses - Addresses to read
+ * @returns {Object} { transactions, requests, truncated }
  */
-function identifyBeneficialOwners(analyses) {
-  const beneficialOwners = [];
-  
-  // Find addresses that appear in multiple analyses (common connections)
-  const addressOccurrences = {};
-  
-  analyses.forEach(analysis => {
-    analysis.connections.forEach(connection => {
-      const target = connection.target;
-      if (!addressOccurrences[target]) {
-        addressOccurrences[target] = {
-          address: target,
-          occurrences: 0,
-          totalStrength: 0,
-          connectedAddresses: []
-        };
+async function readOwnershipTransactions(addresses, settings = getRelationshipSettings()) {
+  const hashes = new Set();
+  const truncated = [];
+  let requests = 0;
+
+  for (const address of addresses) {
+    // Keep one request back for the UTxOs
+    if (requests + 2 > settings.maxRequests) {
+      truncated.push('maxRequests');
+      break;
+    }
+    requests++;
+    const history = await getAddressTransactionHistory(address, settings.transactionsPerAddress);
+    history.forEach(tx => hashes.add(tx.txHash));
+  }
+
+  if (hashes.size === 0) {
+    return { transactions: [], requests, truncated };
+  }
+  requests++;
+  const transactions = await getChainProvider().getTransactionUtxos([...hashes]);
+  return { transactions, requests, truncated };
+}
+
+// Script addresses (payment part is a script: addr1z, addr1x, addr12, addr1w)
+// are spent by whoever satisfies the script, so co-spending one says nothing
+// about ownership
+function isScriptAddress(address) {
+  return /^addr(_test)?1[zx2w]/.test(address);
+}
+
+/**
+ * Find the likely change output of a transaction that pays someone else
+ * Change that goes back to an input address or stake key needs no guessing.
+ * Otherwise, with one payment and one change output:
+ *   - round-payment: only one output is a whole number of ADA; the other is change
+ *   - address-type: only one output has the same kind of address (with or
+ *     without a stake part) as every input; that one is change
+ * @param {Object} tx - { inputs, outputs }
+ * @returns {Object|null} { output, heuristic }
+ */
+function detectChangeOutput(tx) {
+  const inputAddresses = new Set(tx.inputs.map(input => input.address));
+  const inputStakes = new Set(tx.inputs.map(input => input.stakeAddress).filter(Boolean));
+  const returnsToSender = tx.outputs.some(output =>
+    inputAddresses.has(output.address) || (output.stakeAddress && inputStakes.has(output.stakeAddress))
+  );
+  if (returnsToSender || tx.outputs.length !== 2 || tx.outputs[0].address === tx.outputs[1].address) {
+    return null;
+  }
+
+  const [first, second] = tx.outputs;
+  const isRound = (output) => BigInt(output.lovelace) % 1000000n === 0n;
+  if (isRound(first) !== isRound(second)) {
+    return { output: isRound(first) ? second : first, heuristic: 'round-payment' };
+  }
+
+  const isStaked = (io) => Boolean(io.stakeAddress);
+  const inputsStaked = tx.inputs.every(isStaked);
+  if ((inputsStaked || !tx.inputs.some(isStaked)) && isStaked(first) !== isStaked(second)) {
+    return { output: isStaked(first) === inputsStaked ? first : second, heuristic: 'address-type' };
+  }
+  return null;
+}
+
+/**
+ * Cluster addresses into the entities that control them
+ * Standard UTXO heuristics, each leaving evidence on the entity:
+ *   - common-input: addresses spent together in one transaction share an owner
+ *   - stake-credential: payment addresses delegating from one stake key share an owner
+ *   - change-output: the likely change output of a transaction belongs to its sender
+ * @param {string[]} addresses - Addresses asked about
+ * @param {Array} transactions - [{ txHash, inputs, outputs }] touching them
+ * @returns {Array} Entities controlling the addresses, largest first:
+ *                  [{ entityId, addresses, stakeAddresses, controls, evidence }]
+ */
+function identifyBeneficialOwners(addresses, transactions) {
+  const parent = new Map();
+  const stakeOf = new Map();
+  const evidence = [];
+
+  const find = (address) => {
+    if (!parent.has(address)) {
+      parent.set(address, address);
+    }
+    let root = address;
+    while (parent.get(root) !== root) {
+      root = parent.get(root);
+    }
+    parent.set(address, root);
+    return root;
+  };
+  const union = (members, proof) => {
+    const [first, ...rest] = members;
+    rest.forEach(address => parent.set(find(address), find(first)));
+    evidence.push(proof);
+  };
+
+  addresses.forEach(find);
+  for (const tx of transactions) {
+    [...tx.inputs, ...tx.outputs].forEach(io => {
+      if (io.stakeAddress) {
+        stakeOf.set(io.address, io.stakeAddress);
       }
-      addressOccurrences[target].occurrences++;
-      addressOccurrences[target].totalStrength += connection.strength;
-      addressOccurrences[target].connectedAddresses.push(analysis.address);
     });
-  });
 
-  // Identify potential beneficial owners (appear in multiple address networks)
-  Object.values(addressOccurrences).forEach(data => {
-    if (data.occurrences >= 2) {
-      beneficialOwners.push({
-        address: data.address,
-        likelihood: Math.min((data.occurrences / analyses.length) * 100, 100),
-        strength: data.totalStrength,
-        connectedAddresses: data.connectedAddresses,
-        type: data.occurrences >= analyses.length * 0.5 ? 'strong' : 'moderate'
+    const spenders = [...new Set(tx.inputs.map(input => input.address))].filter(address => !isScriptAddress(address));
+    if (spenders.length > 1) {
+      union(spenders, { type: 'common-input', txHash: tx.txHash, addresses: spenders });
+    }
+
+    const change = spenders.length > 0 && detectChangeOutput(tx);
+    if (change && !isScriptAddress(change.output.address)) {
+      union([spenders[0], change.output.address], {
+        type: 'change-output',
+        txHash: tx.txHash,
+        address: change.output.address,
+        heuristic: change.heuristic,
+        from: spenders
       });
     }
-  });
+  }
 
-  // Sort by likelihood descending
-  beneficialOwners.sort((a, b) => b.likelihood - a.likelihood);
+  const byStake = new Map();
+  for (const [address, stakeAddress] of stakeOf) {
+    byStake.set(stakeAddress, [...(byStake.get(stakeAddress) || []), address]);
+  }
+  for (const [stakeAddress, members] of byStake) {
+    if (members.length > 1) {
+      union(members, { type: 'stake-credential', stakeAddress, addresses: members });
+    }
+  }
 
-  return beneficialOwners;
+  // Group addresses and evidence by entity, keeping the entities that
+  // control at least one of the addresses asked about
+  const entities = new Map();
+  const entityFor = (address) => {
+    const root = find(address);
+    if (!entities.has(root)) {
+      entities.set(root, { addresses: [], evidence: [] });
+    }
+    return entities.get(root);
+  };
+  [...parent.keys()].forEach(address => entityFor(address).addresses.push(address));
+  evidence.forEach(proof => entityFor(proof.addresses ? proof.addresses[0] : proof.address).evidence.push(proof));
+
+  const requested = new Set(addresses);
+  return [...entities.values()]
+    .map(entity => {
+      const members = entity.addresses.sort();
+      return {
+        entityId: `entity_${crypto.createHash('sha256').update(members.join(',')).digest('hex').slice(0, 16)}`,
+        addresses: members,
+        stakeAddresses: [...new Set(members.map(address => stakeOf.get(address)).filter(Boolean))].sort(),
+        controls: members.filter(address => requested.has(address)),
+        evidence: entity.evidence
+      };
+    })
+    .filter(entity => entity.controls.length > 0)
+    .sort((a, b) => b.controls.length - a.controls.length || b.addresses.length - a.addresses.length);
 }
 
 /**
@@ -358,15 +643,15 @@ function identifyControlPatterns(analyses) {
 /**
  * Group addresses by similar transaction timing
  * @param {Array} analyses - Array of address analyses
+ * @param {number} timeWindowSeconds - Activity closer than this is grouped. The
+ *                                     connections' lastSeen are block times, in
+ *                                     seconds (default 1 hour)
  * @returns {Array} Timing groups
  */
-function groupByTransactionTiming(analyses) {
+function groupByTransactionTiming(analyses, timeWindowSeconds = 3600) {
   // Simplified implementation
   // In production, would use more sophisticated time-series analysis
-  const groups = [];
-  
-  // Group addresses active in similar time windows
-  const timeWindow = 3600000; // 1 hour in milliseconds
+  let groups = [];
   
   analyses.forEach(analysis => {
     if (analysis.connections.length > 0) {
@@ -376,7 +661,7 @@ function groupByTransactionTiming(analyses) {
       
       let addedToGroup = false;
       for (const group of groups) {
-        if (Math.abs(group.avgTime - avgTime) < timeWindow) {
+        if (Math.abs(group.avgTime - avgTime) < timeWindowSeconds) {
           const oldSize = group.addresses.length;
           group.addresses.push(analysis.address);
           // Weighted average calculation
@@ -421,7 +706,7 @@ function groupByTransactionTiming(analyses) {
       
       // Normalize confidence: smaller std dev = higher confidence
       // Use time window as reference scale
-      const normalizedStdDev = Math.min(stdDev / timeWindow, 1);
+      const normalizedStdDev = Math.min(stdDev / timeWindowSeconds, 1);
       group.confidence = 1 - normalizedStdDev;
     }
     
@@ -483,32 +768,35 @@ function calculateDistributionMetrics(analyses) {
  * @returns {Object} Network graph data for visualization
  */
 function generateNetworkGraph(relationships) {
-  const nodes = [
-    {
-      id: relationships.address,
-      label: relationships.address.substring(0, 12) + '...',
-      type: 'primary',
-      connections: relationships.connections.length
-    }
-  ];
-
-  const edges = [];
-
-  relationships.connections.forEach((connection, index) => {
-    nodes.push({
-      id: connection.target,
-      label: connection.target,
-      type: 'connected',
-      strength: connection.strength
-    });
-
-    edges.push({
-      source: relationships.address,
-      target: connection.target,
-      weight: connection.strength,
-      type: connection.type
-    });
+  // Counterparties take the cluster and risk level of their interaction
+  // cluster; the analyzed address takes the level of its risk score
+  const clusterOf = new Map();
+  (relationships.clusters || []).forEach(cluster => {
+    cluster.addresses.forEach(id => clusterOf.set(id, cluster));
   });
+  const primaryRisk = relationships.riskScore < 30 ? 'low' : relationships.riskScore < 60 ? 'medium' : 'high';
+
+  const nodes = relationships.graph.nodes.map(node => {
+    const cluster = clusterOf.get(node.id);
+    return {
+      id: node.id,
+      label: node.id.substring(0, 12) + '...',
+      type: node.depth === 0 ? 'primary' : 'connected',
+      depth: node.depth,
+      addresses: node.addresses.length,
+      strength: node.txCount,
+      cluster: cluster ? cluster.id : null,
+      risk: node.depth === 0 ? primaryRisk : cluster ? cluster.riskLevel : null
+    };
+  });
+
+  const edges = relationships.graph.edges.map(edge => ({
+    source: edge.source,
+    target: edge.target,
+    weight: edge.count,
+    lovelace: edge.lovelace,
+    type: 'transfer'
+  }));
 
   return {
     nodes,
@@ -521,5 +809,12 @@ module.exports = {
   analyzeAddressRelationships,
   analyzeBeneficialOwnership,
   generateNetworkGraph,
-  getAddressTransactionHistory
+  getAddressTransactionHistory,
+  getRelationshipSettings,
+  traverseRelationshipGraph,
+  readOwnershipTransactions,
+  identifyBeneficialOwners,
+  detectChangeOutput,
+  groupByTransactionTiming,
+  entityOf
 };
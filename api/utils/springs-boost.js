@@ -0,0 +1,98 @@
+const { config } = require('../../config');
+const springs = require('../../database/springs');
+const { resolveCredential } = require('./claim-identity');
+
+/**
+ * Orange Springs donation boost
+ * A donation of at least `springs.minDonation` to the Springs address, found
+ * by the deposit indexer, boosts the donor's faucet rewards by
+ * `springs.boostMultiplier` for `springs.boostDays` days. A wallet's first
+ * donation also grants a one-time `springs.bonusReward`, paid together with
+ * its next slurp. Boosts follow the donor's stake key like claims do.
+ */
+
+function getBoostSettings() {
+  const settings = config.springs || {};
+  return {
+    minDonation: BigInt(settings.minDonation || 0),
+    bonusReward: settings.bonusReward || 0,
+    boostDays: settings.boostDays || 0,
+    multiplier: settings.boostMultiplier || 1
+  };
+}
+
+/**
+ * Grant the boost for a Springs deposit, if it is large enough
+ * @param {Object} deposit - Indexed deposit (see deposit-indexer readDeposit)
+ * @returns {Object|null} Granted boost row, or null
+ */
+async function grantDonationBoost(deposit) {
+  const settings = getBoostSettings();
+  if (deposit.purpose !== 'springs' || !deposit.senderAddress || deposit.lovelace < settings.minDonation) {
+    return null;
+  }
+  if (settings.boostDays <= 0 && settings.bonusReward <= 0) {
+    return null;
+  }
+
+  // Enterprise donors are keyed on their payment credential, as their claims would be
+  const { claimKey } = await resolveCredential(deposit.senderAddress);
+  const boost = await springs.grantBoost({
+    txHash: deposit.txHash,
+    claimKey,
+    donorAddress: deposit.senderAddress,
+    lovelace: deposit.lovelace,
+    bonusHkdg: settings.bonusReward,
+    multiplier: settings.multiplier,
+    boostDays: settings.boostDays
+  });
+  if (boost) {
+    console.log(`🍊 Springs boost for ${deposit.senderAddress.substring(0, 20)}... until ${new Date(boost.boost_expires_at).toISOString()}`);
+  }
+  return boost;
+}
+
+// Withdraw the boost of a rolled back donation
+async function revokeDonationBoost(txHash) {
+  const revoked = await springs.revokeBoost(txHash);
+  if (revoked) {
+    console.warn(`🍊 Springs boost for ${txHash} revoked, the donation was rolled back`);
+  }
+  return revoked;
+}
+
+/**
+ * Boost a wallet has right now
+ * @param {string} claimKey - From resolveClaimIdentity
+ * @returns {Object} { active, multiplier, expiresAt, bonus: { id, amount } | null }
+ */
+async function getWalletBoost(claimKey) {
+  const status = await springs.getBoostStatus(claimKey);
+  const active = !!status.expiresAt;
+  return {
+    active,
+    multiplier: active ? status.multiplier : 1,
+    expiresAt: active ? new Date(status.expiresAt).toISOString() : null,
+    bonus: status.bonus
+  };
+}
+
+/**
+ * Reward a wallet gets for a tier, boost and bonus included
+ * @param {Object} tier - Tier definition
+ * @param {Object} boost - From getWalletBoost
+ * @returns {Object} { reward, tierReward, bonusReward }
+ */
+function boostedReward(tier, boost) {
+  const tierReward = Math.floor(tier.reward * boost.multiplier);
+  const bonusReward = boost.bonus ? boost.bonus.amount : 0;
+  return { reward: tierReward + bonusReward, tierReward, bonusReward };
+}
+
+module.exports = {
+  getBoostSettings,
+  grantDonationBoost,
+  revokeDonationBoost,
+  getWalletBoost,
+  boostedReward
+};
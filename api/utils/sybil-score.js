@@ -0,0 +1,293 @@
+const { config } = require('../../config');
+const claims = require('../../database/claims');
+const sybil = require('../../database/sybil');
+const { getChainProvider } = require('../providers');
+const { resolveCredential } = require('./claim-identity');
+const { getTiers } = require('./eligibility-engine');
+const {
+  getAddressTransactionHistory,
+  entityOf,
+  groupByTransactionTiming
+} = require('./relationship-analyzer');
+
+/**
+ * Sybil scoring for faucet claims
+ * A farm of new wallets is usually funded from one wallet within a short
+ * time. For a new wallet (at most `sybil.maxWalletTransactions` transactions)
+ * the check finds the wallet that first funded it, the other wallets that one
+ * funded within `sybil.siblingWindowHours`, which of those siblings already
+ * claimed, and whether they were funded in one burst. The signals add up to a
+ * score from 0 to 100; from `downgradeScore` the claim drops to the
+ * `downgradeTier`, from `denyScore` it is refused. Every denial or downgrade
+ * is stored in sybil_flags for an admin to confirm or dismiss; a dismissed
+ * wallet is not checked again.
+ *
+ * Exchanges fund new wallets the same way, only at a far larger scale, so
+ * neither kind of funding is taken as a signal: a funder with
+ * `maxFunderTransactions` or more transactions scores nothing, and a
+ * transaction paying more than `maxBatchRecipients` wallets (a withdrawal
+ * batch) doesn't make its recipients siblings. Known exchange hot wallets can
+ * be listed in `trustedFunders` so they are never looked at.
+ *
+ * Chain lookups that fail never block a claim; the wallet is scored 0.
+ */
+
+// Score per signal, and the most each signal can add
+const WEIGHTS = {
+  sibling: { points: 10, max: 30 },
+  claimedSibling: { points: 20, max: 60 },
+  burst: { points: 20, max: 20 }
+};
+
+// Siblings funded within the burst window that make it a burst
+const BURST_SIZE = 2;
+
+function getSybilSettings() {
+  const settings = config.sybil || {};
+  return {
+    enabled: settings.enabled !== false,
+    maxWalletTransactions: settings.maxWalletTransactions || 10,
+    maxFunderTransactions: settings.maxFunderTransactions || 50,
+    maxBatchRecipients: settings.maxBatchRecipients || 20,
+    siblingWindowMs: (settings.siblingWindowHours || 72) * 60 * 60 * 1000,
+    burstWindowMs: (settings.burstWindowMinutes || 60) * 60 * 1000,
+    downgradeScore: settings.downgradeScore || 40,
+    denyScore: settings.denyScore || 70,
+    downgradeTier: settings.downgradeTier || null,
+    trustedFunders: settings.trustedFunders || []
+  };
+}
+
+/**
+ * Find the transaction that first paid a new wallet from another wallet
+ * @returns {Object|null} { wallet, funder, funderAddress, fundedAt }, or null
+ *                        for an established wallet or one nobody funded
+ */
+async function findFunding(address, settings) {
+  const history = await getAddressTransactionHistory(address, settings.maxWalletTransactions + 1, 'asc');
+  if (history.length === 0 || history.length > settings.maxWalletTransactions) {
+    return null;
+  }
+
+  const blockTimes = new Map(history.map(tx => [tx.txHash, tx.blockTime]));
+  const txs = await getChainProvider().getTransactionUtxos(history.map(tx => tx.txHash));
+  const byHash = new Map(txs.map(tx => [tx.txHash, tx]));
+
+  for (const { txHash } of history) {
+    const tx = byHash.get(txHash);
+    const received = tx && tx.outputs.find(output => output.address === address);
+    if (!received) {
+      continue;
+    }
+    const wallet = entityOf(received);
+    const sender = tx.inputs.find(input => entityOf(input) !== wallet);
+    if (sender && !tx.inputs.some(input => entityOf(input) === wallet)) {
+      return {
+        wallet,
+        funder: entityOf(sender),
+        funderAddress: sender.address,
+        fundedAt: blockTimes.get(txHash) * 1000
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Other wallets the funder paid around the time it funded this one
+ * @returns {Array|null} [{ wallet, address, fundedAt }], one per wallet, or
+ *                       null for a funder as busy as an exchange
+ */
+async function findSiblings(funding, settings) {
+  const history = await getAddressTransactionHistory(funding.funderAddress, settings.maxFunderTransactions, 'desc');
+  if (history.length >= settings.maxFunderTransactions) {
+    return null;
+  }
+  const nearby = history.filter(tx =>
+    tx.blockTime && Math.abs(tx.blockTime * 1000 - funding.fundedAt) <= settings.siblingWindowMs
+  );
+  if (nearby.length === 0) {
+    return [];
+  }
+
+  const blockTimes = new Map(nearby.map(tx => [tx.txHash, tx.blockTime]));
+  const txs = await getChainProvider().getTransactionUtxos(nearby.map(tx => tx.txHash));
+  const siblings = new Map();
+  for (const tx of txs) {
+    if (!tx.inputs.some(input => entityOf(input) === funding.funder)) {
+      continue;
+    }
+    const recipients = tx.outputs.filter(output => entityOf(output) !== funding.funder);
+    if (new Set(recipients.map(entityOf)).size > settings.maxBatchRecipients) {
+      continue;
+    }
+    for (const output of recipients) {
+      const wallet = entityOf(output);
+      if (wallet === funding.wallet || siblings.has(wallet)) {
+        continue;
+      }
+      siblings.set(wallet, { wallet, address: output.address, fundedAt: blockTimes.get(tx.txHash) * 1000 });
+    }
+  }
+  return [...siblings.values()];
+}
+
+// Claim keys of the siblings that already claimed from the faucet
+async function findClaimedSiblings(siblings) {
+  const keys = [];
+  for (const sibling of siblings) {
+    try {
+      keys.push((await resolveCredential(sibling.address)).claimKey);
+    } catch (error) {
+      // Script or malformed addresses can't claim; leave them out
+    }
+  }
+  return claims.getClaimedKeys([...new Set(keys)]);
+}
+
+// Siblings funded in the same burst as the wallet, using the relationship
+// analyzer's timing groups (which work in block time seconds)
+function countBurst(address, funding, siblings, settings) {
+  const analyses = [
+    { address, connections: [{ lastSeen: funding.fundedAt / 1000 }] },
+    ...siblings.map(sibling => ({ address: sibling.address, connections: [{ lastSeen: sibling.fundedAt / 1000 }] }))
+  ];
+  const group = groupByTransactionTiming(analyses, settings.burstWindowMs / 1000)
+    .find(timing => timing.addresses.includes(address));
+  return group ? group.addresses.length - 1 : 0;
+}
+
+function weigh(signal, count) {
+  return Math.min(count * WEIGHTS[signal].points, WEIGHTS[signal].max);
+}
+
+/**
+ * Score an address for Sybil funding patterns
+ * @param {string} address - Cardano address
+ * @param {Object} settings - From getSybilSettings
+ * @returns {Object} { score, signals }
+ */
+async function scoreAddress(address, settings = getSybilSettings()) {
+  const funding = await findFunding(address, settings);
+  if (!funding) {
+    return { score: 0, signals: { funder: null } };
+  }
+  if (settings.trustedFunders.includes(funding.funder) || settings.trustedFunders.includes(funding.funderAddress)) {
+    return { score: 0, signals: { funder: funding.funder, trustedFunder: true } };
+  }
+
+  const siblings = await findSiblings(funding, settings);
+  if (!siblings) {
+    return { score: 0, signals: { funder: funding.funder, busyFunder: true } };
+  }
+  const claimed = await findClaimedSiblings(siblings);
+  const burst = countBurst(address, funding, siblings, settings);
+
+  const score = Math.min(100,
+    weigh('sibling', siblings.length) +
+    weigh('claimedSibling', claimed.length) +
+    (burst >= BURST_SIZE ? weigh('burst', 1) : 0)
+  );
+
+  return {
+    score,
+    signals: {
+      funder: funding.funder,
+      fundedAt: new Date(funding.fundedAt).toISOString(),
+      siblings: siblings.length,
+      claimedSiblings: claimed.length,
+      burst
+    }
+  };
+}
+
+function describeSignals(signals) {
+  const parts = [`its funding wallet also funded ${signals.siblings} other wallet(s)`];
+  if (signals.claimedSiblings > 0) {
+    parts.push(`${signals.claimedSiblings} of which already claimed`);
+  }
+  if (signals.burst >= BURST_SIZE) {
+    parts.push(`${signals.burst} within the same burst`);
+  }
+  return parts.join(', ');
+}
+
+// Tier a flagged claim drops to; null if the wallet is already at or below it
+function downgradeTarget(tier, settings) {
+  const tiers = getTiers();
+  const target = settings.downgradeTier
+    ? tiers.find(candidate => candidate.id === settings.downgradeTier)
+    : tiers[tiers.length - 1];
+  if (!target || tiers.indexOf(target) <= tiers.findIndex(candidate => candidate.id === tier.id)) {
+    return null;
+  }
+  return target;
+}
+
+/**
+ * Decide whether a claim goes ahead, at a lower tier, or not at all
+ * @param {Object} params - { address, claimKey, tier } with the tier the wallet qualified for
+ * @returns {Object} { action: 'allow' | 'downgrade' | 'deny', tier, score, reason, signals }
+ */
+async function checkSybil({ address, claimKey, tier }) {
+  const settings = getSybilSettings();
+  const allow = { action: 'allow', tier, score: 0, reason: null, signals: null };
+  if (!settings.enabled) {
+    return allow;
+  }
+
+  try {
+    const review = await sybil.getReviewStatus(claimKey);
+    if (review === 'dismissed') {
+      return allow;
+    }
+
+    const { score, signals } = await scoreAddress(address, settings);
+    let decision;
+    if (score >= settings.denyScore) {
+      decision = {
+        action: 'deny',
+        tier: null,
+        reason: `This wallet looks like part of a wallet farm: ${describeSignals(signals)}`
+      };
+    } else if (score >= settings.downgradeScore) {
+      const target = downgradeTarget(tier, settings);
+      if (!target) {
+        return { ...allow, score, signals };
+      }
+      decision = {
+        action: 'downgrade',
+        tier: target,
+        reason: `Claim reduced to the ${target.name || target.id} tier: ${describeSignals(signals)}`
+      };
+    } else {
+      return { ...allow, score, signals };
+    }
+
+    // A confirmed wallet keeps its outcome without going back into the queue
+    if (review !== 'confirmed') {
+      await sybil.recordFlag({
+        claimKey,
+        address,
+        score,
+        action: decision.action,
+        tier: tier.id,
+        downgradedTo: decision.action === 'downgrade' ? decision.tier.id : null,
+        funder: signals.funder,
+        signals
+      });
+    }
+    console.warn(`🕵️ Sybil ${decision.action} for ${address.substring(0, 20)}... (score ${score})`);
+
+    return { ...decision, score, signals };
+  } catch (error) {
+    console.error('Sybil check failed, allowing the claim:', error.message);
+    return allow;
+  }
+}
+
+module.exports = {
+  getSybilSettings,
+  scoreAddress,
+  checkSybil
+};
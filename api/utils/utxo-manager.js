@@ -0,0 +1,64 @@
+const { initializeLucid, submitPoolMaintenance, getHKDGUnit } = require('./cardano-tx');
+const { getPoolSettings, classifyUtxos, planMaintenance } = require('./utxo-pool');
+
+/**
+ * Faucet UTxO manager
+ * Keeps the faucet wallet's UTxO pool at its target size on a schedule:
+ * large UTxOs are split into pool UTxOs and dust is consolidated. One
+ * maintenance transaction is submitted per run so its outputs can settle
+ * before the next plan is made.
+ */
+
+let managerTimer = null;
+let running = false;
+
+/**
+ * Run one round of pool maintenance
+ * @returns {Object} { action, txHash? }
+ */
+async function runUtxoMaintenance() {
+  if (running) {
+    return { action: 'busy' };
+  }
+  running = true;
+  try {
+    const settings = getPoolSettings();
+    const assetUnit = getHKDGUnit();
+    const lucid = await initializeLucid();
+
+    const pool = classifyUtxos(await lucid.wallet.getUtxos(), assetUnit, settings);
+    const plan = planMaintenance(pool, assetUnit, settings);
+    if (plan.action === 'none') {
+      return { action: 'none' };
+    }
+
+    const txHash = await submitPoolMaintenance(plan, settings);
+    return { action: plan.action, txHash };
+  } catch (error) {
+    console.error('UTxO maintenance failed:', error.message);
+    return { action: 'error', error: error.message };
+  } finally {
+    running = false;
+  }
+}
+
+// Start pool maintenance on the configured schedule
+function startUtxoManager() {
+  if (managerTimer) {
+    return;
+  }
+  const intervalMs = getPoolSettings().maintenanceIntervalMinutes * 60 * 1000;
+  managerTimer = setInterval(runUtxoMaintenance, intervalMs);
+  console.log(`🧹 UTxO manager started (every ${intervalMs / 60000} min)`);
+}
+
+function stopUtxoManager() {
+  clearInterval(managerTimer);
+  managerTimer = null;
+}
+
+module.exports = {
+  runUtxoMaintenance,
+  startUtxoManager,
+  stopUtxoManager
+};
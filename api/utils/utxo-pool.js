@@ -0,0 +1,233 @@
+const { config } = require('../../config');
+
+/**
+ * Faucet UTxO pool
+ * The faucet wallet keeps a pool of similarly sized UTxOs, each holding
+ * `utxoHkdg` HKDG and `utxoLovelace` ADA, so concurrent payouts can spend
+ * different inputs instead of all racing for the same one. This module holds
+ * the pure pool logic: classifying UTxOs, planning splits and consolidations,
+ * picking payout inputs, and remembering which inputs are already spent by
+ * transactions that haven't landed on chain yet.
+ *
+ * Those locks live in this process's memory. They keep the payout worker and
+ * pool maintenance of one API process off each other's inputs, but another
+ * replica running the same jobs can't see them and may pick the same UTxOs;
+ * one of the two transactions is then rejected by the node.
+ *
+ * Classification (by HKDG held):
+ *   large    - at least 2 × utxoHkdg, can be split into pool UTxOs
+ *   ready    - pool sized: at least utxoHkdg / 2 HKDG and utxoLovelace / 2 ADA
+ *   fragment - anything smaller; consolidated once there are enough of them
+ */
+
+const DEFAULT_POOL_SETTINGS = {
+  targetCount: 10,
+  utxoHkdg: 6900000000000,
+  utxoLovelace: 10000000,
+  fragmentThreshold: 5,
+  maxConsolidateInputs: 20,
+  maintenanceIntervalMinutes: 10,
+  lockTtlMinutes: 10
+};
+
+// Lovelace set aside for the fee and the change output of a maintenance tx
+const TX_OVERHEAD_LOVELACE = 3000000n;
+
+// Rough min-ADA for a payout output holding one native asset
+const PAYOUT_OUTPUT_LOVELACE = 1500000n;
+
+// Inputs spent by submitted but unconfirmed transactions:
+// outRef -> { expiresAt (ms), txHash } (txHash is null while the tx is built)
+const lockedOutRefs = new Map();
+
+function getPoolSettings() {
+  return { ...DEFAULT_POOL_SETTINGS, ...(config.faucet.utxoPool || {}) };
+}
+
+// Ascending comparator for BigInt sort keys
+function compareBigInt(a, b) {
+  return a > b ? 1 : a < b ? -1 : 0;
+}
+
+function outRef(utxo) {
+  return `${utxo.txHash}#${utxo.outputIndex}`;
+}
+
+/**
+ * Mark UTxOs as spent until their transaction confirms or the lock expires
+ * @param {Array} utxos - Lucid UTxOs
+ * @param {number} ttlMs - Lock lifetime in milliseconds
+ * @param {string} txHash - Transaction spending them, once it is submitted
+ */
+function lockUtxos(utxos, ttlMs = getPoolSettings().lockTtlMinutes * 60 * 1000, txHash = null) {
+  const now = Date.now();
+  const expiresAt = now + ttlMs;
+  // Spent inputs never come back from the wallet to be checked, so expired
+  // locks are dropped here
+  for (const [ref, lock] of lockedOutRefs) {
+    if (lock.expiresAt <= now) {
+      lockedOutRefs.delete(ref);
+    }
+  }
+  for (const utxo of utxos) {
+    lockedOutRefs.set(outRef(utxo), { expiresAt, txHash });
+  }
+}
+
+// Release locks early: when the spending transaction failed to build or
+// submit, or once it is confirmed. Takes Lucid UTxOs or provider TxIos.
+function unlockUtxos(utxos) {
+  for (const utxo of utxos) {
+    lockedOutRefs.delete(outRef(utxo));
+  }
+}
+
+// Release the inputs of a submitted transaction that can no longer land
+function unlockTxInputs(txHash) {
+  for (const [ref, lock] of lockedOutRefs) {
+    if (lock.txHash === txHash) {
+      lockedOutRefs.delete(ref);
+    }
+  }
+}
+
+function isLocked(utxo) {
+  const lock = lockedOutRefs.get(outRef(utxo));
+  if (lock === undefined) {
+    return false;
+  }
+  if (lock.expiresAt <= Date.now()) {
+    lockedOutRefs.delete(outRef(utxo));
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Sort the faucet's UTxOs into pool categories
+ * @param {Array} utxos - Lucid UTxOs of the faucet wallet
+ * @param {string} assetUnit - HKDG unit (policy ID + hex asset name)
+ * @param {Object} settings - Pool settings
+ * @returns {Object} { ready, large, fragments, locked } - arrays of UTxOs
+ */
+function classifyUtxos(utxos, assetUnit, settings = getPoolSettings()) {
+  const utxoHkdg = BigInt(settings.utxoHkdg);
+  const utxoLovelace = BigInt(settings.utxoLovelace);
+  const pool = { ready: [], large: [], fragments: [], locked: [] };
+
+  for (const utxo of utxos) {
+    const hkdg = utxo.assets[assetUnit] || 0n;
+    const lovelace = utxo.assets.lovelace || 0n;
+
+    if (isLocked(utxo)) {
+      pool.locked.push(utxo);
+    } else if (hkdg >= 2n * utxoHkdg) {
+      pool.large.push(utxo);
+    } else if (hkdg * 2n >= utxoHkdg && lovelace * 2n >= utxoLovelace) {
+      pool.ready.push(utxo);
+    } else {
+      pool.fragments.push(utxo);
+    }
+  }
+  return pool;
+}
+
+/**
+ * Decide what maintenance the pool needs next. Splitting takes priority,
+ * since a pool short of ready UTxOs is what slows payouts down.
+ * @param {Object} pool - Result of classifyUtxos
+ * @param {string} assetUnit - HKDG unit
+ * @param {Object} settings - Pool settings
+ * @returns {Object} { action: 'split', input, outputs } |
+ *                   { action: 'consolidate', inputs } | { action: 'none' }
+ */
+function planMaintenance(pool, assetUnit, settings = getPoolSettings()) {
+  const utxoHkdg = BigInt(settings.utxoHkdg);
+  const utxoLovelace = BigInt(settings.utxoLovelace);
+  const missing = settings.targetCount - pool.ready.length;
+
+  if (missing > 0 && pool.large.length > 0) {
+    const input = [...pool.large].sort((a, b) => compareBigInt(b.assets[assetUnit], a.assets[assetUnit]))[0];
+    const byHkdg = input.assets[assetUnit] / utxoHkdg;
+    const byLovelace = (input.assets.lovelace - TX_OVERHEAD_LOVELACE) / utxoLovelace;
+    const outputs = Math.min(missing, Number(byHkdg < byLovelace ? byHkdg : byLovelace));
+
+    if (outputs > 0) {
+      return { action: 'split', input, outputs };
+    }
+  }
+
+  if (pool.fragments.length >= settings.fragmentThreshold) {
+    const inputs = [...pool.fragments]
+      .sort((a, b) => compareBigInt(a.assets.lovelace, b.assets.lovelace))
+      .slice(0, settings.maxConsolidateInputs);
+    return { action: 'consolidate', inputs };
+  }
+
+  return { action: 'none' };
+}
+
+/**
+ * Pick unlocked inputs covering a payout, preferring pool-sized UTxOs so
+ * large ones stay available for splitting
+ * @param {Array} utxos - Lucid UTxOs of the faucet wallet
+ * @param {string} assetUnit - HKDG unit
+ * @param {bigint} hkdgAmount - Total HKDG being paid out
+ * @param {number} outputCount - Number of payout outputs
+ * @returns {Array|null} Selected UTxOs, or null if the unlocked UTxOs can't cover it
+ */
+function selectPayoutInputs(utxos, assetUnit, hkdgAmount, outputCount) {
+  const pool = classifyUtxos(utxos, assetUnit);
+  const neededLovelace = BigInt(outputCount) * PAYOUT_OUTPUT_LOVELACE + TX_OVERHEAD_LOVELACE;
+  const candidates = [...pool.ready, ...pool.fragments, ...pool.large];
+
+  const selected = [];
+  let hkdg = 0n;
+  let lovelace = 0n;
+  for (const utxo of candidates) {
+    if (hkdg >= hkdgAmount && lovelace >= neededLovelace) {
+      break;
+    }
+    selected.push(utxo);
+    hkdg += utxo.assets[assetUnit] || 0n;
+    lovelace += utxo.assets.lovelace || 0n;
+  }
+
+  return hkdg >= hkdgAmount && lovelace >= neededLovelace ? selected : null;
+}
+
+/**
+ * Summarize the pool for /api/faucet-status
+ * @param {Array} utxos - Lucid UTxOs of the faucet wallet
+ * @param {string} assetUnit - HKDG unit
+ * @returns {Object} Pool health report
+ */
+function getPoolHealth(utxos, assetUnit) {
+  const settings = getPoolSettings();
+  const pool = classifyUtxos(utxos, assetUnit, settings);
+  const plan = planMaintenance(pool, assetUnit, settings);
+
+  return {
+    healthy: pool.ready.length >= settings.targetCount && plan.action === 'none',
+    total: utxos.length,
+    ready: pool.ready.length,
+    target: settings.targetCount,
+    large: pool.large.length,
+    fragments: pool.fragments.length,
+    locked: pool.locked.length,
+    nextMaintenance: plan.action
+  };
+}
+
+module.exports = {
+  DEFAULT_POOL_SETTINGS,
+  getPoolSettings,
+  lockUtxos,
+  unlockUtxos,
+  unlockTxInputs,
+  isLocked,
+  classifyUtxos,
+  planMaintenance,
+  selectPayoutInputs,
+  getPoolHealth
+};
@@ -0,0 +1,185 @@
+const { config } = require('../../config');
+const vault = require('../../database/vault');
+const { getChainProvider } = require('../providers');
+const { resolveCredential } = require('./claim-identity');
+const { sendVaultWithdrawal } = require('./cardano-tx');
+
+/**
+ * HOSKDOG vault
+ * Vault deposits found by the deposit indexer are credited in vault_ledger to
+ * the depositor's stake key, like Springs boosts and claims. A wallet asks to
+ * withdraw with a CIP-30 signed message; the amount is debited straight away
+ * and the request waits in a queue until an admin approves it, which pays it
+ * from the vault wallet (VAULT_SKEY), or rejects it, which gives it back.
+ *
+ * The reconciler follows submitted withdrawals until they land (or give the
+ * funds back if they never can) and checks that the vault address holds at
+ * least what the ledger says it owes.
+ */
+
+// Grace period after valid_until before a missing tx is treated as dropped
+const EXPIRY_GRACE_MS = 2 * 60 * 1000;
+
+let reconcilerTimer = null;
+let running = false;
+
+function getVaultSettings() {
+  const settings = config.vault || {};
+  return {
+    address: settings.depositAddress,
+    minWithdrawal: BigInt(settings.minWithdrawalLovelace || 2000000),
+    reconcileIntervalMs: (settings.reconcileIntervalMinutes || 10) * 60 * 1000
+  };
+}
+
+// Message a wallet signs to withdraw, so a signature can't be replayed for another amount
+function withdrawalAction(lovelace) {
+  return `Withdraw ${lovelace} lovelace from the HOSKDOG vault`;
+}
+
+/**
+ * Credit a vault deposit to its sender
+ * @param {Object} deposit - Indexed deposit (see deposit-indexer readDeposit)
+ * @returns {boolean} True if the balance changed
+ */
+async function creditVaultDeposit(deposit) {
+  if (deposit.purpose !== 'vault' || !deposit.senderAddress) {
+    return false;
+  }
+
+  const { claimKey } = await resolveCredential(deposit.senderAddress);
+  const credited = await vault.creditDeposit({ txHash: deposit.txHash, claimKey, lovelace: deposit.lovelace });
+  if (credited) {
+    console.log(`🏦 Vault credited ${deposit.lovelace} lovelace to ${deposit.senderAddress.substring(0, 20)}...`);
+  }
+  return credited;
+}
+
+// Take a rolled back vault deposit out of its owner's balance
+async function reverseVaultDeposit(txHash) {
+  const reversed = await vault.reverseDeposit(txHash);
+  if (reversed) {
+    console.warn(`🏦 Vault deposit ${txHash} reversed, it was rolled back`);
+  }
+  return reversed;
+}
+
+/**
+ * Pay a pending withdrawal
+ * @param {number} id - Withdrawal ID
+ * @param {string} reviewedBy - Admin approving it
+ * @returns {Object} { withdrawal } or { error, status } when it can't be paid
+ */
+async function approveWithdrawal(id, reviewedBy) {
+  const withdrawal = await vault.approveWithdrawal(id, reviewedBy);
+  if (!withdrawal) {
+    return { error: 'Only pending withdrawals can be approved', status: 409 };
+  }
+
+  let payment;
+  try {
+    payment = await sendVaultWithdrawal(withdrawal.address, BigInt(withdrawal.lovelace));
+  } catch (error) {
+    // Nothing was submitted, so the request can be approved again later
+    console.error(`Vault withdrawal ${id} could not be paid:`, error.message);
+    await vault.returnToQueue(id, error.message);
+    return { error: `Withdrawal could not be paid: ${error.message}`, status: 502 };
+  }
+
+  return { withdrawal: await vault.markSubmitted(id, payment.txHash, payment.validUntil), explorerUrl: payment.explorerUrl };
+}
+
+/**
+ * Settle submitted withdrawals, then compare the ledger with the vault address
+ * @returns {Object} { confirmed, failed, ledgerLovelace, inFlightLovelace,
+ *                     onChainLovelace, surplusLovelace, pendingWithdrawals, balanced }
+ */
+async function reconcileVault() {
+  const settings = getVaultSettings();
+  const provider = getChainProvider();
+  const summary = { confirmed: 0, failed: 0 };
+
+  const submitted = await vault.getSubmittedWithdrawals();
+  if (submitted.length > 0) {
+    const txs = await provider.getTransactions(submitted.map(withdrawal => withdrawal.txHash));
+    const onChain = new Set(txs.filter(tx => tx.blockHeight).map(tx => tx.txHash));
+    for (const withdrawal of submitted) {
+      if (onChain.has(withdrawal.txHash)) {
+        if (await vault.confirmWithdrawal(withdrawal.id)) {
+          summary.confirmed++;
+        }
+      } else if (withdrawal.validUntil.getTime() + EXPIRY_GRACE_MS < Date.now()) {
+        // Past its validity window the tx can never land; give the funds back
+        if (await vault.failWithdrawal(withdrawal.id, 'Transaction expired before it was included in a block')) {
+          summary.failed++;
+          console.warn(`🏦 Vault withdrawal ${withdrawal.id} expired (${withdrawal.txHash}), funds returned`);
+        }
+      }
+    }
+  }
+
+  const [totals, addressInfo] = await Promise.all([
+    vault.getVaultTotals(),
+    provider.getAddressInfo(settings.address)
+  ]);
+
+  // The vault address can hold more than it owes (Springs donations share it
+  // in the default settings), but never less
+  const owed = totals.ledgerLovelace + totals.inFlightLovelace;
+  const surplus = addressInfo.lovelace - owed;
+  if (surplus < 0n) {
+    console.error(`❌ Vault shortfall: ${settings.address.substring(0, 20)}... holds ${addressInfo.lovelace} lovelace but owes ${owed}`);
+  }
+
+  return {
+    ...summary,
+    ledgerLovelace: totals.ledgerLovelace.toString(),
+    inFlightLovelace: totals.inFlightLovelace.toString(),
+    onChainLovelace: addressInfo.lovelace.toString(),
+    surplusLovelace: surplus.toString(),
+    pendingWithdrawals: totals.pendingWithdrawals,
+    balanced: surplus >= 0n
+  };
+}
+
+async function runVaultReconciler() {
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    await reconcileVault();
+  } catch (error) {
+    console.error('Vault reconciler error:', error.message);
+  } finally {
+    running = false;
+  }
+}
+
+// Start reconciling the vault on an interval
+function startVaultReconciler() {
+  const { reconcileIntervalMs } = getVaultSettings();
+  if (reconcilerTimer) {
+    return;
+  }
+  reconcilerTimer = setInterval(runVaultReconciler, reconcileIntervalMs);
+  runVaultReconciler();
+  console.log(`🏦 Vault reconciler started (every ${reconcileIntervalMs / 60000} min)`);
+}
+
+function stopVaultReconciler() {
+  clearInterval(reconcilerTimer);
+  reconcilerTimer = null;
+}
+
+module.exports = {
+  getVaultSettings,
+  withdrawalAction,
+  creditVaultDeposit,
+  reverseVaultDeposit,
+  approveWithdrawal,
+  reconcileVault,
+  runVaultReconciler,
+  startVaultReconciler,
+  stopVaultReconciler
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { client } = require('../../database/redis');
+const { initializeLucid } = require('./cardano-tx');
+
+/**
+ * Proof of wallet ownership for faucet claims.
+ * The server issues a single-use nonce, the wallet signs it with CIP-30
+ * signData, and the COSE_Sign1 signature is verified before any tokens are
+ * sent. Claims and vault balances are keyed on the stake credential, and
+ * anyone can put any stake credential into a base address next to their own
+ * payment key, so base addresses must sign with their reward address (the
+ * stake key). Addresses without a stake part sign with their payment key.
+ */
+
+const CHALLENGE_TTL_SECONDS = 300;
+const CHALLENGE_KEY_PREFIX = 'faucet:challenge:';
+
+/**
+ * The address whose key must sign challenges for `address`
+ * @param {string} address - Bech32 or hex Cardano address
+ * @returns {Object} { valid, address (bech32), hex, claimKey } or { valid: false, error }
+ */
+async function resolveSigningAddress(address) {
+  const lucid = await initializeLucid();
+
+  let details;
+  try {
+    details = lucid.utils.getAddressDetails(address);
+  } catch (error) {
+    return { valid: false, error: 'Invalid wallet address format' };
+  }
+
+  let signer = details;
+  const credential = details.stakeCredential || details.paymentCredential;
+  if (!credential) {
+    return { valid: false, error: `Unsupported address type: ${details.type}` };
+  }
+  if (credential.type !== 'Key') {
+    return { valid: false, error: 'Wallets controlled by a script can\'t sign a challenge' };
+  }
+  if (details.stakeCredential && details.paymentCredential) {
+    signer = lucid.utils.getAddressDetails(lucid.utils.credentialToRewardAddress(details.stakeCredential));
+  }
+
+  return { valid: true, address: signer.address.bech32, hex: signer.address.hex, claimKey: credential.hash };
+}
+
+/**
+ * Issue a signing challenge for an address
+ * @param {string} address - Bech32 address that will claim
+ * @param {string|null} action - What the signature authorizes, e.g. a vault
+ *                               withdrawal; shown to the user and bound to the nonce
+ * @returns {Object} { nonce, payload (hex), message, expiresAt, signWith }, where
+ *                   signWith is the { address, hex } to pass to signData
+ */
+async function issueChallenge(address, action = null) {
+  const signer = await resolveSigningAddress(address);
+  if (!signer.valid) {
+    throw new Error(signer.error);
+  }
+
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + CHALLENGE_TTL_SECONDS * 1000).toISOString();
+  const message = [
+    'HOSKDOG Faucet - sign to prove you own this wallet.',
+    ...(action ? [`Action: ${action}`] : []),
+    `Address: ${address}`,
+    `Nonce: ${nonce}`,
+    `Expires: ${expiresAt}`
+  ].join('\n');
+  const payload = Buffer.from(message, 'utf8').toString('hex');
+
+  await client.set(
+    CHALLENGE_KEY_PREFIX + nonce,
+    JSON.stringify({ address, payload, action }),
+    { EX: CHALLENGE_TTL_SECONDS }
+  );
+
+  return { nonce, payload, message, expiresAt, signWith: { address: signer.address, hex: signer.hex } };
+}
+
+/**
+ * Verify a signed challenge. The nonce is consumed whether or not the
+ * signature checks out, so each challenge can be used at most once.
+ * @param {string} address - Address the claim is for
+ * @param {string} nonce - Nonce returned by issueChallenge
+ * @param {Object} signedMessage - CIP-30 DataSignature { signature, key }
+ * @param {string|null} action - The action the challenge must have been issued for
+ * @returns {Object} { valid, claimKey } with the credential the signature
+ *                   proved, or { valid: false, error }
+ */
+async function verifyChallenge(address, nonce, signedMessage, action = null) {
+  if (!nonce || !signedMessage || !signedMessage.signature || !signedMessage.key) {
+    return { valid: false, error: 'A signed wallet challenge is required' };
+  }
+
+  const stored = await client.getDel(CHALLENGE_KEY_PREFIX + nonce);
+  if (!stored) {
+    return { valid: false, error: 'Challenge expired or already used' };
+  }
+
+  const challenge = JSON.parse(stored);
+  if (challenge.address !== address) {
+    return { valid: false, error: 'Challenge was issued for a different address' };
+  }
+  if ((challenge.action || null) !== action) {
+    return { valid: false, error: 'Challenge was issued for a different request' };
+  }
+
+  const signer = await resolveSigningAddress(address);
+  if (!signer.valid) {
+    return { valid: false, error: signer.error };
+  }
+
+  const lucid = await initializeLucid();
+  let verified = false;
+  try {
+    // Checks the COSE address header, the key hash against the signing
+    // address's credential (the stake key for a reward address), the payload
+    // and the Ed25519 signature
+    verified = lucid.verifyMessage(signer.address, challenge.payload, signedMessage);
+  } catch (error) {
+    console.error('Error verifying wallet signature:', error.message);
+  }
+
+  if (!verified) {
+    return { valid: false, error: 'Invalid wallet signature' };
+  }
+
+  return { valid: true, claimKey: signer.claimKey };
+}
+
+module.exports = {
+  CHALLENGE_TTL_SECONDS,
+  resolveSigningAddress,
+  issueChallenge,
+  verifyChallenge
+};
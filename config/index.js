@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const schema = require('./faucet-settings.schema.json');
+const { applyDefaults, validateSettings } = require('../api/utils/config-validator');
+
+/**
+ * Faucet settings
+ * Reads config/faucet-settings.json (or FAUCET_CONFIG_PATH), fills in the
+ * schema defaults and applies environment overrides. `config` is one shared
+ * object: a reload replaces its contents in place, so code that reads
+ * `config.faucet...` when it runs always sees the current settings. A changed
+ * file that fails validation is rejected and the running settings are kept.
+ */
+
+const CONFIG_PATH = process.env.FAUCET_CONFIG_PATH || path.join(__dirname, 'faucet-settings.json');
+const WATCH_INTERVAL_MS = 2000;
+
+// Environment variables that take precedence over the settings file
+const ENV_OVERRIDES = {
+  HKDG_POLICY_ID: 'faucet.token.policyId',
+  PORT: 'api.port',
+  SPRINGS_DONATION_ADDRESS: 'springs.donationAddress',
+  HOSKDOG_RECEIVING_ADDRESS: 'deposits.address'
+};
+
+const config = {};
+const reloadListeners = [];
+let watching = false;
+
+// Schema node for a dotted settings path
+function schemaAt(settingPath) {
+  return settingPath.split('.').reduce((node, key) => node && node.properties && node.properties[key], schema);
+}
+
+// Environment values are strings; convert them to the type the schema expects
+function coerce(value, node) {
+  const types = [].concat((node && node.type) || 'string');
+  if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+function applyEnvOverrides(settings, env) {
+  for (const [name, settingPath] of Object.entries(ENV_OVERRIDES)) {
+    if (env[name] === undefined || env[name] === '') {
+      continue;
+    }
+    const keys = settingPath.split('.');
+    const last = keys.pop();
+    let target = settings;
+    for (const key of keys) {
+      if (target[key] === null || typeof target[key] !== 'object') {
+        target[key] = {};
+      }
+      target = target[key];
+    }
+    target[last] = coerce(env[name], schemaAt(settingPath));
+  }
+  return settings;
+}
+
+/**
+ * Read and validate a settings file without applying it
+ * @param {string} filePath - Settings JSON file
+ * @param {Object} env - Environment variables
+ * @returns {Object} { valid, errors, settings }
+ */
+function loadConfig(filePath = CONFIG_PATH, env = process.env) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return { valid: false, errors: [`Could not read ${filePath}: ${error.message}`], settings: null };
+  }
+
+  const settings = applyEnvOverrides(applyDefaults(raw), env);
+  return { ...validateSettings(settings), settings };
+}
+
+// Swap new settings into the shared config object
+function applyConfig(settings) {
+  for (const key of Object.keys(config)) {
+    delete config[key];
+  }
+  Object.assign(config, settings);
+}
+
+/**
+ * Register a function to run after settings are reloaded
+ * @param {Function} listener - Called with the new config
+ */
+function onConfigReload(listener) {
+  reloadListeners.push(listener);
+}
+
+/**
+ * Re-read the settings file and apply it if it is valid
+ * @returns {Object} { reloaded, errors }
+ */
+function reloadConfig(filePath = CONFIG_PATH) {
+  const { valid, errors, settings } = loadConfig(filePath);
+  if (!valid) {
+    console.error(`❌ Settings not reloaded, ${filePath} has ${errors.length} problem${errors.length === 1 ? '' : 's'}:`);
+    errors.forEach(error => console.error(`   - ${error}`));
+    return { reloaded: false, errors };
+  }
+
+  applyConfig(settings);
+  for (const listener of reloadListeners) {
+    try {
+      listener(config);
+    } catch (error) {
+      console.error('Settings reload listener error:', error.message);
+    }
+  }
+  console.log(`🔄 Reloaded settings from ${filePath}`);
+  return { reloaded: true, errors: [] };
+}
+
+// Reload whenever the settings file changes on disk
+function watchConfig(filePath = CONFIG_PATH) {
+  if (watching) {
+    return;
+  }
+  watching = true;
+  fs.watchFile(filePath, { interval: WATCH_INTERVAL_MS }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) {
+      reloadConfig(filePath);
+    }
+  });
+}
+
+function unwatchConfig(filePath = CONFIG_PATH) {
+  fs.unwatchFile(filePath);
+  watching = false;
+}
+
+// Start with whatever is on disk; validateConfiguration reports problems at startup
+const initial = loadConfig();
+if (!initial.settings) {
+  throw new Error(initial.errors[0]);
+}
+applyConfig(initial.settings);
+
+module.exports = {
+  CONFIG_PATH,
+  ENV_OVERRIDES,
+  config,
+  loadConfig,
+  reloadConfig,
+  onConfigReload,
+  watchConfig,
+  unwatchConfig
+};
@@ -0,0 +1,131 @@
+const db = require('./db');
+
+const toAuditEntry = (row) => ({
+  id: row.id,
+  actor: row.actor,
+  role: row.role,
+  action: row.action,
+  target: row.target,
+  details: row.details,
+  ipAddress: row.ip_address,
+  createdAt: new Date(row.created_at).toISOString(),
+});
+
+const toWalletAccess = (row) => ({
+  claimKey: row.claim_key,
+  address: row.wallet_address,
+  list: row.list,
+  reason: row.reason,
+  createdBy: row.created_by,
+  expiresAt: row.expires_at ? new Date(row.expires_at).toISOString() : null,
+  createdAt: new Date(row.created_at).toISOString(),
+});
+
+// Append an admin action to the audit log. Like the writes below, it takes an
+// optional transaction client, so an action and its entry commit together.
+const recordAudit = async ({ actor, role, action, target = null, details = null, ipAddress = null }, executor = db) => {
+  await executor.query(
+    `INSERT INTO admin_audit_log (actor, role, action, target, details, ip_address)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [actor, role, action, target, details ? JSON.stringify(details) : null, ipAddress]
+  );
+};
+
+// Page through the audit log, newest first
+const listAuditLog = async ({ actor = null, action = null, limit = 50, offset = 0 } = {}) => {
+  const filters = 'WHERE ($1::text IS NULL OR actor = $1) AND ($2::text IS NULL OR action = $2)';
+  const [entries, count] = await Promise.all([
+    db.query(
+      `SELECT id, actor, role, action, target, details, ip_address, created_at
+       FROM admin_audit_log ${filters}
+       ORDER BY id DESC
+       LIMIT $3 OFFSET $4`,
+      [actor, action, limit, offset]
+    ),
+    db.query(`SELECT COUNT(*)::int AS total FROM admin_audit_log ${filters}`, [actor, action]),
+  ]);
+  return { entries: entries.rows.map(toAuditEntry), total: count.rows[0].total };
+};
+
+// All runtime faucet controls as { <key>: value }
+const getControls = async () => {
+  const res = await db.query('SELECT key, value FROM faucet_controls');
+  return Object.fromEntries(res.rows.map(row => [row.key, row.value]));
+};
+
+const setControl = async (key, value, updatedBy, executor = db) => {
+  await executor.query(
+    `INSERT INTO faucet_controls (key, value, updated_by)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (key) DO UPDATE
+     SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP`,
+    [key, JSON.stringify(value), updatedBy]
+  );
+};
+
+// Merge fields into an object control, e.g. one tier's reward into tierRewards
+const mergeControl = async (key, patch, updatedBy, executor = db) => {
+  const res = await executor.query(
+    `INSERT INTO faucet_controls (key, value, updated_by)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (key) DO UPDATE
+     SET value = faucet_controls.value || EXCLUDED.value, updated_by = EXCLUDED.updated_by,
+         updated_at = CURRENT_TIMESTAMP
+     RETURNING value`,
+    [key, JSON.stringify(patch), updatedBy]
+  );
+  return res.rows[0].value;
+};
+
+// Ban/allow list entry for a claim key, ignoring expired entries
+const getWalletAccess = async (claimKey) => {
+  const res = await db.query(
+    `SELECT * FROM wallet_access
+     WHERE claim_key = $1 AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`,
+    [claimKey]
+  );
+  return res.rows[0] ? toWalletAccess(res.rows[0]) : null;
+};
+
+const listWalletAccess = async (list = null) => {
+  const res = await db.query(
+    `SELECT * FROM wallet_access
+     WHERE ($1::text IS NULL OR list = $1)
+       AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+     ORDER BY created_at DESC`,
+    [list]
+  );
+  return res.rows.map(toWalletAccess);
+};
+
+// Put a wallet on the ban or allow list, replacing any existing entry
+const setWalletAccess = async ({ claimKey, address = null, list, reason = null, createdBy, expiresAt = null }, executor = db) => {
+  const res = await executor.query(
+    `INSERT INTO wallet_access (claim_key, wallet_address, list, reason, created_by, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (claim_key) DO UPDATE
+     SET wallet_address = EXCLUDED.wallet_address, list = EXCLUDED.list, reason = EXCLUDED.reason,
+         created_by = EXCLUDED.created_by, expires_at = EXCLUDED.expires_at, created_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [claimKey, address, list, reason, createdBy, expiresAt]
+  );
+  return toWalletAccess(res.rows[0]);
+};
+
+// Returns false if the wallet wasn't on either list
+const removeWalletAccess = async (claimKey, executor = db) => {
+  const res = await executor.query('DELETE FROM wallet_access WHERE claim_key = $1', [claimKey]);
+  return res.rowCount > 0;
+};
+
+module.exports = {
+  recordAudit,
+  listAuditLog,
+  getControls,
+  setControl,
+  mergeControl,
+  getWalletAccess,
+  listWalletAccess,
+  setWalletAccess,
+  removeWalletAccess,
+};
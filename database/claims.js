@@ -0,0 +1,556 @@
+const db = require('./db');
+const faucetStats = require('./faucet-stats');
+const springs = require('./springs');
+
+// Default cooldown between claims for the same wallet
+const CLAIM_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+// Payout attempts before a queued claim is given up on
+const MAX_PAYOUT_ATTEMPTS = 3;
+
+// Claim lifecycle:
+//   queued -> processing -> submitted -> confirmed
+//                 |             |
+//                 v             v
+//               failed       expired (tx dropped; requeued instead while attempts remain)
+// Failed and expired claims don't count towards the cooldown.
+const PAID_STATUSES = ['submitted', 'confirmed'];
+
+// Record a slurp in slurp_history. Returns null if this wallet's payout in that tx was already recorded.
+const recordClaim = async ({
+  address,
+  claimKey,
+  tier,
+  amount,
+  txHash,
+  ipAddress = null,
+  userAgent = null,
+  status = 'confirmed',
+  timestamp = null,
+}) => {
+  const res = await db.query(
+    `INSERT INTO slurp_history
+       (wallet_address, claim_key, tx_hash, amount_hkdg, tier, is_meme_holder, ip_address, user_agent, status, slurp_timestamp)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10::timestamp, CURRENT_TIMESTAMP))
+     ON CONFLICT (tx_hash, claim_key) DO NOTHING
+     RETURNING id, slurp_timestamp`,
+    [address, claimKey, txHash, amount, tier, tier === 'meme', ipAddress, userAgent, status, timestamp]
+  );
+  return res.rows[0] || null;
+};
+
+// Every claim that may still be paid, or already was, counts towards the cooldown
+const RECENT_CLAIM_SQL = `SELECT 1 FROM slurp_history
+  WHERE claim_key = $1
+    AND status NOT IN ('failed', 'expired')
+    AND slurp_timestamp > NOW() - ($2 * INTERVAL '1 millisecond')
+  LIMIT 1`;
+
+// Check if a wallet (claim key) has claimed within the cooldown window
+const hasRecentClaim = async (claimKey, windowMs = CLAIM_COOLDOWN_MS) => {
+  const res = await db.query(RECENT_CLAIM_SQL, [claimKey, windowMs]);
+  return res.rowCount > 0;
+};
+
+// Which of these wallets have ever claimed (counting queued claims, not failed
+// or expired ones)
+const getClaimedKeys = async (claimKeys) => {
+  if (claimKeys.length === 0) {
+    return [];
+  }
+  const res = await db.query(
+    `SELECT DISTINCT claim_key FROM slurp_history
+     WHERE claim_key = ANY($1) AND status NOT IN ('failed', 'expired')`,
+    [claimKeys]
+  );
+  return res.rows.map(row => row.claim_key);
+};
+
+// Atomically check the cooldown and budgets and queue a claim for payout.
+// Returns null if the wallet already has a queued or recent claim, and
+// { exhaustedBudget } if paying it would overrun one of `budgets`.
+// `springsBonusId` is a Springs donation bonus included in `amount`.
+const reserveClaim = async ({ address, claimKey, tier, amount, springsBonusId = null, ipAddress = null, userAgent = null }, windowMs = CLAIM_COOLDOWN_MS, budgets = null) => {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    // Serialize reservations for the same wallet until this transaction ends
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [claimKey]);
+
+    const existing = await client.query(RECENT_CLAIM_SQL, [claimKey, windowMs]);
+    if (existing.rowCount > 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    if (budgets) {
+      // Budgets are shared by every wallet, so serialize all budget checks
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', ['faucet_budget']);
+
+      const usage = await faucetStats.getBudgetUsage(client);
+      const exhaustedBudget = faucetStats.findExhaustedBudget(usage, tier, amount, budgets);
+      if (exhaustedBudget) {
+        await client.query('ROLLBACK');
+        return { exhaustedBudget };
+      }
+    }
+
+    const res = await client.query(
+      `INSERT INTO slurp_history
+         (wallet_address, claim_key, amount_hkdg, tier, is_meme_holder, ip_address, user_agent, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, 'queued')
+       RETURNING id, slurp_timestamp`,
+      [address, claimKey, amount, tier, tier === 'meme', ipAddress, userAgent]
+    );
+    if (springsBonusId && !await springs.claimBonus(client, springsBonusId, res.rows[0].id)) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    await faucetStats.addBudgetUsage(client, { tier, amount, at: res.rows[0].slurp_timestamp });
+
+    await client.query('COMMIT');
+    return res.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Release a queued claim that will never be paid, and give back its budget
+const releaseClaim = async (id) => {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    const released = await client.query(
+      `UPDATE slurp_history SET status = 'failed'
+       WHERE id = $1 AND status = 'queued'
+       RETURNING tier, amount_hkdg, slurp_timestamp`,
+      [id]
+    );
+    await faucetStats.refundBudgetUsage(client, released.rows);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Move up to `limit` queued claims, oldest first, into a new payout batch.
+// Returns { batchId, claims } or null if nothing is queued. SKIP LOCKED lets
+// several workers drain the queue without paying a claim twice.
+const takeQueuedClaims = async (limit) => {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    const queued = await client.query(
+      `SELECT id, wallet_address, claim_key, amount_hkdg, tier
+       FROM slurp_history
+       WHERE status = 'queued'
+       ORDER BY id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED`,
+      [limit]
+    );
+    if (queued.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const ids = queued.rows.map(row => row.id);
+    const total = queued.rows.reduce((sum, row) => sum + BigInt(row.amount_hkdg), 0n);
+    const batch = await client.query(
+      `INSERT INTO payout_batches (claim_count, total_hkdg)
+       VALUES ($1, $2)
+       RETURNING id`,
+      [ids.length, total.toString()]
+    );
+    const batchId = batch.rows[0].id;
+
+    await client.query(
+      `UPDATE slurp_history
+       SET status = 'processing', batch_id = $2, payout_attempts = payout_attempts + 1
+       WHERE id = ANY($1)`,
+      [ids, batchId]
+    );
+
+    await client.query('COMMIT');
+    return {
+      batchId,
+      claims: queued.rows.map(row => ({
+        id: row.id,
+        address: row.wallet_address,
+        claimKey: row.claim_key,
+        amount: Number(row.amount_hkdg),
+        tier: row.tier
+      }))
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Put claims taken into a batch back at the front of the queue without
+// counting it as an attempt (used when a batch has to be split)
+const requeueClaims = async (ids) => {
+  await db.query(
+    `UPDATE slurp_history
+     SET status = 'queued', batch_id = NULL, payout_attempts = payout_attempts - 1
+     WHERE id = ANY($1) AND status = 'processing'`,
+    [ids]
+  );
+};
+
+// Record the submitted transaction for a batch and mark its claims submitted
+const completeBatch = async (batchId, txHash, validUntil = null) => {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    const paid = await client.query(
+      `UPDATE slurp_history SET tx_hash = $2, status = 'submitted'
+       WHERE batch_id = $1 AND status = 'processing'
+       RETURNING amount_hkdg`,
+      [batchId, txHash]
+    );
+    const total = paid.rows.reduce((sum, row) => sum + BigInt(row.amount_hkdg), 0n);
+    await client.query(
+      `UPDATE payout_batches
+       SET tx_hash = $2, status = 'submitted', claim_count = $3, total_hkdg = $4,
+           submitted_at = CURRENT_TIMESTAMP, valid_until = $5
+       WHERE id = $1`,
+      [batchId, txHash, paid.rowCount, total.toString(), validUntil]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Batches whose transactions are waiting for confirmation
+const getSubmittedBatches = async () => {
+  const res = await db.query(
+    `SELECT id, tx_hash, submitted_at, valid_until, confirmations
+     FROM payout_batches
+     WHERE status = 'submitted'
+     ORDER BY id`
+  );
+  return res.rows.map(row => ({
+    id: row.id,
+    txHash: row.tx_hash,
+    submittedAt: row.submitted_at,
+    validUntil: row.valid_until,
+    confirmations: row.confirmations,
+  }));
+};
+
+// Record how deep a batch's transaction is. Once it reaches the required
+// depth the batch and its claims become confirmed.
+const updateBatchConfirmations = async (batchId, blockHeight, confirmations, confirmed) => {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE payout_batches
+       SET block_height = $2, confirmations = $3,
+           status = CASE WHEN $4 THEN 'confirmed' ELSE status END,
+           confirmed_at = CASE WHEN $4 THEN CURRENT_TIMESTAMP ELSE confirmed_at END
+       WHERE id = $1 AND status = 'submitted'`,
+      [batchId, blockHeight, confirmations, confirmed]
+    );
+    if (confirmed) {
+      await client.query(
+        `UPDATE slurp_history SET status = 'confirmed'
+         WHERE batch_id = $1 AND status = 'submitted'`,
+        [batchId]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// A batch's transaction can no longer land on chain. With retry its claims
+// go back in the queue while they have attempts left; otherwise they expire,
+// which frees the wallet's cooldown and the claim's budget.
+const expireBatch = async (batchId, { retry = true, maxAttempts = MAX_PAYOUT_ATTEMPTS } = {}) => {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE payout_batches
+       SET status = 'expired', error = 'Transaction expired without being included in a block'
+       WHERE id = $1 AND status = 'submitted'`,
+      [batchId]
+    );
+    const res = await client.query(
+      `UPDATE slurp_history
+       SET status = CASE WHEN $2 AND payout_attempts < $3 THEN 'queued' ELSE 'expired' END,
+           batch_id = CASE WHEN $2 AND payout_attempts < $3 THEN NULL ELSE batch_id END,
+           tx_hash = CASE WHEN $2 AND payout_attempts < $3 THEN NULL ELSE tx_hash END
+       WHERE batch_id = $1 AND status = 'submitted'
+       RETURNING status, tier, amount_hkdg, slurp_timestamp`,
+      [batchId, retry, maxAttempts]
+    );
+    await faucetStats.refundBudgetUsage(client, res.rows.filter(row => row.status === 'expired'));
+
+    await client.query('COMMIT');
+    return {
+      requeued: res.rows.filter(row => row.status === 'queued').length,
+      expired: res.rows.filter(row => row.status === 'expired').length,
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Mark a batch failed. Its claims go back in the queue until they have used
+// up MAX_PAYOUT_ATTEMPTS, after which they fail for good and free their budget.
+const failBatch = async (batchId, errorMessage, maxAttempts = MAX_PAYOUT_ATTEMPTS) => {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      'UPDATE payout_batches SET status = \'failed\', error = $2 WHERE id = $1',
+      [batchId, errorMessage]
+    );
+    const res = await client.query(
+      `UPDATE slurp_history
+       SET status = CASE WHEN payout_attempts >= $2 THEN 'failed' ELSE 'queued' END,
+           batch_id = CASE WHEN payout_attempts >= $2 THEN batch_id ELSE NULL END
+       WHERE batch_id = $1 AND status = 'processing'
+       RETURNING status, tier, amount_hkdg, slurp_timestamp`,
+      [batchId, maxAttempts]
+    );
+    await faucetStats.refundBudgetUsage(client, res.rows.filter(row => row.status === 'failed'));
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Give up on a batch without charging its claims a payout attempt, for
+// failures that say nothing about the claims themselves (e.g. every faucet
+// UTxO is locked by an in-flight transaction)
+const deferBatch = async (batchId, reason) => {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      'UPDATE payout_batches SET status = \'failed\', error = $2 WHERE id = $1',
+      [batchId, reason]
+    );
+    await client.query(
+      `UPDATE slurp_history
+       SET status = 'queued', batch_id = NULL, payout_attempts = payout_attempts - 1
+       WHERE batch_id = $1 AND status = 'processing'`,
+      [batchId]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Look up a claim and the batch that paid it
+const getClaim = async (id) => {
+  const res = await db.query(
+    `SELECT s.id, s.status, s.tier, s.amount_hkdg, s.tx_hash, s.batch_id,
+            s.payout_attempts, s.slurp_timestamp, s.updated_at, b.error AS batch_error,
+            b.confirmations, b.confirmed_at
+     FROM slurp_history s
+     LEFT JOIN payout_batches b ON b.id = s.batch_id
+     WHERE s.id = $1`,
+    [id]
+  );
+  const row = res.rows[0];
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    status: row.status,
+    tier: row.tier,
+    amount: Number(row.amount_hkdg),
+    txHash: row.tx_hash,
+    batchId: row.batch_id,
+    attempts: row.payout_attempts,
+    confirmations: row.confirmations || 0,
+    confirmedAt: row.confirmed_at ? new Date(row.confirmed_at).toISOString() : null,
+    error: ['failed', 'expired'].includes(row.status) ? row.batch_error : null,
+    createdAt: new Date(row.slurp_timestamp).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString(),
+  };
+};
+
+// Page through claims, newest first. Every filter is optional.
+const listClaims = async ({ status = null, tier = null, claimKey = null, address = null, from = null, to = null, limit = 50, offset = 0 } = {}) => {
+  const filters = `WHERE ($1::text IS NULL OR status = $1)
+      AND ($2::text IS NULL OR tier = $2)
+      AND ($3::text IS NULL OR claim_key = $3)
+      AND ($4::text IS NULL OR wallet_address = $4)
+      AND ($5::timestamp IS NULL OR slurp_timestamp >= $5)
+      AND ($6::timestamp IS NULL OR slurp_timestamp < $6)`;
+  const params = [status, tier, claimKey, address, from, to];
+
+  const [rows, count] = await Promise.all([
+    db.query(
+      `SELECT id, wallet_address, claim_key, tier, amount_hkdg, status, tx_hash, batch_id,
+              payout_attempts, ip_address, slurp_timestamp, updated_at
+       FROM slurp_history ${filters}
+       ORDER BY id DESC
+       LIMIT $7 OFFSET $8`,
+      [...params, limit, offset]
+    ),
+    db.query(`SELECT COUNT(*)::int AS total FROM slurp_history ${filters}`, params),
+  ]);
+
+  return {
+    claims: rows.rows.map(row => ({
+      id: row.id,
+      address: row.wallet_address,
+      claimKey: row.claim_key,
+      tier: row.tier,
+      amount: Number(row.amount_hkdg),
+      status: row.status,
+      txHash: row.tx_hash,
+      batchId: row.batch_id,
+      attempts: row.payout_attempts,
+      ipAddress: row.ip_address,
+      createdAt: new Date(row.slurp_timestamp).toISOString(),
+      updatedAt: new Date(row.updated_at).toISOString(),
+    })),
+    total: count.rows[0].total,
+  };
+};
+
+// Put a failed or expired claim back in the queue with fresh attempts. Its
+// budget is taken again, without a limit check since an admin asked for it.
+// Returns null if the claim doesn't exist, isn't failed or expired, or the
+// wallet has claimed again since (resending would pay it twice). Pass a
+// transaction client to resend as part of a larger transaction.
+const resendClaim = async (id, client = null) => {
+  if (!client) {
+    return db.transaction(transactionClient => resendClaim(id, transactionClient));
+  }
+
+  const res = await client.query(
+    `UPDATE slurp_history
+     SET status = 'queued', batch_id = NULL, tx_hash = NULL, payout_attempts = 0
+     WHERE id = $1 AND status IN ('failed', 'expired')
+       AND NOT EXISTS (
+         SELECT 1 FROM slurp_history newer
+         WHERE newer.claim_key = slurp_history.claim_key
+           AND newer.id > slurp_history.id
+           AND newer.status NOT IN ('failed', 'expired')
+       )
+     RETURNING id, tier, amount_hkdg, slurp_timestamp`,
+    [id]
+  );
+  const row = res.rows[0];
+  if (row) {
+    await faucetStats.addBudgetUsage(client, { tier: row.tier, amount: row.amount_hkdg, at: row.slurp_timestamp });
+  }
+  return row ? { id: row.id, status: 'queued' } : null;
+};
+
+// Number of claims waiting for a payout batch
+const getQueueDepth = async () => {
+  const res = await db.query(
+    'SELECT COUNT(*)::int AS queued FROM slurp_history WHERE status = \'queued\''
+  );
+  return res.rows[0].queued;
+};
+
+// Aggregate faucet statistics
+const getClaimStats = async () => {
+  const totals = await db.query(
+    `SELECT
+       COUNT(*)::int AS total_slurps,
+       COUNT(DISTINCT wallet_address)::int AS unique_addresses,
+       COUNT(DISTINCT claim_key)::int AS unique_wallets,
+       COALESCE(SUM(amount_hkdg), 0) AS total_distributed,
+       MAX(slurp_timestamp) AS last_slurp
+     FROM slurp_history
+     WHERE status = ANY($1)`,
+    [PAID_STATUSES]
+  );
+  const byTier = await db.query(
+    `SELECT tier, COUNT(*)::int AS slurps
+     FROM slurp_history
+     WHERE status = ANY($1)
+     GROUP BY tier`,
+    [PAID_STATUSES]
+  );
+
+  const row = totals.rows[0];
+  const slurpsByTier = Object.fromEntries(byTier.rows.map(r => [r.tier, r.slurps]));
+  return {
+    totalSlurps: row.total_slurps,
+    uniqueAddresses: row.unique_addresses,
+    uniqueWallets: row.unique_wallets,
+    totalDistributed: Number(row.total_distributed),
+    slurpsByTier,
+    memeHolderSlurps: slurpsByTier.meme || 0,
+    adaOnlySlurps: slurpsByTier.ada || 0,
+    lastSlurp: row.last_slurp ? new Date(row.last_slurp).toISOString() : null,
+  };
+};
+
+module.exports = {
+  CLAIM_COOLDOWN_MS,
+  MAX_PAYOUT_ATTEMPTS,
+  PAID_STATUSES,
+  recordClaim,
+  hasRecentClaim,
+  getClaimedKeys,
+  reserveClaim,
+  releaseClaim,
+  takeQueuedClaims,
+  requeueClaims,
+  completeBatch,
+  getSubmittedBatches,
+  updateBatchConfirmations,
+  expireBatch,
+  failBatch,
+  deferBatch,
+  getClaim,
+  listClaims,
+  resendClaim,
+  getQueueDepth,
+  getClaimStats,
+};
@@ -17,6 +17,22 @@ const query = (text, params) => pool.query(text, params);
 
 const getClient = () => pool.connect();
 
+// Run fn(client) in one transaction: committed if it resolves, rolled back if it throws
+const transaction = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 // Health check
 const healthCheck = async () => {
   try {
@@ -30,6 +46,7 @@ const healthCheck = async () => {
 module.exports = {
   query,
   getClient,
+  transaction,
   healthCheck,
   pool,
 };
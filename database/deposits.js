@@ -0,0 +1,139 @@
+const db = require('./db');
+const faucetStats = require('./faucet-stats');
+
+// Log a deposit submitted through the deposit server. Amounts are in lovelace;
+// the tx hash is unique, so a resubmitted transaction is only logged once.
+const recordDeposit = async ({ txHash, senderAddress, recipient, purpose, lovelace, fee }) => {
+  const res = await db.query(
+    `INSERT INTO deposit_history (wallet_address, tx_hash, amount_ada, fee_ada, purpose, recipient_address, status)
+     VALUES ($1, $2, $3, $4, $5, $6, 'submitted')
+     ON CONFLICT (tx_hash) DO NOTHING
+     RETURNING id`,
+    [senderAddress, txHash, lovelace.toString(), fee.toString(), purpose, recipient]
+  );
+  return res.rows[0] ? res.rows[0].id : null;
+};
+
+// Block height an indexer has processed up to, or null before its first run
+const getIndexerCursor = async (name) => {
+  const res = await db.query('SELECT block_height FROM indexer_cursors WHERE name = $1', [name]);
+  return res.rows[0] ? Number(res.rows[0].block_height) : null;
+};
+
+const setIndexerCursor = async (name, blockHeight) => {
+  await db.query(
+    `INSERT INTO indexer_cursors (name, block_height)
+     VALUES ($1, $2)
+     ON CONFLICT (name) DO UPDATE
+     SET block_height = EXCLUDED.block_height, updated_at = CURRENT_TIMESTAMP`,
+    [name, blockHeight]
+  );
+};
+
+// Deposits seen on chain above a block height, i.e. the ones a rollback could still undo
+const getIndexedDepositsAbove = async (blockHeight) => {
+  const res = await db.query(
+    `SELECT tx_hash, block_height FROM deposit_history
+     WHERE block_height > $1
+     ORDER BY block_height`,
+    [blockHeight]
+  );
+  return res.rows.map(row => ({ txHash: row.tx_hash, blockHeight: Number(row.block_height) }));
+};
+
+// Upsert a deposit seen on chain and count it in faucet_stats. A deposit that
+// was logged by /api/submit is completed with its block; one already indexed
+// in the same block is left alone, so re-indexing is harmless. Returns true if
+// anything changed.
+const upsertIndexedDeposit = async ({ txHash, senderAddress, recipient, purpose, lovelace, fee, blockHeight, blockTime }) => {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT amount_ada, block_height, block_time FROM deposit_history WHERE tx_hash = $1 FOR UPDATE',
+      [txHash]
+    );
+    const previous = existing.rows[0];
+    if (previous && Number(previous.block_height) === blockHeight) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    // Moved to another block by a rollback we didn't see happen
+    if (previous && previous.block_height !== null) {
+      await faucetStats.removeDepositStats(client, { lovelace: previous.amount_ada, at: previous.block_time });
+    }
+
+    const res = await client.query(
+      `INSERT INTO deposit_history
+         (wallet_address, tx_hash, amount_ada, fee_ada, purpose, recipient_address, block_height, block_time, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, to_timestamp($8)::timestamp, 'confirmed')
+       ON CONFLICT (tx_hash) DO UPDATE
+       SET wallet_address = EXCLUDED.wallet_address,
+           amount_ada = EXCLUDED.amount_ada,
+           fee_ada = EXCLUDED.fee_ada,
+           purpose = EXCLUDED.purpose,
+           recipient_address = EXCLUDED.recipient_address,
+           block_height = EXCLUDED.block_height,
+           block_time = EXCLUDED.block_time,
+           status = 'confirmed'
+       RETURNING block_time`,
+      [senderAddress, txHash, lovelace.toString(), fee.toString(), purpose, recipient, blockHeight, blockTime]
+    );
+    await faucetStats.addDepositStats(client, { lovelace: lovelace.toString(), at: res.rows[0].block_time });
+
+    await client.query('COMMIT');
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Mark a deposit whose block was rolled back and take it out of faucet_stats.
+// It is counted again if the indexer sees it land in a later block.
+const rollBackDeposit = async (txHash) => {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      `SELECT amount_ada, block_time FROM deposit_history
+       WHERE tx_hash = $1 AND block_height IS NOT NULL
+       FOR UPDATE`,
+      [txHash]
+    );
+    if (existing.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    await client.query(
+      `UPDATE deposit_history
+       SET block_height = NULL, block_time = NULL, status = 'rolled_back'
+       WHERE tx_hash = $1`,
+      [txHash]
+    );
+    await faucetStats.removeDepositStats(client, { lovelace: existing.rows[0].amount_ada, at: existing.rows[0].block_time });
+
+    await client.query('COMMIT');
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  recordDeposit,
+  getIndexerCursor,
+  setIndexerCursor,
+  getIndexedDepositsAbove,
+  upsertIndexedDeposit,
+  rollBackDeposit,
+};
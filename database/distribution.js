@@ -0,0 +1,78 @@
+const db = require('./db');
+
+// Shares and coefficients come back from Postgres as strings; quantities stay
+// strings so large supplies don't lose precision
+const toSnapshot = (row) => ({
+  id: row.id,
+  assetId: row.asset_id,
+  policyId: row.policy_id,
+  assetName: row.asset_name,
+  holderCount: row.holder_count,
+  totalQuantity: row.total_quantity,
+  gini: Number(row.gini),
+  hhi: Number(row.hhi),
+  nakamoto: row.nakamoto,
+  top10Share: Number(row.top10_share),
+  top100Share: Number(row.top100_share),
+  labelled: row.labelled,
+  topHolders: row.top_holders,
+  truncated: row.truncated,
+  takenAt: new Date(row.taken_at).toISOString(),
+});
+
+const saveSnapshot = async (snapshot) => {
+  const res = await db.query(
+    `INSERT INTO holder_snapshots (asset_id, policy_id, asset_name, holder_count, total_quantity, gini, hhi,
+       nakamoto, top10_share, top100_share, labelled, top_holders, truncated)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+     RETURNING *`,
+    [
+      snapshot.assetId,
+      snapshot.policyId,
+      snapshot.assetName,
+      snapshot.holderCount,
+      snapshot.totalQuantity,
+      snapshot.gini,
+      snapshot.hhi,
+      snapshot.nakamoto,
+      snapshot.top10Share,
+      snapshot.top100Share,
+      JSON.stringify(snapshot.labelled),
+      JSON.stringify(snapshot.topHolders),
+      snapshot.truncated,
+    ]
+  );
+  return toSnapshot(res.rows[0]);
+};
+
+const getLatestSnapshot = async (assetId) => {
+  const res = await db.query(
+    `SELECT * FROM holder_snapshots
+     WHERE asset_id = $1
+     ORDER BY taken_at DESC
+     LIMIT 1`,
+    [assetId]
+  );
+  return res.rows[0] ? toSnapshot(res.rows[0]) : null;
+};
+
+// Snapshots of an asset since `from`, oldest first, for charting. Top holders
+// are left out to keep the series small.
+const listSnapshots = async (assetId, { from, limit = 500 }) => {
+  const res = await db.query(
+    `SELECT id, asset_id, policy_id, asset_name, holder_count, total_quantity, gini, hhi, nakamoto,
+            top10_share, top100_share, labelled, NULL AS top_holders, truncated, taken_at
+     FROM holder_snapshots
+     WHERE asset_id = $1 AND taken_at >= $2
+     ORDER BY taken_at
+     LIMIT $3`,
+    [assetId, from, limit]
+  );
+  return res.rows.map(toSnapshot);
+};
+
+module.exports = {
+  saveSnapshot,
+  getLatestSnapshot,
+  listSnapshots,
+};
@@ -0,0 +1,117 @@
+const db = require('./db');
+
+// Budget windows: the current clock hour and the current day, both in the
+// database session's time zone like slurp_timestamp itself
+const BUDGET_WINDOWS = ['hourly', 'daily'];
+
+// ADA deposited on chain is counted in its own faucet_stats rows, in the hour
+// of the block it landed in, so it never counts towards a claim budget
+const DEPOSIT_STATS_TIER = 'deposits';
+
+// Add a claim's HKDG to its hour's stats. `executor` is db or a transaction client.
+const addBudgetUsage = async (executor, { tier, amount, at = null }) => {
+  await executor.query(
+    `INSERT INTO faucet_stats (date, hour, tier, total_slurps, total_hkdg_distributed)
+     VALUES (COALESCE($3::timestamp, LOCALTIMESTAMP)::date,
+             EXTRACT(HOUR FROM COALESCE($3::timestamp, LOCALTIMESTAMP)), $1, 1, $2)
+     ON CONFLICT (date, hour, tier) DO UPDATE
+     SET total_slurps = faucet_stats.total_slurps + 1,
+         total_hkdg_distributed = faucet_stats.total_hkdg_distributed + EXCLUDED.total_hkdg_distributed`,
+    [tier, amount, at]
+  );
+};
+
+// Give back the budget of claims that will never be paid.
+// `rows` are slurp_history rows with tier, amount_hkdg and slurp_timestamp.
+const refundBudgetUsage = async (executor, rows) => {
+  for (const row of rows) {
+    await executor.query(
+      `UPDATE faucet_stats
+       SET total_slurps = GREATEST(total_slurps - 1, 0),
+           total_hkdg_distributed = GREATEST(total_hkdg_distributed - $2, 0)
+       WHERE date = $3::timestamp::date AND hour = EXTRACT(HOUR FROM $3::timestamp) AND tier = $1`,
+      [row.tier, row.amount_hkdg, row.slurp_timestamp]
+    );
+  }
+};
+
+// Add an on-chain deposit to the stats of the hour its block was made in
+const addDepositStats = async (executor, { lovelace, at }) => {
+  await executor.query(
+    `INSERT INTO faucet_stats (date, hour, tier, total_ada_deposited)
+     VALUES ($3::timestamp::date, EXTRACT(HOUR FROM $3::timestamp), $1, $2)
+     ON CONFLICT (date, hour, tier) DO UPDATE
+     SET total_ada_deposited = faucet_stats.total_ada_deposited + EXCLUDED.total_ada_deposited`,
+    [DEPOSIT_STATS_TIER, lovelace, at]
+  );
+};
+
+// Take back a deposit whose block was rolled back
+const removeDepositStats = async (executor, { lovelace, at }) => {
+  await executor.query(
+    `UPDATE faucet_stats
+     SET total_ada_deposited = GREATEST(total_ada_deposited - $2, 0)
+     WHERE date = $3::timestamp::date AND hour = EXTRACT(HOUR FROM $3::timestamp) AND tier = $1`,
+    [DEPOSIT_STATS_TIER, lovelace, at]
+  );
+};
+
+// HKDG committed in the current hour and day, overall and per tier
+const getBudgetUsage = async (executor = db) => {
+  const res = await executor.query(
+    `SELECT tier,
+            COALESCE(SUM(total_hkdg_distributed) FILTER (WHERE hour = EXTRACT(HOUR FROM LOCALTIMESTAMP)), 0) AS hourly,
+            COALESCE(SUM(total_hkdg_distributed), 0) AS daily
+     FROM faucet_stats
+     WHERE date = CURRENT_DATE AND tier <> $1
+     GROUP BY tier`,
+    [DEPOSIT_STATS_TIER]
+  );
+
+  const usage = { hourly: 0, daily: 0, tiers: {} };
+  for (const row of res.rows) {
+    const hourly = Number(row.hourly);
+    const daily = Number(row.daily);
+    usage.tiers[row.tier] = { hourly, daily };
+    usage.hourly += hourly;
+    usage.daily += daily;
+  }
+  return usage;
+};
+
+/**
+ * Find the first budget a claim would overrun. Limits of 0 or null are unlimited.
+ * @param {Object} usage - Result of getBudgetUsage
+ * @param {string} tier - Tier ID of the claim
+ * @param {number} amount - HKDG the claim pays
+ * @param {Object} budgets - { hourlyHkdg, dailyHkdg, tiers: { <id>: { hourlyHkdg, dailyHkdg } } }
+ * @returns {Object|null} { window, tier, limit, used } or null if every budget has room
+ */
+const findExhaustedBudget = (usage, tier, amount, budgets) => {
+  const tierUsage = usage.tiers[tier] || { hourly: 0, daily: 0 };
+  const tierBudgets = (budgets.tiers || {})[tier] || {};
+
+  for (const window of BUDGET_WINDOWS) {
+    const checks = [
+      { tier: null, limit: budgets[`${window}Hkdg`], used: usage[window] },
+      { tier, limit: tierBudgets[`${window}Hkdg`], used: tierUsage[window] }
+    ];
+    for (const check of checks) {
+      if (check.limit && check.used + amount > check.limit) {
+        return { window, ...check };
+      }
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  BUDGET_WINDOWS,
+  DEPOSIT_STATS_TIER,
+  addBudgetUsage,
+  refundBudgetUsage,
+  addDepositStats,
+  removeDepositStats,
+  getBudgetUsage,
+  findExhaustedBudget,
+};
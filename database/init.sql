@@ -1,17 +1,38 @@
 -- HOSKDOG Database Schema
 
+-- Payout batches: one multi-output faucet transaction paying many claims
+CREATE TABLE IF NOT EXISTS payout_batches (
+    id SERIAL PRIMARY KEY,
+    tx_hash VARCHAR(255) UNIQUE, -- NULL until the transaction is submitted
+    status VARCHAR(50) DEFAULT 'building', -- building, submitted, confirmed, failed, expired
+    claim_count INT DEFAULT 0,
+    total_hkdg BIGINT DEFAULT 0,
+    error TEXT,
+    submitted_at TIMESTAMP,
+    valid_until TIMESTAMP, -- tx validity upper bound; it can't land on chain after this
+    block_height BIGINT,
+    confirmations INT DEFAULT 0,
+    confirmed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Slurp history table
 CREATE TABLE IF NOT EXISTS slurp_history (
     id SERIAL PRIMARY KEY,
     wallet_address VARCHAR(255) NOT NULL,
-    tx_hash VARCHAR(255) UNIQUE NOT NULL,
+    claim_key VARCHAR(64) NOT NULL, -- stake credential hash (payment credential for enterprise addresses)
+    tx_hash VARCHAR(255), -- NULL until paid; shared by every claim in a payout batch
+    batch_id INT REFERENCES payout_batches(id),
+    payout_attempts INT DEFAULT 0,
     amount_hkdg BIGINT NOT NULL,
     amount_ada BIGINT,
+    tier VARCHAR(50), -- faucet tier ID from config.faucet.tiers
     is_meme_holder BOOLEAN DEFAULT FALSE,
     slurp_timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     ip_address INET,
     user_agent TEXT,
-    status VARCHAR(50) DEFAULT 'completed',
+    status VARCHAR(50) DEFAULT 'queued', -- queued, processing, submitted, confirmed, failed, expired
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -23,11 +44,73 @@ CREATE TABLE IF NOT EXISTS deposit_history (
     tx_hash VARCHAR(255) UNIQUE NOT NULL,
     amount_ada BIGINT NOT NULL,
     fee_ada BIGINT NOT NULL,
+    purpose VARCHAR(20) NOT NULL DEFAULT 'deposit', -- deposit, springs, vault, or unassigned (untagged, to a shared address)
+    recipient_address VARCHAR(255),
+    block_height BIGINT, -- NULL until the deposit indexer sees it on chain
+    block_time TIMESTAMP,
     deposit_timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    status VARCHAR(50) DEFAULT 'completed',
+    status VARCHAR(50) DEFAULT 'completed', -- submitted, confirmed, rolled_back
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Springs donation boosts: each donation of at least springs.minDonation boosts
+-- the donor's faucet rewards until boost_expires_at. A wallet's first donation
+-- also carries a one-time bonus, paid with its next claim (bonus_claim_id).
+CREATE TABLE IF NOT EXISTS springs_boosts (
+    id SERIAL PRIMARY KEY,
+    tx_hash VARCHAR(255) UNIQUE NOT NULL REFERENCES deposit_history(tx_hash),
+    claim_key VARCHAR(64) NOT NULL, -- donor's stake credential hash, as in slurp_history
+    donor_address VARCHAR(255) NOT NULL,
+    donation_lovelace BIGINT NOT NULL,
+    bonus_hkdg BIGINT DEFAULT 0,
+    bonus_claim_id INT REFERENCES slurp_history(id),
+    multiplier NUMERIC(6, 2) NOT NULL,
+    boost_starts_at TIMESTAMP NOT NULL,
+    boost_expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP, -- set when the donation is rolled back
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Vault withdrawals requested by wallets. A request waits for an admin to
+-- approve it (and pay it) or reject it; its debit in vault_ledger is reversed
+-- if it is rejected or its transaction never lands.
+CREATE TABLE IF NOT EXISTS vault_withdrawals (
+    id SERIAL PRIMARY KEY,
+    claim_key VARCHAR(64) NOT NULL, -- owner's stake credential hash, as in vault_ledger
+    address VARCHAR(255) NOT NULL, -- address that signed the request and is paid
+    amount_lovelace BIGINT NOT NULL CHECK (amount_lovelace > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, approved, submitted, confirmed, rejected, failed
+    reviewed_by VARCHAR(100),
+    reviewed_at TIMESTAMP,
+    rejection_reason TEXT,
+    tx_hash VARCHAR(255),
+    valid_until TIMESTAMP, -- validity window of the payout tx
+    error TEXT,
+    requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Vault ledger: a wallet's balance is the sum of its entries that have not
+-- been reversed. Deposits are credited by the deposit indexer and reversed if
+-- rolled back; withdrawals are debited when they are requested.
+CREATE TABLE IF NOT EXISTS vault_ledger (
+    id SERIAL PRIMARY KEY,
+    claim_key VARCHAR(64) NOT NULL,
+    entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('deposit', 'withdrawal')),
+    amount_lovelace BIGINT NOT NULL, -- positive for deposits, negative for withdrawals
+    tx_hash VARCHAR(255) REFERENCES deposit_history(tx_hash),
+    withdrawal_id INT REFERENCES vault_withdrawals(id),
+    reversed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- How far each chain indexer has got, so it resumes where it stopped
+CREATE TABLE IF NOT EXISTS indexer_cursors (
+    name VARCHAR(50) PRIMARY KEY,
+    block_height BIGINT NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Rate limiting table
 CREATE TABLE IF NOT EXISTS rate_limits (
     id SERIAL PRIMARY KEY,
@@ -39,23 +122,117 @@ CREATE TABLE IF NOT EXISTS rate_limits (
     UNIQUE(wallet_address, action_type)
 );
 
--- Faucet stats table
+-- Faucet stats table: HKDG committed to claims per hour and tier, which the
+-- hourly, daily and per-tier budgets are checked against. Rows are added when a
+-- claim is queued and reduced again if it fails or expires. ADA deposited on
+-- chain is counted under the 'deposits' tier by the deposit indexer.
 CREATE TABLE IF NOT EXISTS faucet_stats (
     id SERIAL PRIMARY KEY,
-    date DATE NOT NULL UNIQUE,
+    date DATE NOT NULL,
+    hour SMALLINT NOT NULL CHECK (hour BETWEEN 0 AND 23),
+    tier VARCHAR(50) NOT NULL,
     total_slurps INT DEFAULT 0,
     total_hkdg_distributed BIGINT DEFAULT 0,
     total_ada_deposited BIGINT DEFAULT 0,
-    unique_wallets INT DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(date, hour, tier)
+);
+
+-- Runtime faucet controls set through the admin API (manual pause, tier reward overrides)
+CREATE TABLE IF NOT EXISTS faucet_controls (
+    key VARCHAR(50) PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_by VARCHAR(100),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Wallet ban/allow list, keyed on the claim key like slurp_history
+CREATE TABLE IF NOT EXISTS wallet_access (
+    claim_key VARCHAR(64) PRIMARY KEY,
+    wallet_address VARCHAR(255), -- address the entry was created from
+    list VARCHAR(10) NOT NULL CHECK (list IN ('ban', 'allow')),
+    reason TEXT,
+    created_by VARCHAR(100),
+    expires_at TIMESTAMP, -- NULL for permanent entries
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Wallets the Sybil check denied or downgraded, kept for admin review. A
+-- wallet has at most one pending flag, updated on every check; a dismissed
+-- flag exempts the wallet from the check from then on, a confirmed one keeps
+-- it denied or downgraded without flagging it again.
+CREATE TABLE IF NOT EXISTS sybil_flags (
+    id SERIAL PRIMARY KEY,
+    claim_key VARCHAR(64) NOT NULL,
+    wallet_address VARCHAR(255) NOT NULL,
+    score SMALLINT NOT NULL,
+    action VARCHAR(10) NOT NULL CHECK (action IN ('deny', 'downgrade')),
+    tier VARCHAR(50), -- tier the wallet qualified for
+    downgraded_to VARCHAR(50),
+    funder VARCHAR(255), -- stake address (or address) that funded the wallet
+    signals JSONB,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, confirmed, dismissed
+    reviewed_by VARCHAR(100),
+    reviewed_at TIMESTAMP,
+    review_note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Token holder distribution, one row per asset per snapshot. Holders are
+-- aggregated by stake key; quantities are in the asset's base units.
+CREATE TABLE IF NOT EXISTS holder_snapshots (
+    id SERIAL PRIMARY KEY,
+    asset_id VARCHAR(64) NOT NULL, -- 'hkdg' or a distribution.assets id
+    policy_id VARCHAR(56) NOT NULL,
+    asset_name VARCHAR(64) NOT NULL, -- hex
+    holder_count INTEGER NOT NULL,
+    total_quantity NUMERIC(40, 0) NOT NULL,
+    gini NUMERIC(8, 6) NOT NULL,
+    hhi NUMERIC(10, 4) NOT NULL, -- 0 to 10000
+    nakamoto INTEGER NOT NULL,
+    top10_share NUMERIC(8, 4) NOT NULL, -- percent
+    top100_share NUMERIC(8, 4) NOT NULL,
+    labelled JSONB, -- holdings of known wallets by type
+    top_holders JSONB,
+    truncated BOOLEAN NOT NULL DEFAULT FALSE, -- more holders than distribution.maxHolders
+    taken_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Admin audit log: one row per admin action
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id SERIAL PRIMARY KEY,
+    actor VARCHAR(100) NOT NULL,
+    role VARCHAR(20) NOT NULL,
+    action VARCHAR(50) NOT NULL,
+    target VARCHAR(255),
+    details JSONB,
+    ip_address INET,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Indexes for performance
 CREATE INDEX idx_slurp_wallet ON slurp_history(wallet_address);
+CREATE INDEX idx_slurp_claim_key ON slurp_history(claim_key, slurp_timestamp DESC);
 CREATE INDEX idx_slurp_timestamp ON slurp_history(slurp_timestamp DESC);
+CREATE UNIQUE INDEX idx_slurp_tx_claim ON slurp_history(tx_hash, claim_key);
+CREATE INDEX idx_slurp_queue ON slurp_history(status, id) WHERE status = 'queued';
+CREATE INDEX idx_slurp_batch ON slurp_history(batch_id);
+CREATE INDEX idx_payout_batches_submitted ON payout_batches(status) WHERE status = 'submitted';
 CREATE INDEX idx_deposit_wallet ON deposit_history(wallet_address);
+CREATE INDEX idx_deposit_block ON deposit_history(block_height) WHERE block_height IS NOT NULL;
+CREATE INDEX idx_springs_boosts_claim_key ON springs_boosts(claim_key, boost_expires_at DESC);
+CREATE INDEX idx_vault_ledger_claim_key ON vault_ledger(claim_key, id DESC);
+CREATE UNIQUE INDEX idx_vault_ledger_deposit ON vault_ledger(tx_hash) WHERE entry_type = 'deposit';
+CREATE UNIQUE INDEX idx_vault_ledger_withdrawal ON vault_ledger(withdrawal_id) WHERE entry_type = 'withdrawal';
+CREATE INDEX idx_vault_withdrawals_status ON vault_withdrawals(status, id);
 CREATE INDEX idx_rate_limit_lookup ON rate_limits(wallet_address, action_type);
 CREATE INDEX idx_faucet_stats_date ON faucet_stats(date DESC);
+CREATE UNIQUE INDEX idx_sybil_flags_pending ON sybil_flags(claim_key) WHERE status = 'pending';
+CREATE INDEX idx_sybil_flags_status ON sybil_flags(status, id DESC);
+CREATE INDEX idx_holder_snapshots_asset ON holder_snapshots(asset_id, taken_at DESC);
+CREATE INDEX idx_admin_audit_created ON admin_audit_log(created_at DESC);
 
 -- Function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -71,3 +248,27 @@ CREATE TRIGGER update_slurp_history_updated_at
     BEFORE UPDATE ON slurp_history
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger for payout_batches
+CREATE TRIGGER update_payout_batches_updated_at
+    BEFORE UPDATE ON payout_batches
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger for faucet_stats
+CREATE TRIGGER update_faucet_stats_updated_at
+    BEFORE UPDATE ON faucet_stats
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger for sybil_flags
+CREATE TRIGGER update_sybil_flags_updated_at
+    BEFORE UPDATE ON sybil_flags
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger for vault_withdrawals
+CREATE TRIGGER update_vault_withdrawals_updated_at
+    BEFORE UPDATE ON vault_withdrawals
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -8,20 +8,17 @@ const client = redis.createClient({
 client.on('error', (err) => console.error('Redis Client Error:', err));
 client.on('connect', () => console.log('Redis Client Connected'));
 
+// rate-limiter-flexible drives Redis through the callback-style command API
+const rateLimitClient = client.duplicate({ legacyMode: true });
+
+rateLimitClient.on('error', (err) => console.error('Redis Rate Limit Client Error:', err));
+
 // Connect to Redis
 (async () => {
   await client.connect();
+  await rateLimitClient.connect();
 })();
 
-// Rate limiting helper
-const checkRateLimit = async (key, limit, window) => {
-  const current = await client.incr(key);
-  if (current === 1) {
-    await client.expire(key, window);
-  }
-  return current <= limit;
-};
-
 // Cache helper
 const cacheGet = async (key) => {
   const value = await client.get(key);
@@ -34,7 +31,7 @@ const cacheSet = async (key, value, ttl = 300) => {
 
 module.exports = {
   client,
-  checkRateLimit,
+  rateLimitClient,
   cacheGet,
   cacheSet,
 };
@@ -0,0 +1,100 @@
+const db = require('./db');
+
+// Grant the boost for a Springs donation seen on chain. The boost runs for
+// `boostDays` from the donation's block; the one-time bonus is only granted
+// with a wallet's first donation. Granting the same donation again (after a
+// rollback and re-inclusion) reinstates it.
+const grantBoost = async ({ txHash, claimKey, donorAddress, lovelace, bonusHkdg, multiplier, boostDays }) => {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    // Serialize grants for the same wallet so the bonus is only given once
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`springs:${claimKey}`]);
+
+    const earlier = await client.query(
+      `SELECT 1 FROM springs_boosts
+       WHERE claim_key = $1 AND tx_hash <> $2 AND bonus_hkdg > 0 AND revoked_at IS NULL`,
+      [claimKey, txHash]
+    );
+    const bonus = earlier.rowCount > 0 ? 0 : bonusHkdg;
+
+    const res = await client.query(
+      `INSERT INTO springs_boosts
+         (tx_hash, claim_key, donor_address, donation_lovelace, bonus_hkdg, multiplier, boost_starts_at, boost_expires_at)
+       SELECT $1, $2, $3, $4, $5, $6, block_time, block_time + make_interval(secs => $7)
+       FROM deposit_history WHERE tx_hash = $1
+       ON CONFLICT (tx_hash) DO UPDATE
+       SET boost_starts_at = EXCLUDED.boost_starts_at,
+           boost_expires_at = EXCLUDED.boost_expires_at,
+           revoked_at = NULL
+       RETURNING id, bonus_hkdg, boost_expires_at`,
+      [txHash, claimKey, donorAddress, lovelace.toString(), bonus, multiplier, boostDays * 24 * 60 * 60]
+    );
+
+    await client.query('COMMIT');
+    return res.rows[0] || null;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Withdraw the boost of a donation that was rolled back. A bonus already paid
+// out stays paid.
+const revokeBoost = async (txHash) => {
+  const res = await db.query(
+    `UPDATE springs_boosts SET revoked_at = CURRENT_TIMESTAMP
+     WHERE tx_hash = $1 AND revoked_at IS NULL`,
+    [txHash]
+  );
+  return res.rowCount > 0;
+};
+
+// A bonus is unclaimed until it is part of a claim that is queued or paid; the
+// bonus of a failed or expired claim can be claimed again
+const UNCLAIMED_BONUS_SQL = `(bonus_claim_id IS NULL OR EXISTS (
+  SELECT 1 FROM slurp_history claim
+  WHERE claim.id = springs_boosts.bonus_claim_id AND claim.status IN ('failed', 'expired')
+))`;
+
+// Active boost and unclaimed bonus for a wallet
+const getBoostStatus = async (claimKey) => {
+  const res = await db.query(
+    `SELECT
+       (SELECT MAX(boost_expires_at) FROM springs_boosts
+        WHERE claim_key = $1 AND revoked_at IS NULL AND boost_expires_at > LOCALTIMESTAMP) AS expires_at,
+       (SELECT MAX(multiplier) FROM springs_boosts
+        WHERE claim_key = $1 AND revoked_at IS NULL AND boost_expires_at > LOCALTIMESTAMP) AS multiplier,
+       (SELECT json_build_object('id', id, 'amount', bonus_hkdg) FROM springs_boosts
+        WHERE claim_key = $1 AND revoked_at IS NULL AND bonus_hkdg > 0 AND ${UNCLAIMED_BONUS_SQL}
+        ORDER BY id LIMIT 1) AS bonus`,
+    [claimKey]
+  );
+  const row = res.rows[0];
+  return {
+    expiresAt: row.expires_at,
+    multiplier: row.multiplier === null ? null : Number(row.multiplier),
+    bonus: row.bonus ? { id: row.bonus.id, amount: Number(row.bonus.amount) } : null
+  };
+};
+
+// Attach an unclaimed bonus to the claim paying it. `executor` is db or a
+// transaction client. Returns false if the bonus was already claimed.
+const claimBonus = async (executor, boostId, claimId) => {
+  const res = await executor.query(
+    `UPDATE springs_boosts SET bonus_claim_id = $2
+     WHERE id = $1 AND revoked_at IS NULL AND ${UNCLAIMED_BONUS_SQL}`,
+    [boostId, claimId]
+  );
+  return res.rowCount > 0;
+};
+
+module.exports = {
+  grantBoost,
+  revokeBoost,
+  getBoostStatus,
+  claimBonus,
+};
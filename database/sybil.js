@@ -0,0 +1,91 @@
+const db = require('./db');
+
+const toFlag = (row) => ({
+  id: row.id,
+  claimKey: row.claim_key,
+  address: row.wallet_address,
+  score: row.score,
+  action: row.action,
+  tier: row.tier,
+  downgradedTo: row.downgraded_to,
+  funder: row.funder,
+  signals: row.signals,
+  status: row.status,
+  reviewedBy: row.reviewed_by,
+  reviewedAt: row.reviewed_at ? new Date(row.reviewed_at).toISOString() : null,
+  reviewNote: row.review_note,
+  createdAt: new Date(row.created_at).toISOString(),
+  updatedAt: new Date(row.updated_at).toISOString(),
+});
+
+// Record a Sybil denial or downgrade for review. A wallet that is already
+// waiting for review has its pending flag updated instead.
+const recordFlag = async ({ claimKey, address, score, action, tier, downgradedTo = null, funder = null, signals }) => {
+  const res = await db.query(
+    `INSERT INTO sybil_flags (claim_key, wallet_address, score, action, tier, downgraded_to, funder, signals)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (claim_key) WHERE status = 'pending' DO UPDATE
+     SET wallet_address = EXCLUDED.wallet_address,
+         score = EXCLUDED.score,
+         action = EXCLUDED.action,
+         tier = EXCLUDED.tier,
+         downgraded_to = EXCLUDED.downgraded_to,
+         funder = EXCLUDED.funder,
+         signals = EXCLUDED.signals
+     RETURNING id`,
+    [claimKey, address, score, action, tier, downgradedTo, funder, JSON.stringify(signals)]
+  );
+  return res.rows[0].id;
+};
+
+// Outcome of the latest review of a wallet's flags: 'confirmed', 'dismissed',
+// or null if none has been reviewed
+const getReviewStatus = async (claimKey) => {
+  const res = await db.query(
+    `SELECT status FROM sybil_flags
+     WHERE claim_key = $1 AND status <> 'pending'
+     ORDER BY reviewed_at DESC
+     LIMIT 1`,
+    [claimKey]
+  );
+  return res.rows[0] ? res.rows[0].status : null;
+};
+
+const listFlags = async ({ status = null, limit = 50, offset = 0 } = {}) => {
+  const filters = 'WHERE ($1::text IS NULL OR status = $1)';
+  const [rows, count] = await Promise.all([
+    db.query(
+      `SELECT * FROM sybil_flags ${filters}
+       ORDER BY id DESC
+       LIMIT $2 OFFSET $3`,
+      [status, limit, offset]
+    ),
+    db.query(`SELECT COUNT(*)::int AS total FROM sybil_flags ${filters}`, [status]),
+  ]);
+  return { flags: rows.rows.map(toFlag), total: count.rows[0].total };
+};
+
+// Confirm or dismiss a pending flag. Returns null if it isn't pending.
+const reviewFlag = async (id, { status, reviewedBy, note = null }, executor = db) => {
+  const res = await executor.query(
+    `UPDATE sybil_flags
+     SET status = $2, reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP, review_note = $4
+     WHERE id = $1 AND status = 'pending'
+     RETURNING *`,
+    [id, status, reviewedBy, note]
+  );
+  return res.rows[0] ? toFlag(res.rows[0]) : null;
+};
+
+const getFlag = async (id) => {
+  const res = await db.query('SELECT * FROM sybil_flags WHERE id = $1', [id]);
+  return res.rows[0] ? toFlag(res.rows[0]) : null;
+};
+
+module.exports = {
+  recordFlag,
+  getReviewStatus,
+  listFlags,
+  reviewFlag,
+  getFlag,
+};
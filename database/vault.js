@@ -0,0 +1,269 @@
+const db = require('./db');
+
+// Lovelace comes back from Postgres as a string; keep it that way in the API
+// so large balances don't lose precision
+const toWithdrawal = (row) => ({
+  id: row.id,
+  claimKey: row.claim_key,
+  address: row.address,
+  lovelace: row.amount_lovelace,
+  status: row.status,
+  reviewedBy: row.reviewed_by,
+  reviewedAt: row.reviewed_at ? new Date(row.reviewed_at).toISOString() : null,
+  rejectionReason: row.rejection_reason,
+  txHash: row.tx_hash,
+  validUntil: row.valid_until ? new Date(row.valid_until).toISOString() : null,
+  error: row.error,
+  requestedAt: new Date(row.requested_at).toISOString(),
+  updatedAt: new Date(row.updated_at).toISOString(),
+});
+
+const WITHDRAWAL_COLUMNS = `id, claim_key, address, amount_lovelace, status, reviewed_by, reviewed_at,
+  rejection_reason, tx_hash, valid_until, error, requested_at, updated_at`;
+
+// Credit a vault deposit seen on chain. Crediting the same deposit again
+// (after a rollback and re-inclusion) reinstates it. Returns true if the
+// balance changed.
+const creditDeposit = async ({ txHash, claimKey, lovelace }) => {
+  const res = await db.query(
+    `INSERT INTO vault_ledger (claim_key, entry_type, amount_lovelace, tx_hash)
+     VALUES ($1, 'deposit', $2, $3)
+     ON CONFLICT (tx_hash) WHERE entry_type = 'deposit' DO UPDATE
+     SET reversed_at = NULL
+     WHERE vault_ledger.reversed_at IS NOT NULL`,
+    [claimKey, lovelace.toString(), txHash]
+  );
+  return res.rowCount > 0;
+};
+
+// Take a rolled back deposit out of its owner's balance
+const reverseDeposit = async (txHash) => {
+  const res = await db.query(
+    `UPDATE vault_ledger SET reversed_at = CURRENT_TIMESTAMP
+     WHERE tx_hash = $1 AND entry_type = 'deposit' AND reversed_at IS NULL`,
+    [txHash]
+  );
+  return res.rowCount > 0;
+};
+
+// Balance of a wallet in lovelace, as a BigInt. `executor` is db or a
+// transaction client.
+const getBalance = async (claimKey, executor = db) => {
+  const res = await executor.query(
+    `SELECT COALESCE(SUM(amount_lovelace), 0)::text AS balance
+     FROM vault_ledger
+     WHERE claim_key = $1 AND reversed_at IS NULL`,
+    [claimKey]
+  );
+  return BigInt(res.rows[0].balance);
+};
+
+// Ledger entries of a wallet, newest first
+const getHistory = async (claimKey, { limit = 25, offset = 0 } = {}) => {
+  const [rows, count] = await Promise.all([
+    db.query(
+      `SELECT ledger.id, ledger.entry_type, ledger.amount_lovelace, ledger.tx_hash, ledger.withdrawal_id,
+              ledger.reversed_at, ledger.created_at, withdrawal.status AS withdrawal_status,
+              withdrawal.tx_hash AS withdrawal_tx_hash
+       FROM vault_ledger ledger
+       LEFT JOIN vault_withdrawals withdrawal ON withdrawal.id = ledger.withdrawal_id
+       WHERE ledger.claim_key = $1
+       ORDER BY ledger.id DESC
+       LIMIT $2 OFFSET $3`,
+      [claimKey, limit, offset]
+    ),
+    db.query('SELECT COUNT(*)::int AS total FROM vault_ledger WHERE claim_key = $1', [claimKey]),
+  ]);
+
+  return {
+    entries: rows.rows.map(row => ({
+      id: row.id,
+      type: row.entry_type,
+      lovelace: row.amount_lovelace,
+      txHash: row.tx_hash || row.withdrawal_tx_hash,
+      withdrawalId: row.withdrawal_id,
+      withdrawalStatus: row.withdrawal_status,
+      reversed: row.reversed_at !== null,
+      createdAt: new Date(row.created_at).toISOString(),
+    })),
+    total: count.rows[0].total,
+  };
+};
+
+// Queue a withdrawal and debit it from the wallet's balance straight away, so
+// the same funds can't be requested twice. Returns null if the balance is too low.
+const requestWithdrawal = async ({ claimKey, address, lovelace }) => {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    // Serialize requests for the same wallet so the balance check holds
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`vault:${claimKey}`]);
+
+    const balance = await getBalance(claimKey, client);
+    if (balance < lovelace) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const res = await client.query(
+      `INSERT INTO vault_withdrawals (claim_key, address, amount_lovelace)
+       VALUES ($1, $2, $3)
+       RETURNING ${WITHDRAWAL_COLUMNS}`,
+      [claimKey, address, lovelace.toString()]
+    );
+    const withdrawal = res.rows[0];
+    await client.query(
+      `INSERT INTO vault_ledger (claim_key, entry_type, amount_lovelace, withdrawal_id)
+       VALUES ($1, 'withdrawal', $2, $3)`,
+      [claimKey, (-lovelace).toString(), withdrawal.id]
+    );
+
+    await client.query('COMMIT');
+    return toWithdrawal(withdrawal);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const getWithdrawal = async (id) => {
+  const res = await db.query(`SELECT ${WITHDRAWAL_COLUMNS} FROM vault_withdrawals WHERE id = $1`, [id]);
+  return res.rows[0] ? toWithdrawal(res.rows[0]) : null;
+};
+
+const listWithdrawals = async ({ status = null, claimKey = null, limit = 50, offset = 0 } = {}) => {
+  const filters = 'WHERE ($1::text IS NULL OR status = $1) AND ($2::text IS NULL OR claim_key = $2)';
+  const [rows, count] = await Promise.all([
+    db.query(
+      `SELECT ${WITHDRAWAL_COLUMNS} FROM vault_withdrawals ${filters}
+       ORDER BY id DESC
+       LIMIT $3 OFFSET $4`,
+      [status, claimKey, limit, offset]
+    ),
+    db.query(`SELECT COUNT(*)::int AS total FROM vault_withdrawals ${filters}`, [status, claimKey]),
+  ]);
+  return { withdrawals: rows.rows.map(toWithdrawal), total: count.rows[0].total };
+};
+
+// Move a pending withdrawal to 'approved' while it is being paid, so two
+// admins can't pay it twice. Returns null if it is no longer pending.
+const approveWithdrawal = async (id, reviewedBy) => {
+  const res = await db.query(
+    `UPDATE vault_withdrawals
+     SET status = 'approved', reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP, error = NULL
+     WHERE id = $1 AND status = 'pending'
+     RETURNING ${WITHDRAWAL_COLUMNS}`,
+    [id, reviewedBy]
+  );
+  return res.rows[0] ? toWithdrawal(res.rows[0]) : null;
+};
+
+// Put an approved withdrawal back in the queue when its transaction couldn't be built
+const returnToQueue = async (id, error) => {
+  await db.query(
+    `UPDATE vault_withdrawals SET status = 'pending', error = $2
+     WHERE id = $1 AND status = 'approved'`,
+    [id, error]
+  );
+};
+
+const markSubmitted = async (id, txHash, validUntil) => {
+  const res = await db.query(
+    `UPDATE vault_withdrawals SET status = 'submitted', tx_hash = $2, valid_until = $3
+     WHERE id = $1 AND status = 'approved'
+     RETURNING ${WITHDRAWAL_COLUMNS}`,
+    [id, txHash, validUntil]
+  );
+  return res.rows[0] ? toWithdrawal(res.rows[0]) : null;
+};
+
+// Close a withdrawal without paying it and give the funds back: 'rejected' by
+// an admin, or 'failed' when its transaction never landed. Pass a transaction
+// client to close it as part of a larger transaction.
+const closeUnpaid = async (id, { status, fromStatus, reviewedBy = null, reason = null, error = null }, client = null) => {
+  if (!client) {
+    return db.transaction(transactionClient => closeUnpaid(id, { status, fromStatus, reviewedBy, reason, error }, transactionClient));
+  }
+
+  const res = await client.query(
+    `UPDATE vault_withdrawals
+     SET status = $2,
+         reviewed_by = COALESCE($4, reviewed_by),
+         reviewed_at = CASE WHEN $4::text IS NULL THEN reviewed_at ELSE CURRENT_TIMESTAMP END,
+         rejection_reason = COALESCE($5, rejection_reason),
+         error = COALESCE($6, error)
+     WHERE id = $1 AND status = $3
+     RETURNING ${WITHDRAWAL_COLUMNS}`,
+    [id, status, fromStatus, reviewedBy, reason, error]
+  );
+  if (res.rowCount === 0) {
+    return null;
+  }
+  await client.query(
+    `UPDATE vault_ledger SET reversed_at = CURRENT_TIMESTAMP
+     WHERE withdrawal_id = $1 AND entry_type = 'withdrawal' AND reversed_at IS NULL`,
+    [id]
+  );
+  return toWithdrawal(res.rows[0]);
+};
+
+const rejectWithdrawal = (id, reviewedBy, reason, client = null) =>
+  closeUnpaid(id, { status: 'rejected', fromStatus: 'pending', reviewedBy, reason }, client);
+
+const failWithdrawal = (id, error) =>
+  closeUnpaid(id, { status: 'failed', fromStatus: 'submitted', error });
+
+const confirmWithdrawal = async (id) => {
+  const res = await db.query(
+    `UPDATE vault_withdrawals SET status = 'confirmed'
+     WHERE id = $1 AND status = 'submitted'`,
+    [id]
+  );
+  return res.rowCount > 0;
+};
+
+// Withdrawals whose payout transaction is on its way
+const getSubmittedWithdrawals = async () => {
+  const res = await db.query(
+    `SELECT id, tx_hash, valid_until FROM vault_withdrawals
+     WHERE status = 'submitted'
+     ORDER BY id`
+  );
+  return res.rows.map(row => ({ id: row.id, txHash: row.tx_hash, validUntil: new Date(row.valid_until) }));
+};
+
+// What the vault owes its depositors, and what is on its way out, as BigInts.
+// Withdrawals are debited from the ledger when they are requested, but their
+// funds stay at the vault address until the payout lands.
+const getVaultTotals = async () => {
+  const res = await db.query(
+    `SELECT
+       (SELECT COALESCE(SUM(amount_lovelace), 0) FROM vault_ledger WHERE reversed_at IS NULL)::text AS ledger,
+       (SELECT COALESCE(SUM(amount_lovelace), 0) FROM vault_withdrawals
+        WHERE status IN ('pending', 'approved', 'submitted'))::text AS in_flight,
+       (SELECT COUNT(*) FROM vault_withdrawals WHERE status = 'pending')::int AS pending`
+  );
+  const row = res.rows[0];
+  return { ledgerLovelace: BigInt(row.ledger), inFlightLovelace: BigInt(row.in_flight), pendingWithdrawals: row.pending };
+};
+
+module.exports = {
+  creditDeposit,
+  reverseDeposit,
+  getBalance,
+  getHistory,
+  requestWithdrawal,
+  getWithdrawal,
+  listWithdrawals,
+  approveWithdrawal,
+  returnToQueue,
+  markSubmitted,
+  rejectWithdrawal,
+  failWithdrawal,
+  confirmWithdrawal,
+  getSubmittedWithdrawals,
+  getVaultTotals,
+};
@@ -25,6 +25,13 @@
 
 const HOSKDOG_RECEIVING_ADDRESS = 'addr1q9lgquer5840jyexr52zjlpvvv33d7qkg4k35ty9f85leftvz5gkpuwt36e4h6zle5trhx3xqus8q08ac60hxe8pc4mqhuyj7k';
 
+// Deposit purpose sent to /api/build-tx; the server picks the destination
+const DEPOSIT_PURPOSE = 'deposit';
+
+// CIP-20 message the server attaches to deposits, repeated by the local fallback
+const CIP20_LABEL = 674;
+const DEPOSIT_MESSAGE = { msg: ['hoskdog:deposit', 'HOSKDOG deposit'] };
+
 /**
  * Conservative fallback fee estimation
  * Formula: fallbackFeeAda = 0.17 + 0.0001 * estimatedBytes
@@ -86,7 +93,7 @@ async function estimateFee(senderAddress, lovelace) {
     const response = await fetch(`${serverUrl}/api/build-tx`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ senderAddress, lovelace })
+      body: JSON.stringify({ senderAddress, lovelace, purpose: DEPOSIT_PURPOSE })
     });
     
     if (response.ok) {
@@ -582,7 +589,7 @@ async function buildTxViaServer(serverUrl, senderAddress, lovelace) {
   const response = await fetch(`${serverUrl}/api/build-tx`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ senderAddress, lovelace })
+    body: JSON.stringify({ senderAddress, lovelace, purpose: DEPOSIT_PURPOSE })
   });
   
   if (!response.ok) {
@@ -726,6 +733,7 @@ async function buildTxLocally(senderAddress, lovelace, network, blockfrostKey) {
   const tx = await lucid
     .newTx()
     .payToAddress(HOSKDOG_RECEIVING_ADDRESS, { lovelace: BigInt(lovelace) })
+    .attachMetadata(CIP20_LABEL, DEPOSIT_MESSAGE)
     .complete();
   
   return {
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * One-shot importer for the legacy logs/slurp-history.json file.
+ *
+ * Copies every recorded slurp into the slurp_history table. Rows are keyed on
+ * tx_hash, so running the import twice does not create duplicates.
+ *
+ * Usage: node scripts/import-slurp-history.js [path/to/slurp-history.json]
+ */
+
+require('dotenv').config();
+const path = require('path');
+const fs = require('fs-extra');
+const db = require('../database/db');
+const { recordClaim } = require('../database/claims');
+const { resolveCredential } = require('../api/utils/claim-identity');
+
+const importSlurpHistory = async (historyPath) => {
+  if (!await fs.pathExists(historyPath)) {
+    console.log(`ℹ️  No history file at ${historyPath} - nothing to import`);
+    return { imported: 0, skipped: 0, invalid: 0 };
+  }
+
+  const history = await fs.readJson(historyPath);
+  const result = { imported: 0, skipped: 0, invalid: 0 };
+
+  for (const entry of history) {
+    if (!entry.address || !entry.txHash || entry.amount === undefined) {
+      console.error(`⚠️  Skipping malformed entry: ${JSON.stringify(entry)}`);
+      result.invalid++;
+      continue;
+    }
+
+    const timestamp = new Date(entry.timestamp || entry.date);
+    if (Number.isNaN(timestamp.getTime())) {
+      console.error(`⚠️  Skipping entry without a valid date: ${JSON.stringify(entry)}`);
+      result.invalid++;
+      continue;
+    }
+
+    let credential;
+    try {
+      credential = await resolveCredential(entry.address);
+    } catch (error) {
+      console.error(`⚠️  Skipping entry with unresolvable address ${entry.address}: ${error.message}`);
+      result.invalid++;
+      continue;
+    }
+
+    const row = await recordClaim({
+      address: entry.address,
+      claimKey: credential.claimKey,
+      tier: entry.tier,
+      amount: entry.amount,
+      txHash: entry.txHash,
+      timestamp
+    });
+
+    if (row) {
+      result.imported++;
+    } else {
+      result.skipped++;
+    }
+  }
+
+  return result;
+};
+
+if (require.main === module) {
+  const historyPath = process.argv[2] || path.join(__dirname, '../logs/slurp-history.json');
+
+  importSlurpHistory(historyPath)
+    .then(({ imported, skipped, invalid }) => {
+      console.log(`✅ Imported ${imported} slurps (${skipped} already present, ${invalid} malformed)`);
+      return db.pool.end();
+    })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Import failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { importSlurpHistory };
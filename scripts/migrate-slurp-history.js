@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * Upgrade an existing slurp_history table to the current schema.
+ *
+ * database/init.sql only creates tables that don't exist yet, so a database
+ * set up before claims were keyed on the stake credential keeps its old
+ * slurp_history. This adds the columns claims and payouts now use, fills in
+ * claim_key for every existing row from its wallet address, and replaces the
+ * unique tx_hash constraint with the (tx_hash, claim_key) index that lets one
+ * payout batch pay several claims. Slurps paid before the payout queue existed
+ * are marked 'confirmed'. It runs in one transaction and can be run
+ * again safely.
+ *
+ * Usage: node scripts/migrate-slurp-history.js
+ */
+
+require('dotenv').config();
+const db = require('../database/db');
+const { resolveCredential } = require('../api/utils/claim-identity');
+
+const ADD_COLUMNS = [
+  'ALTER TABLE slurp_history ADD COLUMN IF NOT EXISTS claim_key VARCHAR(64)',
+  'ALTER TABLE slurp_history ADD COLUMN IF NOT EXISTS tier VARCHAR(50)',
+  'ALTER TABLE slurp_history ADD COLUMN IF NOT EXISTS batch_id INT REFERENCES payout_batches(id)',
+  'ALTER TABLE slurp_history ADD COLUMN IF NOT EXISTS payout_attempts INT DEFAULT 0'
+];
+
+const FINISH_SCHEMA = [
+  'ALTER TABLE slurp_history ALTER COLUMN claim_key SET NOT NULL',
+  // Slurps used to be logged as 'completed' once paid; stats only count paid
+  // statuses, so old payouts would drop out of them
+  'UPDATE slurp_history SET status = \'confirmed\' WHERE status = \'completed\'',
+  'ALTER TABLE slurp_history DROP CONSTRAINT IF EXISTS slurp_history_tx_hash_key',
+  'ALTER TABLE slurp_history ALTER COLUMN tx_hash DROP NOT NULL',
+  'ALTER TABLE slurp_history ALTER COLUMN status SET DEFAULT \'queued\'',
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_slurp_tx_claim ON slurp_history(tx_hash, claim_key)',
+  'CREATE INDEX IF NOT EXISTS idx_slurp_claim_key ON slurp_history(claim_key, slurp_timestamp DESC)',
+  'CREATE INDEX IF NOT EXISTS idx_slurp_queue ON slurp_history(status, id) WHERE status = \'queued\'',
+  'CREATE INDEX IF NOT EXISTS idx_slurp_batch ON slurp_history(batch_id)'
+];
+
+const migrateSlurpHistory = async () => {
+  const client = await db.getClient();
+  const result = { addresses: 0, rows: 0 };
+  try {
+    await client.query('BEGIN');
+
+    for (const statement of ADD_COLUMNS) {
+      await client.query(statement);
+    }
+
+    const pending = await client.query(
+      'SELECT DISTINCT wallet_address FROM slurp_history WHERE claim_key IS NULL'
+    );
+    const unresolved = [];
+    for (const { wallet_address: address } of pending.rows) {
+      let credential;
+      try {
+        credential = await resolveCredential(address);
+      } catch (error) {
+        unresolved.push(`${address} (${error.message})`);
+        continue;
+      }
+      const res = await client.query(
+        'UPDATE slurp_history SET claim_key = $2 WHERE wallet_address = $1 AND claim_key IS NULL',
+        [address, credential.claimKey]
+      );
+      result.addresses++;
+      result.rows += res.rowCount;
+    }
+
+    // claim_key can't be made NOT NULL while any row is missing one
+    if (unresolved.length > 0) {
+      throw new Error(`No stake or payment key for ${unresolved.length} address(es): ${unresolved.join(', ')}`);
+    }
+
+    for (const statement of FINISH_SCHEMA) {
+      await client.query(statement);
+    }
+
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+if (require.main === module) {
+  migrateSlurpHistory()
+    .then(({ addresses, rows }) => {
+      console.log(`✅ slurp_history is up to date (claim_key filled in for ${rows} rows from ${addresses} addresses)`);
+      return db.pool.end();
+    })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Migration failed, nothing was changed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateSlurpHistory };
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Upgrade existing faucet_stats and deposit_history tables to the current schema.
+ *
+ * database/init.sql only creates tables that don't exist yet. faucet_stats used
+ * to hold one row per day; budgets now need one row per hour and tier, and
+ * every stats upsert relies on the (date, hour, tier) unique key. Existing
+ * daily rows are kept as hour 0 of the 'legacy' tier, so they still count
+ * towards that day's budget. deposit_history gains the purpose, recipient and
+ * block columns the deposit indexer writes; existing deposits become plain
+ * 'deposit' purpose rows. It runs in one transaction and can be run again
+ * safely.
+ *
+ * Usage: node scripts/migrate-stats-and-deposits.js
+ */
+
+require('dotenv').config();
+const db = require('../database/db');
+
+// Tier the per-day rows from before hourly stats are filed under
+const LEGACY_STATS_TIER = 'legacy';
+
+const MIGRATE_FAUCET_STATS = [
+  'ALTER TABLE faucet_stats ADD COLUMN IF NOT EXISTS hour SMALLINT',
+  'ALTER TABLE faucet_stats ADD COLUMN IF NOT EXISTS tier VARCHAR(50)',
+  'ALTER TABLE faucet_stats ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+  'UPDATE faucet_stats SET hour = 0 WHERE hour IS NULL',
+  {
+    text: 'UPDATE faucet_stats SET tier = $1 WHERE tier IS NULL',
+    values: [LEGACY_STATS_TIER]
+  },
+  'ALTER TABLE faucet_stats ALTER COLUMN hour SET NOT NULL',
+  'ALTER TABLE faucet_stats ALTER COLUMN tier SET NOT NULL',
+  'ALTER TABLE faucet_stats DROP CONSTRAINT IF EXISTS faucet_stats_hour_check',
+  'ALTER TABLE faucet_stats ADD CONSTRAINT faucet_stats_hour_check CHECK (hour BETWEEN 0 AND 23)',
+  // The old one-row-per-day key rejects the second hour of a day
+  'ALTER TABLE faucet_stats DROP CONSTRAINT IF EXISTS faucet_stats_date_key',
+  'CREATE UNIQUE INDEX IF NOT EXISTS faucet_stats_date_hour_tier_key ON faucet_stats(date, hour, tier)'
+];
+
+const MIGRATE_DEPOSIT_HISTORY = [
+  'ALTER TABLE deposit_history ADD COLUMN IF NOT EXISTS purpose VARCHAR(20) NOT NULL DEFAULT \'deposit\'',
+  'ALTER TABLE deposit_history ADD COLUMN IF NOT EXISTS recipient_address VARCHAR(255)',
+  'ALTER TABLE deposit_history ADD COLUMN IF NOT EXISTS block_height BIGINT',
+  'ALTER TABLE deposit_history ADD COLUMN IF NOT EXISTS block_time TIMESTAMP',
+  'CREATE INDEX IF NOT EXISTS idx_deposit_block ON deposit_history(block_height) WHERE block_height IS NOT NULL'
+];
+
+const migrateStatsAndDeposits = async () => {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    for (const statement of [...MIGRATE_FAUCET_STATS, ...MIGRATE_DEPOSIT_HISTORY]) {
+      await client.query(statement);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+if (require.main === module) {
+  migrateStatsAndDeposits()
+    .then(() => {
+      console.log('✅ faucet_stats and deposit_history are up to date');
+      return db.pool.end();
+    })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Migration failed, nothing was changed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { LEGACY_STATS_TIER, migrateStatsAndDeposits };
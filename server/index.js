@@ -2,10 +2,17 @@
  * HOSKDOG Deposit Server
  * 
  * This Express server provides secure proxy endpoints for building and submitting
- * Cardano transactions for ADA deposits. It keeps the Blockfrost API key secret
- * on the server side so the client never needs to know it.
+ * Cardano transactions for ADA deposits. It keeps the chain provider's API key
+ * secret on the server side so the client never needs to know it.
+ * 
+ * Transactions are only built for the purposes in `deposits.purposes` of the
+ * faucet settings (deposit, springs, vault), each paying its configured
+ * destination, and are tagged with a CIP-20 message naming the purpose.
+ * The server remembers every transaction it builds and only submits (and
+ * logs as a deposit) transactions it built.
  * 
  * Endpoints:
+ *   GET  /api/purposes  - Deposit purposes with their destinations and limits
  *   POST /api/build-tx  - Build an unsigned transaction for the wallet to sign
  *   POST /api/submit    - Submit a signed transaction to the network
  *   GET  /api/health    - Health check
@@ -17,34 +24,46 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { Lucid, Blockfrost } = require('lucid-cardano');
+const { Lucid } = require('lucid-cardano');
+const { createChainProvider, createLucidProvider } = require('../api/providers');
+const {
+  CIP20_LABEL,
+  getDepositPurposes,
+  resolveDepositPurpose,
+  purposeMetadata
+} = require('../api/utils/deposit-purposes');
+const { BUILT_TX_TTL_MS, createBuiltTxStore, verifySubmittedTx } = require('../api/utils/built-txs');
 
 // Import database modules (optional - will gracefully handle if not available)
-let db, redisClient;
+let db, redisClient, deposits;
 try {
   db = require('../database/db');
   redisClient = require('../database/redis');
+  deposits = require('../database/deposits');
   console.log('✅ Database modules loaded');
 } catch (err) {
   console.log('ℹ️  Database modules not available - running without DB/Redis');
 }
 
+// Transactions built here, so /api/submit can tell them from anything else
+const builtTxs = createBuiltTxStore({ redisClient: redisClient ? redisClient.client : null });
+
 const app = express();
 const PORT = process.env.PORT || 4000;
 
-// The HOSKDOG receiving address for deposits
-// In production, lock this down so the API can only build transactions to this address
-const HOSKDOG_RECEIVING_ADDRESS = process.env.HOSKDOG_RECEIVING_ADDRESS || 
-  'addr1q9lgquer5840jyexr52zjlpvvv33d7qkg4k35ty9f85leftvz5gkpuwt36e4h6zle5trhx3xqus8q08ac60hxe8pc4mqhuyj7k';
-
 // Network configuration
 const NETWORK = process.env.NETWORK || 'Mainnet';
-const BLOCKFROST_KEY = process.env.BLOCKFROST_KEY;
+
+// Chain provider (Blockfrost unless CHAIN_PROVIDER says otherwise)
+const chainProvider = createChainProvider({
+  type: process.env.CHAIN_PROVIDER || 'blockfrost',
+  network: NETWORK
+});
 
 // Validate configuration at startup
-if (!BLOCKFROST_KEY || BLOCKFROST_KEY.includes('YOUR_BLOCKFROST')) {
-  console.error('❌ ERROR: BLOCKFROST_KEY is not configured properly in .env');
-  console.error('   Get a free key from https://blockfrost.io');
+if (!chainProvider.configured) {
+  console.error(`❌ ERROR: ${chainProvider.name} chain provider is not configured properly in .env`);
+  console.error('   For Blockfrost, get a free key from https://blockfrost.io');
   console.error('   Copy server/.env.example to server/.env and fill in your key.');
   // Don't exit, allow server to start for development, but endpoints will fail
 }
@@ -60,19 +79,14 @@ const corsOptions = {
 app.use(cors(corsOptions));
 app.use(express.json());
 
-// Initialize Lucid with Blockfrost provider
+// Initialize Lucid with the chain provider
 let lucidPromise = null;
 
 async function getLucid() {
   if (lucidPromise) return lucidPromise;
   
   lucidPromise = (async () => {
-    const blockfrostUrl = NETWORK === 'Mainnet'
-      ? 'https://cardano-mainnet.blockfrost.io/api/v0'
-      : 'https://cardano-preprod.blockfrost.io/api/v0';
-    
-    const provider = new Blockfrost(blockfrostUrl, BLOCKFROST_KEY);
-    const lucid = await Lucid.new(provider, NETWORK);
+    const lucid = await Lucid.new(createLucidProvider(chainProvider), NETWORK);
     return lucid;
   })();
   
@@ -93,7 +107,8 @@ app.get('/api/health', async (req, res) => {
     service: 'HOSKDOG Deposit Server',
     network: NETWORK,
     timestamp: new Date().toISOString(),
-    configured: !!BLOCKFROST_KEY && !BLOCKFROST_KEY.includes('YOUR_BLOCKFROST')
+    chainProvider: chainProvider.name,
+    configured: chainProvider.configured
   };
 
   // Check database health if available
@@ -121,28 +136,49 @@ app.get('/api/health', async (req, res) => {
   res.json(health);
 });
 
+/**
+ * Deposit Purposes Endpoint
+ * 
+ * Lists what /api/build-tx will build transactions for.
+ * 
+ * Response:
+ *   { purposes: [{ id, description, recipient, minLovelace, maxLovelace }] }
+ */
+app.get('/api/purposes', (req, res) => {
+  res.json({
+    purposes: getDepositPurposes().map(purpose => ({
+      id: purpose.id,
+      description: purpose.description,
+      recipient: purpose.address,
+      minLovelace: purpose.minLovelace.toString(),
+      maxLovelace: purpose.maxLovelace === null ? null : purpose.maxLovelace.toString()
+    }))
+  });
+});
+
 /**
  * Build Transaction Endpoint
  * 
- * Accepts a sender address and amount, builds an unsigned transaction
- * sending ADA to the HOSKDOG receiving address.
+ * Accepts a sender address, amount and purpose, and builds an unsigned
+ * transaction sending ADA to that purpose's destination. Amounts outside the
+ * purpose's limits and unknown purposes are refused.
  * 
  * Request body:
- *   { senderAddress: string, lovelace: string }
+ *   { senderAddress: string, lovelace: string, purpose: 'deposit' | 'springs' | 'vault' }
  * 
  * Response:
- *   { unsignedTxCborHex: string, estimatedFee: string, recipient: string }
+ *   { unsignedTxCborHex: string, estimatedFee: string, recipient: string, purpose: string }
  */
 app.post('/api/build-tx', async (req, res) => {
   try {
-    const { senderAddress, lovelace } = req.body;
+    const { senderAddress, lovelace, purpose: purposeId } = req.body;
     
     // Validate inputs
     if (!senderAddress || typeof senderAddress !== 'string') {
       return res.status(400).json({ error: 'senderAddress is required' });
     }
     
-    if (!lovelace || typeof lovelace !== 'string') {
+    if (!lovelace || typeof lovelace !== 'string' || !/^\d+$/.test(lovelace)) {
       return res.status(400).json({ error: 'lovelace amount is required as string' });
     }
     
@@ -151,17 +187,18 @@ app.post('/api/build-tx', async (req, res) => {
       return res.status(400).json({ error: 'lovelace must be positive' });
     }
     
-    // Minimum ADA check (1 ADA = 1,000,000 lovelace)
-    const MIN_LOVELACE = 1000000n; // 1 ADA minimum
-    if (lovelaceNum < MIN_LOVELACE) {
-      return res.status(400).json({ error: 'Minimum deposit is 1 ADA (1000000 lovelace)' });
+    // Only pay destinations and amounts the settings allow for this purpose
+    const resolved = resolveDepositPurpose(purposeId, lovelaceNum);
+    if (!resolved.valid) {
+      return res.status(400).json({ error: resolved.error });
     }
+    const { purpose } = resolved;
     
-    // Check if Blockfrost is configured
-    if (!BLOCKFROST_KEY || BLOCKFROST_KEY.includes('YOUR_BLOCKFROST')) {
+    // Check if the chain provider is configured
+    if (!chainProvider.configured) {
       return res.status(503).json({ 
         error: 'Server not configured', 
-        details: 'Blockfrost API key not set. See server/.env.example' 
+        details: `${chainProvider.name} chain provider not configured. See server/.env.example` 
       });
     }
     
@@ -187,10 +224,13 @@ app.post('/api/build-tx', async (req, res) => {
       });
     }
     
-    // Build the transaction
+    // Build the transaction, tagged with its purpose for the deposit indexer
+    const validUntil = Date.now() + BUILT_TX_TTL_MS;
     const tx = await lucid
       .newTx()
-      .payToAddress(HOSKDOG_RECEIVING_ADDRESS, { lovelace: lovelaceNum })
+      .payToAddress(purpose.address, { lovelace: lovelaceNum })
+      .attachMetadata(CIP20_LABEL, purposeMetadata(purpose.id))
+      .validTo(validUntil)
       .complete();
     
     // Get the unsigned transaction CBOR
@@ -199,13 +239,24 @@ app.post('/api/build-tx', async (req, res) => {
     // Estimate fee from the transaction body
     const estimatedFee = tx.txComplete.body().fee().to_str();
     
+    // Remember what was built; /api/submit only accepts this exact body
+    await builtTxs.remember(tx.toHash(), {
+      senderAddress,
+      recipient: purpose.address,
+      purpose: purpose.id,
+      lovelace,
+      fee: estimatedFee,
+      validUntil
+    });
+    
     console.log(`[build-tx] Sender: ${senderAddress.substring(0, 20)}...`);
-    console.log(`[build-tx] Amount: ${lovelace} lovelace, Fee: ${estimatedFee}`);
+    console.log(`[build-tx] Purpose: ${purpose.id}, Amount: ${lovelace} lovelace, Fee: ${estimatedFee}`);
     
     res.json({
       unsignedTxCborHex,
       estimatedFee,
-      recipient: HOSKDOG_RECEIVING_ADDRESS,
+      recipient: purpose.address,
+      purpose: purpose.id,
       network: NETWORK
     });
     
@@ -230,52 +281,62 @@ app.post('/api/build-tx', async (req, res) => {
 /**
  * Submit Transaction Endpoint
  * 
- * Accepts a signed transaction CBOR and submits it to the Cardano network.
+ * Accepts a signed transaction CBOR and submits it to the Cardano network,
+ * but only if its body is one /api/build-tx built. The deposit is logged with
+ * the sender, amount and fee read from the transaction itself.
  * 
  * Request body:
- *   { signedTxCborHex: string, senderAddress?: string, amount?: string }
+ *   { signedTxCborHex: string }
  * 
  * Response:
- *   { txHash: string, explorerUrl: string }
+ *   { txHash: string, explorerUrl: string, purpose: string }
  */
 app.post('/api/submit', async (req, res) => {
   try {
-    const { signedTxCborHex, senderAddress, amount } = req.body;
+    const { signedTxCborHex } = req.body;
     
     if (!signedTxCborHex || typeof signedTxCborHex !== 'string') {
       return res.status(400).json({ error: 'signedTxCborHex is required' });
     }
     
-    // Check if Blockfrost is configured
-    if (!BLOCKFROST_KEY || BLOCKFROST_KEY.includes('YOUR_BLOCKFROST')) {
+    // Check if the chain provider is configured
+    if (!chainProvider.configured) {
       return res.status(503).json({ 
         error: 'Server not configured', 
-        details: 'Blockfrost API key not set. See server/.env.example' 
+        details: `${chainProvider.name} chain provider not configured. See server/.env.example` 
       });
     }
     
     const lucid = await getLucid();
     
     // Create a signed transaction object from CBOR
-    const signedTx = lucid.fromTx(signedTxCborHex);
+    let signedTx;
+    try {
+      signedTx = lucid.fromTx(signedTxCborHex);
+    } catch (parseErr) {
+      return res.status(400).json({ error: 'Invalid transaction', details: 'signedTxCborHex is not a valid transaction' });
+    }
+    
+    // Signing only adds witnesses, so the hash of a tx built here is unchanged
+    const builtHash = signedTx.toHash();
+    const verification = verifySubmittedTx(await builtTxs.find(builtHash), readTxSummary(builtHash, signedTx.txComplete));
+    if (!verification.valid) {
+      console.warn(`[submit] Rejected ${builtHash}: ${verification.error}`);
+      return res.status(400).json({ error: verification.error, details: verification.details });
+    }
+    const { deposit } = verification;
     
     // Submit the transaction
-    const txHash = await signedTx.submit();
+    const txHash = await chainProvider.submitTx(signedTxCborHex);
+    await builtTxs.forget(builtHash);
     
     console.log(`[submit] Transaction submitted: ${txHash}`);
     
     // Log deposit to database if available
-    if (db && senderAddress && amount) {
+    if (deposits) {
       try {
-        const tx = signedTx.txComplete;
-        const fee = tx.body().fee().to_str();
-        
-        await db.query(
-          `INSERT INTO deposit_history (wallet_address, tx_hash, amount_ada, fee_ada, status) 
-           VALUES ($1, $2, $3, $4, $5)`,
-          [senderAddress, txHash, amount, fee, 'completed']
-        );
-        console.log(`[submit] Deposit logged to database for ${senderAddress}`);
+        await deposits.recordDeposit(deposit);
+        console.log(`[submit] ${deposit.purpose} of ${deposit.lovelace} lovelace logged for ${deposit.senderAddress}`);
       } catch (dbErr) {
         console.error('[submit] Failed to log deposit to database:', dbErr.message);
         // Don't fail the request if DB logging fails
@@ -289,6 +350,7 @@ app.post('/api/submit', async (req, res) => {
     res.json({
       txHash,
       explorerUrl,
+      purpose: deposit.purpose,
       network: NETWORK
     });
     
@@ -302,6 +364,20 @@ app.post('/api/submit', async (req, res) => {
   }
 });
 
+// Outputs and fee of a Lucid-parsed transaction, for verifySubmittedTx
+function readTxSummary(txHash, tx) {
+  const body = tx.body();
+  const outputs = [];
+  for (let i = 0; i < body.outputs().len(); i++) {
+    const output = body.outputs().get(i);
+    outputs.push({
+      address: output.address().to_bech32(undefined),
+      lovelace: output.amount().coin().to_str()
+    });
+  }
+  return { txHash, fee: body.fee().to_str(), outputs };
+}
+
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({ error: 'Route not found' });
@@ -323,14 +399,16 @@ app.listen(PORT, () => {
   console.log(`🌐 Server running on: http://localhost:${PORT}`);
   console.log(`💚 Health check: http://localhost:${PORT}/api/health`);
   
-  if (!BLOCKFROST_KEY || BLOCKFROST_KEY.includes('YOUR_BLOCKFROST')) {
-    console.log('\n⚠️  WARNING: Blockfrost API key not configured!');
+  if (!chainProvider.configured) {
+    console.log(`\n⚠️  WARNING: ${chainProvider.name} chain provider not configured!`);
     console.log('   Copy server/.env.example to server/.env and add your key.');
   } else {
-    console.log(`✅ Blockfrost configured`);
+    console.log(`✅ Chain provider configured: ${chainProvider.name}`);
   }
   
-  console.log(`📥 Receiving address: ${HOSKDOG_RECEIVING_ADDRESS.substring(0, 30)}...`);
+  for (const purpose of getDepositPurposes()) {
+    console.log(`📥 ${purpose.description}: ${purpose.address.substring(0, 30)}...`);
+  }
   console.log('\n');
 });
 
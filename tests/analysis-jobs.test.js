@@ -0,0 +1,197 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../config', () => ({
+  config: {
+    relationships: { maxDepth: 3, maxNodes: 200, maxRequests: 40, transactionsPerAddress: 25 }
+  }
+}));
+
+jest.mock('../api/providers', () => ({
+  getChainProvider: jest.fn()
+}));
+
+jest.mock('../database/redis', () => {
+  const store = new Map();
+  return {
+    store,
+    client: {
+      get: jest.fn(async (key) => (store.has(key) ? store.get(key).value : null)),
+      set: jest.fn(async (key, value, options) => {
+        store.set(key, { value, ttl: options.EX });
+        return 'OK';
+      })
+    },
+    cacheGet: jest.fn(async (key) => (store.has(key) ? JSON.parse(store.get(key).value) : null)),
+    cacheSet: jest.fn(async (key, value, ttl) => {
+      store.set(key, { value: JSON.stringify(value), ttl });
+    })
+  };
+});
+
+const { config } = require('../config');
+const redis = require('../database/redis');
+const { getChainProvider } = require('../api/providers');
+const { createFixtureProvider } = require('../api/providers/fixture');
+const { getAddressAnalysis } = require('../api/utils/analysis-cache');
+const { enqueueJob, getJob } = require('../api/utils/analysis-jobs');
+const relationshipRoutes = require('../api/routes/relationships');
+
+const io = (name, lovelace) => ({ address: `addr1_${name}`, stakeAddress: `stake1_${name}`, lovelace });
+
+// root pays alice, alice pays carol
+const transactions = {
+  tx_root_alice: { blockHeight: 10, inputs: [io('root', '20000000')], outputs: [io('alice', '5000000'), io('root', '14800000')] },
+  tx_alice_carol: { blockHeight: 12, inputs: [io('alice', '5000000')], outputs: [io('carol', '4800000')] }
+};
+
+function useChain(tip) {
+  const addresses = {
+    addr1_root: { transactions: ['tx_root_alice'] },
+    addr1_alice: { transactions: ['tx_alice_carol', 'tx_root_alice'] },
+    addr1_carol: { transactions: ['tx_alice_carol'] }
+  };
+  const provider = createFixtureProvider({ data: { addresses, transactions, tip } });
+  jest.spyOn(provider, 'getAddressTransactions');
+  getChainProvider.mockReturnValue(provider);
+  return provider;
+}
+
+// Let queued jobs run until the job settles
+async function waitForJob(id) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const job = await getJob(id);
+    if (job.status === 'completed' || job.status === 'failed') {
+      return job;
+    }
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  throw new Error(`job ${id} did not finish`);
+}
+
+describe('relationship analysis cache and jobs', () => {
+  const defaults = { ...config.relationships };
+  const app = express();
+  app.use(express.json());
+  app.use('/api', relationshipRoutes);
+
+  beforeEach(() => {
+    config.relationships = { ...defaults };
+    redis.store.clear();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('caches an analysis per address and depth until cacheBlocks after the tip', async () => {
+    const provider = useChain({ blockHeight: 500, blockTime: Math.floor(Date.now() / 1000) - 100, slot: 9000 });
+
+    const first = await getAddressAnalysis('addr1_root', 2);
+    const reads = provider.getAddressTransactions.mock.calls.length;
+    const second = await getAddressAnalysis('addr1_root', 2);
+
+    expect(first.metadata).toMatchObject({ blockHeight: 500, cached: false });
+    expect(second.metadata).toMatchObject({ blockHeight: 500, cached: true });
+    expect(second.connections).toEqual(first.connections);
+    expect(provider.getAddressTransactions).toHaveBeenCalledTimes(reads);
+
+    // 15 blocks of 20 s, 100 s of which passed since the tip
+    const [key, , ttl] = redis.cacheSet.mock.calls[0];
+    expect(key).toBe('relationships:analysis:addr1_root:2');
+    expect(ttl).toBeGreaterThanOrEqual(199);
+    expect(ttl).toBeLessThanOrEqual(200);
+
+    await getAddressAnalysis('addr1_root', 1);
+    expect(redis.cacheSet).toHaveBeenLastCalledWith('relationships:analysis:addr1_root:1', expect.any(Object), expect.any(Number));
+  });
+
+  test('skips the cache when it is off or unreachable', async () => {
+    useChain();
+    config.relationships.cacheBlocks = 0;
+    await getAddressAnalysis('addr1_root', 1);
+    expect(redis.cacheGet).not.toHaveBeenCalled();
+    expect(redis.cacheSet).not.toHaveBeenCalled();
+
+    config.relationships.cacheBlocks = 15;
+    redis.cacheGet.mockRejectedValueOnce(new Error('connection refused'));
+    const analysis = await getAddressAnalysis('addr1_root', 1);
+    expect(analysis.metadata.cached).toBe(false);
+  });
+
+  test('runs deep analyses as jobs and serves the result once complete', async () => {
+    useChain();
+
+    const accepted = await request(app).post('/api/relationships/analyze').send({ address: 'addr1_root', depth: 3 }).expect(202);
+    const { job, statusUrl, resultUrl } = accepted.body;
+    expect(job).toMatchObject({ type: 'analyze', params: { address: 'addr1_root', depth: 3 } });
+    expect(statusUrl).toBe(`/api/relationships/jobs/${job.id}`);
+
+    const finished = await waitForJob(job.id);
+    expect(finished).toMatchObject({ status: 'completed', progress: { percent: 100 }, error: null });
+
+    const status = await request(app).get(statusUrl).expect(200);
+    expect(status.body.job.status).toBe('completed');
+    const result = await request(app).get(resultUrl).expect(200);
+    expect(result.body.data).toMatchObject({ address: 'addr1_root', depth: 3 });
+    expect(result.body.data.graph.nodes.map(node => node.id).sort()).toEqual(['stake1_alice', 'stake1_carol', 'stake1_root']);
+
+    // Shallow analyses answer straight away, unless asked to run async
+    await request(app).post('/api/relationships/graph').send({ address: 'addr1_root', depth: 1 }).expect(200);
+    await request(app).post('/api/ownership/beneficial').send({ addresses: ['addr1_root'], async: true }).expect(202);
+  });
+
+  test('reports progress, and refuses the result until the job completes', async () => {
+    let finish;
+    const job = await enqueueJob('analyze', { address: 'addr1_root', depth: 3 }, async (reportProgress) => {
+      reportProgress({ percent: 42.5, hop: 2, depth: 3 });
+      await new Promise(resolve => { finish = resolve; });
+      return { data: { address: 'addr1_root' } };
+    });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const running = await request(app).get(`/api/relationships/jobs/${job.id}`).expect(200);
+    expect(running.body.job).toMatchObject({ status: 'running', progress: { percent: 42, hop: 2, depth: 3 } });
+    await request(app).get(`/api/relationships/jobs/${job.id}/result`).expect(409);
+    expect(redis.store.get(`relationships:job:${job.id}`).ttl).toBe(3600);
+
+    finish();
+    await waitForJob(job.id);
+    const result = await request(app).get(`/api/relationships/jobs/${job.id}/result`).expect(200);
+    expect(result.body).toEqual({ success: true, data: { address: 'addr1_root' } });
+  });
+
+  test('refuses async analyses while the job queue is full', async () => {
+    config.relationships.maxQueuedJobs = 1;
+    useChain();
+    let finish;
+    const running = await enqueueJob('analyze', {}, () => new Promise(resolve => { finish = resolve; }));
+    const waiting = await enqueueJob('analyze', {}, async () => ({ data: {} }));
+
+    const res = await request(app).post('/api/relationships/graph').send({ address: 'addr1_root', async: true }).expect(503);
+    expect(res.headers['retry-after']).toBe('60');
+    expect(res.body).toMatchObject({ error: 'Analysis queue is full', retryAfter: 60 });
+    await expect(enqueueJob('beneficial', {}, async () => ({}))).resolves.toBeNull();
+
+    finish({ data: {} });
+    await waitForJob(running.id);
+    await waitForJob(waiting.id);
+    await request(app).post('/api/ownership/beneficial').send({ addresses: ['addr1_root'], async: true }).expect(202);
+  });
+
+  test('records failed jobs and rejects unknown ones', async () => {
+    const job = await enqueueJob('graph', {}, async () => {
+      throw new Error('provider down');
+    });
+
+    expect(await waitForJob(job.id)).toMatchObject({ status: 'failed', error: 'provider down' });
+    const res = await request(app).get(`/api/relationships/jobs/${job.id}/result`).expect(409);
+    expect(res.body).toMatchObject({ status: 'failed', details: 'provider down' });
+
+    await request(app).get('/api/relationships/jobs/00000000-0000-4000-8000-000000000000').expect(404);
+    await request(app).get('/api/relationships/jobs/not-a-job/result').expect(404);
+  });
+});
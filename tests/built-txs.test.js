@@ -0,0 +1,107 @@
+const { createBuiltTxStore, verifySubmittedTx } = require('../api/utils/built-txs');
+
+const SENDER = 'addr1_sender';
+const RECIPIENT = 'addr1_deposits';
+
+const builtRecord = (overrides = {}) => ({
+  senderAddress: SENDER,
+  recipient: RECIPIENT,
+  purpose: 'deposit',
+  lovelace: '5000000',
+  fee: '170000',
+  validUntil: Date.now() + 60000,
+  ...overrides
+});
+
+const signedTx = (outputs) => ({ txHash: 'aa'.repeat(32), fee: '170000', outputs });
+
+describe('built transaction store', () => {
+  test('remembers transactions in memory until they are forgotten', async () => {
+    const store = createBuiltTxStore();
+    const record = builtRecord();
+
+    await store.remember('tx1', record);
+    expect(await store.find('tx1')).toEqual(record);
+
+    await store.forget('tx1');
+    expect(await store.find('tx1')).toBeNull();
+  });
+
+  test('drops transactions whose validity has passed', async () => {
+    const store = createBuiltTxStore();
+
+    await store.remember('tx1', builtRecord({ validUntil: Date.now() - 1 }));
+
+    expect(await store.find('tx1')).toBeNull();
+  });
+
+  test('uses Redis with the validity window as TTL when connected', async () => {
+    const values = new Map();
+    const redisClient = {
+      isOpen: true,
+      setEx: jest.fn(async (key, ttl, value) => values.set(key, value)),
+      get: jest.fn(async key => values.get(key) || null),
+      del: jest.fn(async key => values.delete(key))
+    };
+    const store = createBuiltTxStore({ redisClient });
+    const record = builtRecord({ validUntil: Date.now() + 900000 });
+
+    await store.remember('tx1', record);
+
+    expect(redisClient.setEx).toHaveBeenCalledWith('hoskdog:built-tx:tx1', 900, JSON.stringify(record));
+    expect(await store.find('tx1')).toEqual(record);
+    await store.forget('tx1');
+    expect(redisClient.del).toHaveBeenCalledWith('hoskdog:built-tx:tx1');
+  });
+});
+
+describe('verifySubmittedTx', () => {
+  test('rejects transactions the server did not build', () => {
+    const result = verifySubmittedTx(null, signedTx([]));
+
+    expect(result.valid).toBe(false);
+    expect(result.error).toBe('Unknown transaction');
+  });
+
+  test('rejects a different amount to the recipient', () => {
+    const result = verifySubmittedTx(builtRecord(), signedTx([
+      { address: RECIPIENT, lovelace: '1000000' },
+      { address: SENDER, lovelace: '93830000' }
+    ]));
+
+    expect(result).toEqual({
+      valid: false,
+      error: 'Transaction mismatch',
+      details: 'Transaction pays 1000000 lovelace to the deposit address, but 5000000 was built'
+    });
+  });
+
+  test('rejects change sent somewhere other than the sender', () => {
+    const result = verifySubmittedTx(builtRecord(), signedTx([
+      { address: RECIPIENT, lovelace: '5000000' },
+      { address: 'addr1_someone_else', lovelace: '93830000' }
+    ]));
+
+    expect(result.valid).toBe(false);
+    expect(result.error).toBe('Transaction mismatch');
+  });
+
+  test('reads the deposit from the transaction', () => {
+    const result = verifySubmittedTx(builtRecord(), signedTx([
+      { address: RECIPIENT, lovelace: '5000000' },
+      { address: SENDER, lovelace: '93830000' }
+    ]));
+
+    expect(result).toEqual({
+      valid: true,
+      deposit: {
+        txHash: 'aa'.repeat(32),
+        senderAddress: SENDER,
+        recipient: RECIPIENT,
+        purpose: 'deposit',
+        lovelace: 5000000n,
+        fee: 170000n
+      }
+    });
+  });
+});
@@ -0,0 +1,246 @@
+const path = require('path');
+
+jest.mock('axios', () => ({
+  get: jest.fn(),
+  post: jest.fn()
+}));
+
+const axios = require('axios');
+const { createChainProvider, createLucidProvider } = require('../api/providers');
+const { createKoiosProvider } = require('../api/providers/koios');
+const { createBlockfrostProvider } = require('../api/providers/blockfrost');
+const { createFixtureProvider } = require('../api/providers/fixture');
+
+const FIXTURE_PATH = path.join(__dirname, 'fixtures/chain.json');
+const HOSKY_UNIT = 'a0028f350aaabe0545fdcb56b039bfb08e4bb4d8c4d7c3c7d481c235484f534b59';
+
+describe('chain providers', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe('createChainProvider', () => {
+    test('selects the provider by type', () => {
+      expect(createChainProvider({ type: 'koios' }).name).toBe('koios');
+      expect(createChainProvider({ type: 'blockfrost' }).name).toBe('blockfrost');
+      expect(createChainProvider({ type: 'fixture' }).name).toBe('fixture');
+    });
+
+    test('rejects unknown providers', () => {
+      expect(() => createChainProvider({ type: 'carrier-pigeon' }))
+        .toThrow('Unknown chain provider "carrier-pigeon"');
+    });
+
+    test('treats a placeholder Blockfrost key as not configured', () => {
+      expect(createBlockfrostProvider({ projectId: 'preprod_PASTE_YOUR_BLOCKFROST_API_KEY_HERE' }).configured).toBe(false);
+      expect(createBlockfrostProvider({ projectId: 'preprodAbc123' }).configured).toBe(true);
+    });
+  });
+
+  describe('fixture provider', () => {
+    const fixture = createFixtureProvider({ path: FIXTURE_PATH });
+
+    test('serves balances, assets and delegation', async () => {
+      await expect(fixture.getAddressInfo('addr1qxfixtureholder'))
+        .resolves.toEqual({ lovelace: 12500000n, stakeAddress: 'stake1uxfixtureholder' });
+      await expect(fixture.getAddressAssets('addr1qxfixtureholder')).resolves.toEqual([
+        { policyId: HOSKY_UNIT.slice(0, 56), assetName: '484f534b59', quantity: 1000000n }
+      ]);
+      await expect(fixture.getDelegatedPool('stake1uxfixtureholder')).resolves.toBe('pool1fixture');
+      await expect(fixture.getAddressInfo('addr1qxunknown'))
+        .resolves.toEqual({ lovelace: 0n, stakeAddress: null });
+    });
+
+    test('orders address transactions', async () => {
+      const [oldest] = await fixture.getAddressTransactions('addr1qxfixtureholder', { limit: 1, order: 'asc' });
+      expect(oldest).toEqual({ txHash: 'fixturetx1', blockHeight: 9000000, blockTime: 1690000000 });
+      const [older] = await fixture.getAddressTransactions('addr1qxfixtureholder', { limit: 1, offset: 1 });
+      expect(older.txHash).toBe('fixturetx1');
+
+      const [tx] = await fixture.getTransactions(['fixturetx2', 'missing']);
+      expect(tx.inputs[0]).toMatchObject({ address: 'addr1qxfixtureholder', txHash: 'fixturetx1', lovelace: 15000000n });
+      expect(tx.outputs[1]).toMatchObject({ txHash: 'fixturetx2', outputIndex: 1, lovelace: 12500000n });
+    });
+
+    test('returns Lucid-shaped UTxOs and records submissions', async () => {
+      const [utxo] = await fixture.getUtxos('addr1qxfixtureholder');
+      expect(utxo).toMatchObject({
+        txHash: 'fixturetx2',
+        outputIndex: 1,
+        address: 'addr1qxfixtureholder',
+        assets: { lovelace: 12500000n, [HOSKY_UNIT]: 1000000n }
+      });
+
+      const txHash = await fixture.submitTx('84a400');
+      expect(txHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(fixture.submitted).toEqual(['84a400']);
+
+      const params = await fixture.getProtocolParameters();
+      expect(params.coinsPerUtxoByte).toBe(4310n);
+    });
+
+    test('reports the highest fixture block as the tip by default', async () => {
+      await expect(fixture.getTip()).resolves.toEqual({ blockHeight: 9500000, blockTime: null, slot: null });
+    });
+  });
+
+  describe('koios provider', () => {
+    const koios = createKoiosProvider({ url: 'https://koios.test/api/v1' });
+
+    test('maps address_assets rows in both v0 and v1 formats', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: [{ policy_id: 'p1', asset_name: 'aa', quantity: '5' }]
+      });
+      axios.post.mockResolvedValueOnce({
+        data: [{ address: 'addr1', asset_list: [{ policy_id: 'p2', asset_name: '', quantity: '7' }] }]
+      });
+
+      await expect(koios.getAddressAssets('addr1')).resolves.toEqual([{ policyId: 'p1', assetName: 'aa', quantity: 5n }]);
+      await expect(koios.getAddressAssets('addr1')).resolves.toEqual([{ policyId: 'p2', assetName: '', quantity: 7n }]);
+    });
+
+    test('maps tx_info inputs and outputs', async () => {
+      axios.post.mockResolvedValue({
+        data: [{
+          tx_hash: 'tx1',
+          block_height: 10,
+          block_time: 1700000000,
+          fee: '170000',
+          inputs: [{ payment_addr: { bech32: 'addr1in' }, stake_addr: 'stake1in', tx_hash: 'tx0', tx_index: 2, value: '3000000' }],
+          outputs: [{ payment_addr: { bech32: 'addr1out' }, stake_addr: null, tx_hash: 'tx1', tx_index: 0, value: '2830000' }]
+        }]
+      });
+
+      const [tx] = await koios.getTransactions(['tx1']);
+
+      expect(axios.post).toHaveBeenCalledWith('https://koios.test/api/v1/tx_info', expect.objectContaining({ _tx_hashes: ['tx1'] }), expect.anything());
+      expect(tx).toEqual({
+        txHash: 'tx1',
+        blockHeight: 10,
+        blockTime: 1700000000,
+        fee: 170000n,
+        inputs: [{ address: 'addr1in', stakeAddress: 'stake1in', txHash: 'tx0', outputIndex: 2, lovelace: 3000000n, assets: [] }],
+        outputs: [{ address: 'addr1out', stakeAddress: null, txHash: 'tx1', outputIndex: 0, lovelace: 2830000n, assets: [] }]
+      });
+    });
+
+    test('includes metadata only when asked for', async () => {
+      axios.post.mockResolvedValue({
+        data: [{ tx_hash: 'tx1', fee: '170000', metadata: { 674: { msg: ['hoskdog:springs'] } } }]
+      });
+
+      const [tx] = await koios.getTransactions(['tx1'], { metadata: true });
+
+      expect(axios.post).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ _metadata: true }), expect.anything());
+      expect(tx.metadata).toEqual({ 674: { msg: ['hoskdog:springs'] } });
+      expect((await koios.getTransactions(['tx1']))[0]).not.toHaveProperty('metadata');
+    });
+
+    test('maps tx_utxos inputs and outputs', async () => {
+      axios.post.mockResolvedValue({
+        data: [{
+          tx_hash: 'tx1',
+          inputs: [{ payment_addr: { bech32: 'addr1in' }, stake_addr: 'stake1in', tx_hash: 'tx0', tx_index: 2, value: '3000000' }],
+          outputs: [{ payment_addr: { bech32: 'addr1out' }, stake_addr: 'stake1out', tx_hash: 'tx1', tx_index: 0, value: '2830000' }]
+        }]
+      });
+
+      const [tx] = await koios.getTransactionUtxos(['tx1']);
+
+      expect(axios.post).toHaveBeenCalledWith('https://koios.test/api/v1/tx_utxos', { _tx_hashes: ['tx1'] }, expect.anything());
+      expect(tx).toEqual({
+        txHash: 'tx1',
+        inputs: [{ address: 'addr1in', stakeAddress: 'stake1in', txHash: 'tx0', outputIndex: 2, lovelace: 3000000n, assets: [] }],
+        outputs: [{ address: 'addr1out', stakeAddress: 'stake1out', txHash: 'tx1', outputIndex: 0, lovelace: 2830000n, assets: [] }]
+      });
+    });
+  });
+
+  describe('asset holders', () => {
+    test('pages through Koios asset_addresses up to the limit', async () => {
+      const koios = createKoiosProvider({ url: 'https://koios.test/api/v1' });
+      const rows = (count, from) => Array.from({ length: count }, (_, i) => ({
+        payment_address: `addr1_${from + i}`,
+        stake_address: `stake1_${from + i}`,
+        quantity: '10'
+      }));
+      axios.get.mockResolvedValueOnce({ data: rows(1000, 0) });
+      axios.get.mockResolvedValueOnce({ data: rows(200, 1000) });
+
+      const holders = await koios.getAssetHolders('p1', 'aa', { limit: 1200 });
+
+      expect(holders).toHaveLength(1200);
+      expect(holders[1000]).toEqual({ address: 'addr1_1000', stakeAddress: 'stake1_1000', quantity: 10n });
+      expect(axios.get).toHaveBeenLastCalledWith(
+        'https://koios.test/api/v1/asset_addresses?_asset_policy=p1&_asset_name=aa&offset=1000&limit=200',
+        expect.anything()
+      );
+    });
+
+    test('lists fixture addresses holding the asset', async () => {
+      const fixture = createFixtureProvider({ path: FIXTURE_PATH });
+
+      const holders = await fixture.getAssetHolders(HOSKY_UNIT.slice(0, 56), HOSKY_UNIT.slice(56));
+
+      expect(holders.length).toBeGreaterThan(0);
+      holders.forEach(holder => expect(holder.quantity).toBeGreaterThan(0n));
+    });
+  });
+
+  describe('blockfrost provider', () => {
+    const blockfrost = createBlockfrostProvider({ projectId: 'preprodAbc123', network: 'preprod' });
+
+    test('splits units into policy and asset name', async () => {
+      axios.get.mockResolvedValue({
+        data: {
+          stake_address: 'stake_test1u',
+          amount: [
+            { unit: 'lovelace', quantity: '4000000' },
+            { unit: HOSKY_UNIT, quantity: '12' }
+          ]
+        }
+      });
+
+      await expect(blockfrost.getAddressInfo('addr_test1')).resolves.toEqual({ lovelace: 4000000n, stakeAddress: 'stake_test1u' });
+      await expect(blockfrost.getAddressAssets('addr_test1')).resolves.toEqual([
+        { policyId: HOSKY_UNIT.slice(0, 56), assetName: '484f534b59', quantity: 12n }
+      ]);
+      expect(axios.get).toHaveBeenCalledWith(
+        'https://cardano-preprod.blockfrost.io/api/v0/addresses/addr_test1',
+        expect.objectContaining({ headers: { project_id: 'preprodAbc123' } })
+      );
+    });
+
+    test('treats unknown addresses as empty', async () => {
+      axios.get.mockRejectedValue({ response: { status: 404 } });
+
+      await expect(blockfrost.getAddressInfo('addr_test1')).resolves.toEqual({ lovelace: 0n, stakeAddress: null });
+      await expect(blockfrost.getUtxos('addr_test1')).resolves.toEqual([]);
+    });
+
+    test('reads the tip from the latest block', async () => {
+      axios.get.mockResolvedValue({ data: { height: 11000000, time: 1710000000, slot: 120000000 } });
+
+      await expect(blockfrost.getTip()).resolves.toEqual({ blockHeight: 11000000, blockTime: 1710000000, slot: 120000000 });
+    });
+  });
+
+  describe('lucid adapter', () => {
+    test('filters UTxOs by unit and reports delegation', async () => {
+      const lucidProvider = createLucidProvider(createFixtureProvider({ path: FIXTURE_PATH }));
+
+      await expect(lucidProvider.getUtxosWithUnit('addr1qxfixtureholder', HOSKY_UNIT)).resolves.toHaveLength(1);
+      await expect(lucidProvider.getUtxosWithUnit('addr1qxfixtureholder', 'otherunit')).resolves.toHaveLength(0);
+      await expect(lucidProvider.getDelegation('stake1uxfixtureholder'))
+        .resolves.toEqual({ poolId: 'pool1fixture', rewards: 0n });
+      await expect(lucidProvider.awaitTx('fixturetx2')).resolves.toBe(true);
+    });
+
+    test('only supports address lookups', async () => {
+      const lucidProvider = createLucidProvider(createFixtureProvider({ data: {} }));
+
+      await expect(lucidProvider.getUtxos({ type: 'Key', hash: 'abc' }))
+        .rejects.toThrow('fixture provider only supports UTxO lookups by address');
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { config, loadConfig, reloadConfig, onConfigReload } = require('../config');
+const { validateConfiguration, validateSettings } = require('../api/utils/config-validator');
+
+const POLICY_ID = '9560f81458d28648d9261d180ee2b10afcf6b2305909d367f8f9f0ad';
+const ADDRESS = 'addr1q85ffnkdyehds5vujqqpepla070atjau2drpz9k9e9ys6nnprmwe885vflhpj04w9xparvhln7gr05nv6n4a9sycljms6wh3w0';
+
+const minimalSettings = () => ({
+  faucet: {
+    token: { policyId: POLICY_ID },
+    tiers: [
+      { id: 'ada', reward: 420000, conditions: [{ type: 'minAda', lovelace: 3000000 }] }
+    ]
+  },
+  springs: { donationAddress: ADDRESS },
+  vault: { depositAddress: ADDRESS }
+});
+
+describe('faucet settings', () => {
+  let dir;
+  let file;
+
+  const writeSettings = (settings) => {
+    fs.writeFileSync(file, typeof settings === 'string' ? settings : JSON.stringify(settings));
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hoskdog-config-'));
+    file = path.join(dir, 'faucet-settings.json');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('the shipped settings are valid', () => {
+    expect(validateSettings(config)).toEqual({ valid: true, errors: [] });
+    expect(config.faucet.token.decimals).toBe(6);
+    expect(config.faucet.rateLimiting.enabled).toBe(true);
+  });
+
+  test('fills in schema defaults', () => {
+    writeSettings(minimalSettings());
+
+    const { valid, settings } = loadConfig(file, {});
+
+    expect(valid).toBe(true);
+    expect(settings.faucet.token).toEqual({ policyId: POLICY_ID, assetName: 'HOSKDOG', decimals: 6 });
+    expect(settings.faucet.tiers[0]).toMatchObject({ cooldownHours: 24, match: 'all' });
+    expect(settings.faucet.rateLimiting.bans.durationsSeconds).toEqual([900, 3600, 86400]);
+    expect(settings.faucet.budgets.enabled).toBe(false);
+    expect(settings.api).toEqual({ chainProvider: 'koios', koiosUrl: 'https://api.koios.rest/api/v1', port: 3000 });
+  });
+
+  test('environment variables override the file', () => {
+    const settings = minimalSettings();
+    delete settings.faucet.token;
+    writeSettings(settings);
+
+    const loaded = loadConfig(file, { HKDG_POLICY_ID: 'ab'.repeat(28), PORT: '8080' });
+
+    expect(loaded.valid).toBe(true);
+    expect(loaded.settings.faucet.token.policyId).toBe('ab'.repeat(28));
+    expect(loaded.settings.api.port).toBe(8080);
+  });
+
+  test('reports every problem at once', () => {
+    const settings = minimalSettings();
+    settings.faucet.tiers.push({ id: 'ada', reward: -1, conditions: [{ type: 'token' }] });
+    settings.faucet.confirmations = { required: 0, onExpired: 'ignore' };
+    settings.faucet.budgets = { tiers: { gold: { dailyHkdg: 10 } } };
+    settings.faucet.rewards = {};
+    settings.deposits = { purposes: { vault: { minLovelace: 5000000, maxLovelace: 2000000 } } };
+    delete settings.vault.depositAddress;
+    writeSettings(settings);
+
+    const { valid, settings: loaded } = loadConfig(file, {});
+    const result = validateConfiguration(loaded, { FAUCET_ADDRESS: 'stake1u9' });
+
+    expect(valid).toBe(false);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(expect.arrayContaining([
+      'faucet.tiers[1].reward must be at least 1',
+      'faucet.confirmations.required must be at least 1',
+      'faucet.confirmations.onExpired must be one of retry, refund',
+      'faucet.rewards is not a known setting',
+      'vault.depositAddress is required',
+      'faucet.tiers has more than one tier with id "ada"',
+      'faucet.tiers[1].conditions[0].policyId is required for token conditions',
+      'faucet.budgets.tiers.gold does not match any tier',
+      'deposits.purposes.vault.maxLovelace must not be below minLovelace',
+      'Missing required environment variable FAUCET_SKEY',
+      'FAUCET_ADDRESS must be a valid Cardano address (starts with addr)'
+    ]));
+    expect(result.errors).toHaveLength(11);
+  });
+
+  test('reports unreadable settings files', () => {
+    writeSettings('{ "faucet": ');
+
+    const { valid, errors } = loadConfig(file, {});
+
+    expect(valid).toBe(false);
+    expect(errors[0]).toMatch(/^Could not read .*faucet-settings\.json/);
+  });
+
+  describe('reloading', () => {
+    let original;
+
+    beforeAll(() => {
+      original = JSON.parse(JSON.stringify(config));
+    });
+
+    afterAll(() => {
+      for (const key of Object.keys(config)) {
+        delete config[key];
+      }
+      Object.assign(config, original);
+    });
+
+    test('applies valid changes in place and notifies listeners', () => {
+      const listener = jest.fn();
+      onConfigReload(listener);
+      const settings = minimalSettings();
+      settings.faucet.tiers[0].reward = 500000;
+      writeSettings(settings);
+
+      const faucetBefore = config.faucet;
+      expect(reloadConfig(file)).toEqual({ reloaded: true, errors: [] });
+
+      expect(config.faucet).not.toBe(faucetBefore);
+      expect(config.faucet.tiers).toHaveLength(1);
+      expect(config.faucet.tiers[0].reward).toBe(500000);
+      expect(listener).toHaveBeenCalledWith(config);
+    });
+
+    test('keeps the running settings when the new file is invalid', () => {
+      const settings = minimalSettings();
+      settings.faucet.tiers = [];
+      writeSettings(settings);
+      const before = JSON.stringify(config);
+
+      const result = reloadConfig(file);
+
+      expect(result.reloaded).toBe(false);
+      expect(result.errors).toEqual(['faucet.tiers must have at least 1 item']);
+      expect(JSON.stringify(config)).toBe(before);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+jest.mock('../config', () => ({
+  config: {
+    faucet: {
+      payouts: { maxAttempts: 3 },
+      confirmations: { required: 10, onExpired: 'retry' }
+    }
+  }
+}));
+
+jest.mock('../database/claims', () => ({
+  MAX_PAYOUT_ATTEMPTS: 3,
+  getSubmittedBatches: jest.fn(),
+  updateBatchConfirmations: jest.fn(),
+  expireBatch: jest.fn(async () => ({ requeued: 1, expired: 0 }))
+}));
+
+jest.mock('../api/providers', () => ({
+  getChainProvider: jest.fn()
+}));
+
+const { config } = require('../config');
+const claims = require('../database/claims');
+const { getChainProvider } = require('../api/providers');
+const { createFixtureProvider } = require('../api/providers/fixture');
+const { lockUtxos, isLocked } = require('../api/utils/utxo-pool');
+const { checkSubmittedBatches, getConfirmationSettings } = require('../api/utils/confirmation-tracker');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function useChain(transactions, tipHeight = 1000) {
+  getChainProvider.mockReturnValue(createFixtureProvider({
+    data: { transactions, tip: { blockHeight: tipHeight } }
+  }));
+}
+
+describe('confirmation tracker', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    config.faucet.confirmations.onExpired = 'retry';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('confirms a batch once it is buried deep enough', async () => {
+    claims.getSubmittedBatches.mockResolvedValue([{ id: 1, txHash: 'tx_deep', confirmations: 4 }]);
+    useChain({ tx_deep: { blockHeight: 991 } });
+
+    await expect(checkSubmittedBatches()).resolves.toEqual({ confirmed: 1, pending: 0, expired: 0 });
+    expect(claims.updateBatchConfirmations).toHaveBeenCalledWith(1, 991, 10, true);
+  });
+
+  test('releases the inputs of a confirmed batch', async () => {
+    const spent = { txHash: 'tx_pool', outputIndex: 2 };
+    lockUtxos([spent]);
+    claims.getSubmittedBatches.mockResolvedValue([{ id: 1, txHash: 'tx_shallow', confirmations: 0 }]);
+    useChain({ tx_shallow: { blockHeight: 998, inputs: [{ address: 'addr1_faucet', ...spent }] } });
+
+    await checkSubmittedBatches();
+    expect(isLocked(spent)).toBe(true);
+
+    useChain({ tx_shallow: { blockHeight: 991, inputs: [{ address: 'addr1_faucet', ...spent }] } });
+    await checkSubmittedBatches();
+    expect(isLocked(spent)).toBe(false);
+  });
+
+  test('records the depth of a batch that is still confirming', async () => {
+    claims.getSubmittedBatches.mockResolvedValue([
+      { id: 1, txHash: 'tx_shallow', confirmations: 0 },
+      { id: 2, txHash: 'tx_same', confirmations: 3 }
+    ]);
+    useChain({ tx_shallow: { blockHeight: 998 }, tx_same: { blockHeight: 998 } });
+
+    await expect(checkSubmittedBatches()).resolves.toEqual({ confirmed: 0, pending: 2, expired: 0 });
+    expect(claims.updateBatchConfirmations).toHaveBeenCalledTimes(1);
+    expect(claims.updateBatchConfirmations).toHaveBeenCalledWith(1, 998, 3, false);
+  });
+
+  test('waits for a missing tx until its validity window closes', async () => {
+    claims.getSubmittedBatches.mockResolvedValue([
+      { id: 1, txHash: 'tx_mempool', validUntil: new Date(Date.now() + HOUR_MS), confirmations: 0 }
+    ]);
+    useChain({});
+
+    await expect(checkSubmittedBatches()).resolves.toEqual({ confirmed: 0, pending: 1, expired: 0 });
+    expect(claims.expireBatch).not.toHaveBeenCalled();
+  });
+
+  test('requeues the claims of a dropped tx for another attempt', async () => {
+    claims.getSubmittedBatches.mockResolvedValue([
+      { id: 7, txHash: 'tx_dropped', validUntil: new Date(Date.now() - HOUR_MS), confirmations: 0 }
+    ]);
+    useChain({});
+
+    await expect(checkSubmittedBatches()).resolves.toEqual({ confirmed: 0, pending: 0, expired: 1 });
+    expect(claims.expireBatch).toHaveBeenCalledWith(7, { retry: true, maxAttempts: 3 });
+  });
+
+  test('releases the inputs of a dropped tx', async () => {
+    const input = { txHash: 'tx_pool', outputIndex: 4 };
+    lockUtxos([input], HOUR_MS, 'tx_dropped');
+    claims.getSubmittedBatches.mockResolvedValue([
+      { id: 7, txHash: 'tx_dropped', validUntil: new Date(Date.now() - HOUR_MS), confirmations: 0 }
+    ]);
+    useChain({});
+
+    await checkSubmittedBatches();
+    expect(isLocked(input)).toBe(false);
+  });
+
+  test('expires the claims of a dropped tx when configured to refund', async () => {
+    config.faucet.confirmations.onExpired = 'refund';
+    claims.getSubmittedBatches.mockResolvedValue([
+      { id: 7, txHash: 'tx_dropped', validUntil: new Date(Date.now() - HOUR_MS), confirmations: 0 }
+    ]);
+    useChain({});
+
+    await checkSubmittedBatches();
+    expect(getConfirmationSettings().retryExpired).toBe(false);
+    expect(claims.expireBatch).toHaveBeenCalledWith(7, { retry: false, maxAttempts: 3 });
+  });
+
+  test('skips the chain lookup when nothing is in flight', async () => {
+    claims.getSubmittedBatches.mockResolvedValue([]);
+
+    await expect(checkSubmittedBatches()).resolves.toEqual({ confirmed: 0, pending: 0, expired: 0 });
+    expect(getChainProvider).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,266 @@
+jest.mock('../config', () => ({
+  config: {
+    deposits: {
+      address: 'addr1_deposits',
+      purposes: {
+        deposit: { minLovelace: 1000000 },
+        springs: { minLovelace: 1000000 },
+        vault: { minLovelace: 1000000 }
+      },
+      indexer: { rollbackDepth: 10, maxTransactions: 100 }
+    },
+    springs: { donationAddress: 'addr1_treasury' },
+    vault: { depositAddress: 'addr1_treasury' }
+  }
+}));
+
+jest.mock('../database/deposits', () => ({
+  getIndexerCursor: jest.fn(),
+  setIndexerCursor: jest.fn(),
+  getIndexedDepositsAbove: jest.fn(async () => []),
+  upsertIndexedDeposit: jest.fn(async () => true),
+  rollBackDeposit: jest.fn(async () => true)
+}));
+
+jest.mock('../api/providers', () => ({
+  getChainProvider: jest.fn()
+}));
+
+jest.mock('../api/utils/springs-boost', () => ({
+  grantDonationBoost: jest.fn(async () => null),
+  revokeDonationBoost: jest.fn(async () => true)
+}));
+
+jest.mock('../api/utils/vault', () => ({
+  creditVaultDeposit: jest.fn(async () => false),
+  reverseVaultDeposit: jest.fn(async () => true)
+}));
+
+const { config } = require('../config');
+const deposits = require('../database/deposits');
+const { getChainProvider } = require('../api/providers');
+const { createFixtureProvider } = require('../api/providers/fixture');
+const { grantDonationBoost, revokeDonationBoost } = require('../api/utils/springs-boost');
+const { creditVaultDeposit, reverseVaultDeposit } = require('../api/utils/vault');
+const { indexDeposits } = require('../api/utils/deposit-indexer');
+
+const transactions = {
+  tx_direct: {
+    blockHeight: 995,
+    blockTime: 1700000000,
+    fee: '170000',
+    inputs: [{ address: 'addr1_alice', txHash: 'tx0', outputIndex: 0, lovelace: '20000000' }],
+    outputs: [
+      { address: 'addr1_deposits', lovelace: '5000000' },
+      { address: 'addr1_alice', lovelace: '14830000' }
+    ]
+  },
+  tx_vault: {
+    blockHeight: 998,
+    blockTime: 1700000100,
+    fee: '180000',
+    inputs: [{ address: 'addr1_bob', txHash: 'tx0', outputIndex: 1, lovelace: '50000000' }],
+    outputs: [
+      { address: 'addr1_treasury', lovelace: '25000000' },
+      { address: 'addr1_bob', lovelace: '24820000' }
+    ],
+    metadata: { 674: { msg: ['hoskdog:vault', 'HOSKDOG vault deposit'] } }
+  },
+  tx_withdrawal: {
+    blockHeight: 999,
+    blockTime: 1700000200,
+    fee: '170000',
+    inputs: [{ address: 'addr1_treasury', txHash: 'tx_vault', outputIndex: 0, lovelace: '25000000' }],
+    outputs: [{ address: 'addr1_bob', lovelace: '24830000' }]
+  },
+  tx_old: {
+    blockHeight: 900,
+    blockTime: 1690000000,
+    fee: '170000',
+    inputs: [{ address: 'addr1_alice', txHash: 'tx0', outputIndex: 2, lovelace: '3000000' }],
+    outputs: [{ address: 'addr1_deposits', lovelace: '2830000' }]
+  }
+};
+
+function useChain(txs, tipHeight = 1000) {
+  const addresses = {};
+  for (const [txHash, tx] of Object.entries(txs)) {
+    for (const io of [...tx.inputs, ...tx.outputs]) {
+      addresses[io.address] = addresses[io.address] || { transactions: [] };
+      if (!addresses[io.address].transactions.includes(txHash)) {
+        addresses[io.address].transactions.push(txHash);
+      }
+    }
+  }
+  const provider = createFixtureProvider({ data: { addresses, transactions: txs, tip: { blockHeight: tipHeight } } });
+  getChainProvider.mockReturnValue(provider);
+  return provider;
+}
+
+describe('deposit indexer', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('indexes deposits to every watched address and advances the cursor', async () => {
+    deposits.getIndexerCursor.mockResolvedValue(990);
+    useChain(transactions);
+
+    await expect(indexDeposits()).resolves.toEqual({ indexed: 2, rolledBack: 0, cursor: 1000 });
+
+    expect(deposits.upsertIndexedDeposit).toHaveBeenCalledTimes(2);
+    expect(deposits.upsertIndexedDeposit).toHaveBeenNthCalledWith(1, {
+      txHash: 'tx_direct',
+      senderAddress: 'addr1_alice',
+      recipient: 'addr1_deposits',
+      purpose: 'deposit',
+      lovelace: 5000000n,
+      fee: 170000n,
+      blockHeight: 995,
+      blockTime: 1700000000
+    });
+    expect(deposits.setIndexerCursor).toHaveBeenCalledWith('deposits', 1000);
+    expect(grantDonationBoost).toHaveBeenCalledTimes(2);
+    expect(creditVaultDeposit).toHaveBeenCalledWith(expect.objectContaining({ txHash: 'tx_vault', purpose: 'vault' }));
+  });
+
+  test('tells purposes sharing an address apart by their CIP-20 message', async () => {
+    deposits.getIndexerCursor.mockResolvedValue(990);
+    useChain(transactions);
+
+    await indexDeposits();
+
+    expect(deposits.upsertIndexedDeposit).toHaveBeenCalledWith(expect.objectContaining({
+      txHash: 'tx_vault',
+      purpose: 'vault',
+      senderAddress: 'addr1_bob',
+      lovelace: 25000000n
+    }));
+    expect(deposits.upsertIndexedDeposit).not.toHaveBeenCalledWith(expect.objectContaining({ txHash: 'tx_withdrawal' }));
+  });
+
+  test('leaves an untagged payment to a shared address for review', async () => {
+    deposits.getIndexerCursor.mockResolvedValue(990);
+    useChain({
+      tx_untagged: {
+        blockHeight: 997,
+        blockTime: 1700000050,
+        fee: '170000',
+        inputs: [{ address: 'addr1_carol', txHash: 'tx0', outputIndex: 3, lovelace: '30000000' }],
+        outputs: [
+          { address: 'addr1_treasury', lovelace: '10000000' },
+          { address: 'addr1_carol', lovelace: '19830000' }
+        ]
+      }
+    });
+
+    await expect(indexDeposits()).resolves.toEqual({ indexed: 1, rolledBack: 0, cursor: 1000 });
+
+    expect(deposits.upsertIndexedDeposit).toHaveBeenCalledWith(expect.objectContaining({
+      txHash: 'tx_untagged',
+      recipient: 'addr1_treasury',
+      purpose: 'unassigned',
+      lovelace: 10000000n
+    }));
+    expect(grantDonationBoost).not.toHaveBeenCalled();
+    expect(creditVaultDeposit).not.toHaveBeenCalled();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('needs review (tx_untagged)'));
+  });
+
+  test('only looks a rollback depth below the cursor', async () => {
+    deposits.getIndexerCursor.mockResolvedValue(996);
+    useChain(transactions);
+
+    await indexDeposits();
+
+    expect(deposits.getIndexedDepositsAbove).toHaveBeenCalledWith(986);
+    const indexed = deposits.upsertIndexedDeposit.mock.calls.map(([deposit]) => deposit.txHash);
+    expect(indexed).toEqual(['tx_direct', 'tx_vault']);
+    expect(indexed).not.toContain('tx_old');
+  });
+
+  test('backfills history on the first run', async () => {
+    deposits.getIndexerCursor.mockResolvedValue(null);
+    useChain(transactions);
+
+    await indexDeposits();
+
+    expect(deposits.upsertIndexedDeposit.mock.calls.map(([deposit]) => deposit.txHash))
+      .toEqual(['tx_old', 'tx_direct', 'tx_vault']);
+  });
+
+  test('pages back through a busy address to the cursor', async () => {
+    config.deposits.indexer.maxTransactions = 1;
+    deposits.getIndexerCursor.mockResolvedValue(990);
+    const provider = useChain(transactions);
+    jest.spyOn(provider, 'getAddressTransactions');
+
+    try {
+      await expect(indexDeposits()).resolves.toEqual({ indexed: 2, rolledBack: 0, cursor: 1000 });
+    } finally {
+      config.deposits.indexer.maxTransactions = 100;
+    }
+
+    expect(provider.getAddressTransactions).toHaveBeenCalledWith('addr1_deposits', { limit: 1, order: 'desc', offset: 1 });
+    expect(deposits.upsertIndexedDeposit.mock.calls.map(([deposit]) => deposit.txHash)).toEqual(['tx_direct', 'tx_vault']);
+  });
+
+  test('rolls back deposits whose block is gone on two runs in a row', async () => {
+    deposits.getIndexerCursor.mockResolvedValue(1000);
+    deposits.getIndexedDepositsAbove.mockResolvedValue([
+      { txHash: 'tx_direct', blockHeight: 995 },
+      { txHash: 'tx_orphaned', blockHeight: 997 }
+    ]);
+    useChain(transactions);
+
+    await expect(indexDeposits()).resolves.toMatchObject({ rolledBack: 0 });
+    expect(deposits.rollBackDeposit).not.toHaveBeenCalled();
+
+    const summary = await indexDeposits();
+
+    expect(summary.rolledBack).toBe(1);
+    expect(deposits.rollBackDeposit).toHaveBeenCalledTimes(1);
+    expect(deposits.rollBackDeposit).toHaveBeenCalledWith('tx_orphaned');
+    expect(revokeDonationBoost).toHaveBeenCalledWith('tx_orphaned');
+    expect(reverseVaultDeposit).toHaveBeenCalledWith('tx_orphaned');
+  });
+
+  test('waits for the tip to pass a deposit before rolling it back', async () => {
+    deposits.getIndexerCursor.mockResolvedValue(996);
+    deposits.getIndexedDepositsAbove.mockResolvedValue([{ txHash: 'tx_lagging', blockHeight: 997 }]);
+    useChain(transactions, 997);
+
+    await indexDeposits();
+    await indexDeposits();
+
+    expect(deposits.rollBackDeposit).not.toHaveBeenCalled();
+  });
+
+  test('keeps a deposit that turns up again after one miss', async () => {
+    deposits.getIndexerCursor.mockResolvedValue(1000);
+    deposits.getIndexedDepositsAbove.mockResolvedValue([{ txHash: 'tx_direct', blockHeight: 995 }]);
+    const provider = useChain(transactions);
+    jest.spyOn(provider, 'getTransactions').mockResolvedValueOnce([]);
+
+    await indexDeposits();
+    await indexDeposits();
+
+    expect(deposits.rollBackDeposit).not.toHaveBeenCalled();
+  });
+
+  test('rewinds the cursor when the tip falls below it', async () => {
+    deposits.getIndexerCursor.mockResolvedValue(1005);
+    useChain(transactions, 1000);
+
+    await indexDeposits();
+
+    expect(deposits.getIndexedDepositsAbove).toHaveBeenCalledWith(990);
+    expect(deposits.setIndexerCursor).toHaveBeenCalledWith('deposits', 1000);
+  });
+});
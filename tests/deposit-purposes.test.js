@@ -0,0 +1,68 @@
+jest.mock('../config', () => ({
+  config: {
+    deposits: {
+      address: 'addr1_deposits',
+      purposes: {
+        deposit: { minLovelace: 1000000, maxLovelace: 50000000 },
+        springs: { minLovelace: 100000000 }
+      }
+    },
+    springs: { donationAddress: 'addr1_springs' },
+    vault: { depositAddress: 'addr1_vault' }
+  }
+}));
+
+const {
+  CIP20_LABEL,
+  getDepositPurposes,
+  resolveDepositPurpose,
+  purposeMetadata,
+  parsePurposeMetadata
+} = require('../api/utils/deposit-purposes');
+
+describe('deposit purposes', () => {
+  test('lists configured purposes with their destinations', () => {
+    expect(getDepositPurposes()).toEqual([
+      { id: 'deposit', description: 'HOSKDOG deposit', address: 'addr1_deposits', minLovelace: 1000000n, maxLovelace: 50000000n },
+      { id: 'springs', description: 'HOSKDOG Springs donation', address: 'addr1_springs', minLovelace: 100000000n, maxLovelace: null }
+    ]);
+  });
+
+  test('resolves a purpose within its limits', () => {
+    const result = resolveDepositPurpose('springs', 250000000n);
+
+    expect(result.valid).toBe(true);
+    expect(result.purpose.address).toBe('addr1_springs');
+  });
+
+  test('refuses purposes that are not configured', () => {
+    expect(resolveDepositPurpose('vault', 5000000n)).toEqual({
+      valid: false,
+      error: 'purpose must be one of deposit, springs'
+    });
+    expect(resolveDepositPurpose(undefined, 5000000n).valid).toBe(false);
+    expect(resolveDepositPurpose('toString', 5000000n).valid).toBe(false);
+  });
+
+  test('refuses amounts outside the purpose limits', () => {
+    expect(resolveDepositPurpose('deposit', 999999n).error).toBe('Minimum HOSKDOG deposit is 1 ADA (1000000 lovelace)');
+    expect(resolveDepositPurpose('deposit', 50000001n).error).toBe('Maximum HOSKDOG deposit is 50 ADA (50000000 lovelace)');
+    expect(resolveDepositPurpose('deposit', 50000000n).valid).toBe(true);
+  });
+
+  test('tags payments with a CIP-20 message that parses back to the purpose', () => {
+    const metadata = purposeMetadata('vault');
+
+    expect(CIP20_LABEL).toBe(674);
+    expect(metadata).toEqual({ msg: ['hoskdog:vault', 'HOSKDOG vault deposit'] });
+    expect(parsePurposeMetadata({ 674: metadata })).toBe('vault');
+    expect(parsePurposeMetadata({ '674': { msg: ['gm', 'hoskdog:springs'] } })).toBe('springs');
+  });
+
+  test('ignores metadata that does not name a known purpose', () => {
+    expect(parsePurposeMetadata(null)).toBeNull();
+    expect(parsePurposeMetadata({ 674: { msg: ['just a note'] } })).toBeNull();
+    expect(parsePurposeMetadata({ 674: { msg: ['hoskdog:constructor'] } })).toBeNull();
+    expect(parsePurposeMetadata({ 721: { msg: ['hoskdog:deposit'] } })).toBeNull();
+  });
+});
@@ -0,0 +1,163 @@
+jest.mock('../config', () => ({
+  config: {
+    faucet: {
+      tiers: [
+        {
+          id: 'meme',
+          name: 'Meme Holder',
+          description: 'Hold HOSKY or SNEK tokens',
+          reward: 690,
+          match: 'any',
+          conditions: [
+            { type: 'token', policyId: 'hosky_policy', assetName: '484f534b59', minAmount: 1 },
+            { type: 'token', policyId: 'snek_policy', minAmount: 100 }
+          ]
+        },
+        {
+          id: 'og',
+          name: 'OG Delegator',
+          description: 'Old wallet delegated to HOSKY pool',
+          reward: 500,
+          cooldownHours: 12,
+          conditions: [
+            { type: 'walletAge', minDays: 365 },
+            { type: 'delegation', poolId: ['pool1hosky'] }
+          ]
+        },
+        {
+          id: 'ada',
+          name: 'ADA Holder',
+          description: 'Hold at least 3 ADA',
+          reward: 420,
+          conditions: [{ type: 'minAda', lovelace: 3000000 }]
+        }
+      ]
+    },
+    springs: {
+      donationAddress: 'addr1springs',
+      minDonation: 100000000
+    }
+  }
+}));
+
+jest.mock('../api/providers', () => {
+  const provider = {
+    getAddressAssets: jest.fn(),
+    getAddressInfo: jest.fn(),
+    getDelegatedPool: jest.fn(),
+    getAddressTransactions: jest.fn(),
+    getTransactions: jest.fn()
+  };
+  return { getChainProvider: () => provider };
+});
+
+const chain = require('../api/providers').getChainProvider();
+const {
+  evaluateEligibility,
+  evaluateCondition,
+  createChainContext,
+  getTier,
+  getTierCooldownMs
+} = require('../api/utils/eligibility-engine');
+
+const ADDRESS = 'addr1qxtestwallet';
+const DAY_SECONDS = 24 * 60 * 60;
+
+describe('eligibility engine', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    chain.getAddressAssets.mockResolvedValue([]);
+    chain.getAddressInfo.mockResolvedValue({ lovelace: 0n, stakeAddress: 'stake1test' });
+    chain.getDelegatedPool.mockResolvedValue(null);
+    chain.getAddressTransactions.mockResolvedValue([]);
+    chain.getTransactions.mockResolvedValue([]);
+  });
+
+  test('returns the first tier whose conditions hold', async () => {
+    chain.getAddressAssets.mockResolvedValue([
+      { policyId: 'hosky_policy', assetName: '484f534b59', quantity: 5n }
+    ]);
+    chain.getAddressInfo.mockResolvedValue({ lovelace: 10000000n, stakeAddress: 'stake1test' });
+
+    const result = await evaluateEligibility(ADDRESS);
+
+    expect(result.eligible).toBe(true);
+    expect(result.tier.id).toBe('meme');
+    expect(result.conditions).toEqual([{ type: 'token', passed: true }]);
+  });
+
+  test('matches token holdings by policy and asset name', async () => {
+    chain.getAddressAssets.mockResolvedValue([
+      { policyId: 'hosky_policy', assetName: 'deadbeef', quantity: 5n },
+      { policyId: 'snek_policy', assetName: '534e454b', quantity: 99n }
+    ]);
+
+    const result = await evaluateEligibility(ADDRESS);
+
+    expect(result.eligible).toBe(false);
+  });
+
+  test('requires every condition of an "all" tier', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    chain.getAddressTransactions.mockResolvedValue([{ txHash: 'tx0', blockTime: now - 400 * DAY_SECONDS }]);
+    chain.getDelegatedPool.mockResolvedValue('pool1hosky');
+
+    const result = await evaluateEligibility(ADDRESS);
+    expect(result.tier.id).toBe('og');
+    expect(chain.getDelegatedPool).toHaveBeenCalledWith('stake1test');
+    expect(chain.getAddressTransactions).toHaveBeenCalledWith(ADDRESS, { limit: 1, order: 'asc' });
+
+    chain.getAddressTransactions.mockResolvedValue([{ txHash: 'tx0', blockTime: now - 30 * DAY_SECONDS }]);
+    const young = await evaluateEligibility(ADDRESS);
+    expect(young.eligible).toBe(false);
+  });
+
+  test('fetches each piece of chain data once per evaluation', async () => {
+    await evaluateEligibility(ADDRESS);
+
+    expect(chain.getAddressAssets).toHaveBeenCalledTimes(1);
+    expect(chain.getAddressInfo).toHaveBeenCalledTimes(1);
+  });
+
+  test('treats failed lookups as unmet conditions', async () => {
+    chain.getAddressAssets.mockRejectedValue(new Error('timeout'));
+    chain.getAddressInfo.mockResolvedValue({ lovelace: 5000000n, stakeAddress: null });
+
+    const result = await evaluateEligibility(ADDRESS);
+
+    expect(result.tier.id).toBe('ada');
+  });
+
+  test('explains why a wallet is not eligible', async () => {
+    const result = await evaluateEligibility(ADDRESS);
+
+    expect(result).toMatchObject({ eligible: false, tier: null });
+    expect(result.reason).toContain('Hold at least 3 ADA');
+  });
+
+  test('detects a prior Springs donation sent by the wallet', async () => {
+    chain.getAddressTransactions.mockResolvedValue([{ txHash: 'tx1' }]);
+    chain.getTransactions.mockResolvedValue([
+      {
+        txHash: 'tx1',
+        inputs: [{ address: ADDRESS }],
+        outputs: [{ address: 'addr1springs', lovelace: 150000000n }]
+      }
+    ]);
+
+    const context = createChainContext(ADDRESS);
+    await expect(evaluateCondition({ type: 'springsDonation' }, context)).resolves.toBe(true);
+    await expect(evaluateCondition({ type: 'springsDonation', minLovelace: 200000000 }, context)).resolves.toBe(false);
+  });
+
+  test('rejects unknown condition types', async () => {
+    await expect(evaluateCondition({ type: 'vibes' }, createChainContext(ADDRESS)))
+      .rejects.toThrow('Unknown eligibility condition type: vibes');
+  });
+
+  test('uses per-tier cooldowns', () => {
+    expect(getTierCooldownMs(getTier('og'))).toBe(12 * 60 * 60 * 1000);
+    expect(getTierCooldownMs(getTier('ada'))).toBe(24 * 60 * 60 * 1000);
+    expect(getTier('whale')).toBeNull();
+  });
+});
@@ -0,0 +1,135 @@
+jest.mock('../config', () => ({
+  config: {
+    faucet: {
+      budgets: {
+        hourlyHkdg: 3000,
+        dailyHkdg: 10000,
+        tiers: { meme: { dailyHkdg: 6000 } }
+      },
+      reserve: { autoPause: true, minHkdg: 5000, minAda: 20, checkIntervalSeconds: 60 },
+      tiers: [{ id: 'meme' }, { id: 'ada' }]
+    }
+  }
+}));
+
+jest.mock('../database/db', () => ({
+  query: jest.fn()
+}));
+
+jest.mock('../api/utils/cardano-tx', () => ({
+  getFaucetBalance: jest.fn()
+}));
+
+const db = require('../database/db');
+const { getFaucetBalance } = require('../api/utils/cardano-tx');
+const { findExhaustedBudget, getBudgetUsage } = require('../database/faucet-stats');
+const {
+  getBudgetLimits,
+  getBudgetStatus,
+  describeExhaustedBudget,
+  updateReserveStatus,
+  checkReserve
+} = require('../api/utils/faucet-budget');
+
+// faucet_stats rows for today, as summed by getBudgetUsage
+function mockUsage(rows) {
+  db.query.mockResolvedValue({ rows });
+}
+
+describe('faucet budgets', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('sums hourly and daily usage across tiers', async () => {
+    mockUsage([
+      { tier: 'meme', hourly: '1000', daily: '4000' },
+      { tier: 'ada', hourly: '500', daily: '500' }
+    ]);
+
+    await expect(getBudgetUsage()).resolves.toEqual({
+      hourly: 1500,
+      daily: 4500,
+      tiers: { meme: { hourly: 1000, daily: 4000 }, ada: { hourly: 500, daily: 500 } }
+    });
+  });
+
+  test('finds the first budget a claim would overrun', () => {
+    const limits = getBudgetLimits();
+    const usage = { hourly: 2000, daily: 5500, tiers: { meme: { hourly: 2000, daily: 5500 } } };
+
+    expect(findExhaustedBudget(usage, 'ada', 1000, limits)).toBeNull();
+    expect(findExhaustedBudget(usage, 'meme', 1000, limits))
+      .toEqual({ window: 'daily', tier: 'meme', limit: 6000, used: 5500 });
+    expect(findExhaustedBudget(usage, 'ada', 1500, limits))
+      .toEqual({ window: 'hourly', tier: null, limit: 3000, used: 2000 });
+  });
+
+  test('reports the remaining budget per window and tier', async () => {
+    mockUsage([{ tier: 'meme', hourly: '1000', daily: '4000' }]);
+
+    const status = await getBudgetStatus();
+
+    expect(status.daily).toMatchObject({ limit: 10000, used: 4000, remaining: 6000 });
+    expect(status.tiers.meme.daily).toMatchObject({ limit: 6000, used: 4000, remaining: 2000 });
+    expect(status.tiers.ada.daily).toMatchObject({ limit: null, used: 0, remaining: null });
+    expect(new Date(status.hourly.resetsAt).getMinutes()).toBe(0);
+  });
+
+  test('explains when an exhausted budget resets', () => {
+    const refusal = describeExhaustedBudget({ window: 'hourly', tier: null, limit: 3000, used: 3000 });
+
+    expect(refusal.error).toBe('Faucet budget exhausted');
+    expect(refusal.details).toMatch('faucet\'s hourly HKDG budget');
+    expect(refusal.retryAfter).toBeGreaterThan(0);
+    expect(refusal.retryAfter).toBeLessThanOrEqual(3600);
+  });
+});
+
+describe('faucet reserve', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    updateReserveStatus({ hkdg: 10000, ada: 100 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('pauses below the reserve and resumes once topped up', () => {
+    const paused = updateReserveStatus({ hkdg: 4000, ada: 100 });
+    expect(paused).toMatchObject({ paused: true, reason: 'HKDG balance 4000 is below the 5000 reserve' });
+    expect(console.warn).toHaveBeenCalledTimes(1);
+
+    // The pause keeps its start time while it lasts
+    expect(updateReserveStatus({ hkdg: 4000, ada: 10 }).since).toBe(paused.since);
+
+    expect(updateReserveStatus({ hkdg: 6000, ada: 100 })).toEqual({ paused: false, reason: null, since: null, pausedBy: null });
+  });
+
+  test('checks the wallet balance at most once per interval', async () => {
+    const later = Date.now() + 61 * 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    getFaucetBalance.mockResolvedValue({ hkdg: 100, ada: 100 });
+
+    await expect(checkReserve()).resolves.toMatchObject({ paused: true });
+    await expect(checkReserve()).resolves.toMatchObject({ paused: true });
+    expect(getFaucetBalance).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps the last state when the balance is unavailable', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 61 * 1000);
+    getFaucetBalance.mockRejectedValue(new Error('Chain provider unavailable'));
+
+    await expect(checkReserve()).resolves.toMatchObject({ paused: false });
+  });
+});
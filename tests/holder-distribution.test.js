@@ -0,0 +1,152 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../config', () => ({
+  config: {
+    faucet: {
+      token: { policyId: '9560f81458d28648d9261d180ee2b10afcf6b2305909d367f8f9f0ad', assetName: 'HOSKDOG' }
+    },
+    vault: { depositAddress: 'addr1_vault' },
+    distribution: {
+      snapshotIntervalHours: 24,
+      maxHolders: 100000,
+      topHolders: 25,
+      assets: [],
+      knownWallets: [{ label: 'Big Exchange', type: 'exchange', addresses: ['addr1_exchange'] }]
+    }
+  }
+}));
+
+jest.mock('../api/providers', () => ({
+  getChainProvider: jest.fn()
+}));
+
+jest.mock('../database/redis', () => ({
+  client: { get: jest.fn(async () => null), set: jest.fn(async () => 'OK') },
+  cacheGet: jest.fn(async () => null),
+  cacheSet: jest.fn(async () => {})
+}));
+
+jest.mock('../database/distribution', () => ({
+  saveSnapshot: jest.fn(async (snapshot) => ({ id: 1, ...snapshot, takenAt: '2026-01-01T00:00:00.000Z' })),
+  getLatestSnapshot: jest.fn(async () => null),
+  listSnapshots: jest.fn(async () => [])
+}));
+
+const { config } = require('../config');
+const distribution = require('../database/distribution');
+const { getChainProvider } = require('../api/providers');
+const { createFixtureProvider } = require('../api/providers/fixture');
+const { computeDistribution, takeSnapshot, getTrackedAsset } = require('../api/utils/holder-distribution');
+const relationshipRoutes = require('../api/routes/relationships');
+
+const HKDG = { policyId: config.faucet.token.policyId, assetName: Buffer.from('HOSKDOG').toString('hex') };
+
+// A holds 700 over two addresses, B 200, the exchange and the vault 50 each
+const holdings = {
+  addr1_a1: { stakeAddress: 'stake1_a', quantity: 600 },
+  addr1_a2: { stakeAddress: 'stake1_a', quantity: 100 },
+  addr1_b: { stakeAddress: 'stake1_b', quantity: 200 },
+  addr1_exchange: { quantity: 50 },
+  addr1_vault: { quantity: 50 }
+};
+
+function useChain() {
+  const addresses = Object.fromEntries(Object.entries(holdings).map(([address, { stakeAddress, quantity }]) => [
+    address,
+    { stakeAddress, assets: [{ ...HKDG, quantity }] }
+  ]));
+  const provider = createFixtureProvider({ data: { addresses } });
+  getChainProvider.mockReturnValue(provider);
+  return provider;
+}
+
+describe('holder distribution', () => {
+  const defaults = { ...config.distribution };
+
+  beforeEach(() => {
+    config.distribution = { ...defaults };
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('computes concentration metrics over holders aggregated by stake key', async () => {
+    const rows = await useChain().getAssetHolders(HKDG.policyId, HKDG.assetName);
+
+    const metrics = computeDistribution(rows);
+
+    expect(metrics).toMatchObject({
+      holderCount: 4,
+      totalQuantity: '1000',
+      gini: 0.525,
+      hhi: 5350,
+      nakamoto: 1,
+      top10Share: 100,
+      labelled: {
+        exchange: { holders: 1, quantity: '50', share: 5 },
+        project: { holders: 1, quantity: '50', share: 5 }
+      }
+    });
+    expect(metrics.topHolders[0]).toEqual({ holder: 'stake1_a', addresses: 2, quantity: '700', share: 70, label: null, type: null });
+    expect(metrics.topHolders.find(holder => holder.holder === 'addr1_exchange')).toMatchObject({ label: 'Big Exchange', type: 'exchange' });
+  });
+
+  test('handles an even spread and an asset nobody holds', () => {
+    const even = computeDistribution(['a', 'b', 'c', 'd'].map(name => ({ address: `addr1_${name}`, stakeAddress: null, quantity: 25n })));
+    // Two of four equal holders have exactly half, not more
+    expect(even).toMatchObject({ gini: 0, hhi: 2500, nakamoto: 3 });
+
+    expect(computeDistribution([])).toMatchObject({ holderCount: 0, totalQuantity: '0', gini: 0, hhi: 0, nakamoto: 0, top10Share: 0 });
+  });
+
+  test('stores a snapshot and flags one cut short by maxHolders', async () => {
+    useChain();
+    config.distribution.maxHolders = 3;
+
+    const snapshot = await takeSnapshot(getTrackedAsset('hkdg'));
+
+    expect(distribution.saveSnapshot).toHaveBeenCalledWith(expect.objectContaining({
+      assetId: 'hkdg',
+      policyId: HKDG.policyId,
+      assetName: HKDG.assetName,
+      truncated: true
+    }));
+    expect(snapshot.holderCount).toBe(2);
+  });
+
+  describe('routes', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', relationshipRoutes);
+
+    test('serves the latest snapshot, and never takes one on request', async () => {
+      const provider = useChain();
+      jest.spyOn(provider, 'getAssetHolders');
+
+      const missing = await request(app).get('/api/ownership/distribution').expect(404);
+      expect(missing.body.error).toBe('No distribution snapshot of HOSKDOG yet');
+      expect(provider.getAssetHolders).not.toHaveBeenCalled();
+      expect(distribution.saveSnapshot).not.toHaveBeenCalled();
+
+      distribution.getLatestSnapshot.mockResolvedValueOnce({ assetId: 'hkdg', holderCount: 9 });
+      const stored = await request(app).get('/api/ownership/distribution?asset=hkdg').expect(200);
+      expect(stored.body.data).toEqual({ asset: 'HOSKDOG', assetId: 'hkdg', holderCount: 9 });
+    });
+
+    test('validates the asset and the history range', async () => {
+      await request(app).get('/api/ownership/distribution?asset=snek').expect(400);
+      await request(app).get('/api/ownership/distribution/history?days=0').expect(400);
+
+      const res = await request(app).get('/api/ownership/distribution/history?days=7').expect(200);
+      expect(res.body.data).toMatchObject({ assetId: 'hkdg', days: 7, snapshots: [] });
+      const [assetId, { from }] = distribution.listSnapshots.mock.calls[0];
+      expect(assetId).toBe('hkdg');
+      expect(Date.now() - from.getTime()).toBeGreaterThanOrEqual(7 * 24 * 60 * 60 * 1000);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+jest.mock('../database/db', () => ({
+  pool: { end: jest.fn() }
+}));
+
+// Rows keyed on (tx_hash, claim_key), like the unique index on slurp_history
+jest.mock('../database/claims', () => {
+  const rows = new Map();
+  return {
+    rows,
+    recordClaim: jest.fn(async (claim) => {
+      const key = `${claim.txHash}:${claim.claimKey}`;
+      if (rows.has(key)) {
+        return null;
+      }
+      rows.set(key, claim);
+      return { id: rows.size };
+    })
+  };
+});
+
+jest.mock('../api/utils/claim-identity', () => ({
+  resolveCredential: jest.fn(async (address) => {
+    if (!address.startsWith('addr1')) {
+      throw new Error('Invalid address format');
+    }
+    return { claimKey: `key_${address}`, type: 'stake' };
+  })
+}));
+
+const claims = require('../database/claims');
+const { importSlurpHistory } = require('../scripts/import-slurp-history');
+
+describe('slurp history import', () => {
+  let dir;
+
+  async function writeHistory(entries) {
+    const historyPath = path.join(dir, 'slurp-history.json');
+    await fs.writeJson(historyPath, entries);
+    return historyPath;
+  }
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'slurp-history-'));
+    claims.rows.clear();
+    jest.clearAllMocks();
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('imports each slurp once, keeping its original date', async () => {
+    const historyPath = await writeHistory([
+      { address: 'addr1_alice', txHash: 'tx_1', amount: 690000, tier: 'meme', timestamp: '2024-03-01T10:00:00.000Z' },
+      { address: 'addr1_bob', txHash: 'tx_2', amount: 420000, tier: 'ada', date: '2024-03-02T11:00:00.000Z' },
+      { address: 'addr1_alice', txHash: 'tx_1', amount: 690000, tier: 'meme', timestamp: '2024-03-01T10:00:00.000Z' }
+    ]);
+
+    await expect(importSlurpHistory(historyPath)).resolves.toEqual({ imported: 2, skipped: 1, invalid: 0 });
+    expect(claims.recordClaim).toHaveBeenCalledWith(expect.objectContaining({
+      address: 'addr1_bob',
+      claimKey: 'key_addr1_bob',
+      txHash: 'tx_2',
+      timestamp: new Date('2024-03-02T11:00:00.000Z')
+    }));
+
+    // A second run finds everything already there
+    await expect(importSlurpHistory(historyPath)).resolves.toEqual({ imported: 0, skipped: 3, invalid: 0 });
+  });
+
+  test('counts malformed, undated and unresolvable entries as invalid', async () => {
+    const historyPath = await writeHistory([
+      { address: 'addr1_alice', amount: 690000, timestamp: '2024-03-01T10:00:00.000Z' },
+      { address: 'addr1_bob', txHash: 'tx_2', amount: 420000 },
+      { address: 'addr1_carol', txHash: 'tx_3', amount: 420000, timestamp: 'yesterday' },
+      { address: 'not-an-address', txHash: 'tx_4', amount: 420000, timestamp: '2024-03-01T10:00:00.000Z' },
+      { address: 'addr1_dave', txHash: 'tx_5', amount: 420000, timestamp: '2024-03-01T10:00:00.000Z' }
+    ]);
+
+    await expect(importSlurpHistory(historyPath)).resolves.toEqual({ imported: 1, skipped: 0, invalid: 4 });
+    expect(claims.recordClaim).toHaveBeenCalledTimes(1);
+  });
+
+  test('does nothing without a history file', async () => {
+    await expect(importSlurpHistory(path.join(dir, 'missing.json'))).resolves.toEqual({ imported: 0, skipped: 0, invalid: 0 });
+  });
+});
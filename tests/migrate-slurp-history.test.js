@@ -0,0 +1,75 @@
+// A client that answers the backfill queries and records every statement
+jest.mock('../database/db', () => {
+  const client = {
+    statements: [],
+    walletAddresses: [],
+    query: jest.fn(async (text, params) => {
+      client.statements.push(text);
+      if (text.startsWith('SELECT DISTINCT wallet_address')) {
+        return { rows: client.walletAddresses.map(address => ({ wallet_address: address })) };
+      }
+      if (text.startsWith('UPDATE slurp_history SET claim_key')) {
+        return { rowCount: params[0] === 'addr1_alice' ? 3 : 1 };
+      }
+      return { rows: [], rowCount: 0 };
+    }),
+    release: jest.fn()
+  };
+  return {
+    client,
+    getClient: jest.fn(async () => client),
+    pool: { end: jest.fn() }
+  };
+});
+
+jest.mock('../api/utils/claim-identity', () => ({
+  resolveCredential: jest.fn(async (address) => {
+    if (!address.startsWith('addr1')) {
+      throw new Error('Invalid wallet address format');
+    }
+    return { claimKey: `key_${address}`, type: 'stake' };
+  })
+}));
+
+const { client } = require('../database/db');
+const { migrateSlurpHistory } = require('../scripts/migrate-slurp-history');
+
+describe('slurp history migration', () => {
+  beforeEach(() => {
+    client.statements = [];
+    jest.clearAllMocks();
+  });
+
+  test('backfills claim keys before making them required and unique per tx', async () => {
+    client.walletAddresses = ['addr1_alice', 'addr1_bob'];
+
+    await expect(migrateSlurpHistory()).resolves.toEqual({ addresses: 2, rows: 4 });
+
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('SET claim_key'), ['addr1_alice', 'key_addr1_alice']);
+    const position = fragment => client.statements.findIndex(text => text.includes(fragment));
+    expect(position('ADD COLUMN IF NOT EXISTS claim_key')).toBeLessThan(position('SET claim_key'));
+    expect(position('SET claim_key')).toBeLessThan(position('claim_key SET NOT NULL'));
+    expect(position('DROP CONSTRAINT IF EXISTS slurp_history_tx_hash_key')).toBeLessThan(position('idx_slurp_tx_claim'));
+    expect(client.statements[client.statements.length - 1]).toBe('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('marks slurps paid before the payout queue as confirmed', async () => {
+    client.walletAddresses = [];
+
+    await migrateSlurpHistory();
+
+    expect(client.statements).toContain('UPDATE slurp_history SET status = \'confirmed\' WHERE status = \'completed\'');
+    expect(client.statements[client.statements.length - 1]).toBe('COMMIT');
+  });
+
+  test('changes nothing while an address has no key to backfill', async () => {
+    client.walletAddresses = ['addr1_alice', 'garbage'];
+
+    await expect(migrateSlurpHistory()).rejects.toThrow('No stake or payment key for 1 address(es): garbage');
+
+    expect(client.statements).not.toContainEqual(expect.stringContaining('SET NOT NULL'));
+    expect(client.statements[client.statements.length - 1]).toBe('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+});
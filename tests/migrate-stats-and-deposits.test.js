@@ -0,0 +1,62 @@
+jest.mock('../database/db', () => {
+  const client = {
+    statements: [],
+    failOn: null,
+    query: jest.fn(async (statement) => {
+      const text = typeof statement === 'string' ? statement : statement.text;
+      client.statements.push(text);
+      if (client.failOn && text.includes(client.failOn)) {
+        throw new Error('relation does not exist');
+      }
+      return { rows: [], rowCount: 0 };
+    }),
+    release: jest.fn()
+  };
+  return {
+    client,
+    getClient: jest.fn(async () => client),
+    pool: { end: jest.fn() }
+  };
+});
+
+const { client } = require('../database/db');
+const { migrateStatsAndDeposits } = require('../scripts/migrate-stats-and-deposits');
+
+describe('faucet stats and deposit history migration', () => {
+  const position = fragment => client.statements.findIndex(text => text.includes(fragment));
+
+  beforeEach(() => {
+    client.statements = [];
+    client.failOn = null;
+    jest.clearAllMocks();
+  });
+
+  test('backfills hour and tier before swapping the daily key for the hourly one', async () => {
+    await migrateStatsAndDeposits();
+
+    expect(client.query).toHaveBeenCalledWith({ text: 'UPDATE faucet_stats SET tier = $1 WHERE tier IS NULL', values: ['legacy'] });
+    expect(position('ADD COLUMN IF NOT EXISTS hour')).toBeLessThan(position('SET hour = 0'));
+    expect(position('SET hour = 0')).toBeLessThan(position('hour SET NOT NULL'));
+    expect(position('SET tier = $1')).toBeLessThan(position('tier SET NOT NULL'));
+    expect(position('DROP CONSTRAINT IF EXISTS faucet_stats_date_key')).toBeGreaterThan(-1);
+    expect(position('ON faucet_stats(date, hour, tier)')).toBeGreaterThan(-1);
+    expect(client.statements[client.statements.length - 1]).toBe('COMMIT');
+  });
+
+  test('adds the deposit indexer columns to deposit_history', async () => {
+    await migrateStatsAndDeposits();
+
+    for (const column of ['purpose', 'recipient_address', 'block_height', 'block_time']) {
+      expect(position(`ALTER TABLE deposit_history ADD COLUMN IF NOT EXISTS ${column} `)).toBeGreaterThan(-1);
+    }
+  });
+
+  test('changes nothing when a statement fails', async () => {
+    client.failOn = 'deposit_history';
+
+    await expect(migrateStatsAndDeposits()).rejects.toThrow('relation does not exist');
+
+    expect(client.statements[client.statements.length - 1]).toBe('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,152 @@
+jest.mock('../config', () => ({
+  config: {
+    faucet: {
+      payouts: { maxRecipientsPerTx: 4, maxAttempts: 3 }
+    }
+  }
+}));
+
+jest.mock('../api/utils/cardano-tx', () => ({
+  sendHKDGBatch: jest.fn()
+}));
+
+// In-memory queue with the same transitions as database/claims
+jest.mock('../database/claims', () => {
+  const rows = [];
+  const batches = [];
+  return {
+    MAX_PAYOUT_ATTEMPTS: 3,
+    rows,
+    batches,
+    takeQueuedClaims: jest.fn(async (limit) => {
+      const queued = rows.filter(r => r.status === 'queued').slice(0, limit);
+      if (queued.length === 0) {
+        return null;
+      }
+      const batchId = batches.length + 1;
+      batches.push({ id: batchId, status: 'building', txHash: null });
+      queued.forEach(r => Object.assign(r, { status: 'processing', batchId, attempts: r.attempts + 1 }));
+      return { batchId, claims: queued.map(({ id, address, amount }) => ({ id, address, amount })) };
+    }),
+    requeueClaims: jest.fn(async (ids) => {
+      rows.filter(r => ids.includes(r.id))
+        .forEach(r => Object.assign(r, { status: 'queued', batchId: null, attempts: r.attempts - 1 }));
+    }),
+    completeBatch: jest.fn(async (batchId, txHash) => {
+      Object.assign(batches[batchId - 1], { status: 'submitted', txHash });
+      rows.filter(r => r.batchId === batchId && r.status === 'processing')
+        .forEach(r => Object.assign(r, { status: 'submitted', txHash }));
+    }),
+    failBatch: jest.fn(async (batchId, error, maxAttempts) => {
+      Object.assign(batches[batchId - 1], { status: 'failed', error });
+      rows.filter(r => r.batchId === batchId && r.status === 'processing')
+        .forEach(r => {
+          r.status = r.attempts >= maxAttempts ? 'failed' : 'queued';
+        });
+    }),
+    deferBatch: jest.fn(async (batchId, error) => {
+      Object.assign(batches[batchId - 1], { status: 'failed', error });
+      rows.filter(r => r.batchId === batchId && r.status === 'processing')
+        .forEach(r => Object.assign(r, { status: 'queued', batchId: null, attempts: r.attempts - 1 }));
+    })
+  };
+});
+
+const claims = require('../database/claims');
+const { sendHKDGBatch } = require('../api/utils/cardano-tx');
+const { processPayoutBatch, runPayoutWorker } = require('../api/utils/payout-queue');
+
+function queueClaims(count) {
+  for (let i = 1; i <= count; i++) {
+    claims.rows.push({ id: i, address: `addr1q${i}`, amount: 1000 * i, status: 'queued', attempts: 0, txHash: null });
+  }
+}
+
+describe('payout queue', () => {
+  beforeEach(() => {
+    claims.rows.length = 0;
+    claims.batches.length = 0;
+    jest.clearAllMocks();
+  });
+
+  test('pays queued claims in one multi-output transaction', async () => {
+    queueClaims(3);
+    sendHKDGBatch.mockResolvedValue({ success: true, txHash: 'tx_batch' });
+
+    const result = await processPayoutBatch();
+
+    expect(result).toEqual({ batchId: 1, txHash: 'tx_batch', claimIds: [1, 2, 3] });
+    expect(sendHKDGBatch).toHaveBeenCalledTimes(1);
+    expect(sendHKDGBatch.mock.calls[0][0]).toEqual([
+      { address: 'addr1q1', amount: 1000 },
+      { address: 'addr1q2', amount: 2000 },
+      { address: 'addr1q3', amount: 3000 }
+    ]);
+    expect(claims.rows.every(r => r.status === 'submitted' && r.txHash === 'tx_batch')).toBe(true);
+  });
+
+  test('caps recipients per transaction', async () => {
+    queueClaims(6);
+    sendHKDGBatch.mockImplementation(async (payments) => ({ success: true, txHash: `tx_${payments.length}` }));
+
+    await runPayoutWorker();
+
+    expect(sendHKDGBatch).toHaveBeenCalledTimes(2);
+    expect(claims.rows.map(r => r.txHash)).toEqual(['tx_4', 'tx_4', 'tx_4', 'tx_4', 'tx_2', 'tx_2']);
+  });
+
+  test('splits a batch that exceeds the max tx size', async () => {
+    queueClaims(4);
+    sendHKDGBatch.mockImplementation(async (payments) => (
+      payments.length > 2
+        ? { success: false, tooLarge: true }
+        : { success: true, txHash: `tx_${payments[0].address}` }
+    ));
+
+    const result = await processPayoutBatch();
+
+    expect(result.claimIds).toEqual([1, 2]);
+    expect(claims.requeueClaims).toHaveBeenCalledWith([3, 4]);
+    expect(claims.rows[2]).toMatchObject({ status: 'queued', attempts: 0 });
+
+    await processPayoutBatch();
+    expect(claims.rows.map(r => r.txHash)).toEqual(['tx_addr1q1', 'tx_addr1q1', 'tx_addr1q3', 'tx_addr1q3']);
+  });
+
+  test('requeues claims after a failed batch until attempts run out', async () => {
+    queueClaims(1);
+    sendHKDGBatch.mockRejectedValue(new Error('Faucet wallet has insufficient funds'));
+
+    await expect(processPayoutBatch()).rejects.toThrow('insufficient funds');
+    expect(claims.rows[0].status).toBe('queued');
+
+    await expect(processPayoutBatch()).rejects.toThrow();
+    await expect(processPayoutBatch()).rejects.toThrow();
+    expect(claims.rows[0].status).toBe('failed');
+    expect(claims.failBatch).toHaveBeenLastCalledWith(3, 'Faucet wallet has insufficient funds', 3);
+  });
+
+  test('requeues without using an attempt while faucet inputs are locked', async () => {
+    queueClaims(6);
+    sendHKDGBatch.mockResolvedValue({ success: false, inputsUnavailable: true, error: 'No unlocked faucet UTxOs can cover this payout yet' });
+
+    for (let run = 0; run < 5; run++) {
+      await runPayoutWorker();
+    }
+
+    // One batch per run, and none of them count against the claims
+    expect(sendHKDGBatch).toHaveBeenCalledTimes(5);
+    expect(claims.failBatch).not.toHaveBeenCalled();
+    expect(claims.rows.every(r => r.status === 'queued' && r.attempts === 0)).toBe(true);
+    expect(claims.batches[0]).toMatchObject({ status: 'failed', error: 'No unlocked faucet UTxOs can cover this payout yet' });
+
+    sendHKDGBatch.mockResolvedValue({ success: true, txHash: 'tx_batch' });
+    await runPayoutWorker();
+    expect(claims.rows.every(r => r.status === 'submitted')).toBe(true);
+  });
+
+  test('does nothing when the queue is empty', async () => {
+    await expect(processPayoutBatch()).resolves.toBeNull();
+    expect(sendHKDGBatch).not.toHaveBeenCalled();
+  });
+});
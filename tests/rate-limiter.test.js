@@ -0,0 +1,156 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../config', () => ({ config: { faucet: {} } }));
+
+// Every address of a wallet resolves to the same stake key
+jest.mock('../api/utils/claim-identity', () => ({
+  resolveCredential: jest.fn(async (address) => {
+    if (!address.startsWith('addr1')) {
+      throw new Error('Invalid wallet address format');
+    }
+    return { claimKey: `stake_${address.split('_')[1]}`, type: 'stake' };
+  })
+}));
+
+const { createRateLimiter, getTrustProxySetting, getRateLimitSettings } = require('../api/middleware/rateLimiter');
+
+const SETTINGS = {
+  enabled: true,
+  keyPrefix: 'test',
+  exemptRoutes: ['/health'],
+  policies: [
+    { id: 'api', by: 'ip', points: 3, durationSeconds: 60 },
+    { id: 'slurp-ip', routes: ['/slurp'], by: 'ip', points: 5, durationSeconds: 60 },
+    { id: 'slurp-wallet', routes: ['/slurp'], by: 'wallet', points: 1, durationSeconds: 60 }
+  ],
+  bans: {
+    violationsBeforeBan: 2,
+    violationWindowSeconds: 60,
+    durationsSeconds: [60, 600],
+    offenceMemorySeconds: 3600
+  }
+};
+
+function createApp(settings = SETTINGS) {
+  const app = express();
+  app.set('trust proxy', 1);
+  app.use(express.json());
+  app.use('/api', createRateLimiter({ settings }));
+  app.all('/api/*', (req, res) => res.json({ ok: true, ip: req.ip }));
+  return app;
+}
+
+const from = (ip) => ({ 'X-Forwarded-For': `203.0.113.9, ${ip}` });
+
+describe('rate limiter', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('takes the client IP from the proxy hop', async () => {
+    const response = await request(createApp()).get('/api/stats').set(from('198.51.100.1'));
+
+    expect(response.body.ip).toBe('198.51.100.1');
+  });
+
+  test('applies the default policy to unrouted paths', async () => {
+    const app = createApp();
+    for (let i = 0; i < 3; i++) {
+      await request(app).get('/api/stats').set(from('198.51.100.2')).expect(200);
+    }
+
+    const limited = await request(app).get('/api/stats').set(from('198.51.100.2'));
+    expect(limited.status).toBe(429);
+    expect(limited.headers['retry-after']).toBe('60');
+    expect(limited.body.message).toMatch('Rate limit exceeded');
+
+    await request(app).get('/api/stats').set(from('198.51.100.3')).expect(200);
+    await request(app).get('/api/health').set(from('198.51.100.2')).expect(200);
+  });
+
+  test('limits a wallet across addresses and IPs', async () => {
+    const app = createApp();
+    await request(app).post('/api/slurp').set(from('198.51.100.4')).send({ address: 'addr1a_wallet1' }).expect(200);
+
+    const limited = await request(app).post('/api/slurp').set(from('198.51.100.5')).send({ address: 'addr1b_wallet1' });
+    expect(limited.status).toBe(429);
+
+    await request(app).post('/api/slurp').set(from('198.51.100.5')).send({ address: 'addr1a_wallet2' }).expect(200);
+  });
+
+  test('skips wallet limits for allow-listed wallets', async () => {
+    const isWalletAllowed = jest.fn(async (claimKey) => claimKey === 'stake_team');
+    const app = express();
+    app.set('trust proxy', 1);
+    app.use(express.json());
+    app.use('/api', createRateLimiter({ settings: SETTINGS, isWalletAllowed }));
+    app.post('/api/slurp', (req, res) => res.json({ ok: true }));
+
+    for (let i = 0; i < 3; i++) {
+      await request(app).post('/api/slurp').set(from('198.51.100.9')).send({ address: 'addr1a_team' }).expect(200);
+    }
+    expect(isWalletAllowed).toHaveBeenCalledWith('stake_team');
+  });
+
+  test('bans repeat violators for longer each time', async () => {
+    const app = createApp();
+    const ip = '198.51.100.6';
+    for (let i = 0; i < 3; i++) {
+      await request(app).get('/api/stats').set(from(ip)).expect(200);
+    }
+    await request(app).get('/api/stats').set(from(ip)).expect(429);
+
+    const banned = await request(app).get('/api/stats').set(from(ip));
+    expect(banned.status).toBe(429);
+    expect(banned.body.message).toMatch('Temporarily banned');
+    expect(banned.body.retryAfter).toBe(60);
+
+    // The ban covers routes the client hasn't hit yet
+    await request(app).post('/api/slurp').set(from(ip)).send({ address: 'addr1a_wallet3' }).expect(429);
+    expect(console.warn).toHaveBeenCalledWith('🚫 Banned ip:198.51.100.6 for 60s (offence 1)');
+  });
+
+  test('escalates the ban on the next offence', async () => {
+    const app = createApp({ ...SETTINGS, bans: { ...SETTINGS.bans, durationsSeconds: [1, 600] } });
+    const ip = '198.51.100.7';
+    for (let i = 0; i < 5; i++) {
+      await request(app).get('/api/stats').set(from(ip));
+    }
+
+    // Once the first ban runs out, two more violations earn the second one
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    await request(app).get('/api/stats').set(from(ip)).expect(429);
+    const banned = await request(app).get('/api/stats').set(from(ip));
+
+    expect(banned.body.retryAfter).toBe(600);
+  });
+
+  test('does nothing when disabled', async () => {
+    const app = createApp({ ...SETTINGS, enabled: false });
+    for (let i = 0; i < 5; i++) {
+      await request(app).get('/api/stats').set(from('198.51.100.8')).expect(200);
+    }
+  });
+
+  test('rejects policies with an unknown key type', () => {
+    expect(() => createRateLimiter({ settings: { ...SETTINGS, policies: [{ id: 'x', by: 'cookie', points: 1, durationSeconds: 1 }] } }))
+      .toThrow('Rate limit policy "x" has unknown key type "cookie"');
+  });
+
+  test('reads trust proxy from the environment', () => {
+    expect(getTrustProxySetting()).toBe(getRateLimitSettings().trustProxy);
+
+    process.env.TRUST_PROXY = '2';
+    expect(getTrustProxySetting()).toBe(2);
+    process.env.TRUST_PROXY = 'false';
+    expect(getTrustProxySetting()).toBe(false);
+    process.env.TRUST_PROXY = 'loopback';
+    expect(getTrustProxySetting()).toBe('loopback');
+    delete process.env.TRUST_PROXY;
+  });
+});
@@ -0,0 +1,338 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../config', () => ({
+  config: {
+    relationships: { maxDepth: 3, maxNodes: 200, maxRequests: 40, transactionsPerAddress: 25 }
+  }
+}));
+
+jest.mock('../api/providers', () => ({
+  getChainProvider: jest.fn()
+}));
+
+jest.mock('../database/redis', () => ({
+  client: { get: jest.fn(async () => null), set: jest.fn(async () => 'OK') },
+  cacheGet: jest.fn(async () => null),
+  cacheSet: jest.fn(async () => {})
+}));
+
+const { config } = require('../config');
+const { getChainProvider } = require('../api/providers');
+const { createFixtureProvider } = require('../api/providers/fixture');
+const {
+  analyzeAddressRelationships,
+  generateNetworkGraph,
+  detectChangeOutput,
+  groupByTransactionTiming
+} = require('../api/utils/relationship-analyzer');
+const { writeGEXF, writeDOT, writeCSV } = require('../api/utils/graph-export');
+const relationshipRoutes = require('../api/routes/relationships');
+
+const io = (name, lovelace, stake = name) => ({ address: `addr1_${name}`, stakeAddress: `stake1_${stake}`, lovelace });
+
+// root pays alice and gets paid by bob; alice pays carol; carol pays dave
+const transactions = {
+  tx_root_alice: {
+    blockHeight: 10,
+    blockTime: 1700000000,
+    inputs: [io('root', '20000000')],
+    outputs: [io('alice', '5000000'), io('root_change', '14800000', 'root')]
+  },
+  tx_bob_root: {
+    blockHeight: 11,
+    blockTime: 1700000100,
+    inputs: [io('bob', '9000000')],
+    outputs: [io('root', '3000000'), io('bob', '5800000')]
+  },
+  tx_alice_carol: {
+    blockHeight: 12,
+    blockTime: 1700000200,
+    inputs: [io('alice', '5000000')],
+    outputs: [io('carol', '4800000')]
+  },
+  tx_carol_dave: {
+    blockHeight: 13,
+    blockTime: 1700000300,
+    inputs: [io('carol', '4800000')],
+    outputs: [io('dave', '4600000')]
+  }
+};
+
+function useChain(chain = transactions) {
+  const addresses = {};
+  for (const [txHash, tx] of Object.entries(chain)) {
+    for (const { address } of [...tx.inputs, ...tx.outputs]) {
+      addresses[address] = addresses[address] || { transactions: [] };
+      if (!addresses[address].transactions.includes(txHash)) {
+        addresses[address].transactions.push(txHash);
+      }
+    }
+  }
+  const provider = createFixtureProvider({ data: { addresses, transactions: chain } });
+  jest.spyOn(provider, 'getAddressTransactions');
+  jest.spyOn(provider, 'getTransactionUtxos');
+  getChainProvider.mockReturnValue(provider);
+  return provider;
+}
+
+const nodeIds = (relationships) => relationships.graph.nodes.map(node => node.id).sort();
+
+describe('relationship analyzer', () => {
+  const defaults = { ...config.relationships };
+
+  beforeEach(() => {
+    config.relationships = { ...defaults };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('links the address to its counterparties by stake key', async () => {
+    useChain();
+
+    const relationships = await analyzeAddressRelationships('addr1_root', 1);
+
+    expect(nodeIds(relationships)).toEqual(['stake1_alice', 'stake1_bob', 'stake1_root']);
+    expect(relationships.graph.edges).toEqual(expect.arrayContaining([
+      { source: 'stake1_root', target: 'stake1_alice', count: 1, lovelace: '5000000', firstSeen: 1700000000, lastSeen: 1700000000 },
+      { source: 'stake1_bob', target: 'stake1_root', count: 1, lovelace: '3000000', firstSeen: 1700000100, lastSeen: 1700000100 }
+    ]));
+    // Change back to the sender is not an edge
+    expect(relationships.graph.edges).toHaveLength(2);
+    expect(relationships.connections.map(({ target, sentLovelace, receivedLovelace }) => ({ target, sentLovelace, receivedLovelace })))
+      .toEqual(expect.arrayContaining([
+        { target: 'stake1_alice', sentLovelace: '5000000', receivedLovelace: '0' },
+        { target: 'stake1_bob', sentLovelace: '0', receivedLovelace: '3000000' }
+      ]));
+    expect(relationships.graph.nodes.find(node => node.id === 'stake1_root').addresses)
+      .toEqual(['addr1_root', 'addr1_root_change']);
+  });
+
+  test('follows counterparties breadth-first up to the depth', async () => {
+    useChain();
+
+    const twoHops = await analyzeAddressRelationships('addr1_root', 2);
+    expect(nodeIds(twoHops)).toEqual(['stake1_alice', 'stake1_bob', 'stake1_carol', 'stake1_root']);
+    expect(twoHops.graph.nodes.find(node => node.id === 'stake1_carol').depth).toBe(2);
+
+    const threeHops = await analyzeAddressRelationships('addr1_root', 3);
+    expect(nodeIds(threeHops)).toContain('stake1_dave');
+    expect(threeHops.metadata.truncated).toEqual([]);
+  });
+
+  test('stops at the request budget', async () => {
+    config.relationships.maxRequests = 3;
+    const provider = useChain();
+
+    const relationships = await analyzeAddressRelationships('addr1_root', 3);
+
+    expect(provider.getAddressTransactions).toHaveBeenCalledTimes(1);
+    expect(relationships.metadata.requestsUsed).toBe(2);
+    expect(relationships.metadata.truncated).toEqual(['maxRequests']);
+    expect(nodeIds(relationships)).not.toContain('stake1_carol');
+  });
+
+  test('stops adding nodes at the node budget', async () => {
+    config.relationships.maxNodes = 2;
+    useChain();
+
+    const relationships = await analyzeAddressRelationships('addr1_root', 3);
+
+    expect(relationships.graph.nodes).toHaveLength(2);
+    expect(relationships.metadata.truncated).toEqual(['maxNodes']);
+  });
+
+  test('caps the depth and builds a network graph', async () => {
+    useChain();
+
+    const relationships = await analyzeAddressRelationships('addr1_root', 10);
+    const graph = generateNetworkGraph(relationships);
+
+    expect(relationships.depth).toBe(3);
+    expect(graph.nodes.find(node => node.type === 'primary').id).toBe('stake1_root');
+    expect(graph.edges).toContainEqual({
+      source: 'stake1_alice',
+      target: 'stake1_carol',
+      weight: 1,
+      lovelace: '4800000',
+      type: 'transfer'
+    });
+  });
+
+  test('groups addresses active within an hour of each other by block time', () => {
+    const seenAt = (name, ...blockTimes) => ({
+      address: `addr1_${name}`,
+      connections: blockTimes.map(lastSeen => ({ lastSeen }))
+    });
+    const groups = groupByTransactionTiming([
+      seenAt('alice', 1700000000),
+      seenAt('bob', 1700001800),
+      seenAt('carol', 1700000000 + 2 * 86400),
+      seenAt('dave', 1700000600, 1700000000)
+    ]);
+
+    // carol, two days later, is on her own and not a group
+    expect(groups.map(group => group.addresses)).toEqual([['addr1_alice', 'addr1_bob', 'addr1_dave']]);
+    expect(groups[0].confidence).toBeGreaterThan(0.5);
+  });
+
+  test('rejects a depth outside the configured range', async () => {
+    useChain();
+    const app = express();
+    app.use(express.json());
+    app.use('/api', relationshipRoutes);
+
+    await request(app).post('/api/relationships/graph').send({ address: 'addr1_root', depth: 4 }).expect(400);
+    await request(app).post('/api/relationships/analyze').send({ address: 'addr1_root', depth: 0 }).expect(400);
+
+    const res = await request(app).post('/api/relationships/graph').send({ address: 'addr1_root', depth: 1 }).expect(200);
+    expect(res.body.metadata).toMatchObject({ nodeCount: 3, edgeCount: 2, truncated: [] });
+    expect(res.body.data.nodes.find(node => node.id === 'stake1_alice')).toMatchObject({ cluster: 'low-frequency', risk: 'low' });
+    expect(res.body.data.nodes.find(node => node.id === 'stake1_root')).toMatchObject({ type: 'primary', cluster: null, risk: 'low' });
+  });
+
+  test('streams the graph as GraphML, and as CSV node or edge tables', async () => {
+    useChain();
+    const app = express();
+    app.use(express.json());
+    app.use('/api', relationshipRoutes);
+    const graph = (body) => request(app).post('/api/relationships/graph').send({ address: 'addr1_root', depth: 1, ...body });
+
+    const graphml = await graph({ format: 'graphml' }).expect(200);
+    expect(graphml.headers['content-type']).toMatch(/^application\/graphml\+xml/);
+    expect(graphml.headers['content-disposition']).toBe('attachment; filename="relationships-addr1_root-depth1.graphml"');
+    expect(graphml.text).toContain('<key id="n_cluster" for="node" attr.name="cluster" attr.type="string"/>');
+    expect(graphml.text).toContain('<node id="stake1_alice"><data key="n_label">stake1_alice...</data><data key="n_type">connected</data>' +
+      '<data key="n_depth">1</data><data key="n_addresses">1</data><data key="n_strength">1</data>' +
+      '<data key="n_cluster">low-frequency</data><data key="n_risk">low</data></node>');
+    expect(graphml.text).toContain('<edge id="e0" source="stake1_root" target="stake1_alice"><data key="e_type">transfer</data>' +
+      '<data key="e_weight">1</data><data key="e_lovelace">5000000</data></edge>');
+
+    const edges = await graph({ format: 'csv' }).expect(200);
+    expect(edges.headers['content-disposition']).toBe('attachment; filename="relationships-addr1_root-depth1-edges.csv"');
+    expect(edges.text.split('\r\n')).toEqual([
+      'Source,Target,Type,Weight,Lovelace',
+      'stake1_root,stake1_alice,transfer,1,5000000',
+      'stake1_bob,stake1_root,transfer,1,3000000',
+      ''
+    ]);
+    const nodes = await graph({ format: 'csv', table: 'nodes' }).expect(200);
+    expect(nodes.text.split('\r\n')[0]).toBe('Id,Label,Type,Depth,Addresses,Strength,Cluster,Risk');
+
+    await graph({ format: 'pdf' }).expect(400);
+    await graph({ format: 'toString' }).expect(400);
+    await graph({ format: 'dot', table: 'nodes' }).expect(400);
+  });
+
+  test('writes GEXF and DOT with the same attributes, escaping ids', () => {
+    const graph = {
+      nodes: [
+        { id: 'a"<b>', label: 'a"<b>...', type: 'primary', depth: 0, addresses: 2, strength: 3, cluster: null, risk: 'medium' },
+        { id: 'c,d', label: 'c,d...', type: 'connected', depth: 1, addresses: 1, strength: 0, cluster: 'high-frequency', risk: 'medium' }
+      ],
+      edges: [{ source: 'a"<b>', target: 'c,d', weight: 4, lovelace: '12000000', type: 'transfer' }]
+    };
+
+    const gexf = [...writeGEXF(graph)].join('');
+    expect(gexf).toContain('<node id="a&quot;&lt;b&gt;" label="a&quot;&lt;b&gt;..."><attvalues><attvalue for="type" value="primary"/>' +
+      '<attvalue for="depth" value="0"/><attvalue for="addresses" value="2"/><attvalue for="strength" value="3"/>' +
+      '<attvalue for="risk" value="medium"/></attvalues></node>');
+    expect(gexf).toContain('<edge id="e0" source="a&quot;&lt;b&gt;" target="c,d" weight="4"><attvalues>' +
+      '<attvalue for="type" value="transfer"/><attvalue for="lovelace" value="12000000"/></attvalues></edge>');
+
+    const dot = [...writeDOT(graph)].join('');
+    expect(dot).toContain('"c,d" [label="c,d...", type="connected", depth="1", addresses="1", strength="0", cluster="high-frequency", risk="medium"];');
+    expect(dot).toContain('"a\\"<b>" -> "c,d" [type="transfer", weight="4", lovelace="12000000"];');
+
+    const csv = [...writeCSV(graph, { table: 'nodes' })].join('');
+    expect(csv).toContain('"a""<b>","a""<b>...",primary,0,2,3,,medium\r\n"c,d","c,d...",connected,1,1,0,high-frequency,medium\r\n');
+  });
+});
+
+describe('beneficial ownership', () => {
+  // a and b spend together and send their change to c; x pays d and e, which
+  // share a stake key; a also spends alongside a DEX script
+  const ownershipChain = {
+    tx_cospend: {
+      blockHeight: 20,
+      blockTime: 1700001000,
+      inputs: [io('a', '8000000'), io('b', '5300000')],
+      outputs: [io('shop', '10000000'), io('c', '3123456')]
+    },
+    tx_x_pays: {
+      blockHeight: 21,
+      blockTime: 1700001100,
+      inputs: [io('x', '9000000')],
+      outputs: [io('d', '4000000', 'de'), io('e', '4000000', 'de')]
+    },
+    tx_dex: {
+      blockHeight: 22,
+      blockTime: 1700001200,
+      inputs: [io('a', '2000000'), { address: 'addr1w_dex', stakeAddress: null, lovelace: '50000000' }],
+      outputs: [io('a', '2500000'), { address: 'addr1w_dex', stakeAddress: null, lovelace: '49300000' }]
+    },
+    tx_g_pays_f: {
+      blockHeight: 23,
+      blockTime: 1700001300,
+      inputs: [io('g', '9000000')],
+      outputs: [io('f', '5000000'), io('g', '3800000')]
+    }
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api', relationshipRoutes);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('merges co-spent inputs, change outputs and shared stake keys into entities', async () => {
+    useChain(ownershipChain);
+
+    const res = await request(app)
+      .post('/api/ownership/beneficial')
+      .send({ addresses: ['addr1_a', 'addr1_b', 'addr1_d', 'addr1_f'] })
+      .expect(200);
+
+    const owners = res.body.data.beneficialOwners;
+    expect(owners.map(owner => owner.controls)).toEqual([['addr1_a', 'addr1_b'], ['addr1_d'], ['addr1_f']]);
+    owners.forEach(owner => expect(owner.entityId).toMatch(/^entity_[0-9a-f]{16}$/));
+
+    const [ab, de, f] = owners;
+    expect(ab.addresses).toEqual(['addr1_a', 'addr1_b', 'addr1_c']);
+    expect(ab.evidence).toEqual([
+      { type: 'common-input', txHash: 'tx_cospend', addresses: ['addr1_a', 'addr1_b'] },
+      { type: 'change-output', txHash: 'tx_cospend', address: 'addr1_c', heuristic: 'round-payment', from: ['addr1_a', 'addr1_b'] }
+    ]);
+    expect(de).toMatchObject({
+      addresses: ['addr1_d', 'addr1_e'],
+      stakeAddresses: ['stake1_de'],
+      evidence: [{ type: 'stake-credential', stakeAddress: 'stake1_de', addresses: ['addr1_d', 'addr1_e'] }]
+    });
+    expect(f).toMatchObject({ addresses: ['addr1_f'], evidence: [] });
+    expect(res.body.data.metadata).toMatchObject({ transactionsAnalyzed: 4, requestsUsed: 5, truncated: [] });
+  });
+
+  test('picks change by address type when amounts do not tell', () => {
+    const enterprise = (name, lovelace) => ({ address: `addr1v_${name}`, stakeAddress: null, lovelace });
+
+    expect(detectChangeOutput({
+      inputs: [enterprise('sender', '10000000')],
+      outputs: [io('payee', '4123456'), enterprise('change', '5676544')]
+    })).toEqual({ output: enterprise('change', '5676544'), heuristic: 'address-type' });
+
+    // Change back to the sender is not guessed at
+    expect(detectChangeOutput({
+      inputs: [io('sender', '10000000')],
+      outputs: [io('payee', '4000000'), io('sender', '5812345')]
+    })).toBeNull();
+  });
+});
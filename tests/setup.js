@@ -6,6 +6,7 @@ process.env.NODE_ENV = 'test';
 process.env.PORT = '4001';
 process.env.BLOCKFROST_KEY = 'test_key';
 process.env.NETWORK = 'Preprod';
+process.env.JWT_SECRET = 'test_jwt_secret_for_eligibility_tokens';
 
 // Increase timeout for async operations
 jest.setTimeout(10000);
@@ -0,0 +1,625 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../config', () => ({
+  config: {
+    faucet: {
+      rateLimiting: { enabled: true },
+      token: { decimals: 0 },
+      tiers: [
+        {
+          id: 'meme',
+          reward: 690000,
+          cooldownHours: 24,
+          conditions: [{ type: 'token', policyId: 'hosky_policy' }]
+        },
+        {
+          id: 'ada',
+          reward: 420000,
+          cooldownHours: 24,
+          conditions: [{ type: 'minAda', lovelace: 3000000 }]
+        }
+      ]
+    }
+  }
+}));
+
+jest.mock('../api/utils/cardano-tx', () => ({
+  validateTransaction: jest.fn(),
+  getFaucetBalance: jest.fn(),
+  getExplorerUrl: jest.fn(txHash => `https://explorer.test/${txHash}`)
+}));
+
+// Chain data for the fresh eligibility re-check: an ADA holder without meme tokens
+jest.mock('../api/providers', () => {
+  const provider = {
+    getAddressAssets: jest.fn(async () => []),
+    getAddressInfo: jest.fn(async () => ({ lovelace: 5000000n, stakeAddress: null }))
+  };
+  return { getChainProvider: () => provider };
+});
+
+// Signatures prove the stake key of the address unless a test says otherwise
+jest.mock('../api/utils/wallet-auth', () => ({
+  resolveSigningAddress: jest.fn(),
+  issueChallenge: jest.fn(),
+  verifyChallenge: jest.fn(async (address) => ({ valid: true, claimKey: address.split('_')[1] }))
+}));
+
+// Every address in these tests is a base address of the form addr1..._<stake>
+jest.mock('../api/utils/claim-identity', () => ({
+  resolveClaimIdentity: jest.fn(async (address) => ({
+    valid: true,
+    claimKey: address.split('_')[1],
+    type: 'stake'
+  }))
+}));
+
+jest.mock('../database/admin', () => ({
+  getWalletAccess: jest.fn(async () => null)
+}));
+
+// No Springs boosts unless a test grants one
+jest.mock('../database/springs', () => ({
+  getBoostStatus: jest.fn(async () => ({ expiresAt: null, multiplier: null, bonus: null }))
+}));
+
+// The Sybil check lets every wallet through unless a test says otherwise
+jest.mock('../api/utils/sybil-score', () => ({
+  checkSybil: jest.fn(async ({ tier }) => ({ action: 'allow', tier }))
+}));
+
+// In-memory stand-in for the slurp_history repository. Like the real
+// reserveClaim, the cooldown check and the queued insert happen atomically.
+jest.mock('../database/claims', () => {
+  const rows = [];
+  return {
+    CLAIM_COOLDOWN_MS: 24 * 60 * 60 * 1000,
+    rows,
+    reserveClaim: jest.fn(async ({ address, claimKey, tier, amount }) => {
+      if (rows.some(r => r.claimKey === claimKey && r.status !== 'failed')) {
+        return null;
+      }
+      const row = { id: rows.length + 1, address, claimKey, tier, amount, status: 'queued', txHash: null };
+      rows.push(row);
+      return { id: row.id };
+    }),
+    releaseClaim: jest.fn(async (id) => {
+      rows[id - 1].status = 'failed';
+    }),
+    getClaim: jest.fn(async (id) => {
+      const row = rows[id - 1];
+      return row ? { id: row.id, status: row.status, tier: row.tier, amount: row.amount, txHash: row.txHash } : null;
+    }),
+    getClaimStats: jest.fn()
+  };
+});
+
+const { config } = require('../config');
+const claims = require('../database/claims');
+const adminDb = require('../database/admin');
+const springs = require('../database/springs');
+const { resolveClaimIdentity } = require('../api/utils/claim-identity');
+const { verifyChallenge } = require('../api/utils/wallet-auth');
+const { checkSybil } = require('../api/utils/sybil-score');
+const { validateTransaction, getFaucetBalance } = require('../api/utils/cardano-tx');
+const { issueEligibilityToken } = require('../api/utils/eligibility-token');
+const slurpRoutes = require('../api/routes/slurp');
+
+const ADDRESS = 'addr1qxtestwallet0_stake1';
+const SIBLING_ADDRESS = 'addr1qxtestwallet1_stake1';
+
+// Request body carrying a valid eligibility token for the given tier
+const slurpBody = (address, tier, extra = {}) => ({
+  address,
+  tier,
+  eligibilityToken: issueEligibilityToken({
+    address,
+    claimKey: address.split('_')[1],
+    tier
+  }).token,
+  ...extra
+});
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', slurpRoutes);
+  return app;
+};
+
+describe('POST /api/slurp claim reservation', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    claims.rows.length = 0;
+    jest.clearAllMocks();
+
+    validateTransaction.mockImplementation(async () => {
+      // Keep the request in flight long enough for the other requests to race it
+      await new Promise(resolve => setTimeout(resolve, 50));
+      return { valid: true };
+    });
+  });
+
+  test('queues only one claim for parallel requests from the same address', async () => {
+    const responses = await Promise.all(
+      Array.from({ length: 5 }, () =>
+        request(app).post('/api/slurp').send(slurpBody(ADDRESS, 'meme'))
+      )
+    );
+
+    const statuses = responses.map(r => r.status).sort();
+    expect(statuses).toEqual([202, 429, 429, 429, 429]);
+    expect(claims.rows).toHaveLength(1);
+    expect(claims.rows[0].status).toBe('queued');
+  });
+
+  test('returns a claim ID to poll for the payout', async () => {
+    const response = await request(app)
+      .post('/api/slurp')
+      .send(slurpBody(ADDRESS, 'ada'))
+      .expect(202);
+
+    expect(response.body).toMatchObject({
+      success: true,
+      claimId: 1,
+      status: 'queued',
+      statusUrl: '/api/claims/1'
+    });
+  });
+
+  test('releases the reservation when validation throws', async () => {
+    validateTransaction.mockRejectedValueOnce(new Error('Chain provider unavailable'));
+
+    await request(app)
+      .post('/api/slurp')
+      .send(slurpBody(ADDRESS, 'meme'))
+      .expect(500);
+
+    expect(claims.rows[0].status).toBe('failed');
+
+    // A released reservation doesn't block a retry
+    await request(app)
+      .post('/api/slurp')
+      .send(slurpBody(ADDRESS, 'meme'))
+      .expect(202);
+  });
+
+  test('releases the reservation when validation fails', async () => {
+    validateTransaction.mockResolvedValueOnce({ valid: false, error: 'Invalid recipient address format' });
+
+    await request(app)
+      .post('/api/slurp')
+      .send(slurpBody(ADDRESS, 'meme'))
+      .expect(400);
+
+    expect(claims.rows[0].status).toBe('failed');
+  });
+});
+
+describe('POST /api/slurp claim identity', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    claims.rows.length = 0;
+    jest.clearAllMocks();
+
+    validateTransaction.mockResolvedValue({ valid: true });
+  });
+
+  test('shares the cooldown between addresses with the same stake key', async () => {
+    await request(app)
+      .post('/api/slurp')
+      .send(slurpBody(ADDRESS, 'meme'))
+      .expect(202);
+
+    await request(app)
+      .post('/api/slurp')
+      .send(slurpBody(SIBLING_ADDRESS, 'meme'))
+      .expect(429);
+
+    expect(claims.rows).toHaveLength(1);
+    expect(claims.reserveClaim).toHaveBeenLastCalledWith(
+      expect.objectContaining({ address: SIBLING_ADDRESS, claimKey: 'stake1' }),
+      expect.any(Number),
+      null
+    );
+  });
+
+  test('reports the tier\'s cooldown when the wallet claimed too recently', async () => {
+    config.faucet.tiers[0].cooldownHours = 6;
+    try {
+      await request(app).post('/api/slurp').send(slurpBody(ADDRESS, 'meme')).expect(202);
+      const response = await request(app).post('/api/slurp').send(slurpBody(ADDRESS, 'meme')).expect(429);
+
+      expect(response.body).toEqual({ error: 'Already claimed. Please wait 6 hours between slurps.', cooldownHours: 6 });
+    } finally {
+      config.faucet.tiers[0].cooldownHours = 24;
+    }
+  });
+
+  test('refuses wallets on the ban list', async () => {
+    adminDb.getWalletAccess.mockResolvedValueOnce({ claimKey: 'stake1', list: 'ban', reason: 'botting' });
+
+    const response = await request(app)
+      .post('/api/slurp')
+      .send(slurpBody(SIBLING_ADDRESS, 'meme'))
+      .expect(403);
+
+    expect(response.body.error).toBe('This wallet is not allowed to use the faucet');
+    expect(adminDb.getWalletAccess).toHaveBeenCalledWith('stake1');
+    expect(claims.reserveClaim).not.toHaveBeenCalled();
+  });
+
+  test('refuses addresses rejected by the identity policy', async () => {
+    resolveClaimIdentity.mockResolvedValueOnce({
+      valid: false,
+      error: 'Addresses without a stake key are not eligible.'
+    });
+
+    const response = await request(app)
+      .post('/api/slurp')
+      .send({ address: 'addr1venterprise', tier: 'ada' })
+      .expect(400);
+
+    expect(response.body.error).toMatch(/stake key/);
+    expect(claims.reserveClaim).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/slurp wallet ownership', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    claims.rows.length = 0;
+    jest.clearAllMocks();
+
+    validateTransaction.mockResolvedValue({ valid: true });
+  });
+
+  test('passes the signed challenge through for verification', async () => {
+    const signedMessage = { signature: 'cose_sign1', key: 'cose_key' };
+
+    await request(app)
+      .post('/api/slurp')
+      .send(slurpBody(ADDRESS, 'meme', { nonce: 'abc', signedMessage }))
+      .expect(202);
+
+    expect(verifyChallenge).toHaveBeenCalledWith(ADDRESS, 'abc', signedMessage);
+  });
+
+  test('refuses to pay without a valid wallet signature', async () => {
+    verifyChallenge.mockResolvedValueOnce({ valid: false, error: 'Invalid wallet signature' });
+
+    const response = await request(app)
+      .post('/api/slurp')
+      .send(slurpBody(ADDRESS, 'meme', { nonce: 'abc', signedMessage: { signature: 'x', key: 'y' } }))
+      .expect(401);
+
+    expect(response.body.details).toBe('Invalid wallet signature');
+    expect(claims.reserveClaim).not.toHaveBeenCalled();
+  });
+
+  test('refuses a signature that does not prove the claim\'s stake key', async () => {
+    // Someone else's stake credential next to the caller's payment key
+    verifyChallenge.mockResolvedValueOnce({ valid: true, claimKey: 'payment_key_of_caller' });
+
+    const response = await request(app)
+      .post('/api/slurp')
+      .send(slurpBody(ADDRESS, 'meme', { nonce: 'abc', signedMessage: { signature: 'x', key: 'y' } }))
+      .expect(401);
+
+    expect(response.body.details).toMatch(/stake key/);
+    expect(adminDb.getWalletAccess).not.toHaveBeenCalled();
+    expect(claims.reserveClaim).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/slurp tier verification', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    claims.rows.length = 0;
+    jest.clearAllMocks();
+
+    validateTransaction.mockResolvedValue({ valid: true });
+  });
+
+  test('pays the tier bound into the eligibility token', async () => {
+    const response = await request(app)
+      .post('/api/slurp')
+      .send(slurpBody(ADDRESS, 'ada'))
+      .expect(202);
+
+    expect(response.body.tier).toBe('ada');
+    expect(claims.rows[0]).toMatchObject({ address: ADDRESS, tier: 'ada', amount: 420000 });
+  });
+
+  test('rejects a body tier that differs from the token', async () => {
+    const body = slurpBody(ADDRESS, 'ada');
+    body.tier = 'meme';
+
+    const response = await request(app)
+      .post('/api/slurp')
+      .send(body)
+      .expect(403);
+
+    expect(response.body.tier).toBe('ada');
+    expect(claims.reserveClaim).not.toHaveBeenCalled();
+  });
+
+  test('rejects a token whose payload was edited', async () => {
+    const [, signature] = slurpBody(ADDRESS, 'ada').eligibilityToken.split('.');
+    const forgedPayload = Buffer.from(JSON.stringify({
+      address: ADDRESS,
+      claimKey: 'stake1',
+      tier: 'meme',
+      exp: Math.floor(Date.now() / 1000) + 600
+    })).toString('base64url');
+
+    const response = await request(app)
+      .post('/api/slurp')
+      .send({ address: ADDRESS, tier: 'meme', eligibilityToken: `${forgedPayload}.${signature}` })
+      .expect(403);
+
+    expect(response.body.details).toBe('Invalid eligibility token signature');
+    expect(claims.reserveClaim).not.toHaveBeenCalled();
+  });
+
+  test('rejects a token issued to another wallet', async () => {
+    const body = slurpBody('addr1qxother_stake2', 'meme');
+    body.address = ADDRESS;
+
+    const response = await request(app)
+      .post('/api/slurp')
+      .send(body)
+      .expect(403);
+
+    expect(response.body.details).toBe('Eligibility token was issued for a different wallet');
+  });
+
+  test('rejects an expired token', async () => {
+    const body = slurpBody(ADDRESS, 'meme');
+    const later = Date.now() + 11 * 60 * 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+
+    try {
+      const response = await request(app)
+        .post('/api/slurp')
+        .send(body)
+        .expect(403);
+
+      expect(response.body.details).toMatch(/expired/);
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+
+  test('re-checks eligibility when no token is supplied', async () => {
+    await request(app)
+      .post('/api/slurp')
+      .send({ address: ADDRESS, tier: 'meme' })
+      .expect(403);
+
+    expect(claims.reserveClaim).not.toHaveBeenCalled();
+
+    const response = await request(app)
+      .post('/api/slurp')
+      .send({ address: ADDRESS })
+      .expect(202);
+
+    expect(response.body.tier).toBe('ada');
+  });
+
+  test('applies the Sybil check when no token is supplied', async () => {
+    checkSybil.mockResolvedValueOnce({ action: 'deny', tier: null, reason: 'This wallet looks like part of a wallet farm' });
+
+    const response = await request(app)
+      .post('/api/slurp')
+      .send({ address: ADDRESS })
+      .expect(403);
+
+    expect(response.body.details).toBe('This wallet looks like part of a wallet farm');
+    expect(claims.reserveClaim).not.toHaveBeenCalled();
+  });
+
+  test('skips the Sybil check for allow-listed wallets', async () => {
+    adminDb.getWalletAccess.mockResolvedValueOnce({ list: 'allow' });
+
+    await request(app)
+      .post('/api/slurp')
+      .send({ address: ADDRESS })
+      .expect(202);
+
+    expect(checkSybil).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/claims/:id', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    claims.rows.length = 0;
+    jest.clearAllMocks();
+
+    validateTransaction.mockResolvedValue({ valid: true });
+  });
+
+  test('reports a queued claim and then its payout transaction', async () => {
+    const { body } = await request(app)
+      .post('/api/slurp')
+      .send(slurpBody(ADDRESS, 'ada'))
+      .expect(202);
+
+    const queued = await request(app).get(`/api/claims/${body.claimId}`).expect(200);
+    expect(queued.body).toMatchObject({ id: 1, status: 'queued', txHash: null, explorerUrl: null });
+
+    Object.assign(claims.rows[0], { status: 'submitted', txHash: 'batch_tx' });
+
+    const paid = await request(app).get(`/api/claims/${body.claimId}`).expect(200);
+    expect(paid.body).toMatchObject({
+      status: 'submitted',
+      txHash: 'batch_tx',
+      explorerUrl: 'https://explorer.test/batch_tx'
+    });
+  });
+
+  test('rejects malformed IDs and unknown claims', async () => {
+    await request(app).get('/api/claims/abc').expect(400);
+    await request(app).get('/api/claims/1e3').expect(400);
+    await request(app).get('/api/claims/42').expect(404);
+  });
+});
+
+describe('POST /api/slurp budgets and reserve', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    claims.rows.length = 0;
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    validateTransaction.mockResolvedValue({ valid: true });
+  });
+
+  afterEach(async () => {
+    delete config.faucet.budgets;
+    delete config.faucet.reserve;
+    jest.restoreAllMocks();
+  });
+
+  test('passes the configured budgets to the reservation', async () => {
+    config.faucet.budgets = { dailyHkdg: 5000000, tiers: { meme: { hourlyHkdg: 1000000 } } };
+
+    await request(app)
+      .post('/api/slurp')
+      .send(slurpBody(ADDRESS, 'meme'))
+      .expect(202);
+
+    expect(claims.reserveClaim).toHaveBeenLastCalledWith(
+      expect.objectContaining({ tier: 'meme', amount: 690000 }),
+      expect.any(Number),
+      { hourlyHkdg: 0, dailyHkdg: 5000000, tiers: { meme: { hourlyHkdg: 1000000 } } }
+    );
+  });
+
+  test('refuses a slurp once a budget is exhausted', async () => {
+    claims.reserveClaim.mockResolvedValueOnce({
+      exhaustedBudget: { window: 'daily', tier: 'meme', limit: 1000000, used: 690000 }
+    });
+
+    const response = await request(app)
+      .post('/api/slurp')
+      .send(slurpBody(ADDRESS, 'meme'))
+      .expect(503);
+
+    expect(response.body.error).toBe('Faucet budget exhausted');
+    expect(response.body.details).toMatch('meme tier\'s daily HKDG budget');
+    expect(Number(response.headers['retry-after'])).toBe(response.body.retryAfter);
+    expect(validateTransaction).not.toHaveBeenCalled();
+  });
+
+  test('pauses slurps while the wallet is below its reserve', async () => {
+    config.faucet.reserve = { autoPause: true, minHkdg: 1000000, minAda: 20, checkIntervalSeconds: 0 };
+    getFaucetBalance.mockResolvedValue({ hkdg: 500000, ada: 100 });
+
+    const paused = await request(app)
+      .post('/api/slurp')
+      .send(slurpBody(ADDRESS, 'meme'))
+      .expect(503);
+
+    expect(paused.body.error).toBe('Faucet paused');
+    expect(claims.reserveClaim).not.toHaveBeenCalled();
+
+    getFaucetBalance.mockResolvedValue({ hkdg: 5000000, ada: 100 });
+    await request(app)
+      .post('/api/slurp')
+      .send(slurpBody(ADDRESS, 'meme'))
+      .expect(202);
+  });
+});
+
+describe('POST /api/slurp Springs boost', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    claims.rows.length = 0;
+    jest.clearAllMocks();
+
+    validateTransaction.mockResolvedValue({ valid: true });
+  });
+
+  test('multiplies the reward and adds the unclaimed bonus once', async () => {
+    springs.getBoostStatus.mockResolvedValueOnce({
+      expiresAt: new Date('2030-01-01T00:00:00Z'),
+      multiplier: 2,
+      bonus: { id: 5, amount: 1000 }
+    });
+
+    const response = await request(app)
+      .post('/api/slurp')
+      .send(slurpBody(ADDRESS, 'ada'))
+      .expect(202);
+
+    expect(claims.reserveClaim).toHaveBeenCalledWith(
+      expect.objectContaining({ tier: 'ada', amount: 841000, springsBonusId: 5 }),
+      expect.any(Number),
+      null
+    );
+    expect(response.body).toMatchObject({
+      amount: '841,000',
+      bonus: '1,000',
+      boost: { multiplier: 2, expiresAt: '2030-01-01T00:00:00.000Z' }
+    });
+  });
+
+  test('pays the plain tier reward without a boost', async () => {
+    const response = await request(app)
+      .post('/api/slurp')
+      .send(slurpBody(ADDRESS, 'ada'))
+      .expect(202);
+
+    expect(claims.reserveClaim).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: 420000, springsBonusId: null }),
+      expect.any(Number),
+      null
+    );
+    expect(response.body).toMatchObject({ boost: null, bonus: null });
+  });
+
+  test('does not pay a donor\'s boost or bonus to a claim signed with another key', async () => {
+    springs.getBoostStatus.mockResolvedValue({
+      expiresAt: new Date('2030-01-01T00:00:00Z'),
+      multiplier: 2,
+      bonus: { id: 5, amount: 2000000 }
+    });
+    // The donor's stake credential next to the caller's own payment key
+    verifyChallenge.mockResolvedValueOnce({ valid: true, claimKey: 'callerpayment' });
+
+    await request(app)
+      .post('/api/slurp')
+      .send(slurpBody(ADDRESS, 'ada'))
+      .expect(401);
+
+    expect(springs.getBoostStatus).not.toHaveBeenCalled();
+    expect(claims.reserveClaim).not.toHaveBeenCalled();
+    springs.getBoostStatus.mockResolvedValue({ expiresAt: null, multiplier: null, bonus: null });
+  });
+
+  test('looks the boost up by the proven stake key', async () => {
+    await request(app)
+      .post('/api/slurp')
+      .send(slurpBody(ADDRESS, 'ada'))
+      .expect(202);
+
+    expect(springs.getBoostStatus).toHaveBeenCalledWith('stake1');
+  });
+});
@@ -0,0 +1,101 @@
+jest.mock('../config', () => ({
+  config: {
+    springs: {
+      donationAddress: 'addr1_springs',
+      minDonation: 100000000,
+      bonusReward: 2000000,
+      boostDays: 30,
+      boostMultiplier: 1.5
+    }
+  }
+}));
+
+jest.mock('../database/springs', () => ({
+  grantBoost: jest.fn(async () => ({ id: 1, bonus_hkdg: 2000000, boost_expires_at: new Date('2030-01-01T00:00:00Z') })),
+  revokeBoost: jest.fn(async () => true),
+  getBoostStatus: jest.fn()
+}));
+
+jest.mock('../api/utils/claim-identity', () => ({
+  resolveCredential: jest.fn(async (address) => ({ claimKey: `key_${address}`, type: 'stake' }))
+}));
+
+const springs = require('../database/springs');
+const {
+  grantDonationBoost,
+  revokeDonationBoost,
+  getWalletBoost,
+  boostedReward
+} = require('../api/utils/springs-boost');
+
+const donation = (overrides = {}) => ({
+  txHash: 'tx_donation',
+  senderAddress: 'addr1_donor',
+  purpose: 'springs',
+  lovelace: 100000000n,
+  ...overrides
+});
+
+describe('Springs donation boost', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('grants the donor\'s stake key a boost for a large enough donation', async () => {
+    await grantDonationBoost(donation());
+
+    expect(springs.grantBoost).toHaveBeenCalledWith({
+      txHash: 'tx_donation',
+      claimKey: 'key_addr1_donor',
+      donorAddress: 'addr1_donor',
+      lovelace: 100000000n,
+      bonusHkdg: 2000000,
+      multiplier: 1.5,
+      boostDays: 30
+    });
+  });
+
+  test('ignores small donations and other purposes', async () => {
+    await expect(grantDonationBoost(donation({ lovelace: 99999999n }))).resolves.toBeNull();
+    await expect(grantDonationBoost(donation({ purpose: 'vault' }))).resolves.toBeNull();
+    expect(springs.grantBoost).not.toHaveBeenCalled();
+  });
+
+  test('revokes the boost of a rolled back donation', async () => {
+    await expect(revokeDonationBoost('tx_donation')).resolves.toBe(true);
+    expect(springs.revokeBoost).toHaveBeenCalledWith('tx_donation');
+  });
+
+  test('reports an active boost with its expiry', async () => {
+    springs.getBoostStatus.mockResolvedValue({
+      expiresAt: new Date('2030-01-01T00:00:00Z'),
+      multiplier: 1.5,
+      bonus: { id: 1, amount: 2000000 }
+    });
+
+    const boost = await getWalletBoost('key_addr1_donor');
+
+    expect(boost).toEqual({
+      active: true,
+      multiplier: 1.5,
+      expiresAt: '2030-01-01T00:00:00.000Z',
+      bonus: { id: 1, amount: 2000000 }
+    });
+    expect(boostedReward({ reward: 420000 }, boost)).toEqual({ reward: 2630000, tierReward: 630000, bonusReward: 2000000 });
+  });
+
+  test('leaves rewards alone once the boost has expired', async () => {
+    springs.getBoostStatus.mockResolvedValue({ expiresAt: null, multiplier: null, bonus: null });
+
+    const boost = await getWalletBoost('key_addr1_donor');
+
+    expect(boost).toEqual({ active: false, multiplier: 1, expiresAt: null, bonus: null });
+    expect(boostedReward({ reward: 420000 }, boost)).toEqual({ reward: 420000, tierReward: 420000, bonusReward: 0 });
+  });
+});
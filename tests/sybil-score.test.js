@@ -0,0 +1,184 @@
+jest.mock('../config', () => ({
+  config: {
+    faucet: {
+      tiers: [
+        { id: 'meme', name: 'Meme holder', reward: 690000 },
+        { id: 'ada', name: 'ADA holder', reward: 420000 }
+      ]
+    },
+    sybil: {
+      enabled: true,
+      maxWalletTransactions: 10,
+      maxFunderTransactions: 50,
+      siblingWindowHours: 72,
+      burstWindowMinutes: 60,
+      downgradeScore: 40,
+      denyScore: 70,
+      trustedFunders: []
+    }
+  }
+}));
+
+jest.mock('../api/providers', () => ({
+  getChainProvider: jest.fn()
+}));
+
+jest.mock('../api/utils/claim-identity', () => ({
+  resolveCredential: jest.fn(async (address) => ({ claimKey: `key_${address}`, type: 'stake' }))
+}));
+
+jest.mock('../database/claims', () => ({
+  getClaimedKeys: jest.fn(async () => [])
+}));
+
+jest.mock('../database/sybil', () => ({
+  getReviewStatus: jest.fn(async () => null),
+  recordFlag: jest.fn(async () => 1)
+}));
+
+const { config } = require('../config');
+const claims = require('../database/claims');
+const sybil = require('../database/sybil');
+const { getChainProvider } = require('../api/providers');
+const { createFixtureProvider } = require('../api/providers/fixture');
+const { checkSybil } = require('../api/utils/sybil-score');
+
+const io = (name, lovelace) => ({ address: `addr1_${name}`, stakeAddress: `stake1_${name}`, lovelace });
+const T = 1700000000;
+
+// farm funds w1, w2 and w3 within 20 minutes, and w4 five days later
+const transactions = {
+  tx_fund_w1: { blockHeight: 10, blockTime: T, inputs: [io('farm', '100000000')], outputs: [io('w1', '5000000'), io('farm', '94800000')] },
+  tx_fund_w2: { blockHeight: 11, blockTime: T + 600, inputs: [io('farm', '94800000')], outputs: [io('w2', '5000000'), io('farm', '89600000')] },
+  tx_fund_w3: { blockHeight: 12, blockTime: T + 1200, inputs: [io('farm', '89600000')], outputs: [io('w3', '5000000'), io('farm', '84400000')] },
+  tx_w1_spend: { blockHeight: 13, blockTime: T + 3600, inputs: [io('w1', '5000000')], outputs: [io('shop', '4800000')] },
+  tx_fund_w4: { blockHeight: 14, blockTime: T + 5 * 86400, inputs: [io('farm', '84400000')], outputs: [io('w4', '5000000'), io('farm', '79200000')] }
+};
+
+function useChain(txs = transactions) {
+  // Fixture address histories are listed newest first
+  const addresses = {};
+  const newestFirst = Object.entries(txs).sort(([, a], [, b]) => b.blockTime - a.blockTime);
+  for (const [txHash, tx] of newestFirst) {
+    for (const { address } of [...tx.inputs, ...tx.outputs]) {
+      addresses[address] = addresses[address] || { transactions: [] };
+      if (!addresses[address].transactions.includes(txHash)) {
+        addresses[address].transactions.push(txHash);
+      }
+    }
+  }
+  const provider = createFixtureProvider({ data: { addresses, transactions: txs } });
+  getChainProvider.mockReturnValue(provider);
+  return provider;
+}
+
+const meme = config.faucet.tiers[0];
+
+describe('Sybil scoring', () => {
+  const defaults = { ...config.sybil };
+
+  beforeEach(() => {
+    config.sybil = { ...defaults };
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('downgrades a wallet funded in a burst with its siblings', async () => {
+    useChain();
+
+    const result = await checkSybil({ address: 'addr1_w1', claimKey: 'key_addr1_w1', tier: meme });
+
+    expect(result).toMatchObject({ action: 'downgrade', score: 40, tier: { id: 'ada' } });
+    expect(result.signals).toMatchObject({ funder: 'stake1_farm', siblings: 2, claimedSiblings: 0, burst: 2 });
+    expect(claims.getClaimedKeys.mock.calls[0][0].sort()).toEqual(['key_addr1_w2', 'key_addr1_w3']);
+    expect(sybil.recordFlag).toHaveBeenCalledWith(expect.objectContaining({
+      claimKey: 'key_addr1_w1',
+      action: 'downgrade',
+      tier: 'meme',
+      downgradedTo: 'ada',
+      funder: 'stake1_farm'
+    }));
+  });
+
+  test('denies a wallet whose siblings already claimed', async () => {
+    useChain();
+    claims.getClaimedKeys.mockResolvedValueOnce(['key_addr1_w2', 'key_addr1_w3']);
+
+    const result = await checkSybil({ address: 'addr1_w1', claimKey: 'key_addr1_w1', tier: meme });
+
+    expect(result).toMatchObject({ action: 'deny', score: 80, tier: null });
+    expect(result.reason).toContain('2 of which already claimed');
+    expect(sybil.recordFlag).toHaveBeenCalledWith(expect.objectContaining({ action: 'deny', downgradedTo: null }));
+  });
+
+  test('leaves established wallets and trusted funders alone', async () => {
+    useChain();
+
+    config.sybil.maxWalletTransactions = 1;
+    expect(await checkSybil({ address: 'addr1_w1', claimKey: 'key_addr1_w1', tier: meme }))
+      .toMatchObject({ action: 'allow', score: 0, tier: meme });
+
+    config.sybil = { ...defaults, trustedFunders: ['stake1_farm'] };
+    expect(await checkSybil({ address: 'addr1_w1', claimKey: 'key_addr1_w1', tier: meme }))
+      .toMatchObject({ action: 'allow', score: 0, signals: { trustedFunder: true } });
+
+    expect(sybil.recordFlag).not.toHaveBeenCalled();
+  });
+
+  test('does not count an exchange paying out to many unrelated wallets', async () => {
+    // One withdrawal batch to 30 wallets, then a withdrawal to w1 ten minutes later
+    const customers = Array.from({ length: 30 }, (_, i) => io(`customer${i}`, '5000000'));
+    const exchange = {
+      tx_batch: { blockHeight: 10, blockTime: T, inputs: [io('exchange', '900000000')], outputs: [...customers, io('exchange', '749800000')] },
+      tx_fund_w1: { blockHeight: 11, blockTime: T + 600, inputs: [io('exchange', '749800000')], outputs: [io('w1', '5000000'), io('exchange', '744600000')] }
+    };
+    useChain(exchange);
+    // Every customer has claimed before
+    claims.getClaimedKeys.mockImplementationOnce(async (keys) => keys.filter(key => key.startsWith('key_addr1_customer')));
+
+    const batched = await checkSybil({ address: 'addr1_w1', claimKey: 'key_addr1_w1', tier: meme });
+    expect(batched).toMatchObject({ action: 'allow', score: 0, signals: { funder: 'stake1_exchange', siblings: 0 } });
+
+    // A funder as busy as an exchange isn't scored at all
+    config.sybil.maxFunderTransactions = 2;
+    const busy = await checkSybil({ address: 'addr1_w1', claimKey: 'key_addr1_w1', tier: meme });
+    expect(busy).toMatchObject({ action: 'allow', score: 0, signals: { funder: 'stake1_exchange', busyFunder: true } });
+
+    expect(sybil.recordFlag).not.toHaveBeenCalled();
+  });
+
+  test('does not check a wallet whose flag was dismissed', async () => {
+    const provider = useChain();
+    jest.spyOn(provider, 'getAddressTransactions');
+    sybil.getReviewStatus.mockResolvedValueOnce('dismissed');
+
+    const result = await checkSybil({ address: 'addr1_w1', claimKey: 'key_addr1_w1', tier: meme });
+
+    expect(result.action).toBe('allow');
+    expect(provider.getAddressTransactions).not.toHaveBeenCalled();
+  });
+
+  test('keeps a confirmed wallet flagged without queueing it again', async () => {
+    useChain();
+    sybil.getReviewStatus.mockResolvedValueOnce('confirmed');
+
+    const result = await checkSybil({ address: 'addr1_w1', claimKey: 'key_addr1_w1', tier: meme });
+
+    expect(result.action).toBe('downgrade');
+    expect(sybil.recordFlag).not.toHaveBeenCalled();
+  });
+
+  test('allows the claim when the chain lookup fails', async () => {
+    const provider = useChain();
+    jest.spyOn(provider, 'getTransactionUtxos').mockRejectedValue(new Error('provider down'));
+
+    const result = await checkSybil({ address: 'addr1_w1', claimKey: 'key_addr1_w1', tier: meme });
+
+    expect(result).toMatchObject({ action: 'allow', tier: meme });
+  });
+});
@@ -0,0 +1,102 @@
+jest.mock('../config', () => ({
+  config: {
+    faucet: {
+      utxoPool: {
+        targetCount: 3,
+        utxoHkdg: 1000,
+        utxoLovelace: 10000000,
+        fragmentThreshold: 3,
+        maxConsolidateInputs: 2,
+        lockTtlMinutes: 10
+      }
+    }
+  }
+}));
+
+// lucid-cardano is ESM-only, so the wallet and submission are faked here
+jest.mock('../api/utils/cardano-tx', () => {
+  const wallet = { getUtxos: jest.fn(async () => []) };
+  return {
+    wallet,
+    initializeLucid: jest.fn(async () => ({ wallet })),
+    submitPoolMaintenance: jest.fn(async () => 'tx_maintenance'),
+    getHKDGUnit: jest.fn(() => 'hkdgpolicy484b4447')
+  };
+});
+
+const { wallet, submitPoolMaintenance } = require('../api/utils/cardano-tx');
+const { lockUtxos, unlockUtxos } = require('../api/utils/utxo-pool');
+const { runUtxoMaintenance } = require('../api/utils/utxo-manager');
+
+const UNIT = 'hkdgpolicy484b4447';
+let nextIndex = 0;
+
+const utxo = (hkdg, ada) => ({
+  txHash: 'tx',
+  outputIndex: nextIndex++,
+  address: 'addr1faucet',
+  assets: { lovelace: BigInt(ada * 1000000), ...(hkdg ? { [UNIT]: BigInt(hkdg) } : {}) }
+});
+
+describe('UTxO manager', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('splits the largest UTxO when the pool is short', async () => {
+    const big = utxo(9000, 200);
+    wallet.getUtxos.mockResolvedValueOnce([utxo(3000, 200), big, utxo(1000, 10)]);
+
+    await expect(runUtxoMaintenance()).resolves.toEqual({ action: 'split', txHash: 'tx_maintenance' });
+    expect(submitPoolMaintenance).toHaveBeenCalledWith(
+      { action: 'split', input: big, outputs: 2 },
+      expect.objectContaining({ targetCount: 3, utxoHkdg: 1000 })
+    );
+  });
+
+  test('consolidates fragments once the pool is full', async () => {
+    const fragments = [utxo(10, 5), utxo(20, 2), utxo(0, 3)];
+    wallet.getUtxos.mockResolvedValueOnce([...fragments, utxo(1000, 10), utxo(1000, 10), utxo(1000, 10)]);
+
+    await expect(runUtxoMaintenance()).resolves.toEqual({ action: 'consolidate', txHash: 'tx_maintenance' });
+    expect(submitPoolMaintenance).toHaveBeenCalledWith(
+      { action: 'consolidate', inputs: [fragments[1], fragments[2]] },
+      expect.any(Object)
+    );
+  });
+
+  test('leaves a healthy pool alone', async () => {
+    wallet.getUtxos.mockResolvedValueOnce([utxo(1000, 10), utxo(1000, 10), utxo(1000, 10), utxo(10, 2)]);
+
+    await expect(runUtxoMaintenance()).resolves.toEqual({ action: 'none' });
+    expect(submitPoolMaintenance).not.toHaveBeenCalled();
+  });
+
+  test('does not split a UTxO an in-flight transaction is spending', async () => {
+    const big = utxo(9000, 200);
+    wallet.getUtxos.mockResolvedValueOnce([big, utxo(1000, 10)]);
+    lockUtxos([big]);
+
+    try {
+      await expect(runUtxoMaintenance()).resolves.toEqual({ action: 'none' });
+    } finally {
+      unlockUtxos([big]);
+    }
+    expect(submitPoolMaintenance).not.toHaveBeenCalled();
+  });
+
+  test('runs one round at a time and reports failures', async () => {
+    wallet.getUtxos.mockResolvedValueOnce([utxo(9000, 200)]);
+    submitPoolMaintenance.mockRejectedValueOnce(new Error('UTxO not found'));
+
+    const [first, second] = await Promise.all([runUtxoMaintenance(), runUtxoMaintenance()]);
+
+    expect(first).toEqual({ action: 'error', error: 'UTxO not found' });
+    expect(second).toEqual({ action: 'busy' });
+  });
+});
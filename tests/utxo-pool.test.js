@@ -0,0 +1,137 @@
+jest.mock('../config', () => ({
+  config: {
+    faucet: {
+      utxoPool: {
+        targetCount: 3,
+        utxoHkdg: 1000,
+        utxoLovelace: 10000000,
+        fragmentThreshold: 3,
+        maxConsolidateInputs: 2,
+        lockTtlMinutes: 10
+      }
+    }
+  }
+}));
+
+const {
+  getPoolSettings,
+  classifyUtxos,
+  planMaintenance,
+  selectPayoutInputs,
+  lockUtxos,
+  unlockUtxos,
+  unlockTxInputs,
+  isLocked,
+  getPoolHealth
+} = require('../api/utils/utxo-pool');
+
+const UNIT = 'hkdgpolicy484b4447';
+let nextIndex = 0;
+
+const utxo = (hkdg, ada) => ({
+  txHash: 'tx',
+  outputIndex: nextIndex++,
+  address: 'addr1faucet',
+  assets: { lovelace: BigInt(ada * 1000000), ...(hkdg ? { [UNIT]: BigInt(hkdg) } : {}) }
+});
+
+describe('UTxO pool', () => {
+  test('merges config over the defaults', () => {
+    expect(getPoolSettings()).toMatchObject({ targetCount: 3, utxoHkdg: 1000, maintenanceIntervalMinutes: 10 });
+  });
+
+  test('classifies UTxOs by size', () => {
+    const large = utxo(5000, 100);
+    const ready = utxo(1000, 10);
+    const dust = utxo(10, 2);
+    const adaOnly = utxo(0, 50);
+
+    const pool = classifyUtxos([large, ready, dust, adaOnly], UNIT);
+
+    expect(pool.large).toEqual([large]);
+    expect(pool.ready).toEqual([ready]);
+    expect(pool.fragments).toEqual([dust, adaOnly]);
+  });
+
+  test('splits the largest UTxO up to the target count', () => {
+    const big = utxo(9000, 200);
+    const pool = classifyUtxos([utxo(3000, 200), big, utxo(1000, 10)], UNIT);
+
+    expect(planMaintenance(pool, UNIT)).toEqual({ action: 'split', input: big, outputs: 2 });
+  });
+
+  test('limits a split by the ADA available for the new outputs', () => {
+    const pool = classifyUtxos([utxo(9000, 24)], UNIT);
+
+    // (24 ADA - 3 ADA overhead) / 10 ADA per pool UTxO
+    expect(planMaintenance(pool, UNIT)).toMatchObject({ action: 'split', outputs: 2 });
+  });
+
+  test('consolidates fragments once there are enough of them', () => {
+    const fragments = [utxo(10, 5), utxo(20, 2), utxo(0, 3)];
+    const pool = classifyUtxos([...fragments, utxo(1000, 10), utxo(1000, 10), utxo(1000, 10)], UNIT);
+
+    expect(planMaintenance(pool, UNIT)).toEqual({ action: 'consolidate', inputs: [fragments[1], fragments[2]] });
+    expect(planMaintenance(classifyUtxos(fragments.slice(0, 2), UNIT), UNIT)).toEqual({ action: 'none' });
+  });
+
+  test('selects unlocked pool UTxOs for a payout', () => {
+    const first = utxo(1000, 10);
+    const second = utxo(1000, 10);
+    const large = utxo(5000, 100);
+    const utxos = [large, first, second];
+
+    expect(selectPayoutInputs(utxos, UNIT, 1500n, 2)).toEqual([first, second]);
+
+    lockUtxos([first]);
+    try {
+      expect(selectPayoutInputs(utxos, UNIT, 1500n, 2)).toEqual([second, large]);
+      expect(selectPayoutInputs([first], UNIT, 500n, 1)).toBeNull();
+    } finally {
+      unlockUtxos([first]);
+    }
+  });
+
+  test('releases the inputs of one transaction', () => {
+    const payout = utxo(1000, 10);
+    const other = utxo(1000, 10);
+    lockUtxos([payout], 60000, 'tx_expired');
+    lockUtxos([other], 60000, 'tx_pending');
+
+    unlockTxInputs('tx_expired');
+
+    expect(isLocked(payout)).toBe(false);
+    expect(isLocked(other)).toBe(true);
+    unlockUtxos([other]);
+  });
+
+  test('lets locks expire', () => {
+    const spent = utxo(1000, 10);
+    lockUtxos([spent], 1000);
+
+    expect(classifyUtxos([spent], UNIT).locked).toEqual([spent]);
+
+    const later = Date.now() + 2000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    try {
+      expect(classifyUtxos([spent], UNIT).ready).toEqual([spent]);
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+
+  test('reports pool health', () => {
+    const health = getPoolHealth([utxo(1000, 10), utxo(9000, 200)], UNIT);
+
+    expect(health).toEqual({
+      healthy: false,
+      total: 2,
+      ready: 1,
+      target: 3,
+      large: 1,
+      fragments: 0,
+      locked: 0,
+      nextMaintenance: 'split'
+    });
+  });
+});
@@ -0,0 +1,405 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../config', () => ({
+  config: {
+    faucet: {
+      tiers: [{ id: 'ada', name: 'ADA Holder', reward: 420000 }]
+    },
+    vault: {
+      depositAddress: 'addr1_vault',
+      minWithdrawalLovelace: 2000000
+    }
+  },
+  onConfigReload: jest.fn()
+}));
+
+// Test addresses are addr1_<payment key>, whose stake key has the same
+// name, or addr1_<payment key>_<stake key>
+jest.mock('../api/utils/cardano-tx', () => {
+  const getAddressDetails = (address) => {
+    const [prefix, payment, stake = payment] = address.split('_');
+    const details = { address: { bech32: address, hex: `hex_${address}` } };
+    if (prefix === 'stake1') {
+      return { ...details, stakeCredential: { type: 'Key', hash: `key_${payment}` } };
+    }
+    if (prefix !== 'addr1') {
+      throw new Error('No address type matched for: ' + address);
+    }
+    return { ...details, paymentCredential: { type: 'Key', hash: `pay_${payment}` }, stakeCredential: { type: 'Key', hash: `key_${stake}` } };
+  };
+  // A signature is valid when its key is the credential of the address it is checked against
+  const verifyMessage = (address, payload, signed) => {
+    const { paymentCredential, stakeCredential } = getAddressDetails(address);
+    return signed.key === (paymentCredential || stakeCredential).hash;
+  };
+  return {
+    getFaucetBalance: jest.fn(),
+    sendVaultWithdrawal: jest.fn(),
+    initializeLucid: jest.fn(async () => ({
+      verifyMessage,
+      utils: {
+        getAddressDetails,
+        credentialToRewardAddress: (credential) => `stake1_${credential.hash.slice(4)}`
+      }
+    }))
+  };
+});
+
+jest.mock('../database/redis', () => {
+  const store = new Map();
+  return {
+    client: {
+      set: jest.fn(async (key, value) => {
+        store.set(key, value);
+      }),
+      getDel: jest.fn(async (key) => {
+        const value = store.get(key) || null;
+        store.delete(key);
+        return value;
+      })
+    }
+  };
+});
+
+jest.mock('../api/providers', () => ({
+  getChainProvider: jest.fn()
+}));
+
+jest.mock('../api/utils/claim-identity', () => ({
+  resolveCredential: jest.fn(async (address) => {
+    if (!address.startsWith('addr1')) {
+      throw new Error('Invalid wallet address format');
+    }
+    const [, payment, stake = payment] = address.split('_');
+    return { claimKey: `key_${stake}`, type: 'stake' };
+  })
+}));
+
+// Challenges are stubbed unless a test runs the real ones
+jest.mock('../api/utils/wallet-auth', () => ({
+  resolveSigningAddress: jest.fn(async (address) => (address.startsWith('addr1')
+    ? { valid: true, claimKey: `key_${address.split('_').pop()}` }
+    : { valid: false, error: 'Invalid wallet address format' })),
+  issueChallenge: jest.fn(async (address, action) => ({ nonce: 'nonce', message: action })),
+  verifyChallenge: jest.fn(async (address) => ({ valid: true, claimKey: `key_${address.split('_').pop()}` }))
+}));
+
+jest.mock('../database/vault', () => ({
+  creditDeposit: jest.fn(async () => true),
+  reverseDeposit: jest.fn(async () => true),
+  getBalance: jest.fn(async () => 0n),
+  getHistory: jest.fn(async () => ({ entries: [], total: 0 })),
+  requestWithdrawal: jest.fn(),
+  getWithdrawal: jest.fn(),
+  listWithdrawals: jest.fn(async () => ({ withdrawals: [], total: 0 })),
+  approveWithdrawal: jest.fn(),
+  returnToQueue: jest.fn(),
+  markSubmitted: jest.fn(),
+  rejectWithdrawal: jest.fn(),
+  failWithdrawal: jest.fn(async () => ({ status: 'failed' })),
+  confirmWithdrawal: jest.fn(async () => true),
+  getSubmittedWithdrawals: jest.fn(async () => []),
+  getVaultTotals: jest.fn()
+}));
+
+jest.mock('../database/claims', () => ({}));
+
+jest.mock('../database/db', () => {
+  const client = { query: jest.fn() };
+  return { client, transaction: jest.fn(async fn => fn(client)) };
+});
+
+jest.mock('../database/admin', () => ({
+  recordAudit: jest.fn(),
+  getControls: jest.fn(async () => ({}))
+}));
+
+const db = require('../database/db');
+const vault = require('../database/vault');
+const adminDb = require('../database/admin');
+const { sendVaultWithdrawal } = require('../api/utils/cardano-tx');
+const { getChainProvider } = require('../api/providers');
+const { issueChallenge, verifyChallenge } = require('../api/utils/wallet-auth');
+const { creditVaultDeposit, reconcileVault } = require('../api/utils/vault');
+const vaultRoutes = require('../api/routes/vault');
+const adminRoutes = require('../api/routes/admin');
+
+const ADMIN_KEY = 'admin-key-0123456789abcdef0123';
+const VIEWER_KEY = 'viewer-key-0123456789abcdef';
+const ACTION = 'Withdraw 5000000 lovelace from the HOSKDOG vault';
+
+const withdrawal = (overrides = {}) => ({
+  id: 7,
+  claimKey: 'key_alice',
+  address: 'addr1_alice',
+  lovelace: '5000000',
+  status: 'pending',
+  requestedAt: '2030-01-01T00:00:00.000Z',
+  ...overrides
+});
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/vault', vaultRoutes);
+  app.use('/api/admin', adminRoutes);
+  return app;
+};
+
+describe('vault', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.ADMIN_API_KEYS = `root:admin:${ADMIN_KEY},ana:viewer:${VIEWER_KEY}`;
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_API_KEYS;
+  });
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('deposits', () => {
+    test('credits vault deposits to the sender\'s stake key', async () => {
+      await creditVaultDeposit({ txHash: 'tx_vault', senderAddress: 'addr1_alice', purpose: 'vault', lovelace: 25000000n });
+
+      expect(vault.creditDeposit).toHaveBeenCalledWith({ txHash: 'tx_vault', claimKey: 'key_alice', lovelace: 25000000n });
+    });
+
+    test('ignores other purposes', async () => {
+      await expect(creditVaultDeposit({ txHash: 'tx_springs', senderAddress: 'addr1_alice', purpose: 'springs', lovelace: 1n }))
+        .resolves.toBe(false);
+      expect(vault.creditDeposit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('public API', () => {
+    test('returns the balance of the wallet an address belongs to', async () => {
+      vault.getBalance.mockResolvedValue(23000000n);
+      vault.listWithdrawals.mockResolvedValue({ withdrawals: [withdrawal()], total: 1 });
+
+      const res = await request(app).get('/api/vault/addr1_alice').expect(200);
+
+      expect(vault.getBalance).toHaveBeenCalledWith('key_alice');
+      expect(res.body).toEqual({
+        address: 'addr1_alice',
+        balanceLovelace: '23000000',
+        pendingWithdrawals: [{ id: 7, lovelace: '5000000', requestedAt: '2030-01-01T00:00:00.000Z' }],
+        depositAddress: 'addr1_vault'
+      });
+    });
+
+    test('rejects malformed addresses', async () => {
+      await request(app).get('/api/vault/stake1_alice').expect(400);
+      await request(app).get('/api/vault/stake1_alice/history').expect(400);
+    });
+
+    test('binds the withdrawal challenge to the amount', async () => {
+      const res = await request(app)
+        .post('/api/vault/withdrawals/challenge')
+        .send({ address: 'addr1_alice', lovelace: '5000000' })
+        .expect(200);
+
+      expect(issueChallenge).toHaveBeenCalledWith('addr1_alice', ACTION);
+      expect(res.body.message).toBe(ACTION);
+    });
+
+    test('refuses withdrawals below the minimum or with a bad amount', async () => {
+      await request(app).post('/api/vault/withdrawals/challenge').send({ address: 'addr1_alice', lovelace: '1999999' }).expect(400);
+      await request(app).post('/api/vault/withdrawals/challenge').send({ address: 'addr1_alice', lovelace: 2.5 }).expect(400);
+      await request(app).post('/api/vault/withdrawals').send({ address: 'addr1_alice', lovelace: '-5000000' }).expect(400);
+      expect(issueChallenge).not.toHaveBeenCalled();
+    });
+
+    test('queues a signed withdrawal for approval', async () => {
+      vault.requestWithdrawal.mockResolvedValue(withdrawal());
+
+      const res = await request(app)
+        .post('/api/vault/withdrawals')
+        .send({ address: 'addr1_alice', lovelace: '5000000', nonce: 'nonce', signedMessage: { signature: 's', key: 'k' } })
+        .expect(202);
+
+      expect(verifyChallenge).toHaveBeenCalledWith('addr1_alice', 'nonce', { signature: 's', key: 'k' }, ACTION);
+      expect(vault.requestWithdrawal).toHaveBeenCalledWith({ claimKey: 'key_alice', address: 'addr1_alice', lovelace: 5000000n });
+      expect(res.body.withdrawal).toEqual({ id: 7, lovelace: '5000000', status: 'pending', requestedAt: '2030-01-01T00:00:00.000Z' });
+    });
+
+    test('needs a valid signature and enough balance', async () => {
+      const body = { address: 'addr1_alice', lovelace: '5000000', nonce: 'nonce', signedMessage: {} };
+
+      verifyChallenge.mockResolvedValueOnce({ valid: false, error: 'Invalid wallet signature' });
+      await request(app).post('/api/vault/withdrawals').send(body).expect(401);
+      expect(vault.requestWithdrawal).not.toHaveBeenCalled();
+
+      vault.requestWithdrawal.mockResolvedValue(null);
+      await request(app).post('/api/vault/withdrawals').send(body).expect(409);
+    });
+
+    test('refuses a withdrawal signed by a payment key paired with someone else\'s stake key', async () => {
+      const walletAuth = jest.requireActual('../api/utils/wallet-auth');
+      issueChallenge.mockImplementation(walletAuth.issueChallenge);
+      verifyChallenge.mockImplementation(walletAuth.verifyChallenge);
+      vault.requestWithdrawal.mockResolvedValue(withdrawal());
+      const withdraw = async (address, key) => {
+        const challenge = await request(app)
+          .post('/api/vault/withdrawals/challenge')
+          .send({ address, lovelace: '5000000' })
+          .expect(200);
+        return request(app)
+          .post('/api/vault/withdrawals')
+          .send({ address, lovelace: '5000000', nonce: challenge.body.nonce, signedMessage: { signature: 's', key } });
+      };
+
+      // Mallory's payment key next to Alice's stake key, signed by Mallory
+      const stolen = await withdraw('addr1_mallory_alice', 'pay_mallory');
+      expect(stolen.status).toBe(401);
+      expect(vault.requestWithdrawal).not.toHaveBeenCalled();
+
+      const own = await withdraw('addr1_alice', 'key_alice');
+      expect(own.status).toBe(202);
+      expect(vault.requestWithdrawal).toHaveBeenCalledWith({ claimKey: 'key_alice', address: 'addr1_alice', lovelace: 5000000n });
+
+      issueChallenge.mockImplementation(async (address, action) => ({ nonce: 'nonce', message: action }));
+      verifyChallenge.mockImplementation(async (address) => ({ valid: true, claimKey: `key_${address.split('_').pop()}` }));
+    });
+  });
+
+  describe('admin approval', () => {
+    test('pays an approved withdrawal from the vault wallet', async () => {
+      const validUntil = new Date('2030-01-01T00:15:00Z');
+      vault.getWithdrawal.mockResolvedValue(withdrawal());
+      vault.approveWithdrawal.mockResolvedValue(withdrawal({ status: 'approved' }));
+      vault.markSubmitted.mockResolvedValue(withdrawal({ status: 'submitted', txHash: 'tx_payout' }));
+      sendVaultWithdrawal.mockResolvedValue({ txHash: 'tx_payout', validUntil, explorerUrl: 'https://example/tx_payout' });
+
+      const res = await request(app)
+        .post('/api/admin/vault/withdrawals/7/approve')
+        .set('Authorization', `Bearer ${ADMIN_KEY}`)
+        .expect(200);
+
+      expect(sendVaultWithdrawal).toHaveBeenCalledWith('addr1_alice', 5000000n);
+      expect(vault.markSubmitted).toHaveBeenCalledWith(7, 'tx_payout', validUntil);
+      expect(res.body.withdrawal.status).toBe('submitted');
+      expect(adminDb.recordAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'vault.approve', target: '7' }), undefined);
+    });
+
+    test('reports an approval as paid even if its audit entry fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      vault.getWithdrawal.mockResolvedValue(withdrawal());
+      vault.approveWithdrawal.mockResolvedValue(withdrawal({ status: 'approved' }));
+      vault.markSubmitted.mockResolvedValue(withdrawal({ status: 'submitted', txHash: 'tx_payout' }));
+      sendVaultWithdrawal.mockResolvedValue({ txHash: 'tx_payout', validUntil: new Date() });
+      adminDb.recordAudit.mockRejectedValueOnce(new Error('audit log unavailable'));
+
+      const res = await request(app)
+        .post('/api/admin/vault/withdrawals/7/approve')
+        .set('Authorization', `Bearer ${ADMIN_KEY}`)
+        .expect(200);
+
+      expect(res.body.withdrawal.status).toBe('submitted');
+    });
+
+    test('puts the withdrawal back in the queue if it can\'t be paid', async () => {
+      vault.getWithdrawal.mockResolvedValue(withdrawal());
+      vault.approveWithdrawal.mockResolvedValue(withdrawal({ status: 'approved' }));
+      sendVaultWithdrawal.mockRejectedValue(new Error('Insufficient input in transaction'));
+
+      await request(app)
+        .post('/api/admin/vault/withdrawals/7/approve')
+        .set('Authorization', `Bearer ${ADMIN_KEY}`)
+        .expect(502);
+
+      expect(vault.returnToQueue).toHaveBeenCalledWith(7, 'Insufficient input in transaction');
+      expect(adminDb.recordAudit).not.toHaveBeenCalled();
+    });
+
+    test('only admins approve, and only pending withdrawals', async () => {
+      await request(app)
+        .post('/api/admin/vault/withdrawals/7/approve')
+        .set('Authorization', `Bearer ${VIEWER_KEY}`)
+        .expect(403);
+
+      vault.getWithdrawal.mockResolvedValue(withdrawal({ status: 'submitted' }));
+      vault.approveWithdrawal.mockResolvedValue(null);
+      await request(app)
+        .post('/api/admin/vault/withdrawals/7/approve')
+        .set('Authorization', `Bearer ${ADMIN_KEY}`)
+        .expect(409);
+      expect(sendVaultWithdrawal).not.toHaveBeenCalled();
+    });
+
+    test('rejects a withdrawal with a reason', async () => {
+      vault.rejectWithdrawal.mockResolvedValue(withdrawal({ status: 'rejected', rejectionReason: 'Suspicious' }));
+
+      const res = await request(app)
+        .post('/api/admin/vault/withdrawals/7/reject')
+        .set('Authorization', `Bearer ${ADMIN_KEY}`)
+        .send({ reason: 'Suspicious' })
+        .expect(200);
+
+      expect(vault.rejectWithdrawal).toHaveBeenCalledWith(7, 'root', 'Suspicious', db.client);
+      expect(adminDb.recordAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'vault.reject' }), db.client);
+      expect(res.body.status).toBe('rejected');
+    });
+  });
+
+  describe('reconciliation', () => {
+    const useProvider = ({ onChain = [], lovelace }) => {
+      getChainProvider.mockReturnValue({
+        getTransactions: jest.fn(async (hashes) => hashes
+          .filter(hash => onChain.includes(hash))
+          .map(txHash => ({ txHash, blockHeight: 1000 }))),
+        getAddressInfo: jest.fn(async () => ({ lovelace, stakeAddress: null }))
+      });
+    };
+
+    test('settles submitted withdrawals', async () => {
+      vault.getSubmittedWithdrawals.mockResolvedValueOnce([
+        { id: 1, txHash: 'tx_landed', validUntil: new Date(Date.now() - 60 * 60 * 1000) },
+        { id: 2, txHash: 'tx_dropped', validUntil: new Date(Date.now() - 60 * 60 * 1000) },
+        { id: 3, txHash: 'tx_waiting', validUntil: new Date(Date.now() + 60 * 1000) }
+      ]);
+      vault.getVaultTotals.mockResolvedValue({ ledgerLovelace: 20000000n, inFlightLovelace: 0n, pendingWithdrawals: 0 });
+      useProvider({ onChain: ['tx_landed'], lovelace: 20000000n });
+
+      const summary = await reconcileVault();
+
+      expect(vault.confirmWithdrawal).toHaveBeenCalledWith(1);
+      expect(vault.failWithdrawal).toHaveBeenCalledTimes(1);
+      expect(vault.failWithdrawal).toHaveBeenCalledWith(2, expect.any(String));
+      expect(summary).toMatchObject({ confirmed: 1, failed: 1, balanced: true, surplusLovelace: '0' });
+    });
+
+    test('reports a shortfall when the vault address holds less than it owes', async () => {
+      vault.getVaultTotals.mockResolvedValue({ ledgerLovelace: 20000000n, inFlightLovelace: 5000000n, pendingWithdrawals: 1 });
+      useProvider({ lovelace: 24000000n });
+
+      const res = await request(app)
+        .get('/api/admin/vault/reconciliation')
+        .set('Authorization', `Bearer ${VIEWER_KEY}`)
+        .expect(200);
+
+      expect(res.body).toEqual({
+        confirmed: 0,
+        failed: 0,
+        ledgerLovelace: '20000000',
+        inFlightLovelace: '5000000',
+        onChainLovelace: '24000000',
+        surplusLovelace: '-1000000',
+        pendingWithdrawals: 1,
+        balanced: false
+      });
+    });
+  });
+});
@@ -0,0 +1,144 @@
+jest.mock('../database/redis', () => {
+  const store = new Map();
+  return {
+    store,
+    client: {
+      set: jest.fn(async (key, value) => {
+        store.set(key, value);
+      }),
+      getDel: jest.fn(async (key) => {
+        const value = store.get(key) || null;
+        store.delete(key);
+        return value;
+      })
+    }
+  };
+});
+
+// Test addresses: addr1q_<payment key>_<stake key>, stake1_<stake key>,
+// addr1v_<payment key> (enterprise) and addr1w_<script>
+const mockVerifyMessage = jest.fn();
+jest.mock('../api/utils/cardano-tx', () => {
+  const getAddressDetails = (address) => {
+    const [prefix, payment, stake] = address.split('_');
+    const details = { address: { bech32: address, hex: `hex_${address}` } };
+    if (prefix === 'stake1') {
+      return { ...details, type: 'Reward', stakeCredential: { type: 'Key', hash: payment } };
+    }
+    if (prefix === 'addr1q' && stake) {
+      return { ...details, type: 'Base', paymentCredential: { type: 'Key', hash: payment }, stakeCredential: { type: 'Key', hash: stake } };
+    }
+    if (prefix === 'addr1v' || prefix === 'addr1w') {
+      return { ...details, type: 'Enterprise', paymentCredential: { type: prefix === 'addr1v' ? 'Key' : 'Script', hash: payment } };
+    }
+    throw new Error('No address type matched for: ' + address);
+  };
+  return {
+    initializeLucid: jest.fn(async () => ({
+      verifyMessage: mockVerifyMessage,
+      utils: {
+        getAddressDetails,
+        credentialToRewardAddress: (credential) => `stake1_${credential.hash}`
+      }
+    }))
+  };
+});
+
+const redis = require('../database/redis');
+const { issueChallenge, verifyChallenge, CHALLENGE_TTL_SECONDS } = require('../api/utils/wallet-auth');
+
+const ADDRESS = 'addr1q_alicepay_alicestake';
+const REWARD_ADDRESS = 'stake1_alicestake';
+const SIGNED = { signature: 'cose_sign1', key: 'cose_key' };
+
+describe('wallet ownership challenges', () => {
+  beforeEach(() => {
+    redis.store.clear();
+    jest.clearAllMocks();
+    mockVerifyMessage.mockReturnValue(true);
+  });
+
+  test('issues a hex payload that embeds the address and nonce', async () => {
+    const challenge = await issueChallenge(ADDRESS);
+    const message = Buffer.from(challenge.payload, 'hex').toString('utf8');
+
+    expect(message).toBe(challenge.message);
+    expect(message).toContain(ADDRESS);
+    expect(message).toContain(challenge.nonce);
+    expect(challenge.signWith).toEqual({ address: REWARD_ADDRESS, hex: `hex_${REWARD_ADDRESS}` });
+    expect(redis.client.set).toHaveBeenCalledWith(
+      expect.stringContaining(challenge.nonce),
+      expect.any(String),
+      { EX: CHALLENGE_TTL_SECONDS }
+    );
+  });
+
+  test('verifies the signature against the stake key of a base address', async () => {
+    const challenge = await issueChallenge(ADDRESS);
+
+    await expect(verifyChallenge(ADDRESS, challenge.nonce, SIGNED)).resolves.toEqual({ valid: true, claimKey: 'alicestake' });
+    expect(mockVerifyMessage).toHaveBeenCalledWith(REWARD_ADDRESS, challenge.payload, SIGNED);
+  });
+
+  test('rejects a payment key signature for a base address with someone else\'s stake key', async () => {
+    // Lucid only accepts a signature whose COSE header and key match the address
+    // it verifies against, here the victim's reward address
+    mockVerifyMessage.mockImplementation((address) => address === 'addr1q_mallorypay_alicestake');
+    const challenge = await issueChallenge('addr1q_mallorypay_alicestake');
+
+    await expect(verifyChallenge('addr1q_mallorypay_alicestake', challenge.nonce, SIGNED))
+      .resolves.toEqual({ valid: false, error: 'Invalid wallet signature' });
+    expect(mockVerifyMessage).toHaveBeenCalledWith(REWARD_ADDRESS, challenge.payload, SIGNED);
+  });
+
+  test('enterprise addresses sign with their payment key; scripts cannot sign', async () => {
+    const challenge = await issueChallenge('addr1v_bobpay');
+    expect(challenge.signWith.address).toBe('addr1v_bobpay');
+    await expect(verifyChallenge('addr1v_bobpay', challenge.nonce, SIGNED)).resolves.toEqual({ valid: true, claimKey: 'bobpay' });
+
+    await expect(issueChallenge('addr1w_dexscript')).rejects.toThrow(/script/);
+    await expect(issueChallenge('not-an-address')).rejects.toThrow('Invalid wallet address format');
+  });
+
+  test('nonces are single-use', async () => {
+    const challenge = await issueChallenge(ADDRESS);
+
+    await verifyChallenge(ADDRESS, challenge.nonce, SIGNED);
+    const replay = await verifyChallenge(ADDRESS, challenge.nonce, SIGNED);
+
+    expect(replay).toEqual({ valid: false, error: 'Challenge expired or already used' });
+  });
+
+  test('rejects a challenge issued for another address', async () => {
+    const challenge = await issueChallenge(ADDRESS);
+    const result = await verifyChallenge('addr1q_bobpay_bobstake', challenge.nonce, SIGNED);
+
+    expect(result.valid).toBe(false);
+    expect(mockVerifyMessage).not.toHaveBeenCalled();
+  });
+
+  test('rejects a challenge issued for another request', async () => {
+    const challenge = await issueChallenge(ADDRESS, 'Withdraw 5000000 lovelace from the vault');
+    const message = Buffer.from(challenge.payload, 'hex').toString('utf8');
+
+    expect(message).toContain('Action: Withdraw 5000000 lovelace from the vault');
+    await expect(verifyChallenge(ADDRESS, challenge.nonce, SIGNED, 'Withdraw 9000000 lovelace from the vault'))
+      .resolves.toEqual({ valid: false, error: 'Challenge was issued for a different request' });
+    expect(mockVerifyMessage).not.toHaveBeenCalled();
+  });
+
+  test('rejects a bad or malformed signature', async () => {
+    mockVerifyMessage.mockImplementationOnce(() => {
+      throw new Error('No public key found.');
+    });
+    const challenge = await issueChallenge(ADDRESS);
+
+    await expect(verifyChallenge(ADDRESS, challenge.nonce, SIGNED))
+      .resolves.toEqual({ valid: false, error: 'Invalid wallet signature' });
+  });
+
+  test('requires a signature', async () => {
+    const result = await verifyChallenge(ADDRESS, 'nonce', undefined);
+    expect(result.valid).toBe(false);
+  });
+});